@@ -5,6 +5,9 @@ import Layout from './components/Layout'
 import Login from './pages/auth/Login'
 import Register from './pages/auth/Register'
 import ActivateAccount from './pages/ActivateAccount'
+import Feedback from './pages/Feedback'
+import Report from './pages/Report'
+import TrackReport from './pages/TrackReport'
 import Dashboard from './pages/Dashboard'
 import Equipment from './pages/Equipment'
 import EquipmentDetail from './pages/EquipmentDetail'
@@ -13,6 +16,10 @@ import MaintenanceCalendar from './pages/MaintenanceCalendar'
 import Teams from './pages/Teams'
 import Reports from './pages/Reports'
 import Users from './pages/Users'
+import Trash from './pages/Trash'
+import FailureCodes from './pages/FailureCodes'
+import RootCauseAnalyses from './pages/RootCauseAnalyses'
+import RootCauseAnalysisDetail from './pages/RootCauseAnalysisDetail'
 import Profile from './pages/Profile'
 import LoadingSpinner from './components/ui/LoadingSpinner'
 
@@ -37,6 +44,9 @@ function App() {
         <Route path="/login" element={<Login />} />
         <Route path="/register" element={<Register />} />
         <Route path="/activate/:token" element={<ActivateAccount />} />
+        <Route path="/feedback/:token" element={<Feedback />} />
+        <Route path="/report/:qrCode" element={<Report />} />
+        <Route path="/track/:token" element={<TrackReport />} />
         <Route path="*" element={<Navigate to="/login" replace />} />
       </Routes>
     )
@@ -57,6 +67,8 @@ function App() {
           <>
             <Route path="/teams" element={<Teams />} />
             <Route path="/reports" element={<Reports />} />
+            <Route path="/rcas" element={<RootCauseAnalyses />} />
+            <Route path="/rcas/:id" element={<RootCauseAnalysisDetail />} />
           </>
         )}
         
@@ -64,10 +76,15 @@ function App() {
         {user.role === 'admin' && (
           <>
             <Route path="/users" element={<Users />} />
+            <Route path="/failure-codes" element={<FailureCodes />} />
+            <Route path="/trash" element={<Trash />} />
           </>
         )}
         
         <Route path="/profile" element={<Profile />} />
+        <Route path="/feedback/:token" element={<Feedback />} />
+        <Route path="/report/:qrCode" element={<Report />} />
+        <Route path="/track/:token" element={<TrackReport />} />
         <Route path="*" element={<Navigate to="/dashboard" replace />} />
       </Routes>
     </Layout>
@@ -1,4 +1,4 @@
-import { Fragment } from 'react'
+import { Fragment, useState, useEffect } from 'react'
 import { Menu, Transition } from '@headlessui/react'
 import { useAuthStore } from '../stores/authStore'
 import { Link } from 'react-router-dom'
@@ -10,9 +10,55 @@ import {
   Cog6ToothIcon
 } from '@heroicons/react/24/outline'
 import clsx from 'clsx'
+import notificationService from '../services/notificationService'
+import GlobalSearch from './ui/GlobalSearch'
+
+// How often the bell refreshes its unread count
+const NOTIFICATION_POLL_MS = 60 * 1000
 
 const Header = ({ onMenuClick }) => {
   const { user, logout } = useAuthStore()
+  const [notifications, setNotifications] = useState([])
+  const [unreadCount, setUnreadCount] = useState(0)
+
+  useEffect(() => {
+    if (!user) return
+    loadNotifications()
+    const timer = setInterval(loadNotifications, NOTIFICATION_POLL_MS)
+    return () => clearInterval(timer)
+  }, [user?._id])
+
+  const loadNotifications = async () => {
+    try {
+      const response = await notificationService.getNotifications({ limit: 10 })
+      setNotifications(response.notifications)
+      setUnreadCount(response.unreadCount)
+    } catch (error) {
+      // The bell is best-effort; failures surface elsewhere
+    }
+  }
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationService.markAllRead()
+      const now = new Date().toISOString()
+      setNotifications(prev => prev.map(notification => ({ ...notification, readAt: notification.readAt || now })))
+      setUnreadCount(0)
+    } catch (error) {
+      console.error('Failed to mark notifications as read:', error)
+    }
+  }
+
+  const handleOpenNotification = async (notification) => {
+    if (notification.readAt) return
+    try {
+      await notificationService.markRead(notification._id)
+      setNotifications(prev => prev.map(item => item._id === notification._id ? { ...item, readAt: new Date().toISOString() } : item))
+      setUnreadCount(count => Math.max(0, count - 1))
+    } catch (error) {
+      console.error('Failed to mark notification as read:', error)
+    }
+  }
 
   const handleLogout = () => {
     logout()
@@ -34,20 +80,74 @@ const Header = ({ onMenuClick }) => {
         {/* Left side */}
         <div className="flex-1 flex items-center">
           <div className="w-full max-w-lg">
-            {/* Header content removed */}
+            <GlobalSearch />
           </div>
         </div>
 
         {/* Right side */}
         <div className="ml-4 flex items-center md:ml-6">
-          {/* Notifications button */}
-          <button
-            type="button"
-            className="bg-white p-1 rounded-full text-gray-400 hover:text-gray-500 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
-          >
-            <span className="sr-only">View notifications</span>
-            <BellIcon className="h-6 w-6" />
-          </button>
+          {/* Notifications dropdown */}
+          <Menu as="div" className="relative">
+            <Menu.Button className="relative bg-white p-1 rounded-full text-gray-400 hover:text-gray-500 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500">
+              <span className="sr-only">View notifications</span>
+              <BellIcon className="h-6 w-6" />
+              {unreadCount > 0 && (
+                <span className="absolute -top-1 -right-1 min-w-[1.1rem] h-[1.1rem] px-1 rounded-full bg-red-600 text-white text-[10px] leading-[1.1rem] text-center">
+                  {unreadCount > 99 ? '99+' : unreadCount}
+                </span>
+              )}
+            </Menu.Button>
+            <Transition
+              as={Fragment}
+              enter="transition ease-out duration-100"
+              enterFrom="transform opacity-0 scale-95"
+              enterTo="transform opacity-100 scale-100"
+              leave="transition ease-in duration-75"
+              leaveFrom="transform opacity-100 scale-100"
+              leaveTo="transform opacity-0 scale-95"
+            >
+              <Menu.Items className="origin-top-right absolute right-0 mt-2 w-80 rounded-md shadow-lg bg-white ring-1 ring-black ring-opacity-5 focus:outline-none">
+                <div className="flex items-center justify-between px-4 py-2 border-b border-gray-200">
+                  <span className="text-sm font-medium text-gray-900">Notifications</span>
+                  {unreadCount > 0 && (
+                    <button
+                      onClick={handleMarkAllRead}
+                      className="text-xs text-primary-600 hover:underline"
+                    >
+                      Mark all read
+                    </button>
+                  )}
+                </div>
+                <div className="max-h-96 overflow-y-auto">
+                  {notifications.length > 0 ? notifications.map(notification => (
+                    <Menu.Item key={notification._id}>
+                      {({ active }) => (
+                        <Link
+                          to="/maintenance"
+                          onClick={() => handleOpenNotification(notification)}
+                          className={clsx(
+                            active ? 'bg-gray-100' : '',
+                            notification.readAt ? '' : 'bg-primary-50',
+                            'block px-4 py-2 text-sm'
+                          )}
+                        >
+                          <p className="font-medium text-gray-900">{notification.title}</p>
+                          {notification.message && (
+                            <p className="text-xs text-gray-600 truncate">{notification.message}</p>
+                          )}
+                          <p className="text-xs text-gray-400 mt-1">
+                            {new Date(notification.createdAt).toLocaleString()}
+                          </p>
+                        </Link>
+                      )}
+                    </Menu.Item>
+                  )) : (
+                    <p className="px-4 py-6 text-sm text-gray-500 text-center">You're all caught up</p>
+                  )}
+                </div>
+              </Menu.Items>
+            </Transition>
+          </Menu>
 
           {/* Profile dropdown */}
           <Menu as="div" className="ml-3 relative">
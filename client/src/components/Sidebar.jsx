@@ -9,6 +9,9 @@ import {
   UsersIcon,
   ChartBarIcon,
   CalendarIcon,
+  TrashIcon,
+  TagIcon,
+  LightBulbIcon,
   XMarkIcon
 } from '@heroicons/react/24/outline'
 
@@ -20,6 +23,9 @@ const navigation = [
   { name: 'Teams', href: '/teams', icon: UserGroupIcon, roles: ['admin', 'technician'] },
   { name: 'Users', href: '/users', icon: UsersIcon, roles: ['admin'] },
   { name: 'Reports', href: '/reports', icon: ChartBarIcon, roles: ['admin', 'technician'] },
+  { name: 'Root Cause', href: '/rcas', icon: LightBulbIcon, roles: ['admin', 'technician'] },
+  { name: 'Failure Codes', href: '/failure-codes', icon: TagIcon, roles: ['admin'] },
+  { name: 'Trash', href: '/trash', icon: TrashIcon, roles: ['admin'] },
 ]
 
 const Sidebar = ({ onClose }) => {
@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react'
+import LoadingSpinner from '../ui/LoadingSpinner'
+import { equipmentService } from '../../services/equipmentService'
+import { formatMinutes, getPeriodStart } from '../../utils/time'
+import toast from 'react-hot-toast'
+
+const groupings = [
+  { value: 'equipment', label: 'Equipment' },
+  { value: 'category', label: 'Category' },
+  { value: 'workshop', label: 'Workshop' }
+]
+
+const getAvailabilityColor = (availability) => {
+  if (availability >= 95) return 'bg-green-500'
+  if (availability >= 85) return 'bg-yellow-500'
+  return 'bg-red-500'
+}
+
+const AvailabilityReport = ({ period }) => {
+  const [groupBy, setGroupBy] = useState('equipment')
+  const [report, setReport] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    loadReport()
+  }, [period, groupBy])
+
+  const loadReport = async () => {
+    try {
+      setLoading(true)
+      const response = await equipmentService.getAvailability({
+        from: getPeriodStart(period).toISOString(),
+        to: new Date().toISOString(),
+        groupBy
+      })
+      setReport(response)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load availability')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Availability & Downtime</h3>
+          <p className="text-sm text-gray-600 mt-1">
+            {report
+              ? `${report.overall.availability}% available overall · ${formatMinutes(report.overall.downtimeMinutes)} down · cost ${report.overall.downtimeCost.toFixed(2)}`
+              : 'Share of time equipment was in service'}
+          </p>
+        </div>
+        <select
+          value={groupBy}
+          onChange={(e) => setGroupBy(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+        >
+          {groupings.map(grouping => (
+            <option key={grouping.value} value={grouping.value}>By {grouping.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="p-6"><LoadingSpinner /></div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  {groupings.find(grouping => grouping.value === groupBy).label}
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Equipment
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Downtime
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Downtime Cost
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Availability
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {report.groups.map(group => (
+                <tr key={group.key} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{group.name}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{group.equipmentCount}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {formatMinutes(group.downtimeMinutes)}
+                    <span className="text-xs text-gray-500 ml-1">({group.periods} periods)</span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{group.downtimeCost.toFixed(2)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="flex items-center">
+                      <div className="w-16 bg-gray-200 rounded-full h-2 mr-2">
+                        <div
+                          className={`${getAvailabilityColor(group.availability)} h-2 rounded-full`}
+                          style={{ width: `${group.availability}%` }}
+                        ></div>
+                      </div>
+                      <span className="text-sm text-gray-900">{group.availability}%</span>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AvailabilityReport
\ No newline at end of file
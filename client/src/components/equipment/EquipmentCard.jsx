@@ -48,6 +48,9 @@ const EquipmentCard = ({ equipment, onUpdate }) => {
             <h3 className="text-lg font-semibold text-gray-900 mb-1">{equipment.name}</h3>
             <p className="text-sm text-gray-600">{equipment.model}</p>
             <p className="text-xs text-gray-500 font-mono">SN: {equipment.serialNumber}</p>
+            {equipment.assetTag && (
+              <p className="text-xs text-gray-500 font-mono">Tag: {equipment.assetTag}</p>
+            )}
           </div>
           <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium border ${getStatusColor(equipment.status)}`}>
             {equipment.status}
@@ -0,0 +1,154 @@
+import React, { useState, useEffect } from 'react'
+import { DocumentArrowDownIcon, ArrowDownTrayIcon, TrashIcon, PaperClipIcon } from '@heroicons/react/24/outline'
+import LoadingSpinner from '../ui/LoadingSpinner'
+import { equipmentService } from '../../services/equipmentService'
+import { formatFileSize, saveBlob } from '../../utils/files'
+import toast from 'react-hot-toast'
+
+const documentTypes = ['Manual', 'Warranty', 'Certificate', 'Drawing', 'Photo', 'Other']
+
+const EquipmentDocuments = ({ equipmentId, canManage }) => {
+  const [documents, setDocuments] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [file, setFile] = useState(null)
+  const [details, setDetails] = useState({ name: '', type: 'Manual' })
+  const [uploading, setUploading] = useState(false)
+
+  useEffect(() => {
+    loadDocuments()
+  }, [equipmentId])
+
+  const loadDocuments = async () => {
+    try {
+      setLoading(true)
+      const response = await equipmentService.getDocuments(equipmentId)
+      setDocuments(response.documents)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load documents')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleUpload = async (e) => {
+    e.preventDefault()
+    if (!file) return
+
+    setUploading(true)
+    try {
+      await equipmentService.uploadDocument(equipmentId, file, details)
+      toast.success('Document uploaded')
+      setFile(null)
+      setDetails({ name: '', type: 'Manual' })
+      e.target.reset()
+      loadDocuments()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to upload document')
+    } finally {
+      setUploading(false)
+    }
+  }
+
+  const handleDownload = async (document) => {
+    try {
+      const blob = await equipmentService.downloadDocument(equipmentId, document._id)
+      saveBlob(blob, document.originalName || document.name)
+    } catch (error) {
+      toast.error('Failed to download document')
+    }
+  }
+
+  const handleDelete = async (document) => {
+    if (!window.confirm(`Remove ${document.name}?`)) return
+
+    try {
+      await equipmentService.deleteDocument(equipmentId, document._id)
+      setDocuments(prev => prev.filter(item => item._id !== document._id))
+      toast.success('Document removed')
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove document')
+    }
+  }
+
+  if (loading) return <LoadingSpinner />
+
+  return (
+    <div className="space-y-4">
+      {canManage && (
+        <form onSubmit={handleUpload} className="flex flex-wrap items-center gap-3 border border-gray-200 rounded-lg p-4">
+          <input
+            type="file"
+            onChange={(e) => setFile(e.target.files[0] || null)}
+            className="text-sm"
+            required
+          />
+          <input
+            type="text"
+            value={details.name}
+            onChange={(e) => setDetails(prev => ({ ...prev, name: e.target.value }))}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+            placeholder="Name (defaults to the file name)"
+          />
+          <select
+            value={details.type}
+            onChange={(e) => setDetails(prev => ({ ...prev, type: e.target.value }))}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+          >
+            {documentTypes.map(type => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={uploading || !file}
+            className="btn btn-primary text-xs disabled:opacity-50"
+          >
+            <PaperClipIcon className="w-4 h-4 inline mr-1" />
+            {uploading ? 'Uploading...' : 'Upload'}
+          </button>
+        </form>
+      )}
+
+      {documents.length > 0 ? (
+        <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {documents.map(document => (
+            <div key={document._id} className="flex items-center justify-between p-3 text-sm">
+              <div>
+                <div className="font-medium text-gray-900">{document.name}</div>
+                <div className="text-xs text-gray-500">
+                  {document.type} · {formatFileSize(document.fileSize)} · {new Date(document.uploadedAt).toLocaleDateString()}
+                  {document.uploadedBy?.name && ` · ${document.uploadedBy.name}`}
+                </div>
+              </div>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => handleDownload(document)}
+                  className="text-gray-400 hover:text-gray-600"
+                  title="Download"
+                >
+                  <ArrowDownTrayIcon className="w-5 h-5" />
+                </button>
+                {canManage && (
+                  <button
+                    onClick={() => handleDelete(document)}
+                    className="text-gray-400 hover:text-red-600"
+                    title="Remove"
+                  >
+                    <TrashIcon className="w-5 h-5" />
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="text-center py-12 text-gray-500">
+          <DocumentArrowDownIcon className="w-12 h-12 mx-auto mb-4 text-gray-300" />
+          <p>No documents uploaded yet</p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default EquipmentDocuments
\ No newline at end of file
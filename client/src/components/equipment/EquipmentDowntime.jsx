@@ -0,0 +1,297 @@
+import React, { useState, useEffect } from 'react'
+import { ClockIcon, PencilSquareIcon, PlusIcon, TrashIcon } from '@heroicons/react/24/outline'
+import LoadingSpinner from '../ui/LoadingSpinner'
+import { equipmentService } from '../../services/equipmentService'
+import { formatMinutes, toDateTimeInput } from '../../utils/time'
+import toast from 'react-hot-toast'
+
+const DAY = 24 * 60 * 60 * 1000
+
+const triggerLabels = {
+  status: 'Status change',
+  breakdown: 'Breakdown',
+  manual: 'Recorded manually'
+}
+
+const toDateInput = (date) => new Date(date).toISOString().slice(0, 10)
+
+const EquipmentDowntime = ({ equipmentId, canManage, isAdmin }) => {
+  const [range, setRange] = useState({
+    from: toDateInput(Date.now() - 30 * DAY),
+    to: toDateInput(Date.now())
+  })
+  const [periods, setPeriods] = useState([])
+  const [summary, setSummary] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [showForm, setShowForm] = useState(false)
+  const [newPeriod, setNewPeriod] = useState({ startedAt: '', endedAt: '', note: '' })
+  const [correcting, setCorrecting] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    loadDowntime()
+  }, [equipmentId, range])
+
+  const loadDowntime = async () => {
+    try {
+      setLoading(true)
+      // The end date is inclusive in the picker
+      const response = await equipmentService.getDowntime(equipmentId, {
+        from: new Date(range.from).toISOString(),
+        to: new Date(new Date(range.to).getTime() + DAY).toISOString()
+      })
+      setPeriods(response.periods)
+      setSummary(response.summary)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load downtime')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleAdd = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    try {
+      await equipmentService.addDowntime(equipmentId, {
+        startedAt: new Date(newPeriod.startedAt).toISOString(),
+        endedAt: new Date(newPeriod.endedAt).toISOString(),
+        note: newPeriod.note || undefined
+      })
+      toast.success('Downtime recorded')
+      setNewPeriod({ startedAt: '', endedAt: '', note: '' })
+      setShowForm(false)
+      loadDowntime()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to record downtime')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleCorrect = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    try {
+      await equipmentService.correctDowntime(equipmentId, correcting._id, {
+        startedAt: new Date(correcting.startedAt).toISOString(),
+        endedAt: correcting.endedAt ? new Date(correcting.endedAt).toISOString() : undefined,
+        reason: correcting.reason
+      })
+      toast.success('Downtime corrected')
+      setCorrecting(null)
+      loadDowntime()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to correct downtime')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async (period) => {
+    if (!window.confirm('Remove this downtime period?')) return
+
+    try {
+      await equipmentService.deleteDowntime(equipmentId, period._id)
+      toast.success('Downtime period removed')
+      loadDowntime()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove downtime period')
+    }
+  }
+
+  const inputClass = 'px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500'
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex items-center space-x-2 text-sm">
+          <input
+            type="date"
+            value={range.from}
+            max={range.to}
+            onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))}
+            className={inputClass}
+          />
+          <span className="text-gray-500">to</span>
+          <input
+            type="date"
+            value={range.to}
+            min={range.from}
+            onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))}
+            className={inputClass}
+          />
+        </div>
+        {canManage && (
+          <button
+            onClick={() => setShowForm(!showForm)}
+            className="btn btn-secondary text-xs"
+          >
+            <PlusIcon className="w-4 h-4 inline mr-1" />
+            Record downtime
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleAdd} className="border border-gray-200 rounded-lg p-4 space-y-3">
+          <div className="grid grid-cols-2 gap-3">
+            <input
+              type="datetime-local"
+              value={newPeriod.startedAt}
+              onChange={(e) => setNewPeriod(prev => ({ ...prev, startedAt: e.target.value }))}
+              className={inputClass}
+              required
+            />
+            <input
+              type="datetime-local"
+              value={newPeriod.endedAt}
+              onChange={(e) => setNewPeriod(prev => ({ ...prev, endedAt: e.target.value }))}
+              className={inputClass}
+              required
+            />
+          </div>
+          <input
+            type="text"
+            value={newPeriod.note}
+            onChange={(e) => setNewPeriod(prev => ({ ...prev, note: e.target.value }))}
+            maxLength={1000}
+            className={`w-full ${inputClass}`}
+            placeholder="Note (optional)"
+          />
+          <div className="flex justify-end">
+            <button type="submit" disabled={saving} className="btn btn-primary text-xs disabled:opacity-50">
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <LoadingSpinner />
+      ) : (
+        <>
+          {summary && (
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <div className="bg-gray-50 rounded-lg p-4">
+                <div className="text-sm text-gray-600">Availability</div>
+                <div className="text-2xl font-bold text-gray-900">{summary.availability}%</div>
+              </div>
+              <div className="bg-gray-50 rounded-lg p-4">
+                <div className="text-sm text-gray-600">Downtime</div>
+                <div className="text-2xl font-bold text-gray-900">{formatMinutes(summary.downtimeMinutes)}</div>
+              </div>
+              <div className="bg-gray-50 rounded-lg p-4">
+                <div className="text-sm text-gray-600">Downtime Cost</div>
+                <div className="text-2xl font-bold text-gray-900">{summary.downtimeCost.toFixed(2)}</div>
+              </div>
+              <div className="bg-gray-50 rounded-lg p-4">
+                <div className="text-sm text-gray-600">Periods</div>
+                <div className="text-2xl font-bold text-gray-900">{summary.periods}</div>
+              </div>
+            </div>
+          )}
+
+          {periods.length > 0 ? (
+            <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+              {periods.map(period => (
+                <div key={period._id} className="p-3 text-sm">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <div className="font-medium text-gray-900">
+                        {new Date(period.startedAt).toLocaleString()}
+                        {' → '}
+                        {period.endedAt ? new Date(period.endedAt).toLocaleString() : 'now'}
+                      </div>
+                      <div className="text-xs text-gray-500">
+                        {triggerLabels[period.trigger]}
+                        {period.equipmentStatus && period.trigger === 'status' && ` (${period.equipmentStatus})`}
+                        {period.maintenanceRequest && ` · ${period.maintenanceRequest.requestNumber}`}
+                        {` · ${formatMinutes(period.minutesInRange)} in range · ${period.costInRange.toFixed(2)}`}
+                        {period.corrections?.length > 0 && ` · corrected ${period.corrections.length}×`}
+                      </div>
+                      {period.note && <div className="text-xs text-gray-600 mt-1">{period.note}</div>}
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      {period.status === 'open' && <span className="badge badge-error">Down</span>}
+                      {canManage && (
+                        <button
+                          onClick={() => setCorrecting({
+                            _id: period._id,
+                            open: period.status === 'open',
+                            startedAt: toDateTimeInput(period.startedAt),
+                            endedAt: toDateTimeInput(period.endedAt),
+                            reason: ''
+                          })}
+                          className="text-gray-400 hover:text-gray-600"
+                          title="Correct"
+                        >
+                          <PencilSquareIcon className="w-5 h-5" />
+                        </button>
+                      )}
+                      {isAdmin && period.status === 'closed' && (
+                        <button
+                          onClick={() => handleDelete(period)}
+                          className="text-gray-400 hover:text-red-600"
+                          title="Remove"
+                        >
+                          <TrashIcon className="w-5 h-5" />
+                        </button>
+                      )}
+                    </div>
+                  </div>
+
+                  {correcting?._id === period._id && (
+                    <form onSubmit={handleCorrect} className="mt-3 space-y-2">
+                      <div className="grid grid-cols-2 gap-3">
+                        <input
+                          type="datetime-local"
+                          value={correcting.startedAt}
+                          onChange={(e) => setCorrecting(prev => ({ ...prev, startedAt: e.target.value }))}
+                          className={inputClass}
+                          required
+                        />
+                        <input
+                          type="datetime-local"
+                          value={correcting.endedAt}
+                          onChange={(e) => setCorrecting(prev => ({ ...prev, endedAt: e.target.value }))}
+                          className={inputClass}
+                          disabled={correcting.open}
+                          required={!correcting.open}
+                        />
+                      </div>
+                      <input
+                        type="text"
+                        value={correcting.reason}
+                        onChange={(e) => setCorrecting(prev => ({ ...prev, reason: e.target.value }))}
+                        maxLength={500}
+                        className={`w-full ${inputClass}`}
+                        placeholder="Reason for the correction"
+                        required
+                      />
+                      <div className="flex justify-end space-x-2">
+                        <button type="button" onClick={() => setCorrecting(null)} className="btn btn-secondary text-xs">
+                          Cancel
+                        </button>
+                        <button type="submit" disabled={saving} className="btn btn-primary text-xs disabled:opacity-50">
+                          {saving ? 'Saving...' : 'Save correction'}
+                        </button>
+                      </div>
+                    </form>
+                  )}
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div className="text-center py-12 text-gray-500">
+              <ClockIcon className="w-12 h-12 mx-auto mb-4 text-gray-300" />
+              <p>No downtime in this period</p>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default EquipmentDowntime
\ No newline at end of file
@@ -0,0 +1,167 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { XMarkIcon, PaperClipIcon, ArrowDownTrayIcon, TrashIcon } from '@heroicons/react/24/outline'
+import { maintenanceService } from '../../services/maintenanceService'
+import { formatFileSize, saveBlob } from '../../utils/files'
+import toast from 'react-hot-toast'
+
+const AttachmentsModal = ({ request, user, onClose }) => {
+  const [attachments, setAttachments] = useState(request.attachments || [])
+  const [previews, setPreviews] = useState({})
+  const [uploading, setUploading] = useState(false)
+  const fileInput = useRef(null)
+  const previewUrls = useRef({})
+
+  // Load thumbnails for images; object URLs are released on close
+  useEffect(() => {
+    const missing = attachments.filter(file => file.thumbnailPath && !previewUrls.current[file._id])
+    missing.forEach(async (file) => {
+      try {
+        const blob = await maintenanceService.downloadAttachment(request._id, file._id, true)
+        previewUrls.current[file._id] = URL.createObjectURL(blob)
+        setPreviews({ ...previewUrls.current })
+      } catch (error) {
+        // Fall back to the file icon
+      }
+    })
+  }, [attachments])
+
+  useEffect(() => () => Object.values(previewUrls.current).forEach(url => URL.revokeObjectURL(url)), [])
+
+  const handleUpload = async (e) => {
+    const files = e.target.files
+    if (!files?.length) return
+
+    setUploading(true)
+    try {
+      const response = await maintenanceService.uploadAttachments(request._id, files)
+      setAttachments(prev => [...prev, ...response.attachments])
+      toast.success(response.message)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to upload files')
+    } finally {
+      setUploading(false)
+      e.target.value = ''
+    }
+  }
+
+  const handleDownload = async (file) => {
+    try {
+      const blob = await maintenanceService.downloadAttachment(request._id, file._id)
+      saveBlob(blob, file.originalName || file.filename)
+    } catch (error) {
+      toast.error('Failed to download file')
+    }
+  }
+
+  const handleDelete = async (file) => {
+    if (!window.confirm(`Remove ${file.originalName || file.filename}?`)) return
+
+    try {
+      await maintenanceService.deleteAttachment(request._id, file._id)
+      setAttachments(prev => prev.filter(item => item._id !== file._id))
+      toast.success('Attachment removed')
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove attachment')
+    }
+  }
+
+  const canDelete = (file) => user?.role === 'admin' || (file.uploadedBy?._id || file.uploadedBy) === user?._id
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-start justify-center z-50 overflow-y-auto pt-10">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full mx-4 mb-10">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Attachments</h2>
+            <p className="text-sm text-gray-600 mt-1">{request.requestNumber} · {request.title}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <XMarkIcon className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-gray-500">Photos, PDFs and office documents</p>
+            <input
+              ref={fileInput}
+              type="file"
+              multiple
+              onChange={handleUpload}
+              className="hidden"
+            />
+            <button
+              onClick={() => fileInput.current?.click()}
+              disabled={uploading}
+              className="btn btn-primary text-xs disabled:opacity-50"
+            >
+              <PaperClipIcon className="w-4 h-4 inline mr-1" />
+              {uploading ? 'Uploading...' : 'Upload'}
+            </button>
+          </div>
+
+          {attachments.length > 0 ? (
+            <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+              {attachments.map(file => (
+                <div key={file._id} className="flex items-center justify-between p-3 text-sm">
+                  <div className="flex items-center space-x-3">
+                    {previews[file._id] ? (
+                      <img src={previews[file._id]} alt="" className="w-12 h-12 object-cover rounded" />
+                    ) : (
+                      <div className="w-12 h-12 flex items-center justify-center bg-gray-100 rounded">
+                        <PaperClipIcon className="w-5 h-5 text-gray-400" />
+                      </div>
+                    )}
+                    <div>
+                      <div className="font-medium text-gray-900">{file.originalName || file.filename}</div>
+                      <div className="text-xs text-gray-500">
+                        {formatFileSize(file.fileSize)} · {new Date(file.uploadedAt).toLocaleDateString()}
+                      </div>
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <button
+                      onClick={() => handleDownload(file)}
+                      className="text-gray-400 hover:text-gray-600"
+                      title="Download"
+                    >
+                      <ArrowDownTrayIcon className="w-5 h-5" />
+                    </button>
+                    {canDelete(file) && (
+                      <button
+                        onClick={() => handleDelete(file)}
+                        className="text-gray-400 hover:text-red-600"
+                        title="Remove"
+                      >
+                        <TrashIcon className="w-5 h-5" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">No files attached yet.</p>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-end p-6 border-t border-gray-200">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default AttachmentsModal
\ No newline at end of file
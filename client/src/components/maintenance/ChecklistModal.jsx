@@ -0,0 +1,216 @@
+import React, { useState } from 'react'
+import { XMarkIcon, ExclamationTriangleIcon, CheckCircleIcon, XCircleIcon } from '@heroicons/react/24/outline'
+import { maintenanceService } from '../../services/maintenanceService'
+import toast from 'react-hot-toast'
+
+const ChecklistModal = ({ request, onClose }) => {
+  const [checklist, setChecklist] = useState(request.checklist || [])
+  const [values, setValues] = useState({})
+  const [notes, setNotes] = useState({})
+  const [savingId, setSavingId] = useState(null)
+
+  const isClosed = ['Completed', 'Cancelled', 'Rejected'].includes(request.status)
+
+  const formatRange = (item) => {
+    const unit = item.unit ? ` ${item.unit}` : ''
+    if (item.minValue != null && item.maxValue != null) return `${item.minValue}-${item.maxValue}${unit}`
+    if (item.minValue != null) return `min ${item.minValue}${unit}`
+    if (item.maxValue != null) return `max ${item.maxValue}${unit}`
+    return ''
+  }
+
+  const getStatusColor = (status) => {
+    switch (status) {
+      case 'Done':
+      case 'Passed': return 'bg-green-100 text-green-800'
+      case 'Failed': return 'bg-red-100 text-red-800'
+      case 'Skipped': return 'bg-gray-100 text-gray-600'
+      default: return 'bg-yellow-100 text-yellow-800'
+    }
+  }
+
+  const handleSignOff = async (item, status) => {
+    const result = { note: notes[item._id] || undefined }
+    if (item.type === 'measurement' && status !== 'Skipped') {
+      if (values[item._id] === undefined || values[item._id] === '') {
+        toast.error(`Enter a reading${item.unit ? ` in ${item.unit}` : ''} first`)
+        return
+      }
+      result.value = parseFloat(values[item._id])
+    } else {
+      result.status = status
+    }
+
+    setSavingId(item._id)
+    try {
+      const response = await maintenanceService.signOffChecklistStep(request._id, item._id, result)
+      setChecklist(prev => prev.map(step => step._id === item._id ? response.item : step))
+      if (response.followUpRequest) {
+        toast.error(response.message)
+      } else {
+        toast.success(response.message)
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to sign off step')
+    } finally {
+      setSavingId(null)
+    }
+  }
+
+  const completed = checklist.filter(item => item.status !== 'Pending').length
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-start justify-center z-50 overflow-y-auto pt-10">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full mx-4 mb-10">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">{request.jobPlan?.name || 'Checklist'}</h2>
+            <p className="text-sm text-gray-600 mt-1">
+              {request.title} · {completed} of {checklist.length} steps signed off
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <XMarkIcon className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {/* Safety Notes */}
+          {request.jobPlan?.safetyNotes?.length > 0 && (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+              <h4 className="font-medium text-yellow-900 mb-2 flex items-center">
+                <ExclamationTriangleIcon className="w-5 h-5 mr-2" />
+                Safety
+              </h4>
+              <ul className="text-sm text-yellow-800 list-disc list-inside space-y-1">
+                {request.jobPlan.safetyNotes.map((note, index) => (
+                  <li key={index}>{note}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* Steps */}
+          {checklist.map(item => (
+            <div key={item._id} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex items-start justify-between">
+                <div>
+                  <h4 className="font-medium text-gray-900">
+                    {item.order}. {item.title}
+                    {!item.required && <span className="text-xs text-gray-500 ml-2">(optional)</span>}
+                  </h4>
+                  {item.instructions && <p className="text-sm text-gray-600 mt-1">{item.instructions}</p>}
+                  {item.type === 'measurement' && (
+                    <p className="text-xs text-gray-500 mt-1">Acceptable range: {formatRange(item)}</p>
+                  )}
+                </div>
+                <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(item.status)}`}>
+                  {item.status}
+                </span>
+              </div>
+
+              {item.status !== 'Pending' && (
+                <p className="text-xs text-gray-500 mt-2">
+                  {item.value != null && `Reading: ${item.value}${item.unit ? ` ${item.unit}` : ''}. `}
+                  {item.note}
+                  {item.followUpRequest && <span className="text-red-600 ml-1">Follow-up request raised.</span>}
+                </p>
+              )}
+
+              {!isClosed && (
+                <div className="mt-3 space-y-2">
+                  <div className="flex items-center space-x-2">
+                    {item.type === 'measurement' && (
+                      <input
+                        type="number"
+                        step="any"
+                        value={values[item._id] ?? ''}
+                        onChange={(e) => setValues(prev => ({ ...prev, [item._id]: e.target.value }))}
+                        className="w-32 px-3 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+                        placeholder={item.unit || 'Value'}
+                      />
+                    )}
+                    <input
+                      type="text"
+                      value={notes[item._id] ?? ''}
+                      onChange={(e) => setNotes(prev => ({ ...prev, [item._id]: e.target.value }))}
+                      className="flex-1 px-3 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+                      placeholder="Note (optional)"
+                    />
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    {item.type === 'task' && (
+                      <button
+                        onClick={() => handleSignOff(item, 'Done')}
+                        disabled={savingId === item._id}
+                        className="btn btn-primary text-xs disabled:opacity-50"
+                      >
+                        <CheckCircleIcon className="w-4 h-4 inline mr-1" />
+                        Done
+                      </button>
+                    )}
+                    {item.type === 'check' && (
+                      <>
+                        <button
+                          onClick={() => handleSignOff(item, 'Passed')}
+                          disabled={savingId === item._id}
+                          className="btn btn-primary text-xs disabled:opacity-50"
+                        >
+                          <CheckCircleIcon className="w-4 h-4 inline mr-1" />
+                          Pass
+                        </button>
+                        <button
+                          onClick={() => handleSignOff(item, 'Failed')}
+                          disabled={savingId === item._id}
+                          className="btn btn-secondary text-xs text-red-600 disabled:opacity-50"
+                        >
+                          <XCircleIcon className="w-4 h-4 inline mr-1" />
+                          Fail
+                        </button>
+                      </>
+                    )}
+                    {item.type === 'measurement' && (
+                      <button
+                        onClick={() => handleSignOff(item)}
+                        disabled={savingId === item._id}
+                        className="btn btn-primary text-xs disabled:opacity-50"
+                      >
+                        Record
+                      </button>
+                    )}
+                    {!item.required && (
+                      <button
+                        onClick={() => handleSignOff(item, 'Skipped')}
+                        disabled={savingId === item._id}
+                        className="btn btn-secondary text-xs disabled:opacity-50"
+                      >
+                        Skip
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-end p-6 border-t border-gray-200">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ChecklistModal
\ No newline at end of file
@@ -0,0 +1,259 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { XMarkIcon, EyeIcon, EyeSlashIcon, LockClosedIcon, TrashIcon } from '@heroicons/react/24/outline'
+import LoadingSpinner from '../ui/LoadingSpinner'
+import { maintenanceService } from '../../services/maintenanceService'
+import toast from 'react-hot-toast'
+
+const MENTION_PATTERN = /@\[([^\]\n]{1,100})\]\(([a-f0-9]{24})\)/g
+
+// Render @[Name](id) tokens as highlighted names
+const renderBody = (body) => {
+  const parts = []
+  let lastIndex = 0
+  for (const match of body.matchAll(MENTION_PATTERN)) {
+    if (match.index > lastIndex) parts.push(body.slice(lastIndex, match.index))
+    parts.push(
+      <span key={match.index} className="text-primary-700 font-medium">@{match[1]}</span>
+    )
+    lastIndex = match.index + match[0].length
+  }
+  parts.push(body.slice(lastIndex))
+  return parts
+}
+
+const CommentsModal = ({ request, user, onClose }) => {
+  const [comments, setComments] = useState([])
+  const [watching, setWatching] = useState(false)
+  const [loading, setLoading] = useState(true)
+  const [body, setBody] = useState('')
+  const [internal, setInternal] = useState(false)
+  const [posting, setPosting] = useState(false)
+  const [mentionQuery, setMentionQuery] = useState(null)
+  const [suggestions, setSuggestions] = useState([])
+  const textarea = useRef(null)
+
+  const isStaff = user?.role !== 'employee'
+
+  useEffect(() => {
+    loadComments()
+  }, [request._id])
+
+  // Look up users while an @mention is being typed
+  useEffect(() => {
+    if (mentionQuery === null) {
+      setSuggestions([])
+      return
+    }
+    const timer = setTimeout(async () => {
+      try {
+        const response = await maintenanceService.getMentionable(request._id, mentionQuery)
+        setSuggestions(response.users)
+      } catch (error) {
+        setSuggestions([])
+      }
+    }, 200)
+    return () => clearTimeout(timer)
+  }, [mentionQuery])
+
+  const loadComments = async () => {
+    try {
+      setLoading(true)
+      const response = await maintenanceService.getComments(request._id)
+      setComments(response.comments)
+      setWatching(response.watching)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load comments')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleBodyChange = (e) => {
+    const value = e.target.value
+    setBody(value)
+
+    const beforeCaret = value.slice(0, e.target.selectionStart)
+    const match = /(?:^|\s)@([\w.-]{0,30})$/.exec(beforeCaret)
+    setMentionQuery(match ? match[1] : null)
+  }
+
+  const insertMention = (mentioned) => {
+    const caret = textarea.current.selectionStart
+    const beforeCaret = body.slice(0, caret).replace(/@([\w.-]{0,30})$/, `@[${mentioned.name}](${mentioned._id}) `)
+    setBody(beforeCaret + body.slice(caret))
+    setMentionQuery(null)
+    textarea.current.focus()
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!body.trim()) return
+
+    setPosting(true)
+    try {
+      const response = await maintenanceService.addComment(request._id, { body, internal })
+      setComments(prev => [...prev, response.comment])
+      setWatching(true)
+      setBody('')
+      setInternal(false)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to post comment')
+    } finally {
+      setPosting(false)
+    }
+  }
+
+  const handleDelete = async (comment) => {
+    if (!window.confirm('Delete this comment?')) return
+
+    try {
+      await maintenanceService.deleteComment(request._id, comment._id)
+      setComments(prev => prev.filter(item => item._id !== comment._id))
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete comment')
+    }
+  }
+
+  const toggleWatch = async () => {
+    try {
+      const response = watching
+        ? await maintenanceService.unwatch(request._id)
+        : await maintenanceService.watch(request._id)
+      setWatching(response.watching)
+      toast.success(response.message)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update watch status')
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-start justify-center z-50 overflow-y-auto pt-10">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full mx-4 mb-10">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Discussion</h2>
+            <p className="text-sm text-gray-600 mt-1">{request.requestNumber} · {request.title}</p>
+          </div>
+          <div className="flex items-center space-x-3">
+            <button
+              onClick={toggleWatch}
+              className="btn btn-secondary text-xs"
+            >
+              {watching ? <EyeSlashIcon className="w-4 h-4 inline mr-1" /> : <EyeIcon className="w-4 h-4 inline mr-1" />}
+              {watching ? 'Unwatch' : 'Watch'}
+            </button>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <XMarkIcon className="w-6 h-6" />
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {loading ? (
+            <LoadingSpinner />
+          ) : comments.length > 0 ? (
+            <div className="space-y-3">
+              {comments.map(comment => (
+                <div
+                  key={comment._id}
+                  className={`rounded-lg p-3 text-sm ${comment.internal ? 'bg-yellow-50 border border-yellow-200' : 'bg-gray-50'}`}
+                >
+                  <div className="flex items-center justify-between mb-1">
+                    <div className="text-xs text-gray-500">
+                      <span className="font-medium text-gray-900">{comment.author?.name}</span>
+                      {' · '}{new Date(comment.createdAt).toLocaleString()}
+                      {comment.editedAt && ' · edited'}
+                      {comment.internal && (
+                        <span className="ml-2 text-yellow-700">
+                          <LockClosedIcon className="w-3 h-3 inline mr-1" />
+                          Internal
+                        </span>
+                      )}
+                    </div>
+                    {(user?.role === 'admin' || comment.author?._id === user?._id) && (
+                      <button
+                        onClick={() => handleDelete(comment)}
+                        className="text-gray-400 hover:text-red-600"
+                        title="Delete"
+                      >
+                        <TrashIcon className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                  <p className="text-gray-800 whitespace-pre-wrap">{renderBody(comment.body)}</p>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">No comments yet. Start the discussion below.</p>
+          )}
+
+          {/* Composer */}
+          <form onSubmit={handleSubmit} className="relative space-y-2">
+            <textarea
+              ref={textarea}
+              value={body}
+              onChange={handleBodyChange}
+              rows={3}
+              maxLength={5000}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+              placeholder="Write a comment... type @ to mention someone"
+            />
+            {suggestions.length > 0 && (
+              <div className="absolute z-10 bg-white border border-gray-200 rounded-md shadow-lg w-64">
+                {suggestions.map(suggestion => (
+                  <button
+                    key={suggestion._id}
+                    type="button"
+                    onClick={() => insertMention(suggestion)}
+                    className="block w-full text-left px-3 py-2 text-sm hover:bg-gray-100"
+                  >
+                    {suggestion.name}
+                    <span className="text-xs text-gray-500 ml-2 capitalize">{suggestion.role}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+            <div className="flex items-center justify-between">
+              {isStaff ? (
+                <label className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={internal}
+                    onChange={(e) => setInternal(e.target.checked)}
+                    className="mr-2"
+                  />
+                  Internal (hidden from the requester)
+                </label>
+              ) : <span />}
+              <button
+                type="submit"
+                disabled={posting || !body.trim()}
+                className="btn btn-primary text-xs disabled:opacity-50"
+              >
+                {posting ? 'Posting...' : 'Comment'}
+              </button>
+            </div>
+          </form>
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-end p-6 border-t border-gray-200">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default CommentsModal
\ No newline at end of file
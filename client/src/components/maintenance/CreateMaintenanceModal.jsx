@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react'
 import { XMarkIcon } from '@heroicons/react/24/outline'
 import { useAuthStore } from '../../stores/authStore'
 import { equipmentService } from '../../services/equipmentService'
+import { maintenanceService } from '../../services/maintenanceService'
 
 const CreateMaintenanceModal = ({ isOpen, onClose, onSubmit }) => {
   const { user } = useAuthStore()
@@ -15,20 +16,27 @@ const CreateMaintenanceModal = ({ isOpen, onClose, onSubmit }) => {
     assignedTo: '',
     team: '',
     description: '',
-    estimatedDuration: ''
+    estimatedDuration: '',
+    estimatedCost: '',
+    jobPlan: '',
+    breakdown: false
   })
 
   const [equipment, setEquipment] = useState([])
   const [teams, setTeams] = useState([])
   const [technicians, setTechnicians] = useState([])
+  const [jobPlans, setJobPlans] = useState([])
   const [loading, setLoading] = useState(false)
 
   const requestTypes = ['Corrective', 'Preventive', 'Predictive', 'Emergency']
   const priorities = ['Low', 'Medium', 'High', 'Critical', 'Emergency']
+  // Types that can mean the equipment is down
+  const breakdownTypes = ['Corrective', 'Emergency']
 
   useEffect(() => {
     if (isOpen) {
       loadData()
+      setJobPlans([])
       // Reset form
       setFormData({
         title: '',
@@ -39,7 +47,10 @@ const CreateMaintenanceModal = ({ isOpen, onClose, onSubmit }) => {
         assignedTo: '',
         team: '',
         description: '',
-        estimatedDuration: ''
+        estimatedDuration: '',
+        estimatedCost: '',
+        jobPlan: '',
+        breakdown: false
       })
     }
   }, [isOpen])
@@ -73,10 +84,22 @@ const CreateMaintenanceModal = ({ isOpen, onClose, onSubmit }) => {
     const { name, value } = e.target
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: value,
+      // Emergencies take the equipment down unless unticked
+      ...(name === 'type' && { breakdown: value === 'Emergency' })
     }))
   }
 
+  const loadJobPlans = async (equipmentId) => {
+    try {
+      const response = await maintenanceService.getJobPlans(equipmentId)
+      setJobPlans(response.jobPlans || [])
+    } catch (error) {
+      console.error('Error loading job plans:', error)
+      setJobPlans([])
+    }
+  }
+
   const handleEquipmentChange = (e) => {
     const selectedEquipmentId = e.target.value
     const selectedEquipment = equipment.find(eq => eq._id === selectedEquipmentId)
@@ -87,14 +110,18 @@ const CreateMaintenanceModal = ({ isOpen, onClose, onSubmit }) => {
       setFormData(prev => ({
         ...prev,
         equipment: selectedEquipmentId,
-        team: equipmentTeam?._id || ''
+        team: equipmentTeam?._id || '',
+        jobPlan: ''
       }))
+      loadJobPlans(selectedEquipmentId)
     } else {
       setFormData(prev => ({
         ...prev,
         equipment: selectedEquipmentId,
-        team: ''
+        team: '',
+        jobPlan: ''
       }))
+      setJobPlans([])
     }
   }
 
@@ -108,6 +135,10 @@ const CreateMaintenanceModal = ({ isOpen, onClose, onSubmit }) => {
         ...formData,
         createdBy: user._id
       }
+      // Leave the cost out when blank so approval rules see it as unknown
+      if (requestData.estimatedCost === '') delete requestData.estimatedCost
+      if (requestData.jobPlan === '') delete requestData.jobPlan
+      if (!breakdownTypes.includes(requestData.type)) delete requestData.breakdown
       
       await onSubmit(requestData)
     } catch (error) {
@@ -184,6 +215,18 @@ const CreateMaintenanceModal = ({ isOpen, onClose, onSubmit }) => {
               </div>
             </div>
 
+            {breakdownTypes.includes(formData.type) && (
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={formData.breakdown}
+                  onChange={(e) => setFormData(prev => ({ ...prev, breakdown: e.target.checked }))}
+                  className="mr-2"
+                />
+                The equipment is down (counts as downtime until this request is closed)
+              </label>
+            )}
+
             {/* Title */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -224,6 +267,31 @@ const CreateMaintenanceModal = ({ isOpen, onClose, onSubmit }) => {
               </p>
             </div>
 
+            {/* Job Plan */}
+            {jobPlans.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Job Plan
+                </label>
+                <select
+                  name="jobPlan"
+                  value={formData.jobPlan}
+                  onChange={handleChange}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                >
+                  <option value="">No job plan</option>
+                  {jobPlans.map(plan => (
+                    <option key={plan._id} value={plan._id}>
+                      {plan.name} ({plan.steps.length} steps{plan.estimatedHours ? `, ~${plan.estimatedHours}h` : ''})
+                    </option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">
+                  The plan's steps are copied onto the request as a checklist to sign off
+                </p>
+              </div>
+            )}
+
             {/* Team and Technician */}
             <div className="grid grid-cols-2 gap-4">
               <div>
@@ -294,6 +362,24 @@ const CreateMaintenanceModal = ({ isOpen, onClose, onSubmit }) => {
               </div>
             </div>
 
+            {/* Estimated Cost */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Estimated Cost
+              </label>
+              <input
+                type="number"
+                name="estimatedCost"
+                value={formData.estimatedCost}
+                onChange={handleChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                placeholder="0.00"
+                step="0.01"
+                min="0"
+              />
+              <p className="text-xs text-gray-500 mt-1">High-cost requests may need approval before work starts</p>
+            </div>
+
             {/* Description */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react'
+import { XMarkIcon } from '@heroicons/react/24/outline'
+import LoadingSpinner from '../ui/LoadingSpinner'
+import { maintenanceService } from '../../services/maintenanceService'
+import toast from 'react-hot-toast'
+
+const idOf = (code) => code?._id || code || ''
+
+// Problem, cause and remedy picked one after the other from the catalogue for the
+// request's equipment. `title` explains why the codes are asked for (e.g. before completing)
+const FailureCodesModal = ({ request, title, onClose, onSaved }) => {
+  const [problems, setProblems] = useState([])
+  const [problem, setProblem] = useState('')
+  const [cause, setCause] = useState('')
+  const [remedy, setRemedy] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    loadCodes()
+  }, [request._id])
+
+  const loadCodes = async () => {
+    try {
+      setLoading(true)
+      const response = await maintenanceService.getFailureCodes(request._id)
+      setProblems(response.problems)
+      setProblem(idOf(response.failure?.problem))
+      setCause(idOf(response.failure?.cause))
+      setRemedy(idOf(response.failure?.remedy))
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load failure codes')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const causes = problems.find(entry => entry._id === problem)?.causes || []
+  const remedies = causes.find(entry => entry._id === cause)?.remedies || []
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!problem || !cause || !remedy) {
+      toast.error('Pick a problem, a cause and a remedy')
+      return
+    }
+
+    setSaving(true)
+    try {
+      const response = await maintenanceService.updateFailureCodes(request._id, { problem, cause, remedy })
+      toast.success(response.message)
+      onSaved(response.failure)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save failure codes')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const select = (label, value, options, onChange, placeholder) => (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={options.length === 0}
+        className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500 disabled:bg-gray-100"
+      >
+        <option value="">{placeholder}</option>
+        {options.map(option => (
+          <option key={option._id} value={option._id}>
+            {option.code} · {option.name}
+          </option>
+        ))}
+      </select>
+    </div>
+  )
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full mx-4">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Failure codes</h2>
+            <p className="text-sm text-gray-600 mt-1">{request.requestNumber} · {request.title}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <XMarkIcon className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="p-6 space-y-4">
+            {title && <p className="text-sm text-gray-600">{title}</p>}
+            {loading ? (
+              <LoadingSpinner />
+            ) : problems.length === 0 ? (
+              <p className="text-sm text-gray-500">
+                No failure codes apply to this equipment yet. Ask an admin to add them to the catalogue.
+              </p>
+            ) : (
+              <>
+                {select('Problem', problem, problems, (value) => {
+                  setProblem(value)
+                  setCause('')
+                  setRemedy('')
+                }, 'Select a problem')}
+                {select('Cause', cause, causes, (value) => {
+                  setCause(value)
+                  setRemedy('')
+                }, problem ? 'Select a cause' : 'Pick a problem first')}
+                {select('Remedy', remedy, remedies, setRemedy, cause ? 'Select a remedy' : 'Pick a cause first')}
+              </>
+            )}
+          </div>
+
+          {/* Footer */}
+          <div className="flex items-center justify-end space-x-3 p-6 border-t border-gray-200">
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-secondary text-xs"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving || loading || problems.length === 0}
+              className="btn btn-primary text-xs disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default FailureCodesModal
\ No newline at end of file
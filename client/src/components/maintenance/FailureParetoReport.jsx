@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react'
+import LoadingSpinner from '../ui/LoadingSpinner'
+import { reportsService } from '../../services/reportsService'
+import { getPeriodStart } from '../../utils/time'
+import toast from 'react-hot-toast'
+
+const levels = [
+  { value: 'problem', label: 'Problems' },
+  { value: 'cause', label: 'Causes' },
+  { value: 'remedy', label: 'Remedies' }
+]
+
+const breakdowns = [
+  { value: '', label: 'No breakdown' },
+  { value: 'equipment', label: 'By equipment' },
+  { value: 'model', label: 'By model' },
+  { value: 'workshop', label: 'By workshop' }
+]
+
+// Weekly buckets for short periods, monthly otherwise
+const intervalFor = (period) => (period === 'week' || period === 'month' ? 'week' : 'month')
+
+const selectClass = 'px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500'
+
+// Top failure modes on completed corrective and emergency requests, largest first
+const FailureParetoReport = ({ period }) => {
+  const [level, setLevel] = useState('problem')
+  const [by, setBy] = useState('')
+  const [report, setReport] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    loadReport()
+  }, [period, level, by])
+
+  const loadReport = async () => {
+    try {
+      setLoading(true)
+      const response = await reportsService.getFailurePareto({
+        from: getPeriodStart(period).toISOString(),
+        to: new Date().toISOString(),
+        level,
+        by: by || undefined,
+        interval: intervalFor(period)
+      })
+      setReport(response)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load failure report')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const trendFor = (item) => {
+    const series = report.trend.series.find(entry => entry.failureCode === item.failureCode._id)
+    return series ? series.counts : []
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Top Failure Modes</h3>
+          <p className="text-sm text-gray-600 mt-1">
+            {report
+              ? `${report.total} coded corrective requests completed${report.other.count > 0 ? ` · ${report.other.count} in other codes` : ''}`
+              : 'Failure codes recorded on completed corrective work'}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <select value={level} onChange={(e) => setLevel(e.target.value)} className={selectClass}>
+            {levels.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select value={by} onChange={(e) => setBy(e.target.value)} className={selectClass}>
+            {breakdowns.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="p-6"><LoadingSpinner /></div>
+      ) : report.items.length === 0 ? (
+        <p className="p-6 text-sm text-gray-500">No coded corrective requests were completed in this period.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Failure Code
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Requests
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Cumulative
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Per {report.interval} ({report.trend.periods[0]} – {report.trend.periods[report.trend.periods.length - 1]})
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {report.items.map(item => (
+                <tr key={item.failureCode._id} className="hover:bg-gray-50 align-top">
+                  <td className="px-6 py-4 text-sm">
+                    <div className="font-medium text-gray-900">
+                      {item.failureCode.code || 'Unknown code'}
+                      {item.failureCode.name && <span className="font-normal text-gray-700"> · {item.failureCode.name}</span>}
+                    </div>
+                    {item.breakdown?.map(row => (
+                      <div key={row.label} className="text-xs text-gray-500">
+                        {row.label}: {row.count}
+                      </div>
+                    ))}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {item.count}
+                    <span className="text-xs text-gray-500 ml-1">({item.percent}%)</span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="flex items-center">
+                      {/* Codes within the first 80% of failures stand out */}
+                      <div className="w-24 bg-gray-200 rounded-full h-2 mr-2">
+                        <div
+                          className={`${item.cumulativePercent <= 80 ? 'bg-red-500' : 'bg-gray-400'} h-2 rounded-full`}
+                          style={{ width: `${item.cumulativePercent}%` }}
+                        ></div>
+                      </div>
+                      <span className="text-sm text-gray-900">{item.cumulativePercent}%</span>
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-xs text-gray-600">
+                    {trendFor(item).join(' · ')}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default FailureParetoReport
\ No newline at end of file
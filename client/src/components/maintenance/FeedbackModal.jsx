@@ -0,0 +1,86 @@
+import React, { useState } from 'react'
+import { XMarkIcon } from '@heroicons/react/24/outline'
+import StarRating from '../ui/StarRating'
+import { maintenanceService } from '../../services/maintenanceService'
+import toast from 'react-hot-toast'
+
+const FeedbackModal = ({ request, onClose, onSubmitted }) => {
+  const [rating, setRating] = useState(0)
+  const [comment, setComment] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!rating) {
+      toast.error('Please choose a rating')
+      return
+    }
+
+    setSubmitting(true)
+    try {
+      const response = await maintenanceService.submitFeedback(request._id, { rating, comment })
+      toast.success(response.message)
+      onSubmitted()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to submit feedback')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full mx-4">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Rate this request</h2>
+            <p className="text-sm text-gray-600 mt-1">{request.requestNumber} · {request.title}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <XMarkIcon className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="p-6 space-y-4">
+            <div className="flex justify-center">
+              <StarRating value={rating} onChange={setRating} size="lg" />
+            </div>
+            <textarea
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              rows={3}
+              maxLength={1000}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+              placeholder="Comments (optional)"
+            />
+          </div>
+
+          {/* Footer */}
+          <div className="flex items-center justify-end space-x-3 p-6 border-t border-gray-200">
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-secondary text-xs"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={submitting}
+              className="btn btn-primary text-xs disabled:opacity-50"
+            >
+              {submitting ? 'Submitting...' : 'Submit'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default FeedbackModal
\ No newline at end of file
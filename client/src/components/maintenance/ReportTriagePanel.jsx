@@ -0,0 +1,171 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { PhotoIcon } from '@heroicons/react/24/outline'
+import portalService from '../../services/portalService'
+import toast from 'react-hot-toast'
+
+const priorities = ['Low', 'Medium', 'High', 'Critical', 'Emergency']
+
+// Problems reported from public equipment pages, waiting for an admin or team lead to triage them
+const ReportTriagePanel = ({ onAccepted }) => {
+  const [reports, setReports] = useState([])
+  const [priorityById, setPriorityById] = useState({})
+  const [busyId, setBusyId] = useState(null)
+  const previewUrls = useRef({})
+  const [previews, setPreviews] = useState({})
+
+  useEffect(() => {
+    loadQueue()
+    return () => Object.values(previewUrls.current).forEach(url => URL.revokeObjectURL(url))
+  }, [])
+
+  useEffect(() => {
+    loadPreviews()
+  }, [reports])
+
+  const loadQueue = async () => {
+    try {
+      const response = await portalService.getQueue({ status: 'pending', limit: 50 })
+      setReports(response.reports || [])
+    } catch (error) {
+      console.error('Error loading reported problems:', error)
+    }
+  }
+
+  const loadPreviews = async () => {
+    for (const report of reports) {
+      for (const photo of report.photos || []) {
+        if (previewUrls.current[photo._id]) continue
+        try {
+          const blob = await portalService.downloadPhoto(report._id, photo._id, !!photo.thumbnailPath)
+          previewUrls.current[photo._id] = URL.createObjectURL(blob)
+        } catch (error) {
+          console.error('Error loading report photo:', error)
+        }
+      }
+    }
+    setPreviews({ ...previewUrls.current })
+  }
+
+  const openPhoto = async (report, photo) => {
+    try {
+      const blob = await portalService.downloadPhoto(report._id, photo._id)
+      window.open(URL.createObjectURL(blob), '_blank')
+    } catch (error) {
+      toast.error('Failed to open photo')
+    }
+  }
+
+  const handleAccept = async (report) => {
+    setBusyId(report._id)
+    try {
+      const response = await portalService.acceptReport(report._id, { priority: priorityById[report._id] || 'Medium' })
+      toast.success(response.message)
+      setReports(prev => prev.filter(item => item._id !== report._id))
+      if (onAccepted) onAccepted(response.request)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to accept report')
+      if (error.response?.status === 409) loadQueue()
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleReject = async (report, spam) => {
+    const note = spam ? undefined : window.prompt('Reason shown to the reporter (optional):')
+    if (note === null) return
+
+    setBusyId(report._id)
+    try {
+      const response = await portalService.rejectReport(report._id, { spam, note: note || undefined })
+      toast.success(response.message)
+      setReports(prev => prev.filter(item => item._id !== report._id))
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to reject report')
+      if (error.response?.status === 409) loadQueue()
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  if (reports.length === 0) return null
+
+  return (
+    <div className="card border-l-4 border-orange-400">
+      <div className="card-body">
+        <h3 className="font-semibold text-gray-900 mb-3">
+          Reported Problems ({reports.length})
+        </h3>
+        <div className="divide-y divide-gray-100">
+          {reports.map((report) => (
+            <div key={report._id} className="flex items-start justify-between gap-4 py-3">
+              <div className="min-w-0">
+                <div className="text-sm font-medium text-gray-900">{report.title}</div>
+                <div className="text-xs text-gray-500">
+                  {report.equipment?.name}
+                  {report.equipment?.assetTag && ` (${report.equipment.assetTag})`}
+                  {' · '}{report.reporter?.name || report.reporter?.email || 'Anonymous'}
+                  {' · '}{new Date(report.createdAt).toLocaleString()}
+                </div>
+                <p className="text-sm text-gray-700 mt-1 whitespace-pre-line">{report.description}</p>
+                {report.photos?.length > 0 && (
+                  <div className="flex gap-2 mt-2">
+                    {report.photos.map(photo => (
+                      <button
+                        key={photo._id}
+                        onClick={() => openPhoto(report, photo)}
+                        className="w-16 h-16 rounded border border-gray-200 bg-gray-50 flex items-center justify-center overflow-hidden"
+                        title={photo.originalName}
+                      >
+                        {previews[photo._id]
+                          ? <img src={previews[photo._id]} alt={photo.originalName} className="w-full h-full object-cover" />
+                          : <PhotoIcon className="w-6 h-6 text-gray-400" />}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+              <div className="flex flex-col items-end gap-2 shrink-0">
+                <div className="flex gap-2">
+                  <select
+                    value={priorityById[report._id] || 'Medium'}
+                    onChange={(e) => setPriorityById(prev => ({ ...prev, [report._id]: e.target.value }))}
+                    className="px-2 py-1 border border-gray-300 rounded-md text-xs"
+                  >
+                    {priorities.map(priority => (
+                      <option key={priority} value={priority}>{priority}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => handleAccept(report)}
+                    disabled={busyId === report._id}
+                    className="btn btn-primary text-xs disabled:opacity-50"
+                  >
+                    Accept
+                  </button>
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => handleReject(report, false)}
+                    disabled={busyId === report._id}
+                    className="btn btn-secondary text-xs disabled:opacity-50"
+                  >
+                    Reject
+                  </button>
+                  <button
+                    onClick={() => handleReject(report, true)}
+                    disabled={busyId === report._id}
+                    className="btn btn-secondary text-xs disabled:opacity-50"
+                  >
+                    Spam
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ReportTriagePanel
\ No newline at end of file
@@ -0,0 +1,285 @@
+import React, { useState, useEffect } from 'react'
+import { XMarkIcon, PlayIcon, PauseIcon, StopIcon, PlusIcon } from '@heroicons/react/24/outline'
+import LoadingSpinner from '../ui/LoadingSpinner'
+import { maintenanceService } from '../../services/maintenanceService'
+import { formatMinutes } from '../../utils/time'
+import toast from 'react-hot-toast'
+
+const emptyEntry = { startedAt: '', minutes: '', overtime: false, note: '' }
+
+const getApprovalBadge = (status) => {
+  switch (status) {
+    case 'Approved': return 'badge-success'
+    case 'Rejected': return 'badge-error'
+    default: return 'badge-warning'
+  }
+}
+
+const TimeTrackingModal = ({ request, user, onClose }) => {
+  const [data, setData] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [busy, setBusy] = useState(false)
+  const [showForm, setShowForm] = useState(false)
+  const [entryData, setEntryData] = useState(emptyEntry)
+
+  const isClosed = ['Completed', 'Cancelled', 'Rejected'].includes(request.status)
+
+  useEffect(() => {
+    loadEntries()
+  }, [request._id])
+
+  const loadEntries = async () => {
+    try {
+      setLoading(true)
+      const response = await maintenanceService.getTimeEntries(request._id)
+      setData(response)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load time entries')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const myTimer = data?.entries.find(entry =>
+    entry.source === 'timer' &&
+    entry.technician?._id === user?._id &&
+    ['running', 'paused'].includes(entry.status)
+  )
+
+  const handleTimer = async (action) => {
+    setBusy(true)
+    try {
+      const response = await maintenanceService[`${action}Timer`](request._id)
+      toast.success(response.message)
+      loadEntries()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update timer')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target
+    setEntryData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }))
+  }
+
+  const handleAddEntry = async (e) => {
+    e.preventDefault()
+    setBusy(true)
+    try {
+      const response = await maintenanceService.addTimeEntry(request._id, {
+        ...entryData,
+        startedAt: new Date(entryData.startedAt).toISOString(),
+        minutes: parseFloat(entryData.minutes)
+      })
+      toast.success(response.message)
+      setEntryData(emptyEntry)
+      setShowForm(false)
+      loadEntries()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add time entry')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-start justify-center z-50 overflow-y-auto pt-10">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full mx-4 mb-10">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Time Tracking</h2>
+            <p className="text-sm text-gray-600 mt-1">
+              {request.requestNumber} · Labor cost {(data?.laborCost ?? request.cost?.labor ?? 0).toFixed(2)}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <XMarkIcon className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {loading ? (
+            <LoadingSpinner />
+          ) : (
+            <>
+              {/* Timer */}
+              {user?.role !== 'employee' && (
+                <div className="flex items-center justify-between bg-gray-50 border border-gray-200 rounded-lg p-4">
+                  <div className="text-sm text-gray-700">
+                    {myTimer?.status === 'running' && (
+                      <>Timer running since {new Date(myTimer.segments[myTimer.segments.length - 1].startedAt).toLocaleTimeString()}</>
+                    )}
+                    {myTimer?.status === 'paused' && <>Timer paused at {formatMinutes(myTimer.minutes)}</>}
+                    {!myTimer && 'No timer running'}
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    {myTimer?.status !== 'running' && !isClosed && (
+                      <button
+                        onClick={() => handleTimer('start')}
+                        disabled={busy}
+                        className="btn btn-primary text-xs disabled:opacity-50"
+                      >
+                        <PlayIcon className="w-4 h-4 inline mr-1" />
+                        {myTimer ? 'Resume' : 'Start'}
+                      </button>
+                    )}
+                    {myTimer?.status === 'running' && (
+                      <button
+                        onClick={() => handleTimer('pause')}
+                        disabled={busy}
+                        className="btn btn-secondary text-xs disabled:opacity-50"
+                      >
+                        <PauseIcon className="w-4 h-4 inline mr-1" />
+                        Pause
+                      </button>
+                    )}
+                    {myTimer && (
+                      <button
+                        onClick={() => handleTimer('stop')}
+                        disabled={busy}
+                        className="btn btn-secondary text-xs text-red-600 disabled:opacity-50"
+                      >
+                        <StopIcon className="w-4 h-4 inline mr-1" />
+                        Stop
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {/* Totals */}
+              {data?.totals.length > 0 && (
+                <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                  {data.totals.map(total => (
+                    <div key={total.technician?._id} className="flex items-center justify-between p-3 text-sm">
+                      <span className="font-medium text-gray-900">{total.technician?.name}</span>
+                      <span className="text-gray-600">
+                        {formatMinutes(total.minutes)}
+                        {total.overtimeMinutes > 0 && ` (${formatMinutes(total.overtimeMinutes)} overtime)`}
+                        {total.pendingMinutes > 0 && ` · ${formatMinutes(total.pendingMinutes)} pending`}
+                        {' · '}{total.cost.toFixed(2)}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {/* Entries */}
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <h4 className="font-medium text-gray-900">Entries</h4>
+                  {user?.role !== 'employee' && (
+                    <button
+                      onClick={() => setShowForm(!showForm)}
+                      className="btn btn-secondary text-xs"
+                    >
+                      <PlusIcon className="w-4 h-4 inline mr-1" />
+                      Add time
+                    </button>
+                  )}
+                </div>
+
+                {showForm && (
+                  <form onSubmit={handleAddEntry} className="border border-gray-200 rounded-lg p-4 mb-3 space-y-3">
+                    <div className="grid grid-cols-2 gap-3">
+                      <input
+                        type="datetime-local"
+                        name="startedAt"
+                        value={entryData.startedAt}
+                        onChange={handleChange}
+                        className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+                        required
+                      />
+                      <input
+                        type="number"
+                        name="minutes"
+                        min="1"
+                        max="1440"
+                        value={entryData.minutes}
+                        onChange={handleChange}
+                        className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+                        placeholder="Minutes"
+                        required
+                      />
+                    </div>
+                    <input
+                      type="text"
+                      name="note"
+                      value={entryData.note}
+                      onChange={handleChange}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+                      placeholder="What was done (optional)"
+                    />
+                    <div className="flex items-center justify-between">
+                      <label className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          name="overtime"
+                          checked={entryData.overtime}
+                          onChange={handleChange}
+                          className="mr-2"
+                        />
+                        Overtime
+                      </label>
+                      <button
+                        type="submit"
+                        disabled={busy}
+                        className="btn btn-primary text-xs disabled:opacity-50"
+                      >
+                        {user?.role === 'admin' ? 'Add' : 'Submit for approval'}
+                      </button>
+                    </div>
+                  </form>
+                )}
+
+                {data?.entries.length > 0 ? (
+                  <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                    {data.entries.map(entry => (
+                      <div key={entry._id} className="flex items-center justify-between p-3 text-sm">
+                        <div>
+                          <div className="font-medium text-gray-900">
+                            {entry.technician?.name} · {formatMinutes(entry.minutes)}
+                            {entry.overtimeMinutes > 0 && <span className="text-xs text-orange-600 ml-1">({formatMinutes(entry.overtimeMinutes)} OT)</span>}
+                          </div>
+                          <div className="text-xs text-gray-500">
+                            {new Date(entry.startedAt).toLocaleString()} · {entry.source}
+                            {entry.note && ` · ${entry.note}`}
+                            {entry.approval?.reason && ` · ${entry.approval.reason}`}
+                          </div>
+                        </div>
+                        <span className={`badge ${entry.status === 'stopped' ? getApprovalBadge(entry.approval?.status) : 'badge-primary'}`}>
+                          {entry.status === 'stopped' ? entry.approval?.status : entry.status}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="text-sm text-gray-500">No time booked yet.</p>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-end p-6 border-t border-gray-200">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TimeTrackingModal
\ No newline at end of file
@@ -0,0 +1,133 @@
+import React, { useState, useEffect } from 'react'
+import { XMarkIcon } from '@heroicons/react/24/outline'
+import LoadingSpinner from '../ui/LoadingSpinner'
+import { maintenanceService } from '../../services/maintenanceService'
+import { formatMinutes } from '../../utils/time'
+import toast from 'react-hot-toast'
+
+const formatDate = (date) => (date ? new Date(date).toLocaleString() : 'none')
+
+const slaLabels = {
+  response: 'Response target',
+  resolution: 'Resolution target',
+  clock: 'SLA clock'
+}
+
+// One line of the history in plain words
+const describe = (entry) => {
+  switch (entry.event) {
+    case 'created':
+      return `Created as ${entry.to}`
+    case 'status_changed':
+      return `Status ${entry.from} → ${entry.to}`
+    case 'assigned': {
+      const what = entry.field === 'assignedTeam' ? 'team' : 'technician'
+      if (!entry.to) return `Unassigned ${what} ${entry.from?.name || ''}`
+      return entry.from
+        ? `Reassigned ${what} from ${entry.from.name || 'unknown'} to ${entry.to.name || 'unknown'}`
+        : `Assigned ${what} ${entry.to.name || 'unknown'}`
+    }
+    case 'priority_changed':
+      return `Priority ${entry.from} → ${entry.to}`
+    case 'date_changed':
+      return `${entry.field === 'scheduledDate' ? 'Scheduled date' : 'Due date'} ${formatDate(entry.from)} → ${formatDate(entry.to)}`
+    case 'note_added':
+      return entry.to ? `Work note (${entry.to}h)` : 'Work note'
+    case 'part_added':
+      return `Part ${entry.to?.name}${entry.to?.quantity ? ` × ${entry.to.quantity}` : ''}`
+    case 'approval':
+      return `Approval (${entry.field?.replace('_', ' ')}): ${entry.to}`
+    case 'sla':
+      return `${slaLabels[entry.field] || 'SLA'} ${entry.to}`
+    case 'escalated':
+      return `Escalated (${entry.field?.replace('_', ' ')}), notified ${entry.to?.replace('_', ' ')}`
+    default:
+      return entry.event
+  }
+}
+
+const TimelineModal = ({ request, onClose }) => {
+  const [timeline, setTimeline] = useState([])
+  const [timeInStatus, setTimeInStatus] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    loadTimeline()
+  }, [request._id])
+
+  const loadTimeline = async () => {
+    try {
+      setLoading(true)
+      const response = await maintenanceService.getTimeline(request._id)
+      setTimeline(response.timeline)
+      setTimeInStatus(response.timeInStatus)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load activity')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-start justify-center z-50 overflow-y-auto pt-10">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full mx-4 mb-10">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Activity</h2>
+            <p className="text-sm text-gray-600 mt-1">{request.requestNumber} · {request.title}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <XMarkIcon className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {loading ? (
+            <LoadingSpinner />
+          ) : (
+            <>
+              {timeInStatus && Object.keys(timeInStatus.statuses).length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                  {Object.entries(timeInStatus.statuses).map(([status, minutes]) => (
+                    <span
+                      key={status}
+                      className={`text-xs px-2 py-1 rounded-full ${
+                        status === timeInStatus.current.status ? 'bg-primary-100 text-primary-800' : 'bg-gray-100 text-gray-700'
+                      }`}
+                    >
+                      {status}: {formatMinutes(minutes)}
+                    </span>
+                  ))}
+                </div>
+              )}
+
+              {timeline.length > 0 ? (
+                <ol className="border-l border-gray-200 space-y-3">
+                  {timeline.map(entry => (
+                    <li key={entry._id} className="ml-4">
+                      <div className="text-sm text-gray-900">{describe(entry)}</div>
+                      {entry.note && (
+                        <p className="text-sm text-gray-600 whitespace-pre-line">{entry.note}</p>
+                      )}
+                      <div className="text-xs text-gray-500">
+                        {entry.actor?.name || 'System'} · {formatDate(entry.at)}
+                      </div>
+                    </li>
+                  ))}
+                </ol>
+              ) : (
+                <p className="text-sm text-gray-500">No activity recorded yet.</p>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TimelineModal
\ No newline at end of file
@@ -0,0 +1,213 @@
+import React, { useState, useEffect } from 'react'
+import { XMarkIcon, PlusIcon } from '@heroicons/react/24/outline'
+import LoadingSpinner from '../ui/LoadingSpinner'
+import { maintenanceService } from '../../services/maintenanceService'
+import toast from 'react-hot-toast'
+
+const emptyChild = { title: '', description: '', priority: '' }
+
+const WorkOrderHierarchyModal = ({ request, canCreate, onClose }) => {
+  const [hierarchy, setHierarchy] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [showForm, setShowForm] = useState(false)
+  const [childData, setChildData] = useState(emptyChild)
+  const [saving, setSaving] = useState(false)
+
+  const priorities = ['Low', 'Medium', 'High', 'Critical', 'Emergency']
+
+  useEffect(() => {
+    loadHierarchy()
+  }, [request._id])
+
+  const loadHierarchy = async () => {
+    try {
+      setLoading(true)
+      const response = await maintenanceService.getChildren(request._id)
+      setHierarchy(response)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load sub-work-orders')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setChildData(prev => ({ ...prev, [name]: value }))
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    try {
+      const data = { ...childData }
+      // Blank priority inherits the parent's
+      if (data.priority === '') delete data.priority
+      await maintenanceService.createChild(request._id, data)
+      toast.success('Sub-work-order created')
+      setChildData(emptyChild)
+      setShowForm(false)
+      loadHierarchy()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create sub-work-order')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const rollup = hierarchy?.rollup
+  const isChild = !!hierarchy?.parent
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-start justify-center z-50 overflow-y-auto pt-10">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full mx-4 mb-10">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Work Order Hierarchy</h2>
+            <p className="text-sm text-gray-600 mt-1">{request.requestNumber} · {request.title}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <XMarkIcon className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {loading ? (
+            <LoadingSpinner />
+          ) : (
+            <>
+              {/* Parent */}
+              {isChild && (
+                <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 text-sm">
+                  <span className="text-gray-500">Sub-work-order of </span>
+                  <span className="font-medium text-gray-900">
+                    {hierarchy.parent.requestNumber} · {hierarchy.parent.title}
+                  </span>
+                  <span className="text-gray-500"> ({hierarchy.parent.status})</span>
+                </div>
+              )}
+
+              {/* Roll-up */}
+              {rollup?.childCount > 0 && (
+                <div className="grid grid-cols-4 gap-4 text-center">
+                  <div className="bg-purple-50 rounded-lg p-3">
+                    <div className="text-lg font-semibold text-gray-900">{rollup.childCount - rollup.openChildren}/{rollup.childCount}</div>
+                    <div className="text-xs text-gray-600">Closed</div>
+                  </div>
+                  <div className="bg-purple-50 rounded-lg p-3">
+                    <div className="text-lg font-semibold text-gray-900">{hierarchy.combinedTotals?.hoursWorked ?? rollup.hoursWorked}h</div>
+                    <div className="text-xs text-gray-600">Hours</div>
+                  </div>
+                  <div className="bg-purple-50 rounded-lg p-3">
+                    <div className="text-lg font-semibold text-gray-900">{(hierarchy.combinedTotals?.cost ?? 0).toFixed(2)}</div>
+                    <div className="text-xs text-gray-600">Total Cost</div>
+                  </div>
+                  <div className="bg-purple-50 rounded-lg p-3">
+                    <div className="text-lg font-semibold text-gray-900">{hierarchy.combinedTotals?.downtimeMinutes ?? rollup.downtimeMinutes}m</div>
+                    <div className="text-xs text-gray-600">Downtime</div>
+                  </div>
+                </div>
+              )}
+
+              {/* Children */}
+              {!isChild && (
+                <div>
+                  <div className="flex items-center justify-between mb-2">
+                    <h4 className="font-medium text-gray-900">Sub-work-orders</h4>
+                    {canCreate && !['Completed', 'Cancelled', 'Rejected'].includes(request.status) && (
+                      <button
+                        onClick={() => setShowForm(!showForm)}
+                        className="btn btn-secondary text-xs"
+                      >
+                        <PlusIcon className="w-4 h-4 inline mr-1" />
+                        Add
+                      </button>
+                    )}
+                  </div>
+
+                  {showForm && (
+                    <form onSubmit={handleCreate} className="border border-gray-200 rounded-lg p-4 mb-3 space-y-3">
+                      <input
+                        type="text"
+                        name="title"
+                        value={childData.title}
+                        onChange={handleChange}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+                        placeholder="Title, e.g. Replace condenser fan motor"
+                        required
+                      />
+                      <textarea
+                        name="description"
+                        value={childData.description}
+                        onChange={handleChange}
+                        rows={2}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+                        placeholder="What this trade or team needs to do..."
+                        required
+                      />
+                      <div className="flex items-center justify-between">
+                        <select
+                          name="priority"
+                          value={childData.priority}
+                          onChange={handleChange}
+                          className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+                        >
+                          <option value="">Same priority as parent</option>
+                          {priorities.map(priority => (
+                            <option key={priority} value={priority}>{priority}</option>
+                          ))}
+                        </select>
+                        <button
+                          type="submit"
+                          disabled={saving}
+                          className="btn btn-primary text-xs disabled:opacity-50"
+                        >
+                          {saving ? 'Creating...' : 'Create'}
+                        </button>
+                      </div>
+                    </form>
+                  )}
+
+                  {hierarchy?.children?.length > 0 ? (
+                    <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                      {hierarchy.children.map(child => (
+                        <div key={child._id} className="flex items-center justify-between p-3 text-sm">
+                          <div>
+                            <div className="font-medium text-gray-900">{child.requestNumber} · {child.title}</div>
+                            <div className="text-xs text-gray-500">
+                              {child.assignedTeam?.name || 'No team'} · {child.assignedTechnician?.name || 'Unassigned'}
+                            </div>
+                          </div>
+                          <span className="badge badge-gray">{child.status}</span>
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <p className="text-sm text-gray-500">No sub-work-orders yet.</p>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-end p-6 border-t border-gray-200">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default WorkOrderHierarchyModal
\ No newline at end of file
@@ -0,0 +1,260 @@
+import React, { useState, useEffect } from 'react'
+import { XMarkIcon } from '@heroicons/react/24/outline'
+import teamService from '../../services/teamService'
+import toast from 'react-hot-toast'
+
+const actionsByEntity = {
+  maintenance: [
+    { value: 'assign', label: 'Assign' },
+    { value: 'status', label: 'Change status' },
+    { value: 'priority', label: 'Change priority' },
+    { value: 'tags', label: 'Add tags' },
+    { value: 'reschedule', label: 'Reschedule' },
+    { value: 'cancel', label: 'Cancel' }
+  ],
+  equipment: [
+    { value: 'assign', label: 'Assign' },
+    { value: 'status', label: 'Change status' },
+    { value: 'tags', label: 'Add tags' },
+    { value: 'reschedule', label: 'Reschedule maintenance' }
+  ]
+}
+
+const statusesByEntity = {
+  maintenance: ['New', 'Assigned', 'In Progress', 'Waiting for Parts', 'On Hold', 'Completed', 'Cancelled', 'Rejected'],
+  equipment: ['Active', 'Maintenance', 'Out of Service', 'Scrapped']
+}
+
+const priorities = ['Low', 'Medium', 'High', 'Critical', 'Emergency']
+
+const emptyForm = {
+  teamId: '',
+  technicianId: '',
+  status: '',
+  priority: '',
+  tags: '',
+  scheduledDate: '',
+  dueDate: '',
+  nextMaintenanceDate: '',
+  reason: ''
+}
+
+// Toolbar for applying one action to the selected rows; the page submits and shows the results
+const BulkActionBar = ({ entity, count, onSubmit, onClear }) => {
+  const [action, setAction] = useState('')
+  const [form, setForm] = useState(emptyForm)
+  const [teams, setTeams] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
+
+  useEffect(() => {
+    if (action === 'assign' && !teams) loadTeams()
+  }, [action])
+
+  const loadTeams = async () => {
+    try {
+      const response = await teamService.getTeams({ limit: 100 })
+      setTeams(response.teams || [])
+    } catch (error) {
+      toast.error('Failed to load teams')
+      setTeams([])
+    }
+  }
+
+  const technicians = (teams || [])
+    .filter(team => !form.teamId || team._id === form.teamId)
+    .flatMap(team => team.members || [])
+    .map(member => member.user)
+    .filter(member => member && member.role === 'technician')
+    .filter((member, index, list) => list.findIndex(other => other._id === member._id) === index)
+
+  const setField = (field, value) => setForm(prev => ({ ...prev, [field]: value }))
+
+  const buildParams = () => {
+    switch (action) {
+      case 'assign':
+        return { teamId: form.teamId || undefined, technicianId: form.technicianId || undefined }
+      case 'status':
+        return { status: form.status, reason: form.reason || undefined }
+      case 'priority':
+        return { priority: form.priority }
+      case 'tags':
+        return { tags: form.tags.split(',').map(tag => tag.trim()).filter(Boolean) }
+      case 'reschedule':
+        return entity === 'maintenance'
+          ? {
+              scheduledDate: form.scheduledDate ? new Date(form.scheduledDate).toISOString() : undefined,
+              dueDate: form.dueDate ? new Date(form.dueDate).toISOString() : undefined
+            }
+          : { nextMaintenanceDate: form.nextMaintenanceDate ? new Date(form.nextMaintenanceDate).toISOString() : undefined }
+      case 'cancel':
+        return { reason: form.reason || undefined }
+      default:
+        return {}
+    }
+  }
+
+  const handleApply = async (e) => {
+    e.preventDefault()
+    if (action === 'cancel' && !window.confirm(`Cancel ${count} selected request(s)?`)) return
+
+    setSubmitting(true)
+    try {
+      await onSubmit(action, buildParams())
+      setAction('')
+      setForm(emptyForm)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Bulk update failed')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const inputClass = 'px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500'
+
+  return (
+    <form
+      onSubmit={handleApply}
+      className="bg-white shadow-sm border border-primary-200 rounded-lg p-4 flex flex-wrap items-center gap-3"
+    >
+      <span className="text-sm font-medium text-gray-900">{count} selected</span>
+
+      <select
+        value={action}
+        onChange={(e) => setAction(e.target.value)}
+        className={inputClass}
+        required
+      >
+        <option value="">Choose an action...</option>
+        {actionsByEntity[entity].map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+
+      {action === 'assign' && (
+        <>
+          <select
+            value={form.teamId}
+            onChange={(e) => setForm(prev => ({ ...prev, teamId: e.target.value, technicianId: '' }))}
+            className={inputClass}
+          >
+            <option value="">Keep team</option>
+            {(teams || []).map(team => (
+              <option key={team._id} value={team._id}>{team.name}</option>
+            ))}
+          </select>
+          <select
+            value={form.technicianId}
+            onChange={(e) => setField('technicianId', e.target.value)}
+            className={inputClass}
+            required={!form.teamId}
+          >
+            <option value="">{form.teamId ? 'Keep technician' : 'Choose technician'}</option>
+            {technicians.map(technician => (
+              <option key={technician._id} value={technician._id}>{technician.name}</option>
+            ))}
+          </select>
+        </>
+      )}
+
+      {action === 'status' && (
+        <select
+          value={form.status}
+          onChange={(e) => setField('status', e.target.value)}
+          className={inputClass}
+          required
+        >
+          <option value="">Choose status</option>
+          {statusesByEntity[entity].map(status => (
+            <option key={status} value={status}>{status}</option>
+          ))}
+        </select>
+      )}
+
+      {action === 'priority' && (
+        <select
+          value={form.priority}
+          onChange={(e) => setField('priority', e.target.value)}
+          className={inputClass}
+          required
+        >
+          <option value="">Choose priority</option>
+          {priorities.map(priority => (
+            <option key={priority} value={priority}>{priority}</option>
+          ))}
+        </select>
+      )}
+
+      {action === 'tags' && (
+        <input
+          type="text"
+          value={form.tags}
+          onChange={(e) => setField('tags', e.target.value)}
+          className={inputClass}
+          placeholder="Tags, separated by commas"
+          required
+        />
+      )}
+
+      {action === 'reschedule' && entity === 'maintenance' && (
+        <>
+          <label className="text-sm text-gray-600">Scheduled</label>
+          <input
+            type="datetime-local"
+            value={form.scheduledDate}
+            onChange={(e) => setField('scheduledDate', e.target.value)}
+            className={inputClass}
+            required={!form.dueDate}
+          />
+          <label className="text-sm text-gray-600">Due</label>
+          <input
+            type="datetime-local"
+            value={form.dueDate}
+            onChange={(e) => setField('dueDate', e.target.value)}
+            className={inputClass}
+            required={!form.scheduledDate}
+          />
+        </>
+      )}
+
+      {action === 'reschedule' && entity === 'equipment' && (
+        <input
+          type="date"
+          value={form.nextMaintenanceDate}
+          onChange={(e) => setField('nextMaintenanceDate', e.target.value)}
+          className={inputClass}
+          required
+        />
+      )}
+
+      {((action === 'status' && entity === 'maintenance') || action === 'cancel') && (
+        <input
+          type="text"
+          value={form.reason}
+          onChange={(e) => setField('reason', e.target.value)}
+          maxLength={1000}
+          className={inputClass}
+          placeholder="Reason (if required)"
+        />
+      )}
+
+      <button
+        type="submit"
+        disabled={submitting || !action}
+        className="btn btn-primary text-xs disabled:opacity-50"
+      >
+        {submitting ? 'Applying...' : 'Apply'}
+      </button>
+
+      <button
+        type="button"
+        onClick={onClear}
+        className="ml-auto text-gray-400 hover:text-gray-600"
+        title="Clear selection"
+      >
+        <XMarkIcon className="w-5 h-5" />
+      </button>
+    </form>
+  )
+}
+
+export default BulkActionBar
\ No newline at end of file
@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react'
+import { XMarkIcon, CheckCircleIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline'
+import bulkJobService from '../../services/bulkJobService'
+
+const JOB_POLL_MS = 2000
+
+// Per-item outcome of a bulk operation; background jobs are polled until they finish
+const BulkResultsModal = ({ title, outcome, onClose }) => {
+  const [job, setJob] = useState(outcome.job || null)
+
+  const running = job && ['queued', 'running'].includes(job.status)
+
+  useEffect(() => {
+    if (!running) return
+    const timer = setTimeout(async () => {
+      try {
+        const response = await bulkJobService.getJob(job._id)
+        setJob(response.job)
+      } catch (error) {
+        console.error('Error loading bulk job:', error)
+      }
+    }, JOB_POLL_MS)
+    return () => clearTimeout(timer)
+  }, [job])
+
+  const results = job ? job.results || [] : outcome.results
+  const summary = job
+    ? { total: job.total, succeeded: job.succeeded, failed: job.failed }
+    : outcome.summary
+  const failures = results.filter(result => !result.ok)
+  const progress = job ? (job.total > 0 ? Math.round(100 * job.processed / job.total) : 100) : 100
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full mx-4 max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">{title}</h2>
+            <p className="text-sm text-gray-600 mt-1">
+              {running
+                ? `${job.processed} of ${job.total} processed`
+                : `${summary.succeeded} of ${summary.total} updated${summary.failed ? `, ${summary.failed} failed` : ''}`}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <XMarkIcon className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4 overflow-y-auto">
+          {job && (
+            <div>
+              <div className="flex justify-between text-xs text-gray-500 mb-1">
+                <span className="capitalize">{job.status}</span>
+                <span>{progress}%</span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                <div
+                  className={`${job.status === 'failed' ? 'bg-red-500' : 'bg-primary-600'} h-2 rounded-full transition-all`}
+                  style={{ width: `${progress}%` }}
+                ></div>
+              </div>
+              {job.error && <p className="text-sm text-red-600 mt-2">{job.error}</p>}
+              {running && (
+                <p className="text-xs text-gray-500 mt-2">You can close this window; the job keeps running.</p>
+              )}
+            </div>
+          )}
+
+          {!running && failures.length === 0 && !job?.error && (
+            <div className="flex items-center text-sm text-green-700">
+              <CheckCircleIcon className="w-5 h-5 mr-2" />
+              Every item was updated
+            </div>
+          )}
+
+          {failures.length > 0 && (
+            <div>
+              <h3 className="text-sm font-medium text-gray-900 mb-2 flex items-center">
+                <ExclamationTriangleIcon className="w-4 h-4 mr-1 text-yellow-500" />
+                Not updated
+              </h3>
+              <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                {failures.map(result => (
+                  <div key={result.item} className="p-3 text-sm">
+                    <div className="font-medium text-gray-900 font-mono">{result.label || result.item}</div>
+                    <div className="text-xs text-gray-600">{result.message}</div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-end p-6 border-t border-gray-200">
+          <button onClick={onClose} className="btn btn-secondary text-xs">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default BulkResultsModal
\ No newline at end of file
@@ -0,0 +1,204 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { MagnifyingGlassIcon } from '@heroicons/react/24/outline'
+import clsx from 'clsx'
+import searchService from '../../services/searchService'
+
+const MIN_QUERY = 2
+const DEBOUNCE_MS = 250
+
+const groups = [
+  { type: 'requests', label: 'Requests' },
+  { type: 'equipment', label: 'Equipment' },
+  { type: 'notes', label: 'Comments' },
+  { type: 'users', label: 'Users' }
+]
+
+// Matched words from the server's [start, end) ranges shown in bold
+const Highlighted = ({ highlight }) => {
+  const parts = []
+  let cursor = 0
+  highlight.ranges.forEach(([start, end], index) => {
+    if (start > cursor) parts.push(highlight.text.slice(cursor, start))
+    parts.push(<mark key={index} className="bg-yellow-100 text-gray-900 font-medium">{highlight.text.slice(start, end)}</mark>)
+    cursor = end
+  })
+  parts.push(highlight.text.slice(cursor))
+  return <>{parts}</>
+}
+
+const describe = (type, hit) => {
+  switch (type) {
+    case 'requests':
+      return {
+        title: `${hit.requestNumber ? `${hit.requestNumber} · ` : ''}${hit.title}`,
+        meta: [hit.status, hit.priority, hit.equipment?.name].filter(Boolean).join(' · '),
+        to: `/maintenance?search=${encodeURIComponent(hit.requestNumber || hit.title)}`
+      }
+    case 'equipment':
+      return {
+        title: hit.name,
+        meta: [hit.assetTag, hit.serialNumber, hit.status].filter(Boolean).join(' · '),
+        to: `/equipment/${hit._id}`
+      }
+    case 'notes':
+      return {
+        title: `${hit.maintenanceRequest?.requestNumber || ''} ${hit.maintenanceRequest?.title || ''}`.trim(),
+        meta: [hit.author?.name, hit.internal ? 'Internal' : null, new Date(hit.createdAt).toLocaleDateString()].filter(Boolean).join(' · '),
+        to: `/maintenance?search=${encodeURIComponent(hit.maintenanceRequest?.requestNumber || hit.maintenanceRequest?.title || '')}`
+      }
+    default:
+      return {
+        title: hit.name,
+        meta: [hit.email, hit.role].filter(Boolean).join(' · '),
+        to: `/users?search=${encodeURIComponent(hit.email)}`
+      }
+  }
+}
+
+// Search box for the header: results grouped by type as you type, arrow keys and Enter to open one
+const GlobalSearch = () => {
+  const navigate = useNavigate()
+  const [query, setQuery] = useState('')
+  const [response, setResponse] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [open, setOpen] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(-1)
+  const containerRef = useRef(null)
+  const latestQuery = useRef('')
+
+  useEffect(() => {
+    const term = query.trim()
+    latestQuery.current = term
+    if (term.length < MIN_QUERY) {
+      setResponse(null)
+      setLoading(false)
+      return
+    }
+
+    const timer = setTimeout(async () => {
+      setLoading(true)
+      try {
+        const data = await searchService.search(term)
+        // Ignore answers to queries the user has already typed past
+        if (latestQuery.current === term) {
+          setResponse(data)
+          setActiveIndex(-1)
+        }
+      } catch (error) {
+        console.error('Search failed:', error)
+      } finally {
+        if (latestQuery.current === term) setLoading(false)
+      }
+    }, DEBOUNCE_MS)
+    return () => clearTimeout(timer)
+  }, [query])
+
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => document.removeEventListener('mousedown', handleClickOutside)
+  }, [])
+
+  const sections = groups
+    .filter(group => response?.results?.[group.type]?.length > 0)
+    .map(group => ({
+      ...group,
+      total: response.facets[group.type],
+      items: response.results[group.type].map(hit => ({ hit, ...describe(group.type, hit) }))
+    }))
+  const items = sections.flatMap(section => section.items)
+
+  const openItem = (item) => {
+    setOpen(false)
+    setQuery('')
+    navigate(item.to)
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setOpen(false)
+    } else if (e.key === 'ArrowDown' && items.length > 0) {
+      e.preventDefault()
+      setOpen(true)
+      setActiveIndex(index => (index + 1) % items.length)
+    } else if (e.key === 'ArrowUp' && items.length > 0) {
+      e.preventDefault()
+      setActiveIndex(index => (index <= 0 ? items.length - 1 : index - 1))
+    } else if (e.key === 'Enter' && items[activeIndex]) {
+      e.preventDefault()
+      openItem(items[activeIndex])
+    }
+  }
+
+  const showPanel = open && query.trim().length >= MIN_QUERY && (response || loading)
+  let position = -1
+
+  return (
+    <div ref={containerRef} className="relative w-full">
+      <div className="relative">
+        <MagnifyingGlassIcon className="pointer-events-none absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-gray-400" />
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value)
+            setOpen(true)
+          }}
+          onFocus={() => setOpen(true)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search requests, equipment, comments..."
+          className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+        />
+      </div>
+
+      {showPanel && (
+        <div className="absolute left-0 right-0 mt-2 max-h-[28rem] overflow-y-auto rounded-md shadow-lg bg-white ring-1 ring-black ring-opacity-5">
+          {loading && !response && (
+            <p className="px-4 py-3 text-sm text-gray-500">Searching...</p>
+          )}
+          {response && items.length === 0 && (
+            <p className="px-4 py-3 text-sm text-gray-500">No matches for "{query.trim()}"</p>
+          )}
+          {sections.map(section => (
+            <div key={section.type} className="py-1 border-b border-gray-100 last:border-b-0">
+              <div className="px-4 py-1 text-xs font-semibold uppercase tracking-wide text-gray-500">
+                {section.label} ({section.total})
+              </div>
+              {section.items.map(item => {
+                position += 1
+                const itemIndex = position
+                return (
+                  <button
+                    key={item.hit._id}
+                    type="button"
+                    onMouseEnter={() => setActiveIndex(itemIndex)}
+                    onClick={() => openItem(item)}
+                    className={clsx(
+                      itemIndex === activeIndex ? 'bg-gray-100' : '',
+                      'block w-full text-left px-4 py-2'
+                    )}
+                  >
+                    <p className="text-sm font-medium text-gray-900 truncate">{item.title}</p>
+                    {item.meta && <p className="text-xs text-gray-500 truncate">{item.meta}</p>}
+                    {item.hit.highlights?.filter(highlight => !['title', 'name', 'requestNumber'].includes(highlight.field))
+                      .slice(0, 1)
+                      .map(highlight => (
+                        <p key={highlight.field} className="text-xs text-gray-600 mt-0.5 line-clamp-2">
+                          <Highlighted highlight={highlight} />
+                        </p>
+                      ))}
+                  </button>
+                )
+              })}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default GlobalSearch
\ No newline at end of file
@@ -0,0 +1,238 @@
+import React, { useState, useEffect } from 'react'
+import { StarIcon as StarOutlineIcon, TrashIcon, XMarkIcon } from '@heroicons/react/24/outline'
+import { StarIcon as StarSolidIcon } from '@heroicons/react/24/solid'
+import savedViewService from '../../services/savedViewService'
+import { useAuthStore } from '../../stores/authStore'
+import toast from 'react-hot-toast'
+
+const visibilityLabels = {
+  private: 'Only me',
+  team: 'My team',
+  workshop: 'My workshop'
+}
+
+// Pick, save, share and pin named filter views for a list page. The page owns the
+// settings ({ filters, sort, columns }) and applies whatever view is chosen. Pages opened
+// from a link that carries its own filter pass skipDefault so the pinned view does not replace it
+const SavedViewsMenu = ({ entity, settings, onApply, skipDefault = false }) => {
+  const { user } = useAuthStore()
+  const [views, setViews] = useState([])
+  const [defaultView, setDefaultView] = useState(null)
+  const [activeId, setActiveId] = useState('')
+  const [isSaveOpen, setIsSaveOpen] = useState(false)
+  const [form, setForm] = useState({ name: '', visibility: 'private', overwrite: false })
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    loadViews(!skipDefault)
+  }, [entity])
+
+  // On first load the pinned default is applied, as if the user had picked it
+  const loadViews = async (applyDefault = false) => {
+    try {
+      const response = await savedViewService.getViews(entity)
+      setViews(response.views || [])
+      setDefaultView(response.defaultView)
+
+      if (applyDefault && response.defaultView) {
+        const pinned = response.views.find(view => view._id === response.defaultView)
+        if (pinned) selectView(pinned)
+      }
+    } catch (error) {
+      console.error('Error loading saved views:', error)
+    }
+  }
+
+  const activeView = views.find(view => view._id === activeId)
+  const ownsActive = activeView && (activeView.owner?._id === user?._id || user?.role === 'admin')
+
+  const selectView = (view) => {
+    setActiveId(view ? view._id : '')
+    onApply(view
+      ? { filters: view.filters || {}, sort: view.sort, columns: view.columns }
+      : { filters: {}, sort: undefined, columns: undefined })
+  }
+
+  const handleSelect = (e) => {
+    selectView(views.find(view => view._id === e.target.value) || null)
+  }
+
+  const handlePin = async () => {
+    const pinning = activeId && activeId !== defaultView ? activeId : null
+    try {
+      const response = await savedViewService.setDefault(entity, pinning)
+      setDefaultView(response.defaultView)
+      toast.success(response.message)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to pin view')
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!activeView || !window.confirm(`Delete the view "${activeView.name}"?`)) return
+    try {
+      await savedViewService.deleteView(activeView._id)
+      toast.success('View deleted')
+      setActiveId('')
+      loadViews()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete view')
+    }
+  }
+
+  const openSave = () => {
+    setForm({
+      name: ownsActive ? activeView.name : '',
+      visibility: ownsActive ? activeView.visibility : 'private',
+      overwrite: !!ownsActive
+    })
+    setIsSaveOpen(true)
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    try {
+      const payload = { name: form.name, visibility: form.visibility, ...settings }
+      const response = form.overwrite && ownsActive
+        ? await savedViewService.updateView(activeView._id, payload)
+        : await savedViewService.createView({ ...payload, entity })
+      toast.success(response.message)
+      setActiveId(response.view._id)
+      setIsSaveOpen(false)
+      loadViews()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save view')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const myViews = views.filter(view => view.owner?._id === user?._id)
+  const sharedViews = views.filter(view => view.owner?._id !== user?._id)
+  const isPinned = activeId && activeId === defaultView
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <select
+        value={activeId}
+        onChange={handleSelect}
+        className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+      >
+        <option value="">All (no saved view)</option>
+        {myViews.length > 0 && (
+          <optgroup label="My views">
+            {myViews.map(view => (
+              <option key={view._id} value={view._id}>
+                {view.name}{view._id === defaultView ? ' ★' : ''}
+              </option>
+            ))}
+          </optgroup>
+        )}
+        {sharedViews.length > 0 && (
+          <optgroup label="Shared with me">
+            {sharedViews.map(view => (
+              <option key={view._id} value={view._id}>
+                {view.name} ({view.owner?.name}){view._id === defaultView ? ' ★' : ''}
+              </option>
+            ))}
+          </optgroup>
+        )}
+      </select>
+
+      {activeId && (
+        <button
+          type="button"
+          onClick={handlePin}
+          className="text-gray-400 hover:text-yellow-500"
+          title={isPinned ? 'Unpin default view' : 'Open this list with this view'}
+        >
+          {isPinned
+            ? <StarSolidIcon className="w-5 h-5 text-yellow-500" />
+            : <StarOutlineIcon className="w-5 h-5" />}
+        </button>
+      )}
+
+      <button type="button" onClick={openSave} className="btn btn-secondary text-xs">
+        Save view
+      </button>
+
+      {ownsActive && (
+        <button
+          type="button"
+          onClick={handleDelete}
+          className="text-gray-400 hover:text-red-600"
+          title="Delete view"
+        >
+          <TrashIcon className="w-5 h-5" />
+        </button>
+      )}
+
+      {isSaveOpen && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <form onSubmit={handleSave} className="bg-white rounded-lg shadow-xl max-w-md w-full mx-4">
+            <div className="flex items-center justify-between p-6 border-b border-gray-200">
+              <h2 className="text-xl font-semibold text-gray-900">Save view</h2>
+              <button
+                type="button"
+                onClick={() => setIsSaveOpen(false)}
+                className="text-gray-400 hover:text-gray-600 transition-colors"
+              >
+                <XMarkIcon className="w-6 h-6" />
+              </button>
+            </div>
+
+            <div className="p-6 space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                  maxLength={100}
+                  required
+                  className="input w-full"
+                  placeholder="e.g. My open high-priority work"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Visible to</label>
+                <select
+                  value={form.visibility}
+                  onChange={(e) => setForm(prev => ({ ...prev, visibility: e.target.value }))}
+                  className="input w-full"
+                >
+                  {Object.entries(visibilityLabels).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              {ownsActive && (
+                <label className="flex items-center text-sm text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={form.overwrite}
+                    onChange={(e) => setForm(prev => ({ ...prev, overwrite: e.target.checked }))}
+                    className="h-4 w-4 text-primary-600 border-gray-300 rounded mr-2"
+                  />
+                  Update "{activeView.name}" instead of saving a new view
+                </label>
+              )}
+            </div>
+
+            <div className="flex items-center justify-end gap-2 p-6 border-t border-gray-200">
+              <button type="button" onClick={() => setIsSaveOpen(false)} className="btn btn-secondary text-xs">
+                Cancel
+              </button>
+              <button type="submit" disabled={saving} className="btn btn-primary text-xs disabled:opacity-50">
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SavedViewsMenu
\ No newline at end of file
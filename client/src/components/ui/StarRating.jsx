@@ -0,0 +1,30 @@
+import clsx from 'clsx'
+import { StarIcon } from '@heroicons/react/24/solid'
+
+// 1-5 star rating; read-only when no onChange is given
+const StarRating = ({ value = 0, onChange, size = 'md' }) => {
+  const sizeClasses = {
+    sm: 'h-4 w-4',
+    md: 'h-6 w-6',
+    lg: 'h-10 w-10'
+  }
+
+  return (
+    <div className="flex items-center space-x-1">
+      {[1, 2, 3, 4, 5].map(star => (
+        <button
+          key={star}
+          type="button"
+          disabled={!onChange}
+          onClick={() => onChange(star)}
+          className={clsx(onChange ? 'hover:scale-110 transition-transform' : 'cursor-default')}
+          aria-label={`${star} star${star > 1 ? 's' : ''}`}
+        >
+          <StarIcon className={clsx(sizeClasses[size], star <= Math.round(value) ? 'text-yellow-400' : 'text-gray-300')} />
+        </button>
+      ))}
+    </div>
+  )
+}
+
+export default StarRating
\ No newline at end of file
@@ -3,10 +3,28 @@ import { PlusIcon, WrenchScrewdriverIcon, ExclamationTriangleIcon, CalendarIcon,
 import LoadingSpinner from '../components/ui/LoadingSpinner'
 import CreateEquipmentModal from '../components/equipment/CreateEquipmentModal'
 import EquipmentCard from '../components/equipment/EquipmentCard'
+import BulkActionBar from '../components/ui/BulkActionBar'
+import BulkResultsModal from '../components/ui/BulkResultsModal'
+import SavedViewsMenu from '../components/ui/SavedViewsMenu'
 import { equipmentService } from '../services/equipmentService'
 import { useAuthStore } from '../stores/authStore'
 import toast from 'react-hot-toast'
 
+// Optional columns of the list table; saved views remember which are shown
+const tableColumns = [
+  { key: 'department', label: 'Department' },
+  { key: 'assignee', label: 'Assigned To' },
+  { key: 'status', label: 'Status' },
+  { key: 'team', label: 'Maintenance Team' }
+]
+
+const sortOptions = [
+  { value: '-createdAt', label: 'Newest first' },
+  { value: 'name', label: 'Name' },
+  { value: 'assetTag', label: 'Asset tag' },
+  { value: 'nextMaintenanceDate', label: 'Next maintenance' }
+]
+
 const Equipment = () => {
   const [equipment, setEquipment] = useState([])
   const [loading, setLoading] = useState(true)
@@ -14,10 +32,15 @@ const Equipment = () => {
   const [selectedDepartment, setSelectedDepartment] = useState('all')
   const [selectedStatus, setSelectedStatus] = useState('all')
   const [selectedCategory, setSelectedCategory] = useState('all')
+  const [sortOrder, setSortOrder] = useState('-createdAt')
+  const [columns, setColumns] = useState(tableColumns.map(column => column.key))
   const [viewMode, setViewMode] = useState('grid') // grid or list
   const [isCreateModalOpen, setIsCreateModalOpen] = useState(false)
+  const [selectedIds, setSelectedIds] = useState([])
+  const [bulkOutcome, setBulkOutcome] = useState(null)
   
   const { user } = useAuthStore()
+  const canBulkEdit = user?.role !== 'employee'
 
   const departments = [
     'Production', 'IT', 'Maintenance', 'Administration', 
@@ -31,7 +54,7 @@ const Equipment = () => {
 
   useEffect(() => {
     loadEquipment()
-  }, [searchTerm, selectedDepartment, selectedStatus, selectedCategory])
+  }, [searchTerm, selectedDepartment, selectedStatus, selectedCategory, sortOrder])
 
   const loadEquipment = async () => {
     try {
@@ -40,7 +63,8 @@ const Equipment = () => {
         search: searchTerm,
         department: selectedDepartment !== 'all' ? selectedDepartment : '',
         status: selectedStatus !== 'all' ? selectedStatus : '',
-        category: selectedCategory !== 'all' ? selectedCategory : ''
+        category: selectedCategory !== 'all' ? selectedCategory : '',
+        sort: sortOrder
       }
       const data = await equipmentService.getEquipment(filters)
       setEquipment(data.equipment || data)
@@ -55,6 +79,29 @@ const Equipment = () => {
 
   const filteredEquipment = equipment // Equipment is already filtered by the API based on the parameters
 
+  // Settings a saved view stores; the keys match the list endpoint's query parameters
+  const viewSettings = {
+    filters: {
+      search: searchTerm || undefined,
+      status: selectedStatus !== 'all' ? selectedStatus : undefined,
+      category: selectedCategory !== 'all' ? selectedCategory : undefined
+    },
+    sort: sortOrder,
+    columns
+  }
+
+  const applyView = ({ filters, sort, columns: viewColumns }) => {
+    setSearchTerm(filters.search || '')
+    setSelectedStatus(filters.status || 'all')
+    setSelectedCategory(filters.category || 'all')
+    setSortOrder(sort || '-createdAt')
+    setColumns(viewColumns && viewColumns.length > 0 ? viewColumns : tableColumns.map(column => column.key))
+  }
+
+  const toggleColumn = (key) => {
+    setColumns(prev => prev.includes(key) ? prev.filter(column => column !== key) : [...prev, key])
+  }
+
   const getStatusStats = () => {
     const stats = {
       operational: equipment.filter(e => e.status === 'operational').length,
@@ -76,6 +123,16 @@ const Equipment = () => {
     }
   }
 
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(selected => selected !== id) : [...prev, id])
+  }
+
+  const handleBulkSubmit = async (action, params) => {
+    const response = await equipmentService.bulkUpdate(selectedIds, action, params)
+    setBulkOutcome(response)
+    setSelectedIds([])
+  }
+
   if (loading) {
     return <LoadingSpinner />
   }
@@ -156,7 +213,10 @@ const Equipment = () => {
 
       {/* Filters and Search */}
       <div className="bg-white shadow-sm border border-gray-200 rounded-lg p-4">
-        <div className="grid grid-cols-1 md:grid-cols-6 gap-4">
+        <div className="mb-4">
+          <SavedViewsMenu entity="equipment" settings={viewSettings} onApply={applyView} />
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-7 gap-4">
           {/* Search */}
           <div className="md:col-span-2">
             <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -202,9 +262,10 @@ const Equipment = () => {
               onChange={(e) => setSelectedStatus(e.target.value)}
             >
               <option value="all">All Status</option>
-              <option value="operational">Operational</option>
-              <option value="maintenance">Under Maintenance</option>
-              <option value="down">Down</option>
+              <option value="Active">Active</option>
+              <option value="Maintenance">Under Maintenance</option>
+              <option value="Out of Service">Out of Service</option>
+              <option value="Scrapped">Scrapped</option>
             </select>
           </div>
 
@@ -225,6 +286,22 @@ const Equipment = () => {
             </select>
           </div>
 
+          {/* Sort */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Sort
+            </label>
+            <select
+              className="input w-full"
+              value={sortOrder}
+              onChange={(e) => setSortOrder(e.target.value)}
+            >
+              {sortOptions.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
           {/* View Mode */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -256,6 +333,15 @@ const Equipment = () => {
         </div>
       </div>
 
+      {selectedIds.length > 0 && (
+        <BulkActionBar
+          entity="equipment"
+          count={selectedIds.length}
+          onSubmit={handleBulkSubmit}
+          onClear={() => setSelectedIds([])}
+        />
+      )}
+
       {/* Equipment Grid/List */}
       <div className="bg-white shadow-sm border border-gray-200 rounded-lg">
         {filteredEquipment.length === 0 ? (
@@ -292,24 +378,57 @@ const Equipment = () => {
               </div>
             ) : (
               <div className="overflow-hidden">
+                <div className="flex flex-wrap items-center gap-4 px-6 py-3 text-sm text-gray-600 border-b border-gray-200">
+                  <span className="font-medium text-gray-700">Columns:</span>
+                  {tableColumns.map(column => (
+                    <label key={column.key} className="flex items-center">
+                      <input
+                        type="checkbox"
+                        checked={columns.includes(column.key)}
+                        onChange={() => toggleColumn(column.key)}
+                        className="h-4 w-4 text-primary-600 border-gray-300 rounded mr-1"
+                      />
+                      {column.label}
+                    </label>
+                  ))}
+                </div>
                 <table className="min-w-full divide-y divide-gray-200">
                   <thead className="bg-gray-50">
                     <tr>
+                      {canBulkEdit && (
+                        <th className="pl-6 py-3 w-4">
+                          <input
+                            type="checkbox"
+                            checked={filteredEquipment.every(item => selectedIds.includes(item._id))}
+                            onChange={(e) => setSelectedIds(e.target.checked ? filteredEquipment.map(item => item._id) : [])}
+                            className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+                            title="Select all"
+                          />
+                        </th>
+                      )}
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                         Equipment
                       </th>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Department
-                      </th>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Assigned To
-                      </th>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Status
-                      </th>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Maintenance Team
-                      </th>
+                      {columns.includes('department') && (
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Department
+                        </th>
+                      )}
+                      {columns.includes('assignee') && (
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Assigned To
+                        </th>
+                      )}
+                      {columns.includes('status') && (
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Status
+                        </th>
+                      )}
+                      {columns.includes('team') && (
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Maintenance Team
+                        </th>
+                      )}
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                         Actions
                       </th>
@@ -318,37 +437,58 @@ const Equipment = () => {
                   <tbody className="bg-white divide-y divide-gray-200">
                     {filteredEquipment.map((item) => (
                       <tr key={item._id} className="hover:bg-gray-50">
+                        {canBulkEdit && (
+                          <td className="pl-6 py-4 w-4">
+                            <input
+                              type="checkbox"
+                              checked={selectedIds.includes(item._id)}
+                              onChange={() => toggleSelected(item._id)}
+                              className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+                            />
+                          </td>
+                        )}
                         <td className="px-6 py-4 whitespace-nowrap">
                           <div>
                             <div className="text-sm font-medium text-gray-900">{item.name}</div>
-                            <div className="text-sm text-gray-500">{item.serialNumber}</div>
+                            <div className="text-sm text-gray-500">
+                              {item.serialNumber}
+                              {item.assetTag && <span className="ml-2 font-mono text-xs">{item.assetTag}</span>}
+                            </div>
                           </div>
                         </td>
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          <div className="flex items-center">
-                            <BuildingOfficeIcon className="w-4 h-4 text-gray-400 mr-2" />
-                            <span className="text-sm text-gray-900">{item.department}</span>
-                          </div>
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          <div className="flex items-center">
-                            <UserIcon className="w-4 h-4 text-gray-400 mr-2" />
-                            <span className="text-sm text-gray-900">{item.assignedTo?.name || 'Unassigned'}</span>
-                          </div>
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                            item.status === 'operational' ? 'bg-green-100 text-green-800' :
-                            item.status === 'maintenance' ? 'bg-yellow-100 text-yellow-800' :
-                            item.status === 'down' ? 'bg-red-100 text-red-800' :
-                            'bg-gray-100 text-gray-800'
-                          }`}>
-                            {item.status}
-                          </span>
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                          {item.maintenanceTeam?.name || 'Not Assigned'}
-                        </td>
+                        {columns.includes('department') && (
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <div className="flex items-center">
+                              <BuildingOfficeIcon className="w-4 h-4 text-gray-400 mr-2" />
+                              <span className="text-sm text-gray-900">{item.department}</span>
+                            </div>
+                          </td>
+                        )}
+                        {columns.includes('assignee') && (
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <div className="flex items-center">
+                              <UserIcon className="w-4 h-4 text-gray-400 mr-2" />
+                              <span className="text-sm text-gray-900">{item.assignedTo?.name || 'Unassigned'}</span>
+                            </div>
+                          </td>
+                        )}
+                        {columns.includes('status') && (
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                              item.status === 'operational' ? 'bg-green-100 text-green-800' :
+                              item.status === 'maintenance' ? 'bg-yellow-100 text-yellow-800' :
+                              item.status === 'down' ? 'bg-red-100 text-red-800' :
+                              'bg-gray-100 text-gray-800'
+                            }`}>
+                              {item.status}
+                            </span>
+                          </td>
+                        )}
+                        {columns.includes('team') && (
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            {item.maintenanceTeam?.name || 'Not Assigned'}
+                          </td>
+                        )}
                         <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                           <button className="text-primary-600 hover:text-primary-900 mr-4">
                             View Details
@@ -367,6 +507,18 @@ const Equipment = () => {
         )}
       </div>
 
+      {/* Bulk Results Modal */}
+      {bulkOutcome && (
+        <BulkResultsModal
+          title="Bulk update"
+          outcome={bulkOutcome}
+          onClose={() => {
+            setBulkOutcome(null)
+            loadEquipment()
+          }}
+        />
+      )}
+
       {/* Create Equipment Modal */}
       <CreateEquipmentModal
         isOpen={isCreateModalOpen}
@@ -10,11 +10,13 @@ import {
   PencilIcon,
   TrashIcon,
   QrCodeIcon,
-  DocumentArrowDownIcon,
-  ChartBarIcon
+  ChartBarIcon,
+  LightBulbIcon
 } from '@heroicons/react/24/outline'
 import LoadingSpinner from '../components/ui/LoadingSpinner'
 import CreateEquipmentModal from '../components/equipment/CreateEquipmentModal'
+import EquipmentDocuments from '../components/equipment/EquipmentDocuments'
+import EquipmentDowntime from '../components/equipment/EquipmentDowntime'
 import { equipmentService } from '../services/equipmentService'
 import { useAuthStore } from '../stores/authStore'
 import toast from 'react-hot-toast'
@@ -67,14 +69,21 @@ const EquipmentDetail = () => {
     }
   }
 
-  const handleDeleteEquipment = async () => {
-    if (window.confirm('Are you sure you want to delete this equipment? This action cannot be undone.')) {
+  const handleDeleteEquipment = async (cascade = false) => {
+    if (cascade || window.confirm('Move this equipment to the trash? An admin can restore it from the Trash page.')) {
       try {
-        await equipmentService.deleteEquipment(id)
-        toast.success('Equipment deleted successfully!')
+        await equipmentService.deleteEquipment(id, cascade ? { cascade: true } : {})
+        toast.success('Equipment moved to the trash')
         navigate('/equipment')
       } catch (error) {
-        toast.error(error.message || 'Failed to delete equipment')
+        // Open requests block the delete until the user agrees to cancel them
+        if (error.response?.data?.code === 'OPEN_REQUESTS') {
+          if (window.confirm(`This equipment has ${error.response.data.openRequests} open maintenance request(s). Cancel them and delete the equipment?`)) {
+            handleDeleteEquipment(true)
+          }
+          return
+        }
+        toast.error(error.response?.data?.message || 'Failed to delete equipment')
       }
     }
   }
@@ -102,20 +111,15 @@ const EquipmentDetail = () => {
     }
   }
 
-  const generateQRCode = async () => {
+  // Public "report a problem" page for the equipment; print this link as the QR code on its label
+  const reportUrl = equipment?.qrCode ? `${window.location.origin}/report/${encodeURIComponent(equipment.qrCode)}` : null
+
+  const copyReportLink = async () => {
     try {
-      const blob = await equipmentService.generateQRCode(id)
-      const url = window.URL.createObjectURL(blob)
-      const link = document.createElement('a')
-      link.href = url
-      link.download = `equipment-${equipment.serialNumber}-qr.png`
-      document.body.appendChild(link)
-      link.click()
-      document.body.removeChild(link)
-      window.URL.revokeObjectURL(url)
-      toast.success('QR code downloaded!')
+      await navigator.clipboard.writeText(reportUrl)
+      toast.success('Report link copied')
     } catch (error) {
-      toast.error('Failed to generate QR code')
+      window.prompt('Copy the report link:', reportUrl)
     }
   }
 
@@ -186,16 +190,26 @@ const EquipmentDetail = () => {
                 <PencilIcon className="w-4 h-4 mr-2" />
                 Edit
               </button>
+              {reportUrl && (
+                <button
+                  onClick={copyReportLink}
+                  title={reportUrl}
+                  className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                >
+                  <QrCodeIcon className="w-4 h-4 mr-2" />
+                  Report Link
+                </button>
+              )}
               <button
-                onClick={generateQRCode}
+                onClick={() => navigate(`/rcas?equipment=${equipment._id}`)}
                 className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
               >
-                <QrCodeIcon className="w-4 h-4 mr-2" />
-                QR Code
+                <LightBulbIcon className="w-4 h-4 mr-2" />
+                Root Cause
               </button>
               {user.role === 'admin' && (
                 <button
-                  onClick={handleDeleteEquipment}
+                  onClick={() => handleDeleteEquipment()}
                   className="inline-flex items-center px-3 py-2 border border-red-300 shadow-sm text-sm font-medium rounded-md text-red-700 bg-white hover:bg-red-50"
                 >
                   <TrashIcon className="w-4 h-4 mr-2" />
@@ -256,6 +270,7 @@ const EquipmentDetail = () => {
               { key: 'details', name: 'Equipment Details' },
               { key: 'maintenance', name: 'Maintenance' },
               { key: 'history', name: 'History' },
+              { key: 'downtime', name: 'Downtime' },
               { key: 'documents', name: 'Documents' }
             ].map(tab => (
               <button
@@ -293,6 +308,12 @@ const EquipmentDetail = () => {
                       <span className="text-sm font-medium text-gray-500">Serial Number:</span>
                       <span className="text-sm text-gray-900 font-mono">{equipment.serialNumber}</span>
                     </div>
+                    {equipment.assetTag && (
+                      <div className="flex justify-between">
+                        <span className="text-sm font-medium text-gray-500">Asset Tag:</span>
+                        <span className="text-sm text-gray-900 font-mono">{equipment.assetTag}</span>
+                      </div>
+                    )}
                     <div className="flex justify-between">
                       <span className="text-sm font-medium text-gray-500">Category:</span>
                       <span className="text-sm text-gray-900">{equipment.category}</span>
@@ -470,13 +491,21 @@ const EquipmentDetail = () => {
             </div>
           )}
 
+          {activeTab === 'downtime' && (
+            <div>
+              <h3 className="text-lg font-medium text-gray-900 mb-4">Downtime & Availability</h3>
+              <EquipmentDowntime
+                equipmentId={id}
+                canManage={user?.role !== 'employee'}
+                isAdmin={user?.role === 'admin'}
+              />
+            </div>
+          )}
+
           {activeTab === 'documents' && (
             <div>
               <h3 className="text-lg font-medium text-gray-900 mb-4">Documents & Manuals</h3>
-              <div className="text-center py-12 text-gray-500">
-                <DocumentArrowDownIcon className="w-12 h-12 mx-auto mb-4 text-gray-300" />
-                <p>Document management feature coming soon</p>
-              </div>
+              <EquipmentDocuments equipmentId={id} canManage={user?.role !== 'employee'} />
             </div>
           )}
         </div>
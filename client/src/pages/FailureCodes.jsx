@@ -0,0 +1,250 @@
+import React, { useState, useEffect } from 'react'
+import { PlusIcon, PencilIcon, ArchiveBoxXMarkIcon, ArrowUturnLeftIcon } from '@heroicons/react/24/outline'
+import LoadingSpinner from '../components/ui/LoadingSpinner'
+import failureCodeService from '../services/failureCodeService'
+import toast from 'react-hot-toast'
+
+// Equipment categories as the server defines them
+const categories = [
+  'HVAC', 'Electrical', 'Mechanical', 'Plumbing', 'IT/Electronics', 'Safety Systems',
+  'Building Systems', 'Industrial Equipment', 'Automotive', 'Office Equipment', 'Medical Equipment', 'Other'
+]
+
+const childLevel = { problem: 'cause', cause: 'remedy' }
+
+const emptyForm = { code: '', name: '', description: '', equipmentCategories: [] }
+
+// Admin editor for the problem > cause > remedy catalogue used to close corrective work
+const FailureCodes = () => {
+  const [problems, setProblems] = useState([])
+  const [showRetired, setShowRetired] = useState(false)
+  const [loading, setLoading] = useState(true)
+  // { level, parent, parentLabel, id } of the code being added or edited, with its fields
+  const [editing, setEditing] = useState(null)
+  const [form, setForm] = useState(emptyForm)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    loadCatalogue()
+  }, [showRetired])
+
+  const loadCatalogue = async () => {
+    try {
+      setLoading(true)
+      const response = await failureCodeService.getCatalogue({ includeInactive: showRetired })
+      setProblems(response.problems)
+    } catch (error) {
+      console.error('Error loading failure codes:', error)
+      toast.error('Failed to load failure codes')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const startAdd = (level, parent = null) => {
+    setEditing({ level, parent: parent?._id || null, parentLabel: parent ? `${parent.code} · ${parent.name}` : null })
+    setForm(emptyForm)
+  }
+
+  const startEdit = (code) => {
+    setEditing({ level: code.level, id: code._id })
+    setForm({
+      code: code.code,
+      name: code.name,
+      description: code.description || '',
+      equipmentCategories: code.equipmentCategories || []
+    })
+  }
+
+  const toggleCategory = (category) => {
+    setForm(prev => ({
+      ...prev,
+      equipmentCategories: prev.equipmentCategories.includes(category)
+        ? prev.equipmentCategories.filter(entry => entry !== category)
+        : [...prev.equipmentCategories, category]
+    }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    try {
+      const data = { ...form }
+      if (editing.level !== 'problem') delete data.equipmentCategories
+      const response = editing.id
+        ? await failureCodeService.updateCode(editing.id, data)
+        : await failureCodeService.createCode({ ...data, level: editing.level, parent: editing.parent })
+      toast.success(response.message)
+      setEditing(null)
+      loadCatalogue()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save failure code')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleToggleActive = async (code) => {
+    if (code.isActive && !window.confirm(`Retire ${code.code}? Requests that used it keep it, but it can no longer be picked.`)) return
+    try {
+      const response = code.isActive
+        ? await failureCodeService.retireCode(code._id)
+        : await failureCodeService.updateCode(code._id, { isActive: true })
+      toast.success(response.message)
+      loadCatalogue()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update failure code')
+    }
+  }
+
+  const renderCode = (code, children) => (
+    <li key={code._id} className="py-2">
+      <div className="flex items-center justify-between">
+        <div className={code.isActive ? '' : 'opacity-50'}>
+          <span className="text-sm font-medium text-gray-900">{code.code}</span>
+          <span className="text-sm text-gray-700"> · {code.name}</span>
+          {!code.isActive && <span className="ml-2 text-xs text-gray-500">(retired)</span>}
+          {code.level === 'problem' && (
+            <span className="ml-2 text-xs text-gray-500">
+              {code.equipmentCategories?.length > 0 ? code.equipmentCategories.join(', ') : 'All categories'}
+            </span>
+          )}
+          {code.description && <p className="text-xs text-gray-500">{code.description}</p>}
+        </div>
+        <div className="flex items-center gap-3">
+          {childLevel[code.level] && code.isActive && (
+            <button
+              onClick={() => startAdd(childLevel[code.level], code)}
+              className="text-xs text-primary-600 hover:underline flex items-center"
+            >
+              <PlusIcon className="w-3 h-3 mr-1" />
+              Add {childLevel[code.level]}
+            </button>
+          )}
+          <button onClick={() => startEdit(code)} className="text-gray-500 hover:text-gray-700" title="Edit">
+            <PencilIcon className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => handleToggleActive(code)}
+            className={code.isActive ? 'text-red-600 hover:text-red-800' : 'text-primary-600 hover:text-primary-800'}
+            title={code.isActive ? 'Retire' : 'Reactivate'}
+          >
+            {code.isActive ? <ArchiveBoxXMarkIcon className="w-4 h-4" /> : <ArrowUturnLeftIcon className="w-4 h-4" />}
+          </button>
+        </div>
+      </div>
+      {children && children.length > 0 && (
+        <ul className="ml-6 border-l border-gray-200 pl-4">{children}</ul>
+      )}
+    </li>
+  )
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Failure Codes</h1>
+          <p className="text-gray-600 mt-1">
+            Problems, their causes and remedies. Corrective and emergency requests are completed with one of each.
+          </p>
+        </div>
+        <button onClick={() => startAdd('problem')} className="btn btn-primary flex items-center">
+          <PlusIcon className="w-4 h-4 mr-2" />
+          Add problem
+        </button>
+      </div>
+
+      <label className="flex items-center text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={showRetired}
+          onChange={(e) => setShowRetired(e.target.checked)}
+          className="mr-2"
+        />
+        Show retired codes
+      </label>
+
+      {editing && (
+        <form onSubmit={handleSubmit} className="card space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900">
+            {editing.id ? `Edit ${editing.level}` : `New ${editing.level}`}
+            {editing.parentLabel && <span className="text-sm font-normal text-gray-600"> under {editing.parentLabel}</span>}
+          </h2>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <input
+              value={form.code}
+              onChange={(e) => setForm({ ...form, code: e.target.value.toUpperCase() })}
+              maxLength={20}
+              required
+              placeholder="Code (e.g. LEAK)"
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+            />
+            <input
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              maxLength={100}
+              required
+              placeholder="Name"
+              className="md:col-span-2 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+            />
+          </div>
+          <textarea
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+            rows={2}
+            maxLength={500}
+            placeholder="Description (optional)"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+          />
+          {editing.level === 'problem' && (
+            <div>
+              <p className="text-sm text-gray-700 mb-2">Equipment categories (none means all)</p>
+              <div className="flex flex-wrap gap-2">
+                {categories.map(category => (
+                  <button
+                    key={category}
+                    type="button"
+                    onClick={() => toggleCategory(category)}
+                    className={`btn text-xs ${form.equipmentCategories.includes(category) ? 'btn-primary' : 'btn-secondary'}`}
+                  >
+                    {category}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+          <div className="flex justify-end space-x-3">
+            <button type="button" onClick={() => setEditing(null)} className="btn btn-secondary text-xs">
+              Cancel
+            </button>
+            <button type="submit" disabled={saving} className="btn btn-primary text-xs disabled:opacity-50">
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="card">
+        {loading ? (
+          <div className="flex justify-center items-center h-32">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : problems.length === 0 ? (
+          <p className="text-center text-gray-500 py-12">No failure codes yet. Start by adding a problem.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {problems.map(problem => renderCode(
+              problem,
+              problem.causes.map(cause => renderCode(
+                cause,
+                cause.remedies.map(remedy => renderCode(remedy))
+              ))
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default FailureCodes
\ No newline at end of file
@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from 'react'
+import { useParams, useSearchParams } from 'react-router-dom'
+import { CheckCircleIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline'
+import LoadingSpinner from '../components/ui/LoadingSpinner'
+import StarRating from '../components/ui/StarRating'
+import feedbackService from '../services/feedbackService'
+import toast from 'react-hot-toast'
+
+// Landing page for the rating link in the completion email; works without logging in
+const Feedback = () => {
+  const { token } = useParams()
+  const [searchParams] = useSearchParams()
+
+  const [request, setRequest] = useState(null)
+  const [rating, setRating] = useState(() => {
+    const fromLink = parseInt(searchParams.get('rating'))
+    return fromLink >= 1 && fromLink <= 5 ? fromLink : 0
+  })
+  const [comment, setComment] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [submitting, setSubmitting] = useState(false)
+  const [linkValid, setLinkValid] = useState(true)
+  const [submitted, setSubmitted] = useState(false)
+
+  useEffect(() => {
+    loadRequest()
+  }, [token])
+
+  const loadRequest = async () => {
+    try {
+      const response = await feedbackService.getByToken(token)
+      setRequest(response.request)
+    } catch (error) {
+      setLinkValid(false)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!rating) {
+      toast.error('Please choose a rating')
+      return
+    }
+
+    setSubmitting(true)
+    try {
+      await feedbackService.submitWithToken(token, { rating, comment })
+      setSubmitted(true)
+    } catch (error) {
+      if (error.response?.status === 404 || error.response?.status === 409) {
+        setLinkValid(false)
+      } else {
+        toast.error(error.response?.data?.message || 'Failed to submit feedback')
+      }
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" />
+      </div>
+    )
+  }
+
+  if (!linkValid || submitted) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div className="text-center">
+            {submitted ? (
+              <>
+                <CheckCircleIcon className="mx-auto h-16 w-16 text-green-500" />
+                <h2 className="mt-6 text-3xl font-extrabold text-gray-900">Thank You</h2>
+                <p className="mt-2 text-sm text-gray-600">Your feedback helps the maintenance team improve.</p>
+              </>
+            ) : (
+              <>
+                <ExclamationTriangleIcon className="mx-auto h-16 w-16 text-red-500" />
+                <h2 className="mt-6 text-3xl font-extrabold text-gray-900">Link No Longer Valid</h2>
+                <p className="mt-2 text-sm text-gray-600">
+                  This feedback link has already been used or has expired.
+                </p>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <h2 className="text-3xl font-extrabold text-gray-900">How did we do?</h2>
+          <p className="mt-2 text-sm text-gray-600">
+            {request.requestNumber} · {request.title}
+          </p>
+          {request.technician && (
+            <p className="mt-1 text-sm text-gray-500">Completed by {request.technician}</p>
+          )}
+        </div>
+
+        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+          <div className="flex justify-center">
+            <StarRating value={rating} onChange={setRating} size="lg" />
+          </div>
+
+          <div>
+            <label htmlFor="comment" className="block text-sm font-medium text-gray-700">
+              Comments (optional)
+            </label>
+            <textarea
+              id="comment"
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              rows={4}
+              maxLength={1000}
+              className="mt-1 appearance-none block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+              placeholder="Tell us what went well or what could be better"
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={submitting}
+            className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+          >
+            {submitting ? 'Submitting...' : 'Submit Feedback'}
+          </button>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default Feedback
\ No newline at end of file
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react'
 import { DragDropContext, Droppable, Draggable } from 'react-beautiful-dnd'
+import { useSearchParams } from 'react-router-dom'
 import { 
   PlusIcon, 
   WrenchScrewdriverIcon, 
@@ -18,11 +19,50 @@ import {
 import LoadingSpinner from '../components/ui/LoadingSpinner'
 import CreateMaintenanceModal from '../components/maintenance/CreateMaintenanceModal'
 import CalendarView from '../components/maintenance/CalendarView'
+import ChecklistModal from '../components/maintenance/ChecklistModal'
+import WorkOrderHierarchyModal from '../components/maintenance/WorkOrderHierarchyModal'
+import TimeTrackingModal from '../components/maintenance/TimeTrackingModal'
+import AttachmentsModal from '../components/maintenance/AttachmentsModal'
+import CommentsModal from '../components/maintenance/CommentsModal'
+import TimelineModal from '../components/maintenance/TimelineModal'
+import FeedbackModal from '../components/maintenance/FeedbackModal'
+import FailureCodesModal from '../components/maintenance/FailureCodesModal'
+import ReportTriagePanel from '../components/maintenance/ReportTriagePanel'
+import StarRating from '../components/ui/StarRating'
+import BulkActionBar from '../components/ui/BulkActionBar'
+import BulkResultsModal from '../components/ui/BulkResultsModal'
+import SavedViewsMenu from '../components/ui/SavedViewsMenu'
 import { useAuthStore } from '../stores/authStore'
 import { maintenanceService } from '../services/maintenanceService'
+import { checkTransition } from '../utils/workflow'
 import toast from 'react-hot-toast'
 
+// Optional detail fields in the list view; saved views remember which are shown
+const listColumns = [
+  { key: 'equipment', label: 'Equipment' },
+  { key: 'assignee', label: 'Assigned to' },
+  { key: 'requester', label: 'Requested by' },
+  { key: 'dueDate', label: 'Due Date' }
+]
+
+const sortOptions = [
+  { value: '-createdAt', label: 'Newest first' },
+  { value: 'createdAt', label: 'Oldest first' },
+  { value: 'dueDate', label: 'Due date' },
+  { value: '-priority', label: 'Priority' },
+  { value: 'title', label: 'Title' }
+]
+
+const priorityRank = { Low: 1, Medium: 2, High: 3, Critical: 4, Emergency: 5 }
+
+// Request types that need failure codes before they can be completed; low-rating reviews
+// are filed as corrective work but are not failures
+const codedTypes = ['Corrective', 'Emergency']
+const needsFailureCodes = (request) =>
+  codedTypes.includes(request.type) && !request.generationKey?.startsWith('FEEDBACK:')
+
 const Maintenance = () => {
+  const [searchParams] = useSearchParams()
   const [requests, setRequests] = useState({
     new: [],
     'in-progress': [],
@@ -34,9 +74,24 @@ const Maintenance = () => {
   const [isCreateModalOpen, setIsCreateModalOpen] = useState(false)
   const [selectedTeam, setSelectedTeam] = useState('all')
   const [selectedType, setSelectedType] = useState('all')
-  const [searchTerm, setSearchTerm] = useState('')
+  const [searchTerm, setSearchTerm] = useState(searchParams.get('search') || '')
   const [statusFilter, setStatusFilter] = useState('all')
   const [priorityFilter, setPriorityFilter] = useState('all')
+  const [sortOrder, setSortOrder] = useState('-createdAt')
+  const [columns, setColumns] = useState(listColumns.map(column => column.key))
+  const [workflow, setWorkflow] = useState(null)
+  const [pendingApprovals, setPendingApprovals] = useState([])
+  const [checklistRequest, setChecklistRequest] = useState(null)
+  const [hierarchyRequest, setHierarchyRequest] = useState(null)
+  const [timeRequest, setTimeRequest] = useState(null)
+  const [attachmentsRequest, setAttachmentsRequest] = useState(null)
+  const [commentsRequest, setCommentsRequest] = useState(null)
+  const [timelineRequest, setTimelineRequest] = useState(null)
+  const [feedbackRequest, setFeedbackRequest] = useState(null)
+  // { request, move }: move is the drag waiting for the codes before it completes the request
+  const [failureCoding, setFailureCoding] = useState(null)
+  const [selectedIds, setSelectedIds] = useState([])
+  const [bulkOutcome, setBulkOutcome] = useState(null)
   const [stats, setStats] = useState({
     new: 0,
     'in-progress': 0,
@@ -87,6 +142,57 @@ const Maintenance = () => {
     loadMaintenanceRequests()
   }, [selectedTeam, selectedType, searchTerm])
 
+  // Opened from the header search with ?search=<request number>
+  useEffect(() => {
+    const linkedSearch = searchParams.get('search')
+    if (linkedSearch === null) return
+    setSearchTerm(linkedSearch)
+    setViewMode('list')
+  }, [searchParams])
+
+  useEffect(() => {
+    loadWorkflow()
+    loadPendingApprovals()
+  }, [])
+
+  const loadWorkflow = async () => {
+    try {
+      const response = await maintenanceService.getWorkflow()
+      setWorkflow(response.workflow)
+    } catch (error) {
+      // The server still enforces the workflow if it cannot be loaded here
+      console.error('Error loading maintenance workflow:', error)
+    }
+  }
+
+  const loadPendingApprovals = async () => {
+    try {
+      const response = await maintenanceService.getPendingApprovals()
+      setPendingApprovals(response.requests || [])
+    } catch (error) {
+      console.error('Error loading pending approvals:', error)
+    }
+  }
+
+  const handleApprovalDecision = async (request, approve) => {
+    try {
+      if (approve) {
+        const response = await maintenanceService.approve(request._id)
+        toast.success(response.message)
+      } else {
+        const reason = window.prompt(`Reason for rejecting "${request.title}":`)
+        if (!reason || !reason.trim()) return
+        await maintenanceService.reject(request._id, reason.trim())
+        toast.success('Request rejected')
+      }
+      loadPendingApprovals()
+      loadMaintenanceRequests()
+    } catch (error) {
+      console.error('Error recording approval decision:', error)
+      toast.error(error.response?.data?.message || 'Failed to record approval decision')
+    }
+  }
+
   const loadMaintenanceRequests = async () => {
     try {
       setLoading(true)
@@ -177,14 +283,29 @@ const Maintenance = () => {
     }
   }
 
+  const canBulkEdit = user?.role !== 'employee'
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(selected => selected !== id) : [...prev, id])
+  }
+
+  const handleBulkSubmit = async (action, params) => {
+    const response = await maintenanceService.bulkUpdate(selectedIds, action, params)
+    setBulkOutcome(response)
+    setSelectedIds([])
+  }
+
   // Handle drag and drop for Kanban board (GearGuard requirement)
-  const handleDragEnd = async (result) => {
+  const handleDragEnd = (result) => moveRequest(result)
+
+  // `coded` is set when the failure codes were just recorded for this move
+  const moveRequest = async (result, coded = false) => {
     if (!result.destination) return
 
     const { source, destination, draggableId } = result
     
-    // If dropped in the same position, do nothing
-    if (source.droppableId === destination.droppableId && source.index === destination.index) {
+    // Reordering within a column does not change the status
+    if (source.droppableId === destination.droppableId) {
       return
     }
 
@@ -196,9 +317,41 @@ const Maintenance = () => {
       const request = requests[sourceStage].find(r => r._id === draggableId)
       
       if (request) {
-        // Update request stage via API (convert frontend stage to backend status)
+        // Check the move against the workshop workflow before calling the API
         const backendStatus = mapStageToStatus(destStage)
-        await maintenanceService.updateStatus(request._id, backendStatus)
+        const transition = checkTransition(workflow, request, backendStatus, user)
+        if (!transition.allowed) {
+          toast.error(transition.reason)
+          return
+        }
+
+        // Corrective and emergency work is closed with its problem, cause and remedy
+        if (backendStatus === 'Completed' && needsFailureCodes(request) && !request.failure?.problem && !coded) {
+          setFailureCoding({ request, move: result })
+          return
+        }
+
+        // Collect the fields this transition requires
+        const details = {}
+        if (transition.requiredFields.includes('workNote')) {
+          const note = window.prompt(`A work note is required to move this request to ${backendStatus}:`)
+          if (!note || !note.trim()) {
+            toast.error('Work note is required')
+            return
+          }
+          details.note = note.trim()
+        }
+        if (transition.requiredFields.includes('reason')) {
+          const reason = window.prompt(`A reason is required to move this request to ${backendStatus}:`)
+          if (!reason || !reason.trim()) {
+            toast.error('Reason is required')
+            return
+          }
+          details.reason = reason.trim()
+        }
+
+        // Update request stage via API (convert frontend stage to backend status)
+        await maintenanceService.updateStatus(request._id, backendStatus, details)
         
         // Update local state immediately for better UX
         const newRequests = { ...requests }
@@ -207,7 +360,7 @@ const Maintenance = () => {
         newRequests[sourceStage] = newRequests[sourceStage].filter(r => r._id !== draggableId)
         
         // Add to destination with updated stage
-        const updatedRequest = { ...request, stage: destStage, status: destStage }
+        const updatedRequest = { ...request, stage: destStage, status: backendStatus }
         newRequests[destStage] = [...newRequests[destStage], updatedRequest]
         
         setRequests(newRequests)
@@ -226,7 +379,7 @@ const Maintenance = () => {
       }
     } catch (error) {
       console.error('Error updating request status:', error)
-      toast.error('Failed to update request status')
+      toast.error(error.response?.data?.message || 'Failed to update request status')
     }
   }
 
@@ -291,6 +444,21 @@ const Maintenance = () => {
     }
   }
 
+  // Resolution clock from the server's slaStatus (business minutes)
+  const getSlaLabel = (slaStatus) => {
+    const remaining = slaStatus?.resolution?.remainingMinutes
+    if (remaining === null || remaining === undefined) return null
+    if (slaStatus.resolution.breached || remaining < 0) {
+      return { text: 'SLA breached', className: 'text-red-600' }
+    }
+    const hours = Math.floor(remaining / 60)
+    const text = hours > 0 ? `${hours}h ${Math.round(remaining % 60)}m left` : `${Math.round(remaining)}m left`
+    if (slaStatus.paused) {
+      return { text: `SLA paused (${text})`, className: 'text-gray-500' }
+    }
+    return { text: `SLA ${text}`, className: remaining < 120 ? 'text-orange-600' : 'text-gray-500' }
+  }
+
   const formatDate = (date) => {
     return new Date(date).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -309,8 +477,53 @@ const Maintenance = () => {
     ...requests.scrap
   ]
 
+  // Settings a saved view stores; the keys match the list endpoint's query parameters
+  const viewSettings = {
+    filters: {
+      search: searchTerm || undefined,
+      status: statusFilter !== 'all' ? statusFilter : undefined,
+      priority: priorityFilter !== 'all' ? priorityFilter : undefined
+    },
+    sort: sortOrder,
+    columns
+  }
+
+  const applyView = ({ filters, sort, columns: viewColumns }) => {
+    setSearchTerm(filters.search || '')
+    setStatusFilter(filters.status || 'all')
+    setPriorityFilter(filters.priority || 'all')
+    setSortOrder(sort || '-createdAt')
+    setColumns(viewColumns && viewColumns.length > 0 ? viewColumns : listColumns.map(column => column.key))
+  }
+
+  const toggleColumn = (key) => {
+    setColumns(prev => prev.includes(key) ? prev.filter(column => column !== key) : [...prev, key])
+  }
+
+  const compareRequests = (a, b) => {
+    const field = sortOrder.replace(/^-/, '')
+    const direction = sortOrder.startsWith('-') ? -1 : 1
+    let left = a[field]
+    let right = b[field]
+    if (field === 'priority') {
+      left = priorityRank[left] || 0
+      right = priorityRank[right] || 0
+    } else if (field === 'createdAt' || field === 'dueDate') {
+      // Requests without a date sort last either way
+      left = left ? new Date(left).getTime() : direction * Infinity
+      right = right ? new Date(right).getTime() : direction * Infinity
+    } else {
+      left = (left || '').toString().toLowerCase()
+      right = (right || '').toString().toLowerCase()
+    }
+    if (left < right) return -direction
+    if (left > right) return direction
+    return 0
+  }
+
   const filteredRequests = allRequests.filter(request => {
     const matchesSearch = searchTerm === '' || 
+      request.requestNumber?.toLowerCase().includes(searchTerm.toLowerCase()) ||
       request.title?.toLowerCase().includes(searchTerm.toLowerCase()) ||
       request.description?.toLowerCase().includes(searchTerm.toLowerCase()) ||
       request.equipment?.name?.toLowerCase().includes(searchTerm.toLowerCase())
@@ -319,7 +532,7 @@ const Maintenance = () => {
     const matchesPriority = priorityFilter === 'all' || request.priority === priorityFilter
     
     return matchesSearch && matchesStatus && matchesPriority
-  })
+  }).sort(compareRequests)
 
   if (loading) {
     return <LoadingSpinner />
@@ -379,10 +592,62 @@ const Maintenance = () => {
         </div>
       </div>
 
+      {/* Pending Approval queue */}
+      {pendingApprovals.length > 0 && (
+        <div className="card border-l-4 border-yellow-400">
+          <div className="card-body">
+            <h3 className="font-semibold text-gray-900 mb-3">
+              Pending Approval ({pendingApprovals.length})
+            </h3>
+            <div className="divide-y divide-gray-100">
+              {pendingApprovals.map((request) => {
+                const step = request.approval?.steps?.[request.approval.currentStep]
+                return (
+                  <div key={request._id} className="flex items-center justify-between py-2">
+                    <div>
+                      <div className="text-sm font-medium text-gray-900">{request.title}</div>
+                      <div className="text-xs text-gray-500">
+                        {request.equipment?.name} · {request.type} · {request.createdBy?.name}
+                        {step?.reasons?.length > 0 && ` · ${step.reasons.join(', ')}`}
+                      </div>
+                    </div>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => handleApprovalDecision(request, true)}
+                        className="btn btn-primary text-xs"
+                      >
+                        Approve
+                      </button>
+                      <button
+                        onClick={() => handleApprovalDecision(request, false)}
+                        className="btn btn-secondary text-xs"
+                      >
+                        Reject
+                      </button>
+                    </div>
+                  </div>
+                )
+              })}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Problems reported from public equipment pages */}
+      {canBulkEdit && <ReportTriagePanel onAccepted={() => loadMaintenanceRequests()} />}
+
       {/* Filters */}
       <div className="card">
         <div className="card-body">
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="mb-4">
+            <SavedViewsMenu
+              entity="maintenance"
+              settings={viewSettings}
+              onApply={applyView}
+              skipDefault={searchParams.has('search')}
+            />
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Search
@@ -405,10 +670,14 @@ const Maintenance = () => {
                 onChange={(e) => setStatusFilter(e.target.value)}
               >
                 <option value="all">All Status</option>
-                <option value="open">Open</option>
-                <option value="in_progress">In Progress</option>
-                <option value="completed">Completed</option>
-                <option value="cancelled">Cancelled</option>
+                <option value="New">New</option>
+                <option value="Assigned">Assigned</option>
+                <option value="In Progress">In Progress</option>
+                <option value="Waiting for Parts">Waiting for Parts</option>
+                <option value="On Hold">On Hold</option>
+                <option value="Completed">Completed</option>
+                <option value="Cancelled">Cancelled</option>
+                <option value="Rejected">Rejected</option>
               </select>
             </div>
             <div>
@@ -421,10 +690,25 @@ const Maintenance = () => {
                 onChange={(e) => setPriorityFilter(e.target.value)}
               >
                 <option value="all">All Priority</option>
-                <option value="critical">Critical</option>
-                <option value="high">High</option>
-                <option value="medium">Medium</option>
-                <option value="low">Low</option>
+                <option value="Emergency">Emergency</option>
+                <option value="Critical">Critical</option>
+                <option value="High">High</option>
+                <option value="Medium">Medium</option>
+                <option value="Low">Low</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Sort
+              </label>
+              <select
+                className="input"
+                value={sortOrder}
+                onChange={(e) => setSortOrder(e.target.value)}
+              >
+                {sortOptions.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
               </select>
             </div>
           </div>
@@ -530,6 +814,100 @@ const Maintenance = () => {
                                 )}
                               </div>
                               
+                              {getSlaLabel(request.slaStatus) && (
+                                <div className={`text-xs font-medium mb-2 ${getSlaLabel(request.slaStatus).className}`}>
+                                  {getSlaLabel(request.slaStatus).text}
+                                </div>
+                              )}
+
+                              {request.approval?.status === 'Pending' && (
+                                <div className="text-xs text-yellow-700 font-medium mb-2">
+                                  Awaiting approval
+                                </div>
+                              )}
+
+                              {request.checklistProgress && (
+                                <button
+                                  onClick={() => setChecklistRequest(request)}
+                                  className={`text-xs font-medium mb-2 ${
+                                    request.checklistProgress.outOfRange > 0 ? 'text-red-600' : 'text-purple-700'
+                                  } hover:underline block`}
+                                >
+                                  Checklist {request.checklistProgress.completed}/{request.checklistProgress.total}
+                                </button>
+                              )}
+
+                              {request.parentRequest && (
+                                <button
+                                  onClick={() => setHierarchyRequest(request)}
+                                  className="text-xs text-gray-600 mb-2 hover:underline block"
+                                >
+                                  Sub-work-order of {request.parentRequest.requestNumber}
+                                </button>
+                              )}
+
+                              {request.rollup?.childCount > 0 && (
+                                <button
+                                  onClick={() => setHierarchyRequest(request)}
+                                  className="text-xs text-purple-700 font-medium mb-2 hover:underline block"
+                                >
+                                  {request.rollup.childCount} sub-work-orders ({request.rollup.openChildren} open)
+                                </button>
+                              )}
+
+                              <button
+                                onClick={() => setAttachmentsRequest(request)}
+                                className="text-xs text-gray-600 mb-2 hover:underline block"
+                              >
+                                {request.attachments?.length > 0 ? `${request.attachments.length} attachments` : 'Attach files'}
+                              </button>
+
+                              <button
+                                onClick={() => setCommentsRequest(request)}
+                                className="text-xs text-gray-600 mb-2 hover:underline block"
+                              >
+                                Comments
+                              </button>
+
+                              <button
+                                onClick={() => setTimelineRequest(request)}
+                                className="text-xs text-gray-600 mb-2 hover:underline block"
+                              >
+                                Activity
+                              </button>
+
+                              {user?.role !== 'employee' && needsFailureCodes(request) && (
+                                <button
+                                  onClick={() => setFailureCoding({ request })}
+                                  className="text-xs text-gray-600 mb-2 hover:underline block"
+                                >
+                                  {request.failure?.problem ? 'Failure codes' : 'Add failure codes'}
+                                </button>
+                              )}
+
+                              {request.feedback?.rating ? (
+                                <div className="mb-2" title={request.feedback.comment || 'Requester rating'}>
+                                  <StarRating value={request.feedback.rating} size="sm" />
+                                </div>
+                              ) : request.status === 'Completed' && request.createdBy?._id === user?._id && (
+                                <button
+                                  onClick={() => setFeedbackRequest(request)}
+                                  className="text-xs text-primary-600 mb-2 hover:underline block"
+                                >
+                                  Rate this job
+                                </button>
+                              )}
+
+                              {user?.role !== 'employee' && (
+                                <button
+                                  onClick={() => setTimeRequest(request)}
+                                  className="text-xs text-gray-600 mb-2 hover:underline flex items-center"
+                                >
+                                  <ClockIcon className="w-3 h-3 mr-1" />
+                                  Time{request.cost?.labor > 0 && ` · ${request.cost.labor.toFixed(2)}`}
+                                </button>
+                              )}
+
                               <div className="flex items-center justify-between text-xs">
                                 <span className="text-gray-500">
                                   {formatDate(request.scheduledDate || request.dueDate)}
@@ -561,6 +939,42 @@ const Maintenance = () => {
 
       {viewMode === 'list' && (
         <div className="space-y-4">
+          <div className="flex flex-wrap items-center gap-4 text-sm text-gray-600">
+            <span className="font-medium text-gray-700">Show:</span>
+            {listColumns.map(column => (
+              <label key={column.key} className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={columns.includes(column.key)}
+                  onChange={() => toggleColumn(column.key)}
+                  className="h-4 w-4 text-primary-600 border-gray-300 rounded mr-1"
+                />
+                {column.label}
+              </label>
+            ))}
+          </div>
+
+          {canBulkEdit && filteredRequests.length > 0 && (
+            <label className="flex items-center text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={filteredRequests.every(request => selectedIds.includes(request._id))}
+                onChange={(e) => setSelectedIds(e.target.checked ? filteredRequests.map(request => request._id) : [])}
+                className="h-4 w-4 text-primary-600 border-gray-300 rounded mr-2"
+              />
+              Select all ({filteredRequests.length})
+            </label>
+          )}
+
+          {selectedIds.length > 0 && (
+            <BulkActionBar
+              entity="maintenance"
+              count={selectedIds.length}
+              onSubmit={handleBulkSubmit}
+              onClear={() => setSelectedIds([])}
+            />
+          )}
+
           {filteredRequests.length > 0 ? (
             filteredRequests.map((request) => (
           <div 
@@ -573,6 +987,14 @@ const Maintenance = () => {
               <div className="flex justify-between items-start">
                 <div className="flex-1">
                   <div className="flex items-center space-x-3 mb-2">
+                    {canBulkEdit && (
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.includes(request._id)}
+                        onChange={() => toggleSelected(request._id)}
+                        className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+                      />
+                    )}
                     <h3 className="text-lg font-medium text-gray-900">{request.title}</h3>
                     <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getPriorityColor(request.priority)}`}>
                       {request.priority}
@@ -586,24 +1008,32 @@ const Maintenance = () => {
                   <p className="text-gray-600 mb-3">{request.description}</p>
                   
                   <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 text-sm">
-                    <div>
-                      <span className="font-medium text-gray-700">Equipment:</span>
-                      <p className="text-gray-600">{request.equipment?.name || 'General'}</p>
-                    </div>
-                    <div>
-                      <span className="font-medium text-gray-700">Assigned to:</span>
-                      <p className="text-gray-600">{request.assignedTo?.name || 'Unassigned'}</p>
-                    </div>
-                    <div>
-                      <span className="font-medium text-gray-700">Requested by:</span>
-                      <p className="text-gray-600">{request.requestedBy?.name}</p>
-                    </div>
-                    <div>
-                      <span className="font-medium text-gray-700">Due Date:</span>
-                      <p className={`${isOverdue(request.dueDate, request.status) ? 'text-red-600 font-medium' : 'text-gray-600'}`}>
-                        {formatDate(request.dueDate)}
-                      </p>
-                    </div>
+                    {columns.includes('equipment') && (
+                      <div>
+                        <span className="font-medium text-gray-700">Equipment:</span>
+                        <p className="text-gray-600">{request.equipment?.name || 'General'}</p>
+                      </div>
+                    )}
+                    {columns.includes('assignee') && (
+                      <div>
+                        <span className="font-medium text-gray-700">Assigned to:</span>
+                        <p className="text-gray-600">{request.assignedTo?.name || 'Unassigned'}</p>
+                      </div>
+                    )}
+                    {columns.includes('requester') && (
+                      <div>
+                        <span className="font-medium text-gray-700">Requested by:</span>
+                        <p className="text-gray-600">{request.requestedBy?.name}</p>
+                      </div>
+                    )}
+                    {columns.includes('dueDate') && (
+                      <div>
+                        <span className="font-medium text-gray-700">Due Date:</span>
+                        <p className={`${isOverdue(request.dueDate, request.status) ? 'text-red-600 font-medium' : 'text-gray-600'}`}>
+                          {formatDate(request.dueDate)}
+                        </p>
+                      </div>
+                    )}
                   </div>
 
                   {request.workLog && request.workLog.length > 0 && (
@@ -648,6 +1078,112 @@ const Maintenance = () => {
         </div>
       )}
 
+      {/* Job Plan Checklist Modal */}
+      {checklistRequest && (
+        <ChecklistModal
+          request={checklistRequest}
+          onClose={() => {
+            setChecklistRequest(null)
+            loadMaintenanceRequests()
+          }}
+        />
+      )}
+
+      {/* Sub-Work-Order Modal */}
+      {hierarchyRequest && (
+        <WorkOrderHierarchyModal
+          request={hierarchyRequest}
+          canCreate={user?.role !== 'employee'}
+          onClose={() => {
+            setHierarchyRequest(null)
+            loadMaintenanceRequests()
+          }}
+        />
+      )}
+
+      {/* Time Tracking Modal */}
+      {timeRequest && (
+        <TimeTrackingModal
+          request={timeRequest}
+          user={user}
+          onClose={() => {
+            setTimeRequest(null)
+            loadMaintenanceRequests()
+          }}
+        />
+      )}
+
+      {/* Attachments Modal */}
+      {attachmentsRequest && (
+        <AttachmentsModal
+          request={attachmentsRequest}
+          user={user}
+          onClose={() => {
+            setAttachmentsRequest(null)
+            loadMaintenanceRequests()
+          }}
+        />
+      )}
+
+      {/* Comments Modal */}
+      {commentsRequest && (
+        <CommentsModal
+          request={commentsRequest}
+          user={user}
+          onClose={() => setCommentsRequest(null)}
+        />
+      )}
+
+      {/* Activity Modal */}
+      {timelineRequest && (
+        <TimelineModal
+          request={timelineRequest}
+          onClose={() => setTimelineRequest(null)}
+        />
+      )}
+
+      {/* Failure Codes Modal */}
+      {failureCoding && (
+        <FailureCodesModal
+          request={failureCoding.request}
+          title={failureCoding.move ? 'Record what failed and how it was fixed to complete this request.' : null}
+          onClose={() => setFailureCoding(null)}
+          onSaved={() => {
+            const { move } = failureCoding
+            setFailureCoding(null)
+            if (move) {
+              moveRequest(move, true)
+            } else {
+              loadMaintenanceRequests()
+            }
+          }}
+        />
+      )}
+
+      {/* Feedback Modal */}
+      {feedbackRequest && (
+        <FeedbackModal
+          request={feedbackRequest}
+          onClose={() => setFeedbackRequest(null)}
+          onSubmitted={() => {
+            setFeedbackRequest(null)
+            loadMaintenanceRequests()
+          }}
+        />
+      )}
+
+      {/* Bulk Results Modal */}
+      {bulkOutcome && (
+        <BulkResultsModal
+          title="Bulk update"
+          outcome={bulkOutcome}
+          onClose={() => {
+            setBulkOutcome(null)
+            loadMaintenanceRequests()
+          }}
+        />
+      )}
+
       {/* Create Maintenance Modal */}
       {isCreateModalOpen && (
         <CreateMaintenanceModal
@@ -0,0 +1,319 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  FlatList,
+  Modal,
+  RefreshControl,
+  StyleSheet
+} from 'react-native';
+import { showMessage } from 'react-native-flash-message';
+import { maintenanceService } from '../services/maintenanceService';
+import { commonStyles, colors, spacing, typography } from '../utils/styles';
+
+const closedStatuses = ['Completed', 'Cancelled', 'Rejected'];
+
+const stepStatusStyle = (status) => {
+  switch (status) {
+    case 'Done':
+    case 'Passed': return [commonStyles.badgeSuccess, commonStyles.badgeTextSuccess];
+    case 'Failed': return [commonStyles.badgeError, commonStyles.badgeTextError];
+    case 'Skipped': return [commonStyles.badgePrimary, commonStyles.badgeTextPrimary];
+    default: return [commonStyles.badgeWarning, commonStyles.badgeTextWarning];
+  }
+};
+
+const formatRange = (item) => {
+  const unit = item.unit ? ` ${item.unit}` : '';
+  if (item.minValue != null && item.maxValue != null) return `${item.minValue}-${item.maxValue}${unit}`;
+  if (item.minValue != null) return `min ${item.minValue}${unit}`;
+  if (item.maxValue != null) return `max ${item.maxValue}${unit}`;
+  return '';
+};
+
+// Job plan checklist of one request, signed off step by step in the field
+const ChecklistSheet = ({ request, onClose }) => {
+  const [checklist, setChecklist] = useState(request.checklist || []);
+  const [values, setValues] = useState({});
+  const [notes, setNotes] = useState({});
+  const [savingId, setSavingId] = useState(null);
+
+  const isClosed = closedStatuses.includes(request.status);
+  const completed = checklist.filter(item => item.status !== 'Pending').length;
+
+  const handleSignOff = async (item, status) => {
+    const result = { note: notes[item._id] || undefined };
+    if (item.type === 'measurement' && status !== 'Skipped') {
+      if (values[item._id] === undefined || values[item._id] === '') {
+        showMessage({
+          message: `Enter a reading${item.unit ? ` in ${item.unit}` : ''} first`,
+          type: 'danger',
+        });
+        return;
+      }
+      result.value = parseFloat(values[item._id]);
+    } else {
+      result.status = status;
+    }
+
+    setSavingId(item._id);
+    try {
+      const response = await maintenanceService.signOffChecklistStep(request._id, item._id, result);
+      setChecklist(prev => prev.map(step => (step._id === item._id ? response.item : step)));
+      showMessage({
+        message: response.message,
+        type: response.followUpRequest ? 'warning' : 'success',
+      });
+    } catch (error) {
+      showMessage({
+        message: error.response?.data?.message || 'Failed to sign off step',
+        type: 'danger',
+      });
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const renderAction = (item, label, status, style = commonStyles.buttonPrimary) => (
+    <TouchableOpacity
+      style={[commonStyles.button, style, styles.stepButton]}
+      onPress={() => handleSignOff(item, status)}
+      disabled={savingId === item._id}
+    >
+      <Text style={[
+        commonStyles.buttonText,
+        style === commonStyles.buttonSecondary ? commonStyles.buttonTextSecondary : commonStyles.buttonTextPrimary
+      ]}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal visible animationType="slide" onRequestClose={onClose}>
+      <View style={commonStyles.container}>
+        <View style={styles.sheetHeader}>
+          <View style={{ flex: 1 }}>
+            <Text style={commonStyles.subtitle}>{request.jobPlan?.name || 'Checklist'}</Text>
+            <Text style={commonStyles.caption}>
+              {request.title} · {completed} of {checklist.length} steps signed off
+            </Text>
+          </View>
+          <TouchableOpacity onPress={onClose}>
+            <Text style={styles.closeText}>Close</Text>
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+          {checklist.map(item => {
+            const [badgeStyle, badgeTextStyle] = stepStatusStyle(item.status);
+            return (
+              <View key={item._id} style={[commonStyles.card, styles.stepCard]}>
+                <View style={styles.stepHeader}>
+                  <Text style={styles.stepTitle}>
+                    {item.order}. {item.title}
+                    {!item.required && <Text style={commonStyles.caption}> (optional)</Text>}
+                  </Text>
+                  <View style={[commonStyles.badge, badgeStyle]}>
+                    <Text style={[commonStyles.badgeText, badgeTextStyle]}>{item.status}</Text>
+                  </View>
+                </View>
+                {!!item.instructions && <Text style={commonStyles.body}>{item.instructions}</Text>}
+                {item.type === 'measurement' && (
+                  <Text style={commonStyles.caption}>Acceptable range: {formatRange(item)}</Text>
+                )}
+
+                {item.status !== 'Pending' && (
+                  <Text style={[commonStyles.caption, styles.stepResult]}>
+                    {item.value != null && `Reading: ${item.value}${item.unit ? ` ${item.unit}` : ''}. `}
+                    {item.note}
+                    {item.followUpRequest && <Text style={styles.followUp}> Follow-up request raised.</Text>}
+                  </Text>
+                )}
+
+                {!isClosed && (
+                  <View style={styles.stepForm}>
+                    {item.type === 'measurement' && (
+                      <TextInput
+                        style={[commonStyles.input, styles.stepInput]}
+                        value={values[item._id] ?? ''}
+                        onChangeText={(text) => setValues(prev => ({ ...prev, [item._id]: text }))}
+                        placeholder={item.unit || 'Value'}
+                        placeholderTextColor={colors.gray[400]}
+                        keyboardType="decimal-pad"
+                      />
+                    )}
+                    <TextInput
+                      style={[commonStyles.input, styles.stepInput]}
+                      value={notes[item._id] ?? ''}
+                      onChangeText={(text) => setNotes(prev => ({ ...prev, [item._id]: text }))}
+                      placeholder="Note (optional)"
+                      placeholderTextColor={colors.gray[400]}
+                    />
+                    <View style={styles.stepActions}>
+                      {item.type === 'task' && renderAction(item, 'Done', 'Done')}
+                      {item.type === 'check' && renderAction(item, 'Pass', 'Passed')}
+                      {item.type === 'check' && renderAction(item, 'Fail', 'Failed', commonStyles.buttonDanger)}
+                      {item.type === 'measurement' && renderAction(item, 'Record')}
+                      {!item.required && renderAction(item, 'Skip', 'Skipped', commonStyles.buttonSecondary)}
+                    </View>
+                  </View>
+                )}
+              </View>
+            );
+          })}
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+};
+
+const MaintenanceScreen = () => {
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [checklistRequest, setChecklistRequest] = useState(null);
+
+  useEffect(() => {
+    loadRequests();
+  }, []);
+
+  const loadRequests = async () => {
+    try {
+      setLoading(true);
+      const response = await maintenanceService.getAll();
+      setRequests(response.requests || []);
+    } catch (error) {
+      showMessage({
+        message: error.response?.data?.message || 'Failed to load maintenance requests',
+        type: 'danger',
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderRequest = ({ item: request }) => (
+    <View style={[commonStyles.card, styles.requestCard]}>
+      <Text style={commonStyles.caption}>{request.requestNumber} · {request.status}</Text>
+      <Text style={styles.requestTitle}>{request.title}</Text>
+      {!!request.equipment?.name && <Text style={commonStyles.caption}>{request.equipment.name}</Text>}
+      {request.checklistProgress && (
+        <TouchableOpacity onPress={() => setChecklistRequest(request)}>
+          <Text style={[
+            styles.checklistLink,
+            request.checklistProgress.outOfRange > 0 && { color: colors.red[600] }
+          ]}>
+            Checklist {request.checklistProgress.completed}/{request.checklistProgress.total}
+          </Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
+  return (
+    <View style={commonStyles.container}>
+      <FlatList
+        data={requests}
+        keyExtractor={request => request._id}
+        renderItem={renderRequest}
+        contentContainerStyle={styles.content}
+        refreshControl={<RefreshControl refreshing={loading} onRefresh={loadRequests} />}
+        ListEmptyComponent={loading ? null : (
+          <Text style={[commonStyles.body, styles.empty]}>No maintenance requests</Text>
+        )}
+      />
+
+      {checklistRequest && (
+        <ChecklistSheet
+          request={checklistRequest}
+          onClose={() => {
+            setChecklistRequest(null);
+            loadRequests();
+          }}
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  content: {
+    padding: spacing.md,
+  },
+  requestCard: {
+    padding: spacing.md,
+    marginBottom: spacing.sm,
+  },
+  requestTitle: {
+    fontSize: typography.base,
+    fontWeight: '600',
+    color: colors.gray[900],
+    marginVertical: spacing.xs,
+  },
+  checklistLink: {
+    fontSize: typography.sm,
+    fontWeight: '600',
+    color: colors.primary[600],
+    marginTop: spacing.sm,
+  },
+  empty: {
+    textAlign: 'center',
+    marginTop: spacing.xl,
+  },
+  sheetHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: spacing.md,
+    backgroundColor: colors.white,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.gray[200],
+  },
+  closeText: {
+    fontSize: typography.base,
+    color: colors.primary[600],
+    fontWeight: '600',
+  },
+  stepCard: {
+    padding: spacing.md,
+    marginBottom: spacing.md,
+  },
+  stepHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    marginBottom: spacing.xs,
+  },
+  stepTitle: {
+    flex: 1,
+    fontSize: typography.base,
+    fontWeight: '600',
+    color: colors.gray[900],
+    marginRight: spacing.sm,
+  },
+  stepResult: {
+    marginTop: spacing.sm,
+  },
+  followUp: {
+    color: colors.red[600],
+  },
+  stepForm: {
+    marginTop: spacing.md,
+    gap: spacing.sm,
+  },
+  stepInput: {
+    marginBottom: 0,
+  },
+  stepActions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+  },
+  stepButton: {
+    paddingHorizontal: spacing.md,
+  },
+});
+
+export default MaintenanceScreen;
\ No newline at end of file
@@ -0,0 +1,240 @@
+import React, { useState, useEffect } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import { CheckCircleIcon, ExclamationTriangleIcon, WrenchScrewdriverIcon } from '@heroicons/react/24/outline'
+import LoadingSpinner from '../components/ui/LoadingSpinner'
+import portalService from '../services/portalService'
+import toast from 'react-hot-toast'
+
+const MAX_PHOTOS = 3
+
+const inputClass = 'mt-1 appearance-none block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm'
+
+// Public "report a problem" page opened by scanning the QR label on a machine; works without logging in
+const Report = () => {
+  const { qrCode } = useParams()
+
+  const [equipment, setEquipment] = useState(null)
+  const [formToken, setFormToken] = useState('')
+  const [form, setForm] = useState({ title: '', description: '', name: '', email: '', website: '' })
+  const [photos, setPhotos] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [submitting, setSubmitting] = useState(false)
+  const [trackingToken, setTrackingToken] = useState(null)
+
+  useEffect(() => {
+    loadEquipment()
+  }, [qrCode])
+
+  const loadEquipment = async () => {
+    try {
+      const response = await portalService.getEquipment(qrCode)
+      setEquipment(response.equipment)
+      setFormToken(response.formToken)
+    } catch (error) {
+      setEquipment(null)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const setField = (field, value) => setForm(prev => ({ ...prev, [field]: value }))
+
+  const handlePhotos = (e) => {
+    const selected = Array.from(e.target.files || [])
+    if (selected.length > MAX_PHOTOS) {
+      toast.error(`You can attach up to ${MAX_PHOTOS} photos`)
+      e.target.value = ''
+      return
+    }
+    setPhotos(selected)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSubmitting(true)
+    try {
+      const response = await portalService.submitReport(qrCode, { ...form, formToken }, photos)
+      setTrackingToken(response.trackingToken)
+    } catch (error) {
+      const code = error.response?.data?.code
+      if (code === 'PORTAL_FORM_EXPIRED' || code === 'PORTAL_FORM_INVALID') {
+        // Hand out a fresh form token so the person can simply submit again
+        await loadEquipment()
+      }
+      toast.error(error.response?.data?.message || 'Failed to submit your report')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" />
+      </div>
+    )
+  }
+
+  if (!equipment || trackingToken) {
+    const trackingUrl = trackingToken ? `${window.location.origin}/track/${trackingToken}` : null
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div className="text-center">
+            {trackingToken ? (
+              <>
+                <CheckCircleIcon className="mx-auto h-16 w-16 text-green-500" />
+                <h2 className="mt-6 text-3xl font-extrabold text-gray-900">Thank You</h2>
+                <p className="mt-2 text-sm text-gray-600">
+                  Your report has been sent to the maintenance team. Keep this link to follow its progress:
+                </p>
+                <Link
+                  to={`/track/${trackingToken}`}
+                  className="mt-4 block text-sm font-medium text-indigo-600 hover:text-indigo-500 break-all"
+                >
+                  {trackingUrl}
+                </Link>
+                {form.email && (
+                  <p className="mt-2 text-xs text-gray-500">We have also emailed it to {form.email}.</p>
+                )}
+              </>
+            ) : (
+              <>
+                <ExclamationTriangleIcon className="mx-auto h-16 w-16 text-red-500" />
+                <h2 className="mt-6 text-3xl font-extrabold text-gray-900">Equipment Not Found</h2>
+                <p className="mt-2 text-sm text-gray-600">
+                  This code does not match any equipment in service. Please contact the maintenance team directly.
+                </p>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  const location = [equipment.location?.building, equipment.location?.floor, equipment.location?.room, equipment.location?.zone]
+    .filter(Boolean)
+    .join(' · ')
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <WrenchScrewdriverIcon className="mx-auto h-12 w-12 text-indigo-600" />
+          <h2 className="mt-4 text-3xl font-extrabold text-gray-900">Report a Problem</h2>
+          <p className="mt-2 text-sm font-medium text-gray-900">{equipment.name}</p>
+          <p className="text-sm text-gray-600">
+            {[equipment.assetTag, equipment.manufacturer, equipment.model].filter(Boolean).join(' · ')}
+          </p>
+          {location && <p className="text-sm text-gray-500">{location}</p>}
+          <p className="mt-2 text-xs text-gray-500">
+            Status: {equipment.status}
+            {equipment.openRequests > 0 && ` · ${equipment.openRequests} open maintenance request(s)`}
+          </p>
+        </div>
+
+        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+          <div>
+            <label htmlFor="title" className="block text-sm font-medium text-gray-700">
+              What is wrong?
+            </label>
+            <input
+              id="title"
+              type="text"
+              value={form.title}
+              onChange={(e) => setField('title', e.target.value)}
+              minLength={3}
+              maxLength={200}
+              required
+              className={inputClass}
+              placeholder="e.g. Machine makes a grinding noise"
+            />
+          </div>
+
+          <div>
+            <label htmlFor="description" className="block text-sm font-medium text-gray-700">
+              Details
+            </label>
+            <textarea
+              id="description"
+              value={form.description}
+              onChange={(e) => setField('description', e.target.value)}
+              rows={4}
+              minLength={10}
+              maxLength={2000}
+              required
+              className={inputClass}
+              placeholder="When did it start, what did you notice?"
+            />
+          </div>
+
+          <div>
+            <label htmlFor="photos" className="block text-sm font-medium text-gray-700">
+              Photos (optional, up to {MAX_PHOTOS})
+            </label>
+            <input
+              id="photos"
+              type="file"
+              accept="image/jpeg,image/png,image/gif,image/webp"
+              multiple
+              onChange={handlePhotos}
+              className="mt-1 block w-full text-sm text-gray-600"
+            />
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="name" className="block text-sm font-medium text-gray-700">
+                Your name (optional)
+              </label>
+              <input
+                id="name"
+                type="text"
+                value={form.name}
+                onChange={(e) => setField('name', e.target.value)}
+                maxLength={100}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                Email (optional)
+              </label>
+              <input
+                id="email"
+                type="email"
+                value={form.email}
+                onChange={(e) => setField('email', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          {/* Honeypot: hidden from people, so anything typed here comes from a bot */}
+          <div className="hidden" aria-hidden="true">
+            <label htmlFor="website">Website</label>
+            <input
+              id="website"
+              type="text"
+              tabIndex={-1}
+              autoComplete="off"
+              value={form.website}
+              onChange={(e) => setField('website', e.target.value)}
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={submitting}
+            className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+          >
+            {submitting ? 'Sending...' : 'Send Report'}
+          </button>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default Report
\ No newline at end of file
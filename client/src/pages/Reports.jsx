@@ -12,6 +12,8 @@ import {
   ExclamationTriangleIcon
 } from '@heroicons/react/24/outline';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
+import AvailabilityReport from '../components/equipment/AvailabilityReport';
+import FailureParetoReport from '../components/maintenance/FailureParetoReport';
 import { reportsService } from '../services/reportsService';
 import { useAuthStore } from '../stores/authStore';
 import toast from 'react-hot-toast';
@@ -111,6 +113,7 @@ const Reports = () => {
     { value: 'overview', label: 'Overview', icon: ChartBarIcon },
     { value: 'teams', label: 'Teams Performance', icon: UserGroupIcon },
     { value: 'equipment', label: 'Equipment Analytics', icon: WrenchScrewdriverIcon },
+    { value: 'failures', label: 'Failure Analysis', icon: ExclamationTriangleIcon },
     { value: 'timeline', label: 'Timeline Analysis', icon: CalendarIcon }
   ];
 
@@ -352,6 +355,8 @@ const Reports = () => {
 
       {selectedReport === 'equipment' && (
         <div className="space-y-6">
+          <AvailabilityReport period={selectedPeriod} />
+
           <div className="bg-white rounded-lg shadow-sm">
             <div className="px-6 py-4 border-b border-gray-200">
               <h3 className="text-lg font-medium text-gray-900">Equipment Category Analysis</h3>
@@ -422,6 +427,10 @@ const Reports = () => {
         </div>
       )}
 
+      {selectedReport === 'failures' && (
+        <FailureParetoReport period={selectedPeriod} />
+      )}
+
       {selectedReport === 'timeline' && (
         <div className="space-y-6">
           <div className="bg-white rounded-lg shadow-sm p-6">
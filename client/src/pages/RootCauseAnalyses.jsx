@@ -0,0 +1,328 @@
+import React, { useState, useEffect } from 'react'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
+import { PlusIcon, LightBulbIcon } from '@heroicons/react/24/outline'
+import LoadingSpinner from '../components/ui/LoadingSpinner'
+import rcaService from '../services/rcaService'
+import { equipmentService } from '../services/equipmentService'
+import { maintenanceService } from '../services/maintenanceService'
+import toast from 'react-hot-toast'
+
+const statuses = ['Suggested', 'Open', 'In Analysis', 'Actions In Progress', 'Closed', 'Dismissed']
+
+export const getRcaStatusColor = (status) => {
+  switch (status) {
+    case 'Suggested': return 'badge-warning'
+    case 'Open': return 'badge-primary'
+    case 'In Analysis': return 'badge-primary'
+    case 'Actions In Progress': return 'badge-warning'
+    case 'Closed': return 'badge-success'
+    default: return 'badge-gray'
+  }
+}
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '—')
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500'
+
+const emptyForm = { title: '', problemStatement: '', equipment: '', maintenanceRequests: [] }
+
+// Root cause analyses of repeat failures, with the corrective actions assigned to me
+const RootCauseAnalyses = () => {
+  const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
+  const equipmentFilter = searchParams.get('equipment') || ''
+
+  const [status, setStatus] = useState('')
+  const [mineOnly, setMineOnly] = useState(false)
+  const [rcas, setRcas] = useState([])
+  const [nextCursor, setNextCursor] = useState(null)
+  const [myActions, setMyActions] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  const [showForm, setShowForm] = useState(false)
+  const [form, setForm] = useState(emptyForm)
+  const [equipment, setEquipment] = useState([])
+  const [requests, setRequests] = useState([])
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    loadRcas()
+  }, [status, mineOnly, equipmentFilter])
+
+  useEffect(() => {
+    loadMyActions()
+  }, [])
+
+  // The corrective history of the chosen equipment, to link the repeat failures
+  useEffect(() => {
+    if (!form.equipment) {
+      setRequests([])
+      return
+    }
+    maintenanceService.getAll({ equipment: form.equipment, limit: 50 })
+      .then(response => setRequests((response.requests || []).filter(request => ['Corrective', 'Emergency'].includes(request.type))))
+      .catch(() => toast.error('Failed to load maintenance requests'))
+  }, [form.equipment])
+
+  const loadRcas = async (cursor) => {
+    try {
+      if (!cursor) setLoading(true)
+      const response = await rcaService.getRcas({
+        status: status || undefined,
+        owner: mineOnly ? 'me' : undefined,
+        equipment: equipmentFilter || undefined,
+        cursor,
+        limit: 25
+      })
+      setRcas(prev => (cursor ? [...prev, ...response.rcas] : response.rcas))
+      setNextCursor(response.pagination?.nextCursor || null)
+    } catch (error) {
+      console.error('Error loading root cause analyses:', error)
+      toast.error('Failed to load root cause analyses')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadMyActions = async () => {
+    try {
+      const response = await rcaService.getMyActions()
+      setMyActions(response.actions)
+    } catch (error) {
+      console.error('Error loading corrective actions:', error)
+    }
+  }
+
+  const openForm = async () => {
+    setForm({ ...emptyForm, equipment: equipmentFilter })
+    setShowForm(true)
+    if (equipment.length === 0) {
+      try {
+        const response = await equipmentService.getEquipment()
+        setEquipment(response.equipment || response || [])
+      } catch (error) {
+        toast.error('Failed to load equipment')
+      }
+    }
+  }
+
+  const toggleRequest = (id) => {
+    setForm(prev => ({
+      ...prev,
+      maintenanceRequests: prev.maintenanceRequests.includes(id)
+        ? prev.maintenanceRequests.filter(entry => entry !== id)
+        : [...prev.maintenanceRequests, id]
+    }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    try {
+      const response = await rcaService.createRca({
+        title: form.title,
+        problemStatement: form.problemStatement,
+        equipment: form.equipment ? [form.equipment] : [],
+        maintenanceRequests: form.maintenanceRequests
+      })
+      toast.success(response.message)
+      navigate(`/rcas/${response.rca._id}`)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create root cause analysis')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Root Cause Analysis</h1>
+          <p className="text-gray-600 mt-1">
+            Work back from repeat failures to their cause and track the actions that fix it.
+          </p>
+        </div>
+        <button onClick={openForm} className="btn btn-primary flex items-center">
+          <PlusIcon className="w-4 h-4 mr-2" />
+          New RCA
+        </button>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="card space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900">New root cause analysis</h2>
+          <input
+            value={form.title}
+            onChange={(e) => setForm({ ...form, title: e.target.value })}
+            minLength={3}
+            maxLength={200}
+            required
+            placeholder="Title (e.g. Repeated seal leaks on pump P-101)"
+            className={inputClass}
+          />
+          <textarea
+            value={form.problemStatement}
+            onChange={(e) => setForm({ ...form, problemStatement: e.target.value })}
+            rows={3}
+            maxLength={2000}
+            placeholder="Problem statement (optional)"
+            className={inputClass}
+          />
+          <select
+            value={form.equipment}
+            onChange={(e) => setForm({ ...form, equipment: e.target.value, maintenanceRequests: [] })}
+            required
+            className={inputClass}
+          >
+            <option value="">Select equipment</option>
+            {equipment.map(item => (
+              <option key={item._id} value={item._id}>
+                {item.name}{item.assetTag ? ` (${item.assetTag})` : ''}
+              </option>
+            ))}
+          </select>
+          {form.equipment && (
+            <div>
+              <p className="text-sm text-gray-700 mb-2">Corrective requests to investigate</p>
+              {requests.length === 0 ? (
+                <p className="text-sm text-gray-500">No corrective or emergency requests on this equipment.</p>
+              ) : (
+                <div className="max-h-48 overflow-y-auto space-y-1">
+                  {requests.map(request => (
+                    <label key={request._id} className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={form.maintenanceRequests.includes(request._id)}
+                        onChange={() => toggleRequest(request._id)}
+                        className="mr-2"
+                      />
+                      {request.requestNumber} · {request.title}
+                      <span className="ml-2 text-xs text-gray-500">{request.status} · {formatDate(request.createdAt)}</span>
+                    </label>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+          <div className="flex justify-end space-x-3">
+            <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary text-xs">
+              Cancel
+            </button>
+            <button type="submit" disabled={saving} className="btn btn-primary text-xs disabled:opacity-50">
+              {saving ? 'Creating...' : 'Create'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {myActions.length > 0 && (
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-3">My corrective actions</h2>
+          <ul className="divide-y divide-gray-200">
+            {myActions.map(action => (
+              <li key={action._id} className="py-2 flex items-center justify-between text-sm">
+                <div>
+                  <span className="font-medium text-gray-900">{action.title}</span>
+                  <Link to={`/rcas/${action.rca._id}`} className="ml-2 text-primary-600 hover:underline">
+                    {action.rca.rcaNumber}
+                  </Link>
+                </div>
+                <span className={action.overdue ? 'text-red-600 font-medium' : 'text-gray-600'}>
+                  {action.status} · due {formatDate(action.dueDate)}{action.overdue ? ' (overdue)' : ''}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        {['', ...statuses].map(option => (
+          <button
+            key={option || 'all'}
+            onClick={() => setStatus(option)}
+            className={`btn text-xs ${status === option ? 'btn-primary' : 'btn-secondary'}`}
+          >
+            {option || 'All'}
+          </button>
+        ))}
+        <label className="flex items-center text-sm text-gray-700 ml-2">
+          <input
+            type="checkbox"
+            checked={mineOnly}
+            onChange={(e) => setMineOnly(e.target.checked)}
+            className="mr-2"
+          />
+          Owned by me
+        </label>
+        {equipmentFilter && (
+          <Link to="/rcas" className="text-sm text-primary-600 hover:underline ml-2">
+            Clear equipment filter
+          </Link>
+        )}
+      </div>
+
+      <div className="card">
+        {loading ? (
+          <div className="flex justify-center items-center h-32">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : rcas.length === 0 ? (
+          <div className="text-center py-12">
+            <LightBulbIcon className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-500 text-lg">No root cause analyses</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead className="table-header">
+                <tr>
+                  <th className="table-header-cell">RCA</th>
+                  <th className="table-header-cell">Equipment</th>
+                  <th className="table-header-cell">Owner</th>
+                  <th className="table-header-cell">Status</th>
+                  <th className="table-header-cell">Actions</th>
+                  <th className="table-header-cell">Created</th>
+                </tr>
+              </thead>
+              <tbody className="table-body">
+                {rcas.map(rca => (
+                  <tr key={rca._id} className="hover:bg-gray-50 cursor-pointer" onClick={() => navigate(`/rcas/${rca._id}`)}>
+                    <td className="table-cell">
+                      <div className="font-medium text-gray-900">{rca.rcaNumber}</div>
+                      <div className="text-xs text-gray-500">{rca.title}</div>
+                    </td>
+                    <td className="table-cell">
+                      {rca.equipment.map(item => item.name).join(', ') || '—'}
+                    </td>
+                    <td className="table-cell">{rca.owner?.name || 'Unassigned'}</td>
+                    <td className="table-cell">
+                      <span className={`badge ${getRcaStatusColor(rca.status)}`}>{rca.status}</span>
+                    </td>
+                    <td className="table-cell">
+                      {rca.actions.open} open of {rca.actions.total}
+                      {rca.actions.overdue > 0 && (
+                        <span className="ml-2 text-red-600 font-medium">{rca.actions.overdue} overdue</span>
+                      )}
+                    </td>
+                    <td className="table-cell">{formatDate(rca.createdAt)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {nextCursor && !loading && (
+          <div className="text-center pt-4">
+            <button onClick={() => loadRcas(nextCursor)} className="btn btn-secondary text-xs">
+              Load more
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default RootCauseAnalyses
\ No newline at end of file
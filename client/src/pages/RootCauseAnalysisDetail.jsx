@@ -0,0 +1,488 @@
+import React, { useState, useEffect } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { PlusIcon, TrashIcon, ArrowLeftIcon } from '@heroicons/react/24/outline'
+import LoadingSpinner from '../components/ui/LoadingSpinner'
+import rcaService from '../services/rcaService'
+import { getRcaStatusColor } from './RootCauseAnalyses'
+import { useAuthStore } from '../stores/authStore'
+import toast from 'react-hot-toast'
+
+// The 6M headings of the fishbone diagram
+const fishboneCategories = ['People', 'Methods', 'Machines', 'Materials', 'Measurements', 'Environment']
+const actionStatuses = ['Open', 'In Progress', 'Done', 'Cancelled']
+const lockedStatuses = ['Closed', 'Dismissed']
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '—')
+
+const isOverdue = (action) =>
+  !['Done', 'Cancelled'].includes(action.status) && new Date(action.dueDate) < new Date()
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500'
+
+const emptyAction = { title: '', description: '', owner: '', dueDate: '' }
+
+// One root cause analysis: its linked failures, 5 Whys, fishbone, root cause and corrective actions
+const RootCauseAnalysisDetail = () => {
+  const { id } = useParams()
+  const { user } = useAuthStore()
+
+  const [rca, setRca] = useState(null)
+  const [canEdit, setCanEdit] = useState(false)
+  const [nextStatuses, setNextStatuses] = useState([])
+  const [owners, setOwners] = useState([])
+  const [analysis, setAnalysis] = useState(null)
+  const [newCauses, setNewCauses] = useState({})
+  const [actionForm, setActionForm] = useState(emptyAction)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    loadRca()
+    rcaService.getOwners()
+      .then(response => setOwners(response.owners))
+      .catch(() => setOwners([]))
+  }, [id])
+
+  const loadRca = async () => {
+    try {
+      const response = await rcaService.getRca(id)
+      setRca(response.rca)
+      setCanEdit(response.canEdit)
+      setNextStatuses(response.nextStatuses || [])
+      setAnalysis({
+        problemStatement: response.rca.problemStatement || '',
+        fiveWhys: response.rca.fiveWhys.map(({ question, answer }) => ({ question, answer: answer || '' })),
+        fishbone: response.rca.fishbone.map(({ category, cause }) => ({ category, cause })),
+        rootCause: response.rca.rootCause || ''
+      })
+    } catch (error) {
+      console.error('Error loading root cause analysis:', error)
+      toast.error(error.response?.data?.message || 'Failed to load root cause analysis')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Every change reloads the RCA so the status buttons and permissions stay in step
+  const run = async (request, fallback) => {
+    setSaving(true)
+    try {
+      const response = await request()
+      toast.success(response.message)
+      await loadRca()
+      return true
+    } catch (error) {
+      toast.error(error.response?.data?.message || fallback)
+      return false
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleStatus = (status) => {
+    let reason
+    if (status === 'Dismissed') {
+      reason = window.prompt('Why is this RCA being dismissed?')
+      if (!reason) return
+    }
+    run(() => rcaService.changeStatus(id, status, reason), 'Failed to change status')
+  }
+
+  const handleOwner = (owner) => {
+    run(() => rcaService.updateRca(id, { owner: owner || null }), 'Failed to change owner')
+  }
+
+  const handleSaveAnalysis = () => {
+    run(() => rcaService.updateRca(id, {
+      ...analysis,
+      fiveWhys: analysis.fiveWhys.filter(why => why.question.trim())
+    }), 'Failed to save analysis')
+  }
+
+  const updateWhy = (index, field, value) => {
+    setAnalysis(prev => ({
+      ...prev,
+      fiveWhys: prev.fiveWhys.map((why, i) => (i === index ? { ...why, [field]: value } : why))
+    }))
+  }
+
+  // Each why starts from the previous answer
+  const addWhy = () => {
+    setAnalysis(prev => {
+      const last = prev.fiveWhys[prev.fiveWhys.length - 1]
+      const question = last?.answer ? `Why ${last.answer.charAt(0).toLowerCase()}${last.answer.slice(1)}?` : ''
+      return { ...prev, fiveWhys: [...prev.fiveWhys, { question, answer: '' }] }
+    })
+  }
+
+  const removeWhy = (index) => {
+    setAnalysis(prev => ({ ...prev, fiveWhys: prev.fiveWhys.filter((_, i) => i !== index) }))
+  }
+
+  const addCause = (category) => {
+    const cause = (newCauses[category] || '').trim()
+    if (!cause) return
+    setAnalysis(prev => ({ ...prev, fishbone: [...prev.fishbone, { category, cause }] }))
+    setNewCauses(prev => ({ ...prev, [category]: '' }))
+  }
+
+  const removeCause = (entry) => {
+    setAnalysis(prev => ({ ...prev, fishbone: prev.fishbone.filter(other => other !== entry) }))
+  }
+
+  const handleAddAction = async (e) => {
+    e.preventDefault()
+    const added = await run(() => rcaService.addAction(id, actionForm), 'Failed to add corrective action')
+    if (added) setActionForm(emptyAction)
+  }
+
+  const handleActionStatus = (action, status) => {
+    run(() => rcaService.updateAction(id, action._id, { status }), 'Failed to update corrective action')
+  }
+
+  const handleRemoveAction = (action) => {
+    if (!window.confirm(`Remove "${action.title}"? Cancel it instead to keep it on record.`)) return
+    run(() => rcaService.removeAction(id, action._id), 'Failed to remove corrective action')
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <LoadingSpinner size="lg" />
+      </div>
+    )
+  }
+
+  if (!rca) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-gray-500">Root cause analysis not found</p>
+      </div>
+    )
+  }
+
+  const editable = canEdit && !lockedStatuses.includes(rca.status)
+
+  return (
+    <div className="max-w-7xl mx-auto space-y-6">
+      <Link to="/rcas" className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900">
+        <ArrowLeftIcon className="w-4 h-4 mr-1" />
+        Root Cause Analysis
+      </Link>
+
+      {/* Header */}
+      <div className="card space-y-4">
+        <div className="flex justify-between items-start">
+          <div>
+            <div className="flex items-center space-x-3">
+              <h1 className="text-2xl font-bold text-gray-900">{rca.rcaNumber}</h1>
+              <span className={`badge ${getRcaStatusColor(rca.status)}`}>{rca.status}</span>
+            </div>
+            <p className="text-lg text-gray-800 mt-1">{rca.title}</p>
+            {rca.suggestion?.correctiveCount && (
+              <p className="text-sm text-yellow-700 mt-1">
+                Suggested after {rca.suggestion.correctiveCount} corrective requests in {rca.suggestion.windowDays} days
+              </p>
+            )}
+            {rca.statusReason && <p className="text-sm text-gray-600 mt-1">Reason: {rca.statusReason}</p>}
+          </div>
+          {canEdit && nextStatuses.length > 0 && (
+            <div className="flex flex-wrap gap-2 justify-end">
+              {nextStatuses.map(status => (
+                <button
+                  key={status}
+                  onClick={() => handleStatus(status)}
+                  disabled={saving}
+                  className={`btn text-xs disabled:opacity-50 ${status === 'Dismissed' ? 'btn-secondary' : 'btn-primary'}`}
+                >
+                  {rca.status === 'Suggested' && status === 'Open' ? 'Pick up' : `Move to ${status}`}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm text-gray-700">
+          <div>
+            <p className="text-xs text-gray-500 uppercase mb-1">Owner</p>
+            {editable ? (
+              <select value={rca.owner?._id || ''} onChange={(e) => handleOwner(e.target.value)} className={inputClass}>
+                <option value="">Unassigned</option>
+                {owners.map(owner => (
+                  <option key={owner._id} value={owner._id}>{owner.name}</option>
+                ))}
+              </select>
+            ) : (
+              rca.owner?.name || 'Unassigned'
+            )}
+          </div>
+          <div>
+            <p className="text-xs text-gray-500 uppercase mb-1">Failure code</p>
+            {rca.failureCode ? `${rca.failureCode.code} · ${rca.failureCode.name}` : '—'}
+          </div>
+          <div>
+            <p className="text-xs text-gray-500 uppercase mb-1">Opened</p>
+            {formatDate(rca.createdAt)}{rca.createdBy ? ` by ${rca.createdBy.name}` : ''}
+            {rca.closedAt && ` · ${rca.status.toLowerCase()} ${formatDate(rca.closedAt)}`}
+          </div>
+        </div>
+      </div>
+
+      {/* Linked equipment and requests */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-3">Equipment</h2>
+          <ul className="space-y-1 text-sm">
+            {rca.equipment.map(item => (
+              <li key={item._id}>
+                <Link to={`/equipment/${item._id}`} className="text-primary-600 hover:underline">{item.name}</Link>
+                <span className="text-gray-500"> · {[item.assetTag, item.category].filter(Boolean).join(' · ')}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-3">Maintenance requests</h2>
+          {rca.maintenanceRequests.length === 0 ? (
+            <p className="text-sm text-gray-500">No requests linked.</p>
+          ) : (
+            <ul className="space-y-1 text-sm">
+              {rca.maintenanceRequests.map(request => (
+                <li key={request._id}>
+                  <span className="font-medium text-gray-900">{request.requestNumber}</span>
+                  <span className="text-gray-700"> · {request.title}</span>
+                  <span className="text-xs text-gray-500 ml-2">
+                    {request.type} · {request.status} · {formatDate(request.completedAt || request.createdAt)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      {/* Analysis */}
+      <div className="card space-y-6">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-900">Analysis</h2>
+          {editable && (
+            <button onClick={handleSaveAnalysis} disabled={saving} className="btn btn-primary text-xs disabled:opacity-50">
+              {saving ? 'Saving...' : 'Save analysis'}
+            </button>
+          )}
+        </div>
+
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-1">Problem statement</p>
+          <textarea
+            value={analysis.problemStatement}
+            onChange={(e) => setAnalysis({ ...analysis, problemStatement: e.target.value })}
+            disabled={!editable}
+            rows={3}
+            maxLength={2000}
+            className={inputClass}
+          />
+        </div>
+
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-2">5 Whys</p>
+          <ol className="space-y-2">
+            {analysis.fiveWhys.map((why, index) => (
+              <li key={index} className="grid grid-cols-1 md:grid-cols-2 gap-2 items-start">
+                <input
+                  value={why.question}
+                  onChange={(e) => updateWhy(index, 'question', e.target.value)}
+                  disabled={!editable}
+                  maxLength={500}
+                  placeholder={`Why ${index + 1}?`}
+                  className={inputClass}
+                />
+                <div className="flex items-center gap-2">
+                  <input
+                    value={why.answer}
+                    onChange={(e) => updateWhy(index, 'answer', e.target.value)}
+                    disabled={!editable}
+                    maxLength={1000}
+                    placeholder="Because..."
+                    className={inputClass}
+                  />
+                  {editable && (
+                    <button onClick={() => removeWhy(index)} className="text-red-600 hover:text-red-800" title="Remove">
+                      <TrashIcon className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ol>
+          {editable && analysis.fiveWhys.length < 10 && (
+            <button onClick={addWhy} className="mt-2 text-xs text-primary-600 hover:underline flex items-center">
+              <PlusIcon className="w-3 h-3 mr-1" />
+              Ask why
+            </button>
+          )}
+        </div>
+
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-2">Fishbone</p>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {fishboneCategories.map(category => (
+              <div key={category} className="border border-gray-200 rounded-md p-3">
+                <p className="text-xs font-medium text-gray-500 uppercase mb-2">{category}</p>
+                <ul className="space-y-1 text-sm text-gray-800">
+                  {analysis.fishbone.filter(entry => entry.category === category).map((entry, index) => (
+                    <li key={index} className="flex items-center justify-between">
+                      <span>{entry.cause}</span>
+                      {editable && (
+                        <button onClick={() => removeCause(entry)} className="text-red-600 hover:text-red-800" title="Remove">
+                          <TrashIcon className="w-3 h-3" />
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+                {editable && (
+                  <input
+                    value={newCauses[category] || ''}
+                    onChange={(e) => setNewCauses({ ...newCauses, [category]: e.target.value })}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') {
+                        e.preventDefault()
+                        addCause(category)
+                      }
+                    }}
+                    maxLength={300}
+                    placeholder="Add a cause and press Enter"
+                    className={`${inputClass} mt-2 text-xs`}
+                  />
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-1">Root cause</p>
+          <textarea
+            value={analysis.rootCause}
+            onChange={(e) => setAnalysis({ ...analysis, rootCause: e.target.value })}
+            disabled={!editable}
+            rows={3}
+            maxLength={2000}
+            placeholder="The cause the corrective actions address"
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      {/* Corrective actions */}
+      <div className="card space-y-4">
+        <h2 className="text-lg font-semibold text-gray-900">Corrective actions</h2>
+        {rca.correctiveActions.length === 0 ? (
+          <p className="text-sm text-gray-500">No corrective actions yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead className="table-header">
+                <tr>
+                  <th className="table-header-cell">Action</th>
+                  <th className="table-header-cell">Owner</th>
+                  <th className="table-header-cell">Due</th>
+                  <th className="table-header-cell">Status</th>
+                  <th className="table-header-cell"></th>
+                </tr>
+              </thead>
+              <tbody className="table-body">
+                {rca.correctiveActions.map(action => {
+                  const canUpdate = !lockedStatuses.includes(rca.status) && (canEdit || action.owner?._id === user?._id)
+                  return (
+                    <tr key={action._id}>
+                      <td className="table-cell">
+                        <div className="font-medium text-gray-900">{action.title}</div>
+                        {action.description && <div className="text-xs text-gray-500 whitespace-normal">{action.description}</div>}
+                      </td>
+                      <td className="table-cell">{action.owner?.name || '—'}</td>
+                      <td className={`table-cell ${isOverdue(action) ? 'text-red-600 font-medium' : ''}`}>
+                        {formatDate(action.dueDate)}{isOverdue(action) ? ' (overdue)' : ''}
+                      </td>
+                      <td className="table-cell">
+                        {canUpdate ? (
+                          <select
+                            value={action.status}
+                            onChange={(e) => handleActionStatus(action, e.target.value)}
+                            disabled={saving}
+                            className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                          >
+                            {actionStatuses.map(status => (
+                              <option key={status} value={status}>{status}</option>
+                            ))}
+                          </select>
+                        ) : (
+                          action.status
+                        )}
+                        {action.completedAt && <div className="text-xs text-gray-500">{formatDate(action.completedAt)}</div>}
+                      </td>
+                      <td className="table-cell">
+                        {editable && (
+                          <button onClick={() => handleRemoveAction(action)} className="text-red-600 hover:text-red-800" title="Remove">
+                            <TrashIcon className="w-4 h-4" />
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {editable && (
+          <form onSubmit={handleAddAction} className="grid grid-cols-1 md:grid-cols-4 gap-3 items-start">
+            <input
+              value={actionForm.title}
+              onChange={(e) => setActionForm({ ...actionForm, title: e.target.value })}
+              minLength={3}
+              maxLength={200}
+              required
+              placeholder="New corrective action"
+              className={`${inputClass} md:col-span-2`}
+            />
+            <select
+              value={actionForm.owner}
+              onChange={(e) => setActionForm({ ...actionForm, owner: e.target.value })}
+              required
+              className={inputClass}
+            >
+              <option value="">Owner</option>
+              {owners.map(owner => (
+                <option key={owner._id} value={owner._id}>{owner.name}</option>
+              ))}
+            </select>
+            <input
+              type="date"
+              value={actionForm.dueDate}
+              onChange={(e) => setActionForm({ ...actionForm, dueDate: e.target.value })}
+              required
+              className={inputClass}
+            />
+            <textarea
+              value={actionForm.description}
+              onChange={(e) => setActionForm({ ...actionForm, description: e.target.value })}
+              rows={2}
+              maxLength={1000}
+              placeholder="Description (optional)"
+              className={`${inputClass} md:col-span-3`}
+            />
+            <button type="submit" disabled={saving} className="btn btn-primary text-xs disabled:opacity-50 flex items-center justify-center">
+              <PlusIcon className="w-4 h-4 mr-1" />
+              Add action
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default RootCauseAnalysisDetail
\ No newline at end of file
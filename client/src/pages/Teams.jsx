@@ -110,7 +110,7 @@ const Teams = () => {
               </div>
 
               {/* Team Stats */}
-              <div className="grid grid-cols-2 gap-4 mb-4">
+              <div className="grid grid-cols-3 gap-4 mb-4">
                 <div className="text-center">
                   <div className="text-2xl font-bold text-gray-900">{team.stats.activeMembers}</div>
                   <div className="text-sm text-gray-600">Active Members</div>
@@ -119,6 +119,12 @@ const Teams = () => {
                   <div className="text-2xl font-bold text-gray-900">{team.stats.equipmentCount}</div>
                   <div className="text-sm text-gray-600">Equipment</div>
                 </div>
+                <div className="text-center" title={`${team.performance?.feedbackCount || 0} ratings`}>
+                  <div className="text-2xl font-bold text-gray-900">
+                    {team.performance?.feedbackCount > 0 ? team.performance.customerSatisfaction.toFixed(1) : '–'}
+                  </div>
+                  <div className="text-sm text-gray-600">Satisfaction</div>
+                </div>
               </div>
 
               {/* Team Members */}
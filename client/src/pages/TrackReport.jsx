@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react'
+import { useParams } from 'react-router-dom'
+import { CheckCircleIcon, ClockIcon, ExclamationTriangleIcon, XCircleIcon } from '@heroicons/react/24/outline'
+import LoadingSpinner from '../components/ui/LoadingSpinner'
+import portalService from '../services/portalService'
+
+const formatDate = (date) => new Date(date).toLocaleString()
+
+// Tracking page for a problem reported from an equipment's public page; works without logging in
+const TrackReport = () => {
+  const { token } = useParams()
+
+  const [report, setReport] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    loadReport()
+  }, [token])
+
+  const loadReport = async () => {
+    try {
+      const response = await portalService.track(token)
+      setReport(response.report)
+    } catch (error) {
+      setReport(null)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" />
+      </div>
+    )
+  }
+
+  if (!report) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full text-center">
+          <ExclamationTriangleIcon className="mx-auto h-16 w-16 text-red-500" />
+          <h2 className="mt-6 text-3xl font-extrabold text-gray-900">Link Not Valid</h2>
+          <p className="mt-2 text-sm text-gray-600">We could not find a report for this tracking link.</p>
+        </div>
+      </div>
+    )
+  }
+
+  const request = report.request
+  let headline
+  if (report.status === 'pending') {
+    headline = { icon: ClockIcon, color: 'text-yellow-500', title: 'Awaiting Review', text: 'The maintenance team has not reviewed your report yet.' }
+  } else if (report.status === 'rejected') {
+    headline = { icon: XCircleIcon, color: 'text-gray-400', title: 'Closed', text: 'The maintenance team closed your report without opening a request.' }
+  } else if (request?.status === 'Completed') {
+    headline = { icon: CheckCircleIcon, color: 'text-green-500', title: 'Fixed', text: `The work was completed on ${formatDate(request.completedAt)}.` }
+  } else {
+    headline = { icon: CheckCircleIcon, color: 'text-indigo-500', title: 'Being Handled', text: 'Your report was accepted and the maintenance team is working on it.' }
+  }
+  const HeadlineIcon = headline.icon
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <HeadlineIcon className={`mx-auto h-16 w-16 ${headline.color}`} />
+          <h2 className="mt-6 text-3xl font-extrabold text-gray-900">{headline.title}</h2>
+          <p className="mt-2 text-sm text-gray-600">{headline.text}</p>
+        </div>
+
+        <div className="bg-white shadow rounded-lg p-6 space-y-3 text-sm">
+          <div>
+            <div className="text-gray-500">Problem</div>
+            <div className="font-medium text-gray-900">{report.title}</div>
+          </div>
+          {report.equipment && (
+            <div>
+              <div className="text-gray-500">Equipment</div>
+              <div className="font-medium text-gray-900">
+                {report.equipment.name}{report.equipment.assetTag && ` (${report.equipment.assetTag})`}
+              </div>
+            </div>
+          )}
+          <div>
+            <div className="text-gray-500">Reported</div>
+            <div className="text-gray-900">{formatDate(report.submittedAt)}</div>
+          </div>
+          {request && (
+            <div>
+              <div className="text-gray-500">Maintenance request</div>
+              <div className="text-gray-900">
+                <span className="font-mono">{request.requestNumber}</span> · {request.status}
+              </div>
+              {request.scheduledDate && request.status !== 'Completed' && (
+                <div className="text-xs text-gray-500">Scheduled for {formatDate(request.scheduledDate)}</div>
+              )}
+            </div>
+          )}
+          {report.note && (
+            <div>
+              <div className="text-gray-500">Message from the maintenance team</div>
+              <div className="text-gray-900">{report.note}</div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TrackReport
\ No newline at end of file
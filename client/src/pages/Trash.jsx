@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react'
+import { ArrowUturnLeftIcon, TrashIcon } from '@heroicons/react/24/outline'
+import LoadingSpinner from '../components/ui/LoadingSpinner'
+import trashService from '../services/trashService'
+import toast from 'react-hot-toast'
+
+const types = [
+  { value: 'equipment', label: 'Equipment' },
+  { value: 'teams', label: 'Teams' },
+  { value: 'users', label: 'Users' },
+  { value: 'workshops', label: 'Workshops' }
+]
+
+const formatDate = (date) => (date ? new Date(date).toLocaleString() : '—')
+
+// The second line under a deleted record's name, per type
+const describe = (type, item) => {
+  if (type === 'equipment') return [item.assetTag, item.serialNumber, item.category].filter(Boolean).join(' · ')
+  if (type === 'teams') return item.specialization
+  if (type === 'users') return [item.email, item.role].filter(Boolean).join(' · ')
+  return item.code
+}
+
+// Deleted equipment, teams, users and workshops, until they are restored or purged
+const Trash = () => {
+  const [type, setType] = useState('equipment')
+  const [items, setItems] = useState([])
+  const [counts, setCounts] = useState({})
+  const [retentionDays, setRetentionDays] = useState(null)
+  const [nextCursor, setNextCursor] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [busyId, setBusyId] = useState(null)
+
+  useEffect(() => {
+    loadTrash()
+  }, [type])
+
+  const loadTrash = async (cursor) => {
+    try {
+      if (!cursor) setLoading(true)
+      const response = await trashService.getTrash({ type, cursor, limit: 25 })
+      setItems(prev => (cursor ? [...prev, ...response.items] : response.items))
+      setCounts(response.counts || {})
+      setRetentionDays(response.retentionDays)
+      setNextCursor(response.pagination?.nextCursor || null)
+    } catch (error) {
+      console.error('Error loading trash:', error)
+      toast.error('Failed to load trash')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const removeItem = (item) => {
+    setItems(prev => prev.filter(other => other._id !== item._id))
+    setCounts(prev => ({ ...prev, [type]: Math.max((prev[type] || 1) - 1, 0) }))
+  }
+
+  const handleRestore = async (item) => {
+    setBusyId(item._id)
+    try {
+      const response = await trashService.restore(type, item._id)
+      toast.success(response.message)
+      removeItem(item)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to restore record')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handlePurge = async (item) => {
+    if (!window.confirm(`Delete "${item.name}" permanently? This cannot be undone.`)) return
+    setBusyId(item._id)
+    try {
+      const response = await trashService.purge(type, item._id)
+      toast.success(response.message)
+      removeItem(item)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete record')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Trash</h1>
+        <p className="text-gray-600 mt-1">
+          Deleted records can be restored until they are purged
+          {retentionDays ? ` ${retentionDays} days after deletion` : ''}.
+        </p>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {types.map(option => (
+          <button
+            key={option.value}
+            onClick={() => setType(option.value)}
+            className={`btn text-xs ${type === option.value ? 'btn-primary' : 'btn-secondary'}`}
+          >
+            {option.label} ({counts[option.value] || 0})
+          </button>
+        ))}
+      </div>
+
+      <div className="card">
+        {loading ? (
+          <div className="flex justify-center items-center h-32">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : items.length === 0 ? (
+          <div className="text-center py-12">
+            <TrashIcon className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-500 text-lg">Nothing in the trash</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Name
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Deleted
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Purged On
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {items.map((item) => (
+                  <tr key={item._id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">{item.name}</div>
+                      <div className="text-sm text-gray-500">{describe(type, item)}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm text-gray-900">{formatDate(item.deletedAt)}</div>
+                      <div className="text-sm text-gray-500">{item.deletedBy?.name || 'Unknown'}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {item.purgeAt ? formatDate(item.purgeAt) : 'Kept until purged'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="flex items-center gap-3">
+                        <button
+                          onClick={() => handleRestore(item)}
+                          disabled={busyId === item._id}
+                          className="text-primary-600 hover:text-primary-800 disabled:opacity-50"
+                          title="Restore"
+                        >
+                          <ArrowUturnLeftIcon className="w-5 h-5" />
+                        </button>
+                        <button
+                          onClick={() => handlePurge(item)}
+                          disabled={busyId === item._id}
+                          className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                          title="Delete permanently"
+                        >
+                          <TrashIcon className="w-5 h-5" />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {nextCursor && (
+        <div className="flex justify-center">
+          <button onClick={() => loadTrash(nextCursor)} className="btn btn-secondary text-xs">
+            Load more
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Trash
\ No newline at end of file
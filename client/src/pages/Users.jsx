@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react'
+import { useSearchParams } from 'react-router-dom'
 import { PlusIcon, MagnifyingGlassIcon, UserIcon, TrashIcon, PencilIcon, BuildingOfficeIcon, EnvelopeIcon } from '@heroicons/react/24/outline'
 import LoadingSpinner from '../components/ui/LoadingSpinner'
 import CreateUserModal from '../components/CreateUserModal'
@@ -11,7 +12,8 @@ const Users = () => {
   const [users, setUsers] = useState([])
   const [workshops, setWorkshops] = useState([])
   const [loading, setLoading] = useState(true)
-  const [searchTerm, setSearchTerm] = useState('')
+  const [searchParams] = useSearchParams()
+  const [searchTerm, setSearchTerm] = useState(searchParams.get('search') || '')
   const [selectedRole, setSelectedRole] = useState('all')
   const [selectedWorkshop, setSelectedWorkshop] = useState('all')
   const [isCreateModalOpen, setIsCreateModalOpen] = useState(false)
@@ -37,6 +39,12 @@ const Users = () => {
     }
   }, [searchTerm, selectedRole, selectedWorkshop])
 
+  // Opened from the header search with ?search=<email>
+  useEffect(() => {
+    const linkedSearch = searchParams.get('search')
+    if (linkedSearch !== null) setSearchTerm(linkedSearch)
+  }, [searchParams])
+
   const loadUsers = async () => {
     try {
       setLoading(true)
@@ -67,14 +75,21 @@ const Users = () => {
     }
   }
 
-  const handleDeleteUser = async (userId) => {
-    if (window.confirm('Are you sure you want to delete this user?')) {
+  const handleDeleteUser = async (userId, cascade = false) => {
+    if (cascade || window.confirm('Move this user to the trash? An admin can restore them from the Trash page.')) {
       try {
-        await userService.deleteUser(userId)
-        toast.success('User deleted successfully')
+        await userService.deleteUser(userId, cascade ? { cascade: true } : {})
+        toast.success('User moved to the trash')
         loadUsers()
       } catch (error) {
-        toast.error('Failed to delete user')
+        // Open requests block the delete until the admin agrees to unassign them
+        if (error.code === 'OPEN_REQUESTS') {
+          if (window.confirm(`This user is assigned to ${error.openRequests} open maintenance request(s). Unassign them and delete the user?`)) {
+            handleDeleteUser(userId, true)
+          }
+          return
+        }
+        toast.error(error.message || 'Failed to delete user')
       }
     }
   }
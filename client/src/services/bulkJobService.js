@@ -0,0 +1,16 @@
+import api from './api'
+
+class BulkJobService {
+  // Progress and per-item results of a background bulk operation
+  async getJob(id) {
+    const response = await api.get(`/bulk-jobs/${id}`)
+    return response.data
+  }
+
+  async getJobs() {
+    const response = await api.get('/bulk-jobs')
+    return response.data
+  }
+}
+
+export default new BulkJobService()
\ No newline at end of file
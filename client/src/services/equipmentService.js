@@ -39,6 +39,8 @@ export const equipmentService = {
     if (filters.search) queryParams.append('search', filters.search)
     if (filters.assignedTo) queryParams.append('assignedTo', filters.assignedTo)
     if (filters.maintenanceTeam) queryParams.append('maintenanceTeam', filters.maintenanceTeam)
+    if (filters.sort) queryParams.append('sort', filters.sort)
+    if (filters.view) queryParams.append('view', filters.view)
 
     const response = await api.get(`/equipment?${queryParams}`)
     return response.data
@@ -62,9 +64,10 @@ export const equipmentService = {
     return response.data
   },
 
-  // Delete equipment
-  async deleteEquipment(id) {
-    await api.delete(`/equipment/${id}`)
+  // Move equipment to the trash; { cascade: true } also cancels its open requests
+  async deleteEquipment(id, params = {}) {
+    const response = await api.delete(`/equipment/${id}`, { params })
+    return response.data
   },
 
   // Get equipment statistics
@@ -103,12 +106,6 @@ export const equipmentService = {
     return response.data
   },
 
-  // Generate equipment QR code
-  async generateQRCode(id) {
-    const response = await api.post(`/equipment/${id}/qr-code`)
-    return response.blob() // Return blob for image download
-  },
-
   // Export equipment data
   async exportEquipment(format = 'csv', filters = {}) {
     const queryParams = new URLSearchParams()
@@ -122,6 +119,71 @@ export const equipmentService = {
     return response.blob() // Return blob for file download
   },
 
+  // List documents uploaded for equipment
+  async getDocuments(id) {
+    const response = await api.get(`/equipment/${id}/documents`)
+    return response.data
+  },
+
+  // Upload a manual, certificate, drawing or photo
+  async uploadDocument(id, file, { name, type } = {}) {
+    const formData = new FormData()
+    formData.append('file', file)
+    if (name) formData.append('name', name)
+    if (type) formData.append('type', type)
+
+    const response = await api.post(`/equipment/${id}/documents`, formData)
+    return response.data
+  },
+
+  // Download a document as a blob (thumbnail for image previews)
+  async downloadDocument(id, documentId, thumbnail = false) {
+    const response = await api.get(`/equipment/${id}/documents/${documentId}`, {
+      params: thumbnail ? { thumbnail: true } : undefined,
+      responseType: 'blob'
+    })
+    return response.data
+  },
+
+  async deleteDocument(id, documentId) {
+    const response = await api.delete(`/equipment/${id}/documents/${documentId}`)
+    return response.data
+  },
+
+  // Apply one action to many pieces of equipment; large batches come back as a background job
+  async bulkUpdate(ids, action, params = {}) {
+    const response = await api.post('/equipment/bulk', { ids, action, params })
+    return response.data
+  },
+
+  // Availability % and downtime cost grouped by equipment, category or workshop
+  async getAvailability(params = {}) {
+    const response = await api.get('/equipment/availability', { params })
+    return response.data
+  },
+
+  // Downtime periods for one equipment in a date range
+  async getDowntime(id, params = {}) {
+    const response = await api.get(`/equipment/${id}/downtime`, { params })
+    return response.data
+  },
+
+  async addDowntime(id, period) {
+    const response = await api.post(`/equipment/${id}/downtime`, period)
+    return response.data
+  },
+
+  // Correct a period's times; a reason is required
+  async correctDowntime(id, periodId, correction) {
+    const response = await api.put(`/equipment/${id}/downtime/${periodId}`, correction)
+    return response.data
+  },
+
+  async deleteDowntime(id, periodId) {
+    const response = await api.delete(`/equipment/${id}/downtime/${periodId}`)
+    return response.data
+  },
+
   // Backward compatibility methods
   getAll: async () => {
     const response = await api.get('/equipment')
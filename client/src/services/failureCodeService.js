@@ -0,0 +1,28 @@
+import api from './api'
+
+class FailureCodeService {
+  // Catalogue as problems with their causes and remedies; params: category, equipment, includeInactive
+  async getCatalogue(params = {}) {
+    const response = await api.get('/failure-codes', { params })
+    return response.data
+  }
+
+  // level is problem, cause or remedy; causes and remedies need the parent they sit under
+  async createCode(data) {
+    const response = await api.post('/failure-codes', data)
+    return response.data
+  }
+
+  async updateCode(id, data) {
+    const response = await api.put(`/failure-codes/${id}`, data)
+    return response.data
+  }
+
+  // Retires the code; requests that used it keep it
+  async retireCode(id) {
+    const response = await api.delete(`/failure-codes/${id}`)
+    return response.data
+  }
+}
+
+export default new FailureCodeService()
\ No newline at end of file
@@ -0,0 +1,16 @@
+import api from './api'
+
+class FeedbackService {
+  // Request summary for a feedback link from the completion email
+  async getByToken(token) {
+    const response = await api.get(`/feedback/${token}`)
+    return response.data
+  }
+
+  async submitWithToken(token, feedback) {
+    const response = await api.post(`/feedback/${token}`, feedback)
+    return response.data
+  }
+}
+
+export default new FeedbackService()
\ No newline at end of file
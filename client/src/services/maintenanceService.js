@@ -29,9 +29,9 @@ api.interceptors.response.use(
 )
 
 export const maintenanceService = {
-  // Get all maintenance requests
-  getAll: async () => {
-    const response = await api.get('/maintenance')
+  // Get all maintenance requests (params: equipment, type, status, limit, ...)
+  getAll: async (params = {}) => {
+    const response = await api.get('/maintenance', { params })
     return response.data
   },
 
@@ -58,9 +58,196 @@ export const maintenanceService = {
     await api.delete(`/maintenance/${id}`)
   },
 
-  // Update request status
-  updateStatus: async (id, status) => {
-    const response = await api.patch(`/maintenance/${id}/status`, { status })
+  // Update request status (details carries the note/reason the workflow may require)
+  updateStatus: async (id, status, details = {}) => {
+    const response = await api.put(`/maintenance/${id}/status`, { status, ...details })
+    return response.data
+  },
+
+  // Get the status workflow for the current user's workshop
+  getWorkflow: async () => {
+    const response = await api.get('/maintenance/workflow')
+    return response.data
+  },
+
+  // Get requests waiting for the current user's approval
+  getPendingApprovals: async () => {
+    const response = await api.get('/maintenance/approvals/pending')
+    return response.data
+  },
+
+  // Approve the current approval step of a request
+  approve: async (id, comment) => {
+    const response = await api.post(`/maintenance/${id}/approve`, { comment })
+    return response.data
+  },
+
+  // Reject a request awaiting approval
+  reject: async (id, reason) => {
+    const response = await api.post(`/maintenance/${id}/reject`, { reason })
+    return response.data
+  },
+
+  // Get active job plans that apply to a piece of equipment
+  getJobPlans: async (equipmentId) => {
+    const response = await api.get('/job-plans', { params: { equipment: equipmentId, active: true } })
+    return response.data
+  },
+
+  // Sign off a job plan checklist step
+  signOffChecklistStep: async (id, itemId, result) => {
+    const response = await api.put(`/maintenance/${id}/checklist/${itemId}`, result)
+    return response.data
+  },
+
+  // Get sub-work-orders of a request with rolled-up totals
+  getChildren: async (id) => {
+    const response = await api.get(`/maintenance/${id}/children`)
+    return response.data
+  },
+
+  // Create a sub-work-order under a request
+  createChild: async (id, childData) => {
+    const response = await api.post(`/maintenance/${id}/children`, childData)
+    return response.data
+  },
+
+  // Apply one action to many requests; large batches come back as a background job
+  bulkUpdate: async (ids, action, params = {}) => {
+    const response = await api.post('/maintenance/bulk', { ids, action, params })
+    return response.data
+  },
+
+  // Rate a completed request (requester only)
+  submitFeedback: async (id, feedback) => {
+    const response = await api.post(`/maintenance/${id}/feedback`, feedback)
+    return response.data
+  },
+
+  // Activity history and time spent in each status
+  getTimeline: async (id) => {
+    const response = await api.get(`/maintenance/${id}/timeline`)
+    return response.data
+  },
+
+  // Current problem / cause / remedy codes plus the catalogue for the request's equipment
+  getFailureCodes: async (id) => {
+    const response = await api.get(`/maintenance/${id}/failure-codes`)
+    return response.data
+  },
+
+  updateFailureCodes: async (id, codes) => {
+    const response = await api.put(`/maintenance/${id}/failure-codes`, codes)
+    return response.data
+  },
+
+  // Discussion thread; mentions are written as @[Name](userId)
+  getComments: async (id) => {
+    const response = await api.get(`/maintenance/${id}/comments`)
+    return response.data
+  },
+
+  addComment: async (id, comment) => {
+    const response = await api.post(`/maintenance/${id}/comments`, comment)
+    return response.data
+  },
+
+  updateComment: async (id, commentId, body) => {
+    const response = await api.put(`/maintenance/${id}/comments/${commentId}`, { body })
+    return response.data
+  },
+
+  deleteComment: async (id, commentId) => {
+    const response = await api.delete(`/maintenance/${id}/comments/${commentId}`)
+    return response.data
+  },
+
+  // Users that can be @mentioned on a request
+  getMentionable: async (id, q) => {
+    const response = await api.get(`/maintenance/${id}/mentionable`, { params: { q } })
+    return response.data
+  },
+
+  watch: async (id) => {
+    const response = await api.post(`/maintenance/${id}/watch`)
+    return response.data
+  },
+
+  unwatch: async (id) => {
+    const response = await api.delete(`/maintenance/${id}/watch`)
+    return response.data
+  },
+
+  // Upload files to a request
+  uploadAttachments: async (id, files) => {
+    const formData = new FormData()
+    Array.from(files).forEach(file => formData.append('files', file))
+
+    const response = await api.post(`/maintenance/${id}/attachments`, formData)
+    return response.data
+  },
+
+  // Download an attachment as a blob (thumbnail for image previews)
+  downloadAttachment: async (id, attachmentId, thumbnail = false) => {
+    const response = await api.get(`/maintenance/${id}/attachments/${attachmentId}`, {
+      params: thumbnail ? { thumbnail: true } : undefined,
+      responseType: 'blob'
+    })
+    return response.data
+  },
+
+  deleteAttachment: async (id, attachmentId) => {
+    const response = await api.delete(`/maintenance/${id}/attachments/${attachmentId}`)
+    return response.data
+  },
+
+  // Start, pause or stop the current user's timer on a request
+  startTimer: async (id, note) => {
+    const response = await api.post(`/maintenance/${id}/timer/start`, { note })
+    return response.data
+  },
+
+  pauseTimer: async (id) => {
+    const response = await api.post(`/maintenance/${id}/timer/pause`)
+    return response.data
+  },
+
+  stopTimer: async (id, note) => {
+    const response = await api.post(`/maintenance/${id}/timer/stop`, { note })
+    return response.data
+  },
+
+  // Get time entries on a request with per-technician totals
+  getTimeEntries: async (id) => {
+    const response = await api.get(`/maintenance/${id}/time-entries`)
+    return response.data
+  },
+
+  // Book time manually (needs approval unless entered by an admin)
+  addTimeEntry: async (id, entryData) => {
+    const response = await api.post(`/maintenance/${id}/time-entries`, entryData)
+    return response.data
+  },
+
+  // Get a technician's weekly timesheet (defaults to the current user and week)
+  getTimesheet: async (params = {}) => {
+    const response = await api.get('/time-entries/timesheet', { params })
+    return response.data
+  },
+
+  // Get manual time entries waiting for the current user's approval
+  getPendingTimeEntries: async () => {
+    const response = await api.get('/time-entries/pending')
+    return response.data
+  },
+
+  approveTimeEntry: async (entryId) => {
+    const response = await api.put(`/time-entries/${entryId}/approve`)
+    return response.data
+  },
+
+  rejectTimeEntry: async (entryId, reason) => {
+    const response = await api.put(`/time-entries/${entryId}/reject`, { reason })
     return response.data
   },
 
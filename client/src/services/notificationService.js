@@ -0,0 +1,21 @@
+import api from './api'
+
+class NotificationService {
+  // Get my notifications (newest first) with the unread count
+  async getNotifications(params = {}) {
+    const response = await api.get('/notifications', { params })
+    return response.data
+  }
+
+  async markRead(id) {
+    const response = await api.put(`/notifications/${id}/read`)
+    return response.data
+  }
+
+  async markAllRead() {
+    const response = await api.put('/notifications/read-all')
+    return response.data
+  }
+}
+
+export default new NotificationService()
\ No newline at end of file
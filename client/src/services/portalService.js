@@ -0,0 +1,52 @@
+import api from './api'
+
+class PortalService {
+  // Public equipment summary and a form token for the report form
+  async getEquipment(qrCode) {
+    const response = await api.get(`/portal/equipment/${encodeURIComponent(qrCode)}`)
+    return response.data
+  }
+
+  async submitReport(qrCode, report, photos = []) {
+    const formData = new FormData()
+    Object.entries(report).forEach(([field, value]) => {
+      if (value !== undefined && value !== null) formData.append(field, value)
+    })
+    Array.from(photos).forEach(photo => formData.append('photos', photo))
+
+    const response = await api.post(`/portal/equipment/${encodeURIComponent(qrCode)}/reports`, formData)
+    return response.data
+  }
+
+  // Report status for a tracking link
+  async track(token) {
+    const response = await api.get(`/portal/reports/${token}`)
+    return response.data
+  }
+
+  // Triage queue for admins and team leads
+  async getQueue(params = {}) {
+    const response = await api.get('/portal-reports', { params })
+    return response.data
+  }
+
+  async downloadPhoto(id, photoId, thumbnail = false) {
+    const response = await api.get(`/portal-reports/${id}/photos/${photoId}`, {
+      params: thumbnail ? { thumbnail: true } : undefined,
+      responseType: 'blob'
+    })
+    return response.data
+  }
+
+  async acceptReport(id, data = {}) {
+    const response = await api.post(`/portal-reports/${id}/accept`, data)
+    return response.data
+  }
+
+  async rejectReport(id, data = {}) {
+    const response = await api.post(`/portal-reports/${id}/reject`, data)
+    return response.data
+  }
+}
+
+export default new PortalService()
\ No newline at end of file
@@ -0,0 +1,60 @@
+import api from './api'
+
+class RcaService {
+  // Root cause analyses ({ rcas, pagination }); params: status, equipment, maintenanceRequest, owner ('me'), cursor, limit, sort
+  async getRcas(params = {}) {
+    const response = await api.get('/rcas', { params })
+    return response.data
+  }
+
+  // { rca, canEdit, nextStatuses }
+  async getRca(id) {
+    const response = await api.get(`/rcas/${id}`)
+    return response.data
+  }
+
+  async createRca(data) {
+    const response = await api.post('/rcas', data)
+    return response.data
+  }
+
+  // Links, owner, 5 Whys, fishbone and root cause
+  async updateRca(id, data) {
+    const response = await api.put(`/rcas/${id}`, data)
+    return response.data
+  }
+
+  async changeStatus(id, status, reason) {
+    const response = await api.put(`/rcas/${id}/status`, { status, reason })
+    return response.data
+  }
+
+  // Technicians and admins who can own an RCA or an action
+  async getOwners() {
+    const response = await api.get('/rcas/owners')
+    return response.data
+  }
+
+  // Open corrective actions assigned to me across all RCAs
+  async getMyActions() {
+    const response = await api.get('/rcas/actions/mine')
+    return response.data
+  }
+
+  async addAction(id, action) {
+    const response = await api.post(`/rcas/${id}/actions`, action)
+    return response.data
+  }
+
+  async updateAction(id, actionId, data) {
+    const response = await api.put(`/rcas/${id}/actions/${actionId}`, data)
+    return response.data
+  }
+
+  async removeAction(id, actionId) {
+    const response = await api.delete(`/rcas/${id}/actions/${actionId}`)
+    return response.data
+  }
+}
+
+export default new RcaService()
\ No newline at end of file
@@ -51,6 +51,13 @@ export const reportsService = {
   getUserStats: async () => {
     const response = await api.get('/users/stats')
     return response.data
+  },
+
+  // Most frequent failure codes on completed corrective work; params: from, to, level, by,
+  // interval, limit, category, model, type, workshop
+  getFailurePareto: async (params = {}) => {
+    const response = await api.get('/dashboard/reports/failure-pareto', { params })
+    return response.data
   }
 }
 
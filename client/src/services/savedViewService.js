@@ -0,0 +1,32 @@
+import api from './api'
+
+class SavedViewService {
+  // My views and the ones shared with my team or workshop, plus my pinned default
+  async getViews(entity) {
+    const response = await api.get('/saved-views', { params: { entity } })
+    return response.data
+  }
+
+  async createView(view) {
+    const response = await api.post('/saved-views', view)
+    return response.data
+  }
+
+  async updateView(id, changes) {
+    const response = await api.put(`/saved-views/${id}`, changes)
+    return response.data
+  }
+
+  async deleteView(id) {
+    const response = await api.delete(`/saved-views/${id}`)
+    return response.data
+  }
+
+  // Pass null to clear the default
+  async setDefault(entity, viewId) {
+    const response = await api.put(`/saved-views/default/${entity}`, { view: viewId })
+    return response.data
+  }
+}
+
+export default new SavedViewService()
\ No newline at end of file
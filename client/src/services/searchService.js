@@ -0,0 +1,11 @@
+import api from './api'
+
+class SearchService {
+  // Ranked hits grouped by type ({ results, facets }); params: types, limit, workshop
+  async search(q, params = {}) {
+    const response = await api.get('/search', { params: { q, ...params } })
+    return response.data
+  }
+}
+
+export default new SearchService()
\ No newline at end of file
@@ -26,8 +26,8 @@ class TeamService {
   }
 
   // Delete team
-  async deleteTeam(id) {
-    const response = await api.delete(`/teams/${id}`)
+  async deleteTeam(id, params = {}) {
+    const response = await api.delete(`/teams/${id}`, { params })
     return response.data
   }
 
@@ -0,0 +1,22 @@
+import api from './api'
+
+class TrashService {
+  // Deleted records of one type ({ items, counts, retentionDays, pagination }); params: type, cursor, limit, sort
+  async getTrash(params = {}) {
+    const response = await api.get('/trash', { params })
+    return response.data
+  }
+
+  async restore(type, id) {
+    const response = await api.post(`/trash/${type}/${id}/restore`)
+    return response.data
+  }
+
+  // Deletes the record for good
+  async purge(type, id) {
+    const response = await api.delete(`/trash/${type}/${id}`)
+    return response.data
+  }
+}
+
+export default new TrashService()
\ No newline at end of file
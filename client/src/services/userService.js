@@ -65,10 +65,10 @@ export const userService = {
     }
   },
 
-  // Delete user
-  async deleteUser(userId) {
+  // Move user to the trash; { cascade: true } also unassigns their open requests
+  async deleteUser(userId, params = {}) {
     try {
-      const response = await api.delete(`/users/${userId}`)
+      const response = await api.delete(`/users/${userId}`, { params })
       return response.data
     } catch (error) {
       throw error.response?.data || error
@@ -75,9 +75,9 @@ export const workshopService = {
   },
 
   // Delete workshop
-  async deleteWorkshop(workshopId) {
+  async deleteWorkshop(workshopId, params = {}) {
     try {
-      const response = await api.delete(`/workshops/${workshopId}`)
+      const response = await api.delete(`/workshops/${workshopId}`, { params })
       return response.data
     } catch (error) {
       throw error.response?.data || error
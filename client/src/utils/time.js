@@ -0,0 +1,26 @@
+// Format a duration in minutes as "2h 5m"
+export const formatMinutes = (minutes = 0) => {
+  const hours = Math.floor(minutes / 60)
+  const rest = Math.round(minutes % 60)
+  return hours > 0 ? `${hours}h ${rest}m` : `${rest}m`
+}
+
+// Value for a datetime-local input in the browser's timezone
+export const toDateTimeInput = (date) => {
+  if (!date) return ''
+  const value = new Date(date)
+  return new Date(value.getTime() - value.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+}
+
+// Start of the reporting period selected on the Reports page (week, month, quarter or year)
+export const getPeriodStart = (period) => {
+  const start = new Date()
+  start.setHours(0, 0, 0, 0)
+  switch (period) {
+    case 'week': start.setDate(start.getDate() - 7); break
+    case 'quarter': start.setMonth(start.getMonth() - 3); break
+    case 'year': start.setFullYear(start.getFullYear() - 1); break
+    default: start.setMonth(start.getMonth() - 1)
+  }
+  return start
+}
\ No newline at end of file
@@ -0,0 +1,52 @@
+// Client-side mirror of the server workflow checks (server/services/workflowService.js).
+// The server remains the source of truth; this only lets the UI reject moves early.
+
+const hasRole = (allowedRoles, user, request) => {
+  if (!allowedRoles || allowedRoles.length === 0) return true
+  if (!user) return false
+  if (allowedRoles.includes(user.role)) return true
+
+  const userId = String(user._id || user.id)
+  const creatorId = request.createdBy?._id || request.createdBy
+  const assigneeId = request.assignedTechnician?._id || request.assignedTechnician
+
+  if (allowedRoles.includes('creator') && creatorId && String(creatorId) === userId) return true
+  if (allowedRoles.includes('assignee') && assigneeId && String(assigneeId) === userId) return true
+
+  return false
+}
+
+// Returns { allowed, reason, requiredFields } for moving a request to a new status
+export const checkTransition = (workflow, request, toStatus, user) => {
+  if (!workflow) return { allowed: true, requiredFields: [] }
+  if (request.status === toStatus) return { allowed: true, requiredFields: [] }
+
+  const targets = workflow.transitions?.[request.status] || []
+  if (!targets.includes(toStatus)) {
+    return { allowed: false, reason: `Cannot move request from ${request.status} to ${toStatus}` }
+  }
+
+  // Unapproved requests stay in New (see server/services/approvalService.js)
+  const approval = request.approval
+  if (approval?.required && approval.status !== 'Approved' && !['New', 'Cancelled', 'Rejected'].includes(toStatus)) {
+    return { allowed: false, reason: `Request must be approved before it can move to ${toStatus}` }
+  }
+
+  // Parents complete only after their sub-work-orders (see server/services/workOrderService.js)
+  const openChildren = request.rollup?.openChildren || 0
+  if (toStatus === 'Completed' && openChildren > 0) {
+    return { allowed: false, reason: `All sub-work-orders must be closed before completing (${openChildren} still open)` }
+  }
+
+  // Required job plan steps must be signed off first (see server/services/jobPlanService.js)
+  const incompleteSteps = (request.checklist || []).filter(item => item.required && item.status === 'Pending')
+  if (toStatus === 'Completed' && incompleteSteps.length > 0) {
+    return { allowed: false, reason: `All required checklist steps must be signed off before completing (${incompleteSteps.length} remaining)` }
+  }
+
+  if (!hasRole(workflow.roles?.[toStatus], user, request)) {
+    return { allowed: false, reason: `Your role is not allowed to move requests to ${toStatus}` }
+  }
+
+  return { allowed: true, requiredFields: workflow.requiredFields?.[toStatus] || [] }
+}
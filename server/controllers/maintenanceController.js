@@ -2,7 +2,16 @@ const MaintenanceRequest = require('../models/MaintenanceRequest');
 const Equipment = require('../models/Equipment');
 const Team = require('../models/Team');
 const User = require('../models/User');
+const JobPlan = require('../models/JobPlan');
 const emailService = require('../services/emailService');
+const workflowService = require('../services/workflowService');
+const failureCodeService = require('../services/failureCodeService');
+const approvalService = require('../services/approvalService');
+const jobPlanService = require('../services/jobPlanService');
+const workOrderService = require('../services/workOrderService');
+const savedViewService = require('../services/savedViewService');
+const paginationService = require('../services/paginationService');
+const { addInterval } = require('../utils/schedule');
 const { body, param, query } = require('express-validator');
 const { handleValidationErrors, asyncHandler } = require('../middleware/validation');
 
@@ -21,8 +30,12 @@ class MaintenanceController {
         impact = 'Medium',
         scheduledDate,
         estimatedDuration,
+        estimatedCost,
         dueDate,
-        location
+        location,
+        recurrence,
+        jobPlan,
+        breakdown
       } = req.body;
 
       // 1. Find Equipment
@@ -34,27 +47,61 @@ class MaintenanceController {
         });
       }
 
-      // Generate unique request number
-      const requestCount = await MaintenanceRequest.countDocuments();
-      const requestNumber = `MR-${Date.now()}-${String(requestCount + 1).padStart(4, '0')}`;
+      let jobPlanDoc;
+      if (jobPlan) {
+        jobPlanDoc = await JobPlan.findOne({ _id: jobPlan, isActive: true });
+        if (!jobPlanDoc) {
+          return res.status(404).json({
+            error: 'Job plan not found',
+            code: 'JOB_PLAN_NOT_FOUND'
+          });
+        }
+      }
+
+      // Recurring requests schedule their next occurrence from the first one
+      let recurringMaintenance;
+      if (recurrence && recurrence.value) {
+        const firstDate = scheduledDate || dueDate || new Date();
+        recurringMaintenance = {
+          isRecurring: true,
+          frequency: { value: recurrence.value, unit: recurrence.unit },
+          nextScheduled: addInterval(firstDate, recurrence)
+        };
+      }
 
       // 2. Create Request
-      const request = await MaintenanceRequest.create({
-        requestNumber,
+      const request = new MaintenanceRequest({
         title,
         description,
         type,
         equipment: equipmentDoc._id,
+        workshop: equipmentDoc.workshop,
         priority,
         urgency,
         impact,
         scheduledDate,
         estimatedDuration,
+        estimatedCost,
         dueDate,
         location,
+        recurringMaintenance,
+        breakdown: breakdown === undefined ? undefined : breakdown === true || breakdown === 'true',
         createdBy: req.user._id,
         status: 'New'
       });
+      request.$locals.actor = req.user._id;
+
+      if (jobPlanDoc) {
+        jobPlanService.applyToRequest(request, jobPlanDoc);
+      }
+
+      // Attach the workshop's approval chain before the request can be worked on
+      await approvalService.initializeApproval(request, equipmentDoc);
+      await request.save();
+
+      if (request.approval.required) {
+        await approvalService.notifyApprovers(request);
+      }
 
       // Populate the created request
       const populatedRequest = await MaintenanceRequest.findById(request._id)
@@ -81,8 +128,6 @@ class MaintenanceController {
   static getAllRequests = asyncHandler(async (req, res) => {
     try {
       const {
-        page = 1,
-        limit = 10,
         status,
         type,
         priority,
@@ -90,11 +135,10 @@ class MaintenanceController {
         assignedTeam,
         equipment,
         search,
-        workshop
+        workshop,
+        watching
       } = req.query;
 
-      const skip = (parseInt(page) - 1) * parseInt(limit);
-
       // Build filter
       const filter = {};
 
@@ -104,6 +148,7 @@ class MaintenanceController {
       if (assignedTechnician) filter.assignedTechnician = assignedTechnician;
       if (assignedTeam) filter.assignedTeam = assignedTeam;
       if (equipment) filter.equipment = equipment;
+      if (watching === 'true') filter.watchers = req.user._id;
 
       // Workshop filter for multi-workshop support
       if (req.user.role !== 'admin' && req.user.workshop) {
@@ -124,26 +169,24 @@ class MaintenanceController {
         ];
       }
 
-      const requests = await MaintenanceRequest.find(filter)
-        .populate('equipment', 'name serialNumber category')
-        .populate('createdBy', 'name email role')
-        .populate('assignedTechnician', 'name email phoneNumber')
-        .populate('assignedTeam', 'name specialization')
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit));
-
-      const total = await MaintenanceRequest.countDocuments(filter);
+      const { docs: requests, pagination } = await paginationService.paginate(
+        MaintenanceRequest,
+        filter,
+        { list: 'maintenance', ...req.query },
+        // The activity history is served separately (GET /:id/timeline)
+        query => query
+          .select('-history')
+          .populate('equipment', 'name serialNumber category')
+          .populate('createdBy', 'name email role')
+          .populate('assignedTechnician', 'name email phoneNumber')
+          .populate('assignedTeam', 'name specialization')
+          .populate('parentRequest', 'requestNumber title status')
+      );
 
       res.json({
         requests,
-        pagination: {
-          current: parseInt(page),
-          pages: Math.ceil(total / parseInt(limit)),
-          total,
-          hasNext: page < Math.ceil(total / parseInt(limit)),
-          hasPrev: page > 1
-        }
+        pagination,
+        view: savedViewService.describe(req.savedView)
       });
 
     } catch (err) {
@@ -160,7 +203,8 @@ class MaintenanceController {
         .populate('createdBy', 'name email role department')
         .populate('assignedTechnician', 'name email phoneNumber skills')
         .populate('assignedTeam', 'name specialization members')
-        .populate('workNotes.technician', 'name email');
+        .populate('workNotes.technician', 'name email')
+        .populate('failure.problem failure.cause failure.remedy', 'code name level');
 
       if (!request) {
         return res.status(404).json({ 
@@ -169,7 +213,10 @@ class MaintenanceController {
         });
       }
 
-      res.json({ request });
+      // Parent and sub-work-orders for the detail view
+      const hierarchy = await workOrderService.getHierarchy(request);
+
+      res.json({ request, hierarchy });
 
     } catch (err) {
       console.error('Error fetching maintenance request:', err);
@@ -189,6 +236,7 @@ class MaintenanceController {
           code: 'REQUEST_NOT_FOUND'
         });
       }
+      request.$locals.actor = req.user._id;
 
       // Validate technician if provided
       if (technicianId) {
@@ -214,7 +262,12 @@ class MaintenanceController {
         request.assignedTeam = teamId;
       }
 
-      request.status = 'Assigned';
+      // Only advance the status when the workflow allows it (e.g. not on closed requests)
+      const workflow = await workflowService.getWorkflowForRequest(request);
+      const transition = workflowService.validateTransition(workflow, request, 'Assigned', req.user);
+      if (transition.allowed) {
+        request.status = 'Assigned';
+      }
       await request.save();
 
       // Send email notification
@@ -246,7 +299,7 @@ class MaintenanceController {
   // Update request status/stage
   static updateStage = asyncHandler(async (req, res) => {
     try {
-      const { status, workNote, hoursWorked, partsUsed } = req.body;
+      const { status, workNote, hoursWorked, partsUsed, reason, failureCodes } = req.body;
 
       const request = await MaintenanceRequest.findById(req.params.id);
       if (!request) {
@@ -255,49 +308,59 @@ class MaintenanceController {
           code: 'REQUEST_NOT_FOUND'
         });
       }
+      request.$locals.actor = req.user._id;
 
-      // Update basic fields
-      const updateData = {};
-      if (status) updateData.status = status;
+      // Codes sent along with the change are recorded first, so they count towards completing
+      if (failureCodes) {
+        try {
+          await failureCodeService.applyToRequest(request, failureCodes, req.user);
+        } catch (error) {
+          if (!error.status) throw error;
+          return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+      }
+
+      // Enforce the workshop's status workflow
+      const workflow = await workflowService.getWorkflowForRequest(request);
+      const transition = workflowService.validateTransition(workflow, request, status, req.user, { workNote, reason });
+      if (!transition.allowed) {
+        const { allowed, status: httpStatus, message, ...details } = transition;
+        return res.status(httpStatus).json({ error: message, ...details });
+      }
+
+      // Update basic fields (saved through the document so the SLA clock sees the change)
+      if (status) request.status = status;
+      if (reason) request.statusReason = reason;
 
       // Set timestamps based on status
       if (status === 'In Progress' && !request.actualStartDate) {
-        updateData.actualStartDate = new Date();
-      }
-      if (status === 'Completed') {
-        updateData.actualEndDate = new Date();
-        updateData.completedAt = new Date();
+        request.actualStartDate = new Date();
       }
 
       // Add work note if provided
       if (workNote) {
-        const note = {
+        request.workNotes.push({
           technician: req.user._id,
           note: workNote,
           hoursWorked: hoursWorked || 0,
           timestamp: new Date()
-        };
-        updateData.$push = { workNotes: note };
+        });
       }
 
       // Add parts used if provided
       if (partsUsed && Array.isArray(partsUsed) && partsUsed.length > 0) {
-        const partsWithRequestedBy = partsUsed.map(part => ({
-          ...part,
-          requestedBy: req.user._id,
-          requestedAt: new Date()
-        }));
-        updateData.$push = { 
-          ...updateData.$push,
-          partsUsed: { $each: partsWithRequestedBy }
-        };
+        partsUsed.forEach(part => {
+          request.partsUsed.push({
+            ...part,
+            requestedBy: req.user._id,
+            requestedAt: new Date()
+          });
+        });
       }
 
-      const updatedRequest = await MaintenanceRequest.findByIdAndUpdate(
-        req.params.id,
-        updateData,
-        { new: true, runValidators: true }
-      )
+      await request.save();
+
+      const updatedRequest = await MaintenanceRequest.findById(request._id)
         .populate('equipment', 'name serialNumber')
         .populate('assignedTechnician', 'name email')
         .populate('assignedTeam', 'name specialization');
@@ -452,8 +515,12 @@ class MaintenanceController {
 
       const assignedTechnician = availableTechnicians[0];
       
+      request.$locals.actor = req.user._id;
       request.assignedTechnician = assignedTechnician._id;
-      request.status = 'Assigned';
+      const workflow = await workflowService.getWorkflowForRequest(request);
+      if (workflowService.validateTransition(workflow, request, 'Assigned', req.user).allowed) {
+        request.status = 'Assigned';
+      }
       await request.save();
 
       // Update technician workload
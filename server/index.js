@@ -35,6 +35,52 @@ app.use(limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// Background jobs
+const scheduler = require('./services/schedulerService');
+const preventiveMaintenanceService = require('./services/preventiveMaintenanceService');
+const slaService = require('./services/slaService');
+const escalationService = require('./services/escalationService');
+const storageService = require('./services/storageService');
+const bulkService = require('./services/bulkService');
+const auditService = require('./services/auditService');
+const trashService = require('./services/trashService');
+
+scheduler.register('preventive-maintenance', {
+  interval: parseInt(process.env.PM_SCHEDULER_INTERVAL) || 15 * 60 * 1000, // 15 minutes
+  handler: () => preventiveMaintenanceService.generateDueRequests()
+});
+
+scheduler.register('sla-evaluator', {
+  interval: parseInt(process.env.SLA_EVALUATOR_INTERVAL) || 5 * 60 * 1000, // 5 minutes
+  handler: () => slaService.evaluateBreaches()
+});
+
+scheduler.register('escalations', {
+  interval: parseInt(process.env.ESCALATION_INTERVAL) || 5 * 60 * 1000, // 5 minutes
+  handler: () => escalationService.runEscalations()
+});
+
+scheduler.register('storage-cleanup', {
+  interval: parseInt(process.env.STORAGE_CLEANUP_INTERVAL) || 24 * 60 * 60 * 1000, // daily
+  handler: () => storageService.sweepOrphans()
+});
+
+scheduler.register('bulk-operations', {
+  interval: parseInt(process.env.BULK_JOB_INTERVAL) || 30 * 1000, // 30 seconds
+  lockTtl: 10 * 60 * 1000,
+  handler: () => bulkService.processPending()
+});
+
+scheduler.register('audit-retention', {
+  interval: parseInt(process.env.AUDIT_RETENTION_INTERVAL) || 24 * 60 * 60 * 1000, // daily
+  handler: () => auditService.purgeExpired()
+});
+
+scheduler.register('trash-retention', {
+  interval: parseInt(process.env.TRASH_RETENTION_INTERVAL) || 24 * 60 * 60 * 1000, // daily
+  handler: () => trashService.purgeExpired()
+});
+
 // Database connection
 let isDbConnected = false;
 
@@ -48,6 +94,14 @@ mongoose.connect(process.env.MONGODB_URI, {
   console.log('✅ MongoDB Atlas Connected')
   console.log(`🌐 Database: ${process.env.MONGODB_URI.includes('mongodb.net') ? 'Atlas Cloud' : 'Local MongoDB'}`)
   isDbConnected = true;
+
+  // Lists sort by priority through priorityRank; fill it in for older requests
+  require('./models/MaintenanceRequest').syncPriorityRanks()
+    .catch(error => console.error('Failed to sync request priority ranks:', error));
+
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    scheduler.start();
+  }
 })
 .catch(err => {
   console.error('❌ MongoDB Connection Error:', err.message);
@@ -67,6 +121,20 @@ app.use('/api/equipment', require('./routes/equipment'));
 app.use('/api/maintenance', require('./routes/maintenance'));
 app.use('/api/workshops', require('./routes/workshops'));
 app.use('/api/dashboard', require('./routes/dashboard'));
+app.use('/api/sla-policies', require('./routes/slaPolicies'));
+app.use('/api/job-plans', require('./routes/jobPlans'));
+app.use('/api/failure-codes', require('./routes/failureCodes'));
+app.use('/api/rcas', require('./routes/rcas'));
+app.use('/api/time-entries', require('./routes/timeEntries'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/feedback', require('./routes/feedback'));
+app.use('/api/bulk-jobs', require('./routes/bulkJobs'));
+app.use('/api/portal', require('./routes/portal'));
+app.use('/api/portal-reports', require('./routes/portalReports'));
+app.use('/api/saved-views', require('./routes/savedViews'));
+app.use('/api/search', require('./routes/search'));
+app.use('/api/audit', require('./routes/audit'));
+app.use('/api/trash', require('./routes/trash'));
 
 // Health check
 app.get('/health', (req, res) => {
@@ -128,8 +128,9 @@ const canAssignTechnicians = async (req, res, next) => {
   }
 };
 
-// Check if user can access specific maintenance request
-const canAccessMaintenanceRequest = async (req, res, next) => {
+// Check if user can access specific maintenance request; with allowWatchers, watchers (including
+// users mentioned in the discussion) are let in too, for the read and comment routes
+const maintenanceRequestAccess = (allowWatchers = false) => async (req, res, next) => {
   try {
     const MaintenanceRequest = require('../models/MaintenanceRequest');
     const requestId = req.params.id || req.params.requestId;
@@ -150,6 +151,9 @@ const canAccessMaintenanceRequest = async (req, res, next) => {
       });
     }
 
+    // Changes saved through this document are credited to the caller in the request's history
+    maintenanceRequest.$locals.actor = req.user._id;
+
     // Admin can access all requests
     if (req.user.role === 'admin') {
       req.maintenanceRequest = maintenanceRequest;
@@ -170,6 +174,12 @@ const canAccessMaintenanceRequest = async (req, res, next) => {
       return next();
     }
 
+    // Watchers can follow the request, but not work on it
+    if (allowWatchers && maintenanceRequest.isWatchedBy(req.user._id)) {
+      req.maintenanceRequest = maintenanceRequest;
+      return next();
+    }
+
     return res.status(403).json({ 
       message: 'Access denied. You can only access your own requests or assigned requests.',
       code: 'REQUEST_ACCESS_DENIED'
@@ -183,6 +193,9 @@ const canAccessMaintenanceRequest = async (req, res, next) => {
   }
 };
 
+const canAccessMaintenanceRequest = maintenanceRequestAccess();
+const canFollowMaintenanceRequest = maintenanceRequestAccess(true);
+
 // Rate limiting for sensitive operations
 const sensitiveOperationLimiter = (req, res, next) => {
   // This can be enhanced with Redis for distributed systems
@@ -214,32 +227,32 @@ const sensitiveOperationLimiter = (req, res, next) => {
   next();
 };
 
-// Middleware to log user actions
+// Middleware to log user actions to the audit trail. The target document is read before
+// the handler runs and again once it has answered, so the entry carries field-level changes
 const logUserAction = (action) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
+    const auditService = require('../services/auditService');
     const originalSend = res.send;
-    
+    let snapshot = null;
+    let recorded = false;
+
+    try {
+      snapshot = await auditService.snapshot(req);
+    } catch (error) {
+      console.error('Failed to read audit snapshot:', error);
+    }
+
     res.send = function(body) {
-      // Log successful actions (status codes 200-299)
-      if (res.statusCode >= 200 && res.statusCode < 300) {
-        console.log(`[USER_ACTION] ${req.user.email} - ${action} - ${req.method} ${req.originalUrl} - ${res.statusCode}`);
-        
-        // You can enhance this to store in database for audit trail
-        // const AuditLog = require('../models/AuditLog');
-        // AuditLog.create({
-        //   user: req.user._id,
-        //   action,
-        //   method: req.method,
-        //   url: req.originalUrl,
-        //   statusCode: res.statusCode,
-        //   ip: req.ip,
-        //   userAgent: req.get('User-Agent')
-        // });
+      // Log successful actions (status codes 200-299); res.json calls send twice
+      if (!recorded && res.statusCode >= 200 && res.statusCode < 300) {
+        recorded = true;
+        auditService.recordAction(action, req, res, { snapshot, body })
+          .catch(error => console.error('Failed to write audit log:', error));
       }
-      
-      originalSend.call(this, body);
+
+      return originalSend.call(this, body);
     };
-    
+
     next();
   };
 };
@@ -255,6 +268,7 @@ module.exports = {
   canCreateMaintenance,
   canAssignTechnicians,
   canAccessMaintenanceRequest,
+  canFollowMaintenanceRequest,
   sensitiveOperationLimiter,
   logUserAction
 };
\ No newline at end of file
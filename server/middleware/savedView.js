@@ -0,0 +1,24 @@
+const savedViewService = require('../services/savedViewService');
+
+// Resolve ?view=<id> on a list endpoint into the view's filters and sort; parameters
+// given explicitly win. The view is left on req.savedView for the response
+const applySavedView = (entity) => async (req, res, next) => {
+  if (!req.query.view) return next();
+
+  try {
+    const view = await savedViewService.getView(req.query.view, req.user, entity);
+    req.savedView = view;
+    req.query = savedViewService.applyToQuery(view, req.query);
+    next();
+  } catch (error) {
+    if (!error.status) return next(error);
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+};
+
+module.exports = {
+  applySavedView
+};
\ No newline at end of file
@@ -0,0 +1,49 @@
+const multer = require('multer');
+const storageService = require('../services/storageService');
+
+// Files are held in memory and handed to storageService, which picks the backend
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: storageService.maxFileSize,
+    files: parseInt(process.env.MAX_FILES_PER_UPLOAD) || 5
+  },
+  fileFilter: (req, file, cb) => {
+    if (!storageService.isAllowedType(file.mimetype)) {
+      const error = new Error(`File type ${file.mimetype} is not allowed`);
+      error.code = 'UNSUPPORTED_FILE_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Parse multipart files from `field`, answering upload errors with { message, code }
+const uploadFiles = (field, maxCount) => (req, res, next) => {
+  upload.array(field, maxCount)(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        message: `File exceeds the ${Math.round(storageService.maxFileSize / (1024 * 1024))} MB limit`,
+        code: 'FILE_TOO_LARGE'
+      });
+    }
+
+    if (error.code === 'UNSUPPORTED_FILE_TYPE') {
+      return res.status(415).json({
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    res.status(400).json({
+      message: error.message,
+      code: 'UPLOAD_ERROR'
+    });
+  });
+};
+
+module.exports = {
+  uploadFiles
+};
\ No newline at end of file
@@ -1,4 +1,5 @@
-const { validationResult } = require('express-validator');
+const { validationResult, query } = require('express-validator');
+const paginationService = require('../services/paginationService');
 
 // Validation error handler
 const handleValidationErrors = (req, res, next) => {
@@ -74,6 +75,24 @@ const asyncHandler = (fn) => {
   };
 };
 
+// Query parameters shared by the paginated list endpoints (see services/paginationService)
+const paginationValidation = (list) => [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('sort').optional()
+    .custom(value => typeof value === 'string' && paginationService.isValidSort(list, value))
+    .withMessage(`Sort by up to 3 of ${paginationService.sortFields(list).join(', ')} (prefix - for descending)`),
+  query('cursor').optional().isString().isLength({ max: 2000 }).withMessage('Invalid cursor').bail()
+    .custom((value, { req }) => {
+      const { sort } = paginationService.decodeCursor(list, value);
+      if (req.query.sort && req.query.sort !== sort) {
+        throw new Error('This cursor continues a different sort; drop sort or start again without the cursor');
+      }
+      return true;
+    }),
+  query('total').optional().isIn(paginationService.totalModes).withMessage(`Total must be one of ${paginationService.totalModes.join(', ')}`)
+];
+
 // Not found middleware
 const notFound = (req, res) => {
   res.status(404).json({
@@ -86,5 +105,6 @@ module.exports = {
   handleValidationErrors,
   formatError,
   asyncHandler,
+  paginationValidation,
   notFound
 };
\ No newline at end of file
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// Append-only record of who changed what (services/auditService). Entries are never
+// updated; the retention job is the only thing that removes them
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Copied so the entry still reads correctly after the user is renamed or deleted
+    name: String,
+    email: String,
+    role: String
+  },
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'assignment', 'role_change', 'auth'],
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    default: 'success'
+  },
+  target: {
+    type: {
+      type: String
+    },
+    id: mongoose.Schema.Types.ObjectId,
+    label: String
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  note: {
+    type: String,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  request: {
+    method: String,
+    path: String,
+    statusCode: Number
+  },
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+// Indexes
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'actor.user': 1, createdAt: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ category: 1, createdAt: -1 });
+
+const immutable = (next) => next(new Error('Audit log entries cannot be changed or deleted'));
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return immutable(next);
+  next();
+});
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteMany', 'findOneAndDelete'], function(next) {
+  immutable(next);
+});
+auditLogSchema.pre('deleteOne', { document: true, query: true }, function(next) {
+  immutable(next);
+});
+
+// Retention purge; goes to the driver directly because the model refuses deletes
+auditLogSchema.statics.purgeBefore = async function(cutoff) {
+  const result = await this.collection.deleteMany({ createdAt: { $lt: cutoff } });
+  return result.deletedCount;
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
\ No newline at end of file
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// A large bulk operation processed in the background (see services/bulkService).
+// Results are appended as items finish so progress survives a restart
+const bulkJobSchema = new mongoose.Schema({
+  entity: {
+    type: String,
+    enum: ['maintenance', 'equipment'],
+    required: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ids: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  succeeded: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  results: [{
+    _id: false,
+    item: mongoose.Schema.Types.ObjectId,
+    label: String,
+    ok: Boolean,
+    code: String,
+    message: String
+  }],
+  error: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startedAt: {
+    type: Date
+  },
+  // Refreshed while running; a stale heartbeat lets another runner resume the job
+  heartbeatAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+bulkJobSchema.index({ status: 1, createdAt: 1 });
+bulkJobSchema.index({ createdBy: 1, createdAt: -1 });
+// Finished jobs are kept for a month
+bulkJobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Share of items done, for progress bars
+bulkJobSchema.virtual('progress').get(function() {
+  return this.total > 0 ? Math.round(100 * this.processed / this.total) : 100;
+});
+
+bulkJobSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('BulkJob', bulkJobSchema);
\ No newline at end of file
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Discussion on a maintenance request; mentions are written as @[Name](userId) in the body
+const commentSchema = new mongoose.Schema({
+  maintenanceRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MaintenanceRequest',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Comment cannot be empty'],
+    trim: true,
+    maxlength: [5000, 'Comment cannot exceed 5000 characters']
+  },
+  // Internal comments are only shown to technicians and admins
+  internal: {
+    type: Boolean,
+    default: false
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  editedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+commentSchema.index({ maintenanceRequest: 1, createdAt: 1 });
+commentSchema.index({ body: 'text' }, { name: 'search_text' });
+
+module.exports = mongoose.model('Comment', commentSchema);
\ No newline at end of file
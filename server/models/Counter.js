@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Atomic sequence counters behind request numbers, asset tags and other generated
+// identifiers (see services/numberingService). One document per sequence, scope and
+// reset period; `$inc` on a single document keeps concurrent creates from sharing a value
+const counterSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Sequence name is required'],
+    trim: true
+  },
+  // Rendered pattern with the date tokens left in, so workshops that produce the
+  // same numbers share one counter
+  scope: {
+    type: String,
+    required: [true, 'Scope is required']
+  },
+  // '' for sequences that never reset, otherwise YYYY or YYYYMM
+  period: {
+    type: String,
+    default: ''
+  },
+  seq: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+counterSchema.index({ name: 1, scope: 1, period: 1 }, { unique: true });
+
+// Take the next value; `seed` is only used the first time the counter is created
+counterSchema.statics.next = async function(name, scope, period, seed = 0) {
+  const key = { name, scope, period };
+
+  if (seed > 0) {
+    // $max keeps the seed idempotent when two first creates race
+    await this.updateOne(key, { $max: { seq: seed } }, { upsert: true }).catch(error => {
+      if (error.code !== 11000) throw error;
+    });
+  }
+
+  try {
+    const counter = await this.findOneAndUpdate(key, { $inc: { seq: 1 } }, { upsert: true, new: true });
+    return counter.seq;
+  } catch (error) {
+    // Two upserts raced to create the counter; the retry finds the winner's document
+    if (error.code === 11000) {
+      const counter = await this.findOneAndUpdate(key, { $inc: { seq: 1 } }, { new: true });
+      return counter.seq;
+    }
+    throw error;
+  }
+};
+
+// Last value handed out, or null when the counter has not been created yet
+counterSchema.statics.current = async function(name, scope, period) {
+  const counter = await this.findOne({ name, scope, period }).select('seq').lean();
+  return counter ? counter.seq : null;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
\ No newline at end of file
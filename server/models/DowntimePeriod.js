@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// A stretch of time during which a piece of equipment was unavailable
+const downtimePeriodSchema = new mongoose.Schema({
+  equipment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Equipment',
+    required: [true, 'Equipment is required']
+  },
+  // Copied from the equipment so availability can be grouped without a lookup
+  workshop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workshop',
+    default: null
+  },
+  category: String,
+  // What opened the period: an equipment status change, a breakdown request, or a person
+  trigger: {
+    type: String,
+    enum: ['status', 'breakdown', 'manual'],
+    required: true
+  },
+  equipmentStatus: String,
+  maintenanceRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MaintenanceRequest'
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  startedAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endedAt: Date,
+  // Cost of one hour of downtime at the time the period opened
+  costPerHour: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Note cannot exceed 1000 characters']
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Manual edits, newest last, with the times they replaced
+  corrections: [{
+    _id: false,
+    correctedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    correctedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reason: {
+      type: String,
+      required: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    previous: {
+      startedAt: Date,
+      endedAt: Date
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+downtimePeriodSchema.index({ equipment: 1, startedAt: -1 });
+downtimePeriodSchema.index({ workshop: 1, startedAt: -1 });
+// Equipment can only be down once at a time
+downtimePeriodSchema.index({ equipment: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+
+module.exports = mongoose.model('DowntimePeriod', downtimePeriodSchema);
\ No newline at end of file
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { addInterval } = require('../utils/schedule');
+const softDelete = require('./plugins/softDelete');
 
 const equipmentSchema = new mongoose.Schema({
   name: {
@@ -159,6 +161,11 @@ const equipmentSchema = new mongoose.Schema({
     annual_maintenance: {
       type: Number,
       min: 0
+    },
+    // Lost production per hour while the equipment is down
+    downtimePerHour: {
+      type: Number,
+      min: 0
     }
   },
   vendor: {
@@ -173,17 +180,96 @@ const equipmentSchema = new mongoose.Schema({
       type: String,
       enum: ['Manual', 'Warranty', 'Certificate', 'Drawing', 'Photo', 'Other']
     },
+    originalName: String,
     filePath: String,
+    thumbnailPath: String,
+    fileSize: Number,
+    mimeType: String,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     uploadedAt: {
       type: Date,
       default: Date.now
     }
   }],
+  meters: [{
+    name: {
+      type: String,
+      required: [true, 'Meter name is required'],
+      trim: true,
+      maxlength: [50, 'Meter name cannot exceed 50 characters']
+    },
+    unit: {
+      type: String,
+      enum: ['hours', 'cycles', 'km', 'miles', 'units'],
+      required: [true, 'Meter unit is required']
+    },
+    // Value at which the physical meter wraps back to zero
+    rolloverValue: {
+      type: Number,
+      min: 1
+    },
+    currentReading: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Usage accumulated across rollovers and meter replacements
+    totalUsage: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    lastReadingAt: Date,
+    triggers: [{
+      every: {
+        type: Number,
+        required: [true, 'Trigger interval is required'],
+        min: 1
+      },
+      requestType: {
+        type: String,
+        enum: ['Preventive', 'Predictive'],
+        default: 'Preventive'
+      },
+      priority: {
+        type: String,
+        enum: ['Low', 'Medium', 'High', 'Critical'],
+        default: 'Medium'
+      },
+      title: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Title cannot exceed 200 characters']
+      },
+      lastTriggeredUsage: {
+        type: Number,
+        default: 0
+      },
+      isActive: {
+        type: Boolean,
+        default: true
+      }
+    }],
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
   qrCode: {
     type: String,
     unique: true,
     sparse: true
   },
+  // Generated from the workshop's asset tag pattern (see services/numberingService)
+  assetTag: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true
+  },
   tags: [{
     type: String,
     trim: true,
@@ -218,6 +304,22 @@ equipmentSchema.index({ assignedTeam: 1 });
 equipmentSchema.index({ location: 1 });
 equipmentSchema.index({ criticality: 1 });
 equipmentSchema.index({ nextMaintenanceDate: 1 });
+// Global search (services/searchService)
+equipmentSchema.index({
+  name: 'text',
+  assetTag: 'text',
+  serialNumber: 'text',
+  manufacturer: 'text',
+  model: 'text',
+  tags: 'text',
+  description: 'text'
+}, {
+  name: 'search_text',
+  weights: { assetTag: 10, serialNumber: 10, name: 8, model: 5, tags: 5, manufacturer: 3, description: 1 }
+});
+
+// Deleting moves the record to the trash (services/trashService)
+equipmentSchema.plugin(softDelete);
 
 // Virtual for maintenance history
 equipmentSchema.virtual('maintenanceHistory', {
@@ -255,6 +357,15 @@ equipmentSchema.virtual('maintenanceStatus').get(function() {
   return 'Scheduled';
 });
 
+// Asset tag from the workshop's counter
+equipmentSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.assetTag) {
+    const numberingService = require('../services/numberingService');
+    this.assetTag = await numberingService.next('assetTag', { workshop: this.workshop });
+  }
+  next();
+});
+
 // Pre-save middleware to generate QR code
 equipmentSchema.pre('save', function(next) {
   if (this.isNew && !this.qrCode) {
@@ -263,31 +374,46 @@ equipmentSchema.pre('save', function(next) {
   next();
 });
 
+// Status changes open and close downtime periods, and so does moving equipment to the trash
+// or restoring it
+equipmentSchema.pre('save', function(next) {
+  this.$locals.syncDowntime = (this.isModified('status') && (!this.isNew || this.status !== 'Active')) ||
+    (!this.isNew && this.isModified('deletedAt'));
+  next();
+});
+
+const syncDowntime = (doc) => {
+  if (!doc) return;
+  const downtimeService = require('../services/downtimeService');
+  return downtimeService.syncEquipment(doc._id)
+    .catch(error => console.error('Failed to update equipment downtime:', error));
+};
+
+equipmentSchema.post('save', async function(doc) {
+  if (doc.$locals.syncDowntime) await syncDowntime(doc);
+});
+
+equipmentSchema.post('findOneAndUpdate', async function(doc) {
+  const update = this.getUpdate() || {};
+  if (update.status || (update.$set && update.$set.status)) await syncDowntime(doc);
+});
+
+// Deleting equipment removes its uploaded documents
+const removeStoredFiles = (doc) => {
+  if (!doc) return;
+  const storageService = require('../services/storageService');
+  storageService.removeOwner('equipment', doc._id)
+    .catch(error => console.error('Failed to remove equipment documents:', error));
+};
+
+equipmentSchema.post('findOneAndDelete', removeStoredFiles);
+equipmentSchema.post('deleteOne', { document: true, query: false }, removeStoredFiles);
+
 // Method to schedule next maintenance
 equipmentSchema.methods.scheduleNextMaintenance = function() {
   if (this.maintenanceInterval && this.maintenanceInterval.value) {
-    const interval = this.maintenanceInterval.value;
-    const unit = this.maintenanceInterval.unit;
     const baseDate = this.lastMaintenanceDate || new Date();
-    
-    let nextDate = new Date(baseDate);
-    
-    switch (unit) {
-      case 'days':
-        nextDate.setDate(nextDate.getDate() + interval);
-        break;
-      case 'weeks':
-        nextDate.setDate(nextDate.getDate() + (interval * 7));
-        break;
-      case 'months':
-        nextDate.setMonth(nextDate.getMonth() + interval);
-        break;
-      case 'years':
-        nextDate.setFullYear(nextDate.getFullYear() + interval);
-        break;
-    }
-    
-    this.nextMaintenanceDate = nextDate;
+    this.nextMaintenanceDate = addInterval(baseDate, this.maintenanceInterval);
   }
 };
 
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const Equipment = require('./Equipment');
+
+const LEVELS = ['problem', 'cause', 'remedy'];
+
+// One node of the failure code catalogue: problems at the top, their causes under them and
+// the remedies under each cause. Problems name the equipment categories they apply to (none
+// means every category); causes and remedies follow their problem
+const failureCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'Code cannot exceed 20 characters'],
+    match: [/^[A-Z0-9_-]+$/, 'Code may only contain letters, numbers, dashes and underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  level: {
+    type: String,
+    enum: LEVELS,
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FailureCode',
+    default: null
+  },
+  equipmentCategories: [{
+    type: String,
+    enum: Equipment.schema.path('category').enumValues
+  }],
+  // Retired codes stay on the requests that used them but cannot be picked any more
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+failureCodeSchema.index({ parent: 1, code: 1 }, { unique: true });
+failureCodeSchema.index({ level: 1, equipmentCategories: 1, isActive: 1 });
+
+module.exports = mongoose.model('FailureCode', failureCodeSchema);
\ No newline at end of file
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+const EQUIPMENT_CATEGORIES = [
+  'HVAC',
+  'Electrical',
+  'Mechanical',
+  'Plumbing',
+  'IT/Electronics',
+  'Safety Systems',
+  'Building Systems',
+  'Industrial Equipment',
+  'Automotive',
+  'Office Equipment',
+  'Medical Equipment',
+  'Other'
+];
+
+// Reusable checklist for preventive work; copied onto each request created from it
+const jobPlanSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Job plan name is required'],
+    trim: true,
+    maxlength: [100, 'Job plan name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  workshop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workshop',
+    default: null
+  },
+  // Specific equipment takes precedence over categories when picking a plan
+  equipment: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Equipment'
+  }],
+  equipmentCategories: [{
+    type: String,
+    enum: EQUIPMENT_CATEGORIES
+  }],
+  estimatedHours: {
+    type: Number,
+    min: [0, 'Estimated hours cannot be negative']
+  },
+  safetyNotes: [{
+    type: String,
+    trim: true,
+    maxlength: [500, 'Safety note cannot exceed 500 characters']
+  }],
+  // Performed in array order
+  steps: [{
+    title: {
+      type: String,
+      required: [true, 'Step title is required'],
+      trim: true,
+      maxlength: [200, 'Step title cannot exceed 200 characters']
+    },
+    instructions: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Instructions cannot exceed 1000 characters']
+    },
+    type: {
+      type: String,
+      enum: ['task', 'check', 'measurement'],
+      default: 'task'
+    },
+    // Measurement steps only
+    unit: {
+      type: String,
+      trim: true
+    },
+    minValue: Number,
+    maxValue: Number,
+    required: {
+      type: Boolean,
+      default: true
+    }
+  }],
+  // Bumped on every change; requests keep the version they were created from
+  version: {
+    type: Number,
+    default: 1
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+jobPlanSchema.index({ equipment: 1, isActive: 1 });
+jobPlanSchema.index({ equipmentCategories: 1, isActive: 1 });
+jobPlanSchema.index({ workshop: 1 });
+
+// Static method to find the plan for a piece of equipment (direct link first, then category)
+jobPlanSchema.statics.findForEquipment = async function(equipment) {
+  const workshop = { $in: [null, equipment.workshop || null] };
+
+  const direct = await this.findOne({ isActive: true, workshop, equipment: equipment._id })
+    .sort({ updatedAt: -1 });
+  if (direct) return direct;
+
+  return this.findOne({ isActive: true, workshop, equipmentCategories: equipment.category })
+    .sort({ workshop: -1, updatedAt: -1 });
+};
+
+module.exports = mongoose.model('JobPlan', jobPlanSchema);
\ No newline at end of file
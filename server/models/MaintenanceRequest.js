@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Lowest to highest; priorityRank is the position (1-5) so lists can sort by severity
+const PRIORITIES = ['Low', 'Medium', 'High', 'Critical', 'Emergency'];
+
 const maintenanceRequestSchema = new mongoose.Schema({
   requestNumber: {
     type: String,
@@ -23,11 +26,20 @@ const maintenanceRequestSchema = new mongoose.Schema({
     enum: ['Corrective', 'Preventive', 'Predictive', 'Emergency'],
     required: [true, 'Maintenance type is required']
   },
+  // The equipment is down until this request is closed; defaults to true for emergencies
+  breakdown: {
+    type: Boolean
+  },
   equipment: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Equipment',
     required: [true, 'Equipment is required']
   },
+  workshop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workshop',
+    default: null
+  },
   location: {
     building: String,
     floor: String,
@@ -53,12 +65,22 @@ const maintenanceRequestSchema = new mongoose.Schema({
     default: 'New',
     required: true
   },
+  statusReason: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Status reason cannot exceed 1000 characters']
+  },
   priority: {
     type: String,
-    enum: ['Low', 'Medium', 'High', 'Critical', 'Emergency'],
+    enum: PRIORITIES,
     default: 'Medium',
     required: true
   },
+  priorityRank: {
+    type: Number,
+    min: 1,
+    max: PRIORITIES.length
+  },
   urgency: {
     type: String,
     enum: ['Low', 'Medium', 'High', 'Critical'],
@@ -76,6 +98,10 @@ const maintenanceRequestSchema = new mongoose.Schema({
     type: Number, // in hours
     min: 0
   },
+  estimatedCost: {
+    type: Number,
+    min: 0
+  },
   actualStartDate: {
     type: Date
   },
@@ -110,7 +136,9 @@ const maintenanceRequestSchema = new mongoose.Schema({
     },
     attachments: [{
       filename: String,
+      originalName: String,
       filePath: String,
+      thumbnailPath: String,
       fileSize: Number,
       mimeType: String
     }]
@@ -180,6 +208,7 @@ const maintenanceRequestSchema = new mongoose.Schema({
     filename: String,
     originalName: String,
     filePath: String,
+    thumbnailPath: String,
     fileSize: Number,
     mimeType: String,
     uploadedBy: {
@@ -191,18 +220,44 @@ const maintenanceRequestSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  // Requester's rating, asked for once the request is completed
   feedback: {
     rating: {
       type: Number,
       min: 1,
       max: 5
     },
-    comment: String,
+    comment: {
+      type: String,
+      maxlength: [1000, 'Feedback comment cannot exceed 1000 characters']
+    },
     submittedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
-    submittedAt: Date
+    submittedAt: Date,
+    channel: {
+      type: String,
+      enum: ['app', 'email']
+    },
+    requestedAt: Date,
+    // SHA-256 of the one-time token sent in the completion email
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    tokenExpiresAt: Date,
+    // Review raised when the rating is at or below the threshold
+    reviewRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MaintenanceRequest'
+    }
+  },
+  // Idempotency key for requests created by background jobs
+  generationKey: {
+    type: String,
+    unique: true,
+    sparse: true
   },
   recurringMaintenance: {
     isRecurring: {
@@ -222,6 +277,7 @@ const maintenanceRequestSchema = new mongoose.Schema({
       }
     }
   },
+  // Filled from the equipment's downtime period while this breakdown request keeps it down
   downtime: {
     startTime: Date,
     endTime: Date,
@@ -241,17 +297,284 @@ const maintenanceRequestSchema = new mongoose.Schema({
       ref: 'User'
     },
     approvedAt: Date,
-    rejectionReason: String
+    rejectionReason: String,
+    status: {
+      type: String,
+      enum: ['Not Required', 'Pending', 'Approved', 'Rejected'],
+      default: 'Not Required'
+    },
+    // Ordered approval levels built from the workshop rules at creation
+    steps: [{
+      approverRole: {
+        type: String,
+        enum: ['team_lead', 'workshop_manager', 'admin'],
+        required: true
+      },
+      team: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Team'
+      },
+      reasons: [String],
+      status: {
+        type: String,
+        enum: ['Pending', 'Approved', 'Rejected'],
+        default: 'Pending'
+      },
+      decidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      decidedAt: Date,
+      comment: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Comment cannot exceed 1000 characters']
+      }
+    }],
+    currentStep: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Parent work order when this is one of its sub-work-orders (one level deep)
+  parentRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MaintenanceRequest',
+    default: null
+  },
+  // Totals of the sub-work-orders, kept up to date as they change
+  rollup: {
+    childCount: {
+      type: Number,
+      default: 0
+    },
+    openChildren: {
+      type: Number,
+      default: 0
+    },
+    hoursWorked: {
+      type: Number,
+      default: 0
+    },
+    cost: {
+      labor: {
+        type: Number,
+        default: 0
+      },
+      parts: {
+        type: Number,
+        default: 0
+      },
+      external: {
+        type: Number,
+        default: 0
+      }
+    },
+    partsUsed: [{
+      _id: false,
+      name: String,
+      partNumber: String,
+      quantity: Number,
+      totalCost: Number
+    }],
+    downtimeMinutes: {
+      type: Number,
+      default: 0
+    },
+    updatedAt: Date
+  },
+  // Snapshot of the job plan the checklist was copied from
+  jobPlan: {
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JobPlan'
+    },
+    name: String,
+    version: Number,
+    estimatedHours: Number,
+    safetyNotes: [String]
+  },
+  checklist: [{
+    // Step id in the job plan
+    step: mongoose.Schema.Types.ObjectId,
+    order: Number,
+    title: {
+      type: String,
+      required: true
+    },
+    instructions: String,
+    type: {
+      type: String,
+      enum: ['task', 'check', 'measurement'],
+      default: 'task'
+    },
+    unit: String,
+    minValue: Number,
+    maxValue: Number,
+    required: {
+      type: Boolean,
+      default: true
+    },
+    status: {
+      type: String,
+      enum: ['Pending', 'Done', 'Passed', 'Failed', 'Skipped'],
+      default: 'Pending'
+    },
+    value: Number,
+    outOfRange: {
+      type: Boolean,
+      default: false
+    },
+    note: {
+      type: String,
+      maxlength: [1000, 'Note cannot exceed 1000 characters']
+    },
+    completedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    completedAt: Date,
+    followUpRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MaintenanceRequest'
+    }
+  }],
+  // Set on corrective requests raised from a failed checklist step
+  followUpOf: {
+    request: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MaintenanceRequest'
+    },
+    checklistItem: mongoose.Schema.Types.ObjectId
   },
+  // Problem, cause and remedy from the failure code catalogue (services/failureCodeService);
+  // corrective and emergency requests need all three before they can be completed
+  failure: {
+    problem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FailureCode',
+      default: null
+    },
+    cause: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FailureCode',
+      default: null
+    },
+    remedy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FailureCode',
+      default: null
+    },
+    codedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    codedAt: Date
+  },
+  // Users notified of new comments; requester and assignee are added automatically
+  watchers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Escalation steps taken by the background escalation job
+  escalations: [{
+    key: {
+      type: String,
+      required: true
+    },
+    rule: String,
+    trigger: {
+      type: String,
+      enum: ['unassigned', 'response_breach', 'resolution_breach']
+    },
+    notifyRole: String,
+    notified: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      name: String,
+      email: String
+    }],
+    priorityFrom: String,
+    priorityTo: String,
+    triggeredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Structured activity history, appended by services/timelineService and never edited
+  history: [{
+    event: {
+      type: String,
+      enum: ['created', 'status_changed', 'assigned', 'priority_changed', 'date_changed', 'note_added', 'part_added', 'approval', 'sla', 'escalated'],
+      required: true
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    // Empty for changes made by background jobs
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed,
+    note: String
+  }],
   sla: {
-    responseTime: Number, // in hours
-    resolutionTime: Number, // in hours
+    responseTime: Number, // in business hours
+    resolutionTime: Number, // in business hours
     responseDeadline: Date,
     resolutionDeadline: Date,
     isSLABreached: {
       type: Boolean,
       default: false
-    }
+    },
+    startedAt: Date,
+    // Snapshot of the SLA policy the targets came from
+    policy: {
+      policy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SLAPolicy'
+      },
+      name: String,
+      version: Number,
+      responseHours: Number,
+      resolutionHours: Number,
+      appliedAt: Date
+    },
+    // Workshop business hours at creation (null = 24/7), see utils/businessHours
+    calendar: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    firstResponseAt: Date,
+    responseMinutes: Number, // business minutes to first response
+    responseBreached: {
+      type: Boolean,
+      default: false
+    },
+    resolvedAt: Date,
+    resolutionMinutes: Number, // business minutes to close, excluding pauses
+    resolutionBreached: {
+      type: Boolean,
+      default: false
+    },
+    breachedAt: Date,
+    pausedAt: Date,
+    pausedMinutes: {
+      type: Number,
+      default: 0
+    },
+    pauses: [{
+      status: String,
+      startedAt: Date,
+      endedAt: Date,
+      minutes: Number
+    }]
   }
 }, {
   timestamps: true,
@@ -263,7 +586,9 @@ const maintenanceRequestSchema = new mongoose.Schema({
 maintenanceRequestSchema.index({ requestNumber: 1 });
 maintenanceRequestSchema.index({ status: 1 });
 maintenanceRequestSchema.index({ priority: 1 });
+maintenanceRequestSchema.index({ priorityRank: 1, createdAt: 1 });
 maintenanceRequestSchema.index({ equipment: 1 });
+maintenanceRequestSchema.index({ workshop: 1 });
 maintenanceRequestSchema.index({ assignedTechnician: 1 });
 maintenanceRequestSchema.index({ assignedTeam: 1 });
 maintenanceRequestSchema.index({ createdBy: 1 });
@@ -271,6 +596,28 @@ maintenanceRequestSchema.index({ scheduledDate: 1 });
 maintenanceRequestSchema.index({ dueDate: 1 });
 maintenanceRequestSchema.index({ createdAt: 1 });
 maintenanceRequestSchema.index({ type: 1 });
+maintenanceRequestSchema.index({ 'recurringMaintenance.isRecurring': 1, 'recurringMaintenance.nextScheduled': 1 });
+maintenanceRequestSchema.index({ 'approval.status': 1 });
+maintenanceRequestSchema.index({ status: 1, 'sla.resolutionDeadline': 1 });
+maintenanceRequestSchema.index({ 'sla.policy.policy': 1 });
+maintenanceRequestSchema.index({ 'followUpOf.request': 1 });
+maintenanceRequestSchema.index({ 'feedback.tokenHash': 1 }, { sparse: true });
+maintenanceRequestSchema.index({ parentRequest: 1, status: 1 });
+maintenanceRequestSchema.index({ watchers: 1 });
+maintenanceRequestSchema.index({ 'failure.problem': 1, completedAt: 1 });
+// Global search (services/searchService); a collection can only have one text index
+maintenanceRequestSchema.index({
+  requestNumber: 'text',
+  title: 'text',
+  description: 'text',
+  tags: 'text',
+  'workNotes.note': 'text',
+  'partsUsed.name': 'text',
+  'partsUsed.partNumber': 'text'
+}, {
+  name: 'search_text',
+  weights: { requestNumber: 10, title: 8, tags: 5, 'partsUsed.partNumber': 5, 'partsUsed.name': 3, description: 2, 'workNotes.note': 1 }
+});
 
 // Virtual for total cost
 maintenanceRequestSchema.virtual('totalCost').get(function() {
@@ -282,6 +629,19 @@ maintenanceRequestSchema.virtual('totalHoursWorked').get(function() {
   return this.workNotes.reduce((total, note) => total + (note.hoursWorked || 0), 0);
 });
 
+// Virtual for hours and costs including sub-work-orders
+maintenanceRequestSchema.virtual('combinedTotals').get(function() {
+  if (!this.rollup || !this.rollup.childCount) return null;
+  const cost = this.cost || {};
+  const ownHours = (this.workNotes || []).reduce((total, note) => total + (note.hoursWorked || 0), 0);
+  return {
+    hoursWorked: ownHours + this.rollup.hoursWorked,
+    cost: (cost.labor || 0) + (cost.parts || 0) + (cost.external || 0) +
+      this.rollup.cost.labor + this.rollup.cost.parts + this.rollup.cost.external,
+    downtimeMinutes: (this.downtime?.totalMinutes || 0) + this.rollup.downtimeMinutes
+  };
+});
+
 // Virtual for duration in minutes
 maintenanceRequestSchema.virtual('duration').get(function() {
   if (this.actualStartDate && this.actualEndDate) {
@@ -302,48 +662,45 @@ maintenanceRequestSchema.virtual('isOverdue').get(function() {
   return new Date() > this.dueDate;
 });
 
-// Pre-save middleware to generate request number
-maintenanceRequestSchema.pre('save', async function(next) {
+// Virtual for SLA time remaining (business minutes)
+maintenanceRequestSchema.virtual('slaStatus').get(function() {
+  const slaService = require('../services/slaService');
+  return slaService.getStatus(this);
+});
+
+// Virtual for job plan checklist progress
+maintenanceRequestSchema.virtual('checklistProgress').get(function() {
+  if (!this.checklist || this.checklist.length === 0) return null;
+  const completed = this.checklist.filter(item => item.status !== 'Pending');
+  return {
+    total: this.checklist.length,
+    completed: completed.length,
+    requiredRemaining: this.checklist.filter(item => item.required && item.status === 'Pending').length,
+    outOfRange: this.checklist.filter(item => item.outOfRange).length
+  };
+});
+
+// Number new requests from the workshop's counter; runs before validation because
+// requestNumber is required. priorityRank follows priority here so inserts get it too
+maintenanceRequestSchema.pre('validate', async function(next) {
+  if (this.isNew || this.isModified('priority')) {
+    this.priorityRank = PRIORITIES.indexOf(this.priority) + 1 || undefined;
+  }
   if (this.isNew && !this.requestNumber) {
-    const year = new Date().getFullYear();
-    const month = String(new Date().getMonth() + 1).padStart(2, '0');
-    
-    // Find the last request number for this month
-    const lastRequest = await this.constructor
-      .findOne({ requestNumber: new RegExp(`^MR-${year}${month}`) })
-      .sort({ requestNumber: -1 });
-    
-    let sequence = 1;
-    if (lastRequest) {
-      const lastSequence = parseInt(lastRequest.requestNumber.split('-')[2]);
-      sequence = lastSequence + 1;
-    }
-    
-    this.requestNumber = `MR-${year}${month}-${String(sequence).padStart(4, '0')}`;
+    const numberingService = require('../services/numberingService');
+    this.requestNumber = await numberingService.next('request', { workshop: this.workshop });
   }
+  next();
+});
+
+maintenanceRequestSchema.pre('save', async function(next) {
+  // Requester and assignee follow the discussion until they choose to leave it
+  if (this.isNew && this.createdBy) this.addWatcher(this.createdBy);
+  if (this.isModified('assignedTechnician') && this.assignedTechnician) this.addWatcher(this.assignedTechnician);
   
-  // Auto-calculate SLA deadlines
-  if (this.isModified('priority') || this.isNew) {
-    const slaHours = {
-      'Emergency': { response: 0.5, resolution: 4 },
-      'Critical': { response: 2, resolution: 8 },
-      'High': { response: 4, resolution: 24 },
-      'Medium': { response: 8, resolution: 72 },
-      'Low': { response: 24, resolution: 168 }
-    };
-    
-    const sla = slaHours[this.priority];
-    if (sla) {
-      const created = this.createdAt || new Date();
-      this.sla = {
-        ...this.sla,
-        responseTime: sla.response,
-        resolutionTime: sla.resolution,
-        responseDeadline: new Date(created.getTime() + (sla.response * 60 * 60 * 1000)),
-        resolutionDeadline: new Date(created.getTime() + (sla.resolution * 60 * 60 * 1000))
-      };
-    }
-  }
+  // Business-hours SLA deadlines, pauses and first response
+  const slaService = require('../services/slaService');
+  await slaService.applyToRequest(this);
   
   // Update completion timestamp
   if (this.isModified('status') && this.status === 'Completed') {
@@ -355,10 +712,103 @@ maintenanceRequestSchema.pre('save', async function(next) {
   if (this.isModified('status') && this.status === 'In Progress' && !this.actualStartDate) {
     this.actualStartDate = new Date();
   }
+
+  // Activity history for the timeline; after the SLA update so its events are included
+  const timelineService = require('../services/timelineService');
+  timelineService.applyToRequest(this);
+
+  if (this.isNew && this.breakdown == null) {
+    this.breakdown = this.type === 'Emergency';
+  }
+
+  // Breakdown requests keep their equipment's downtime period open until they close
+  this.$locals.syncDowntime = !!this.breakdown &&
+    (this.isNew || this.isModified('status') || this.isModified('breakdown') || this.isModified('equipment'));
+
+  // The requester is asked for feedback once the request has been saved as completed
+  this.$locals.requestFeedback = !this.isNew && this.isModified('status') && this.status === 'Completed';
+
+  // Repeat corrective work on the same equipment may call for a root cause analysis
+  this.$locals.checkRepeatFailures = this.isNew;
+
+  // Sub-work-orders report status, hours and costs up to their parent after saving
+  this.$locals.refreshParentRollup = !!this.parentRequest &&
+    (this.isNew || ['status', 'workNotes', 'partsUsed', 'cost', 'downtime'].some(path => this.isModified(path)));
   
   next();
 });
 
+// Remember the tracked fields as loaded so the next save can record what changed
+maintenanceRequestSchema.post('init', function(doc) {
+  const timelineService = require('../services/timelineService');
+  timelineService.remember(doc);
+});
+
+// Post-save middleware to ask for feedback, track downtime, keep the parent's roll-up current
+// and suggest root cause analyses
+maintenanceRequestSchema.post('save', async function(doc) {
+  if (doc.$locals.requestFeedback) {
+    const feedbackService = require('../services/feedbackService');
+    await feedbackService.requestFeedback(doc)
+      .catch(error => console.error('Failed to request feedback:', error));
+  }
+  if (doc.$locals.syncDowntime) {
+    const downtimeService = require('../services/downtimeService');
+    await downtimeService.syncEquipment(doc.equipment)
+      .catch(error => console.error('Failed to update equipment downtime:', error));
+  }
+  if (doc.$locals.refreshParentRollup) {
+    const workOrderService = require('../services/workOrderService');
+    await workOrderService.refreshRollup(doc.parentRequest)
+      .catch(error => console.error('Failed to refresh parent roll-up:', error));
+  }
+  if (doc.$locals.checkRepeatFailures) {
+    const rcaService = require('../services/rcaService');
+    await rcaService.checkRequest(doc)
+      .catch(error => console.error('Failed to check for repeat failures:', error));
+  }
+});
+
+// Status changes made with findOneAndUpdate (e.g. approval rejection) bypass the save hooks
+maintenanceRequestSchema.post('findOneAndUpdate', async function(doc) {
+  if (doc && doc.parentRequest) {
+    const workOrderService = require('../services/workOrderService');
+    await workOrderService.refreshRollup(doc.parentRequest)
+      .catch(error => console.error('Failed to refresh parent roll-up:', error));
+  }
+
+  const update = this.getUpdate() || {};
+  if (doc && doc.breakdown && (update.status || (update.$set && update.$set.status))) {
+    const downtimeService = require('../services/downtimeService');
+    await downtimeService.syncEquipment(doc.equipment)
+      .catch(error => console.error('Failed to update equipment downtime:', error));
+  }
+});
+
+// Deleting a request removes its uploaded files
+const removeStoredFiles = (doc) => {
+  if (!doc) return;
+  const storageService = require('../services/storageService');
+  storageService.removeOwner('maintenance', doc._id)
+    .catch(error => console.error('Failed to remove request files:', error));
+};
+
+maintenanceRequestSchema.post('findOneAndDelete', removeStoredFiles);
+maintenanceRequestSchema.post('deleteOne', { document: true, query: false }, removeStoredFiles);
+
+// Method to add a watcher (no-op if already watching)
+maintenanceRequestSchema.methods.addWatcher = function(userId) {
+  const id = (userId._id || userId).toString();
+  if (!this.isWatchedBy(id)) {
+    this.watchers.push(userId._id || userId);
+  }
+  return this;
+};
+
+maintenanceRequestSchema.methods.isWatchedBy = function(userId) {
+  return this.watchers.some(watcher => (watcher._id || watcher).toString() === userId.toString());
+};
+
 // Method to add work note
 maintenanceRequestSchema.methods.addWorkNote = function(technicianId, note, hoursWorked = 0, attachments = []) {
   this.workNotes.push({
@@ -381,6 +831,14 @@ maintenanceRequestSchema.methods.calculatePartsCost = function() {
   return total;
 };
 
+// Set priorityRank on requests saved before it existed; run once the database is connected
+maintenanceRequestSchema.statics.syncPriorityRanks = function() {
+  return Promise.all(PRIORITIES.map((priority, index) => this.updateMany(
+    { priority, priorityRank: { $ne: index + 1 } },
+    { $set: { priorityRank: index + 1 } }
+  )));
+};
+
 // Static method to find overdue requests
 maintenanceRequestSchema.statics.findOverdue = function() {
   const now = new Date();
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const meterReadingSchema = new mongoose.Schema({
+  equipment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Equipment',
+    required: [true, 'Equipment is required']
+  },
+  meter: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Meter is required']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Reading value is required'],
+    min: [0, 'Reading cannot be negative']
+  },
+  previousValue: {
+    type: Number,
+    default: 0
+  },
+  // Usage added by this reading, after rollover/reset handling
+  delta: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  totalUsage: {
+    type: Number,
+    default: 0
+  },
+  kind: {
+    type: String,
+    enum: ['normal', 'rollover', 'reset'],
+    default: 'normal'
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'bulk'],
+    default: 'manual'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  triggeredRequests: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MaintenanceRequest'
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+meterReadingSchema.index({ equipment: 1, meter: 1, recordedAt: -1 });
+
+module.exports = mongoose.model('MeterReading', meterReadingSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// In-app notification shown in the header bell
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['comment', 'mention', 'assignment', 'approval', 'escalation', 'feedback', 'report', 'rca', 'system'],
+    default: 'system'
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  maintenanceRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MaintenanceRequest'
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+notificationSchema.index({ recipient: 1, readAt: 1, createdAt: -1 });
+// Read notifications are kept for 90 days
+notificationSchema.index({ readAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
\ No newline at end of file
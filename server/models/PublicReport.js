@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// A problem reported from an equipment's public QR page (see services/portalService).
+// Reports wait in a triage queue until staff turn them into a maintenance request or discard them
+const publicReportSchema = new mongoose.Schema({
+  equipment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Equipment',
+    required: true
+  },
+  workshop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workshop',
+    default: null
+  },
+  // Team responsible for the equipment when the report came in; its lead triages the report
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  reporter: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    }
+  },
+  photos: [{
+    filename: String,
+    originalName: String,
+    filePath: String,
+    thumbnailPath: String,
+    fileSize: Number,
+    mimeType: String
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected', 'spam'],
+    default: 'pending'
+  },
+  // The reporter's tracking link carries the token; only its hash is stored
+  trackingTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  maintenanceRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MaintenanceRequest'
+  },
+  triage: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date
+    },
+    note: {
+      type: String,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    }
+  }
+}, {
+  timestamps: true
+});
+
+publicReportSchema.index({ status: 1, createdAt: 1 });
+publicReportSchema.index({ team: 1, status: 1 });
+publicReportSchema.index({ equipment: 1, status: 1 });
+
+// Deleting a report removes its photos
+const removeStoredFiles = (doc) => {
+  if (!doc) return;
+  const storageService = require('../services/storageService');
+  storageService.removeOwner('reports', doc._id)
+    .catch(error => console.error('Failed to remove report photos:', error));
+};
+
+publicReportSchema.post('findOneAndDelete', removeStoredFiles);
+publicReportSchema.post('deleteOne', { document: true, query: false }, removeStoredFiles);
+
+module.exports = mongoose.model('PublicReport', publicReportSchema);
\ No newline at end of file
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['Suggested', 'Open', 'In Analysis', 'Actions In Progress', 'Closed', 'Dismissed'];
+// The 6M headings of the fishbone diagram
+const FISHBONE_CATEGORIES = ['People', 'Methods', 'Machines', 'Materials', 'Measurements', 'Environment'];
+
+const correctiveActionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Action title is required'],
+    trim: true,
+    maxlength: [200, 'Action title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Action owner is required']
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Due date is required']
+  },
+  status: {
+    type: String,
+    enum: ['Open', 'In Progress', 'Done', 'Cancelled'],
+    default: 'Open'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  completedAt: Date,
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// A formal root cause analysis of repeat failures (see services/rcaService). It links the
+// requests and equipment involved, works back to the cause through the 5 Whys and a fishbone
+// diagram, and is closed once its corrective actions are done
+const rootCauseAnalysisSchema = new mongoose.Schema({
+  // Generated from the workshop's RCA number pattern (see services/numberingService)
+  rcaNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  problemStatement: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Problem statement cannot exceed 2000 characters']
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'Open'
+  },
+  equipment: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Equipment'
+  }],
+  maintenanceRequests: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MaintenanceRequest'
+  }],
+  workshop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workshop',
+    default: null
+  },
+  // The failure mode under investigation, from the failure code catalogue
+  failureCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FailureCode',
+    default: null
+  },
+  // Leads the analysis; suggested RCAs have none until someone picks them up
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  fiveWhys: [{
+    question: {
+      type: String,
+      required: [true, 'Each why needs a question'],
+      trim: true,
+      maxlength: [500, 'Question cannot exceed 500 characters']
+    },
+    answer: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Answer cannot exceed 1000 characters']
+    }
+  }],
+  fishbone: [{
+    category: {
+      type: String,
+      enum: FISHBONE_CATEGORIES,
+      required: true
+    },
+    cause: {
+      type: String,
+      required: [true, 'Each fishbone entry needs a cause'],
+      trim: true,
+      maxlength: [300, 'Cause cannot exceed 300 characters']
+    }
+  }],
+  rootCause: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Root cause cannot exceed 2000 characters']
+  },
+  correctiveActions: [correctiveActionSchema],
+  // Set when the RCA was opened automatically because of repeat corrective work
+  suggestion: {
+    correctiveCount: Number,
+    windowDays: Number,
+    threshold: Number,
+    // One suggestion per equipment and counting period, even if requests are saved at once
+    key: String
+  },
+  statusReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // When the RCA was last closed or dismissed; repeat failures are counted again from here
+  closedAt: Date,
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+rootCauseAnalysisSchema.index({ status: 1, workshop: 1, createdAt: -1 });
+rootCauseAnalysisSchema.index({ equipment: 1, createdAt: -1 });
+rootCauseAnalysisSchema.index({ maintenanceRequests: 1 });
+rootCauseAnalysisSchema.index({ 'correctiveActions.owner': 1, 'correctiveActions.status': 1 });
+rootCauseAnalysisSchema.index({ 'suggestion.key': 1 }, { unique: true, sparse: true });
+
+rootCauseAnalysisSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.rcaNumber) {
+    const numberingService = require('../services/numberingService');
+    this.rcaNumber = await numberingService.next('rca', { workshop: this.workshop });
+  }
+  next();
+});
+
+module.exports = mongoose.model('RootCauseAnalysis', rootCauseAnalysisSchema);
\ No newline at end of file
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// Response/resolution targets; empty match fields act as wildcards
+const slaPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    trim: true,
+    maxlength: [100, 'Policy name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  workshop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workshop',
+    default: null
+  },
+  priority: {
+    type: String,
+    enum: ['Low', 'Medium', 'High', 'Critical', 'Emergency', null],
+    default: null
+  },
+  requestType: {
+    type: String,
+    enum: ['Corrective', 'Preventive', 'Predictive', 'Emergency', null],
+    default: null
+  },
+  criticality: {
+    type: String,
+    enum: ['Low', 'Medium', 'High', 'Critical', null],
+    default: null
+  },
+  responseHours: {
+    type: Number,
+    required: [true, 'Response target is required'],
+    min: [0.25, 'Response target must be at least 15 minutes']
+  },
+  resolutionHours: {
+    type: Number,
+    required: [true, 'Resolution target is required'],
+    min: [0.25, 'Resolution target must be at least 15 minutes']
+  },
+  // Bumped on every change so requests can tell which revision they were measured against
+  version: {
+    type: Number,
+    default: 1
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+slaPolicySchema.index({ workshop: 1, priority: 1, requestType: 1, criticality: 1 });
+slaPolicySchema.index({ isActive: 1 });
+
+// Virtual for how specific the policy is; workshop outweighs the other fields
+slaPolicySchema.virtual('specificity').get(function() {
+  return (this.workshop ? 8 : 0) +
+    (this.priority ? 4 : 0) +
+    (this.requestType ? 2 : 0) +
+    (this.criticality ? 1 : 0);
+});
+
+// Static method to find the most specific active policy for a request
+slaPolicySchema.statics.findBestMatch = async function({ workshop, priority, requestType, criticality }) {
+  const candidates = await this.find({
+    isActive: true,
+    workshop: { $in: [null, workshop || null] },
+    priority: { $in: [null, priority || null] },
+    requestType: { $in: [null, requestType || null] },
+    criticality: { $in: [null, criticality || null] }
+  });
+
+  return candidates.sort((a, b) => b.specificity - a.specificity || a.createdAt - b.createdAt)[0] || null;
+};
+
+module.exports = mongoose.model('SLAPolicy', slaPolicySchema);
\ No newline at end of file
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// A named set of list filters, sort and columns (see services/savedViewService).
+// Views are private to their owner or shared with the owner's team or workshop
+const savedViewSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'View name is required'],
+    trim: true,
+    maxlength: [100, 'View name cannot exceed 100 characters']
+  },
+  entity: {
+    type: String,
+    enum: ['maintenance', 'equipment'],
+    required: true
+  },
+  // Query parameters of the list endpoint, checked against the entity's filter whitelist
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  sort: {
+    type: String,
+    default: '-createdAt'
+  },
+  columns: [{
+    type: String
+  }],
+  visibility: {
+    type: String,
+    enum: ['private', 'team', 'workshop'],
+    default: 'private'
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  workshop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workshop',
+    default: null
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+savedViewSchema.index({ entity: 1, owner: 1 });
+savedViewSchema.index({ entity: 1, visibility: 1, team: 1 });
+savedViewSchema.index({ entity: 1, visibility: 1, workshop: 1 });
+
+module.exports = mongoose.model('SavedView', savedViewSchema);
\ No newline at end of file
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Persistent state for background jobs; the lock keeps two server instances
+// (or an overlapping run after a restart) from executing the same job at once
+const scheduledJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Job name is required'],
+    unique: true,
+    trim: true
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lastRunAt: {
+    type: Date
+  },
+  lastFinishedAt: {
+    type: Date
+  },
+  lastResult: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  lastError: {
+    type: String
+  },
+  runCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Try to take the lock for a job; resolves to the job document or null when another runner holds it
+scheduledJobSchema.statics.acquireLock = async function(name, owner, ttlMs) {
+  const now = new Date();
+
+  try {
+    return await this.findOneAndUpdate(
+      {
+        name,
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }, { lockedBy: owner }]
+      },
+      {
+        $set: { lockedUntil: new Date(now.getTime() + ttlMs), lockedBy: owner, lastRunAt: now },
+        $inc: { runCount: 1 }
+      },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // Duplicate key on upsert means the job exists and is locked by someone else
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Release the lock and record the outcome of the run
+scheduledJobSchema.statics.releaseLock = function(name, owner, { result, error } = {}) {
+  return this.updateOne(
+    { name, lockedBy: owner },
+    {
+      $set: {
+        lockedUntil: null,
+        lockedBy: null,
+        lastFinishedAt: new Date(),
+        lastResult: result === undefined ? null : result,
+        lastError: error ? error.message : null
+      }
+    }
+  );
+};
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const teamSchema = new mongoose.Schema({
   name: {
@@ -51,6 +52,15 @@ const teamSchema = new mongoose.Schema({
     isActive: {
       type: Boolean,
       default: true
+    },
+    // Overrides the user's own labor rate for work done for this team
+    hourlyRate: {
+      type: Number,
+      min: [0, 'Hourly rate cannot be negative']
+    },
+    overtimeMultiplier: {
+      type: Number,
+      min: [1, 'Overtime multiplier must be at least 1']
     }
   }],
   teamLead: {
@@ -97,6 +107,7 @@ const teamSchema = new mongoose.Schema({
     completedTasks: { type: Number, default: 0 },
     averageResponseTime: { type: Number, default: 0 }, // in hours
     customerSatisfaction: { type: Number, default: 0 }, // 0-5 rating
+    feedbackCount: { type: Number, default: 0 },
     efficiency: { type: Number, default: 0 } // percentage
   }
 }, {
@@ -111,6 +122,9 @@ teamSchema.index({ specialization: 1 });
 teamSchema.index({ status: 1 });
 teamSchema.index({ 'members.user': 1 });
 
+// Deleting moves the record to the trash (services/trashService)
+teamSchema.plugin(softDelete);
+
 // Virtual for active members count
 teamSchema.virtual('activeMembersCount').get(function() {
   return this.members.filter(member => member.isActive).length;
@@ -215,6 +229,22 @@ teamSchema.methods.updateMemberRole = function(userId, newRole) {
   return this.save();
 };
 
+// Method to set or clear (null) a member's labor rate override
+teamSchema.methods.updateMemberRate = function(userId, { hourlyRate, overtimeMultiplier }) {
+  const member = this.members.find(member => 
+    member.user.toString() === userId.toString()
+  );
+  
+  if (!member) {
+    throw new Error('User is not a member of this team');
+  }
+  
+  if (hourlyRate !== undefined) member.hourlyRate = hourlyRate === null ? undefined : hourlyRate;
+  if (overtimeMultiplier !== undefined) member.overtimeMultiplier = overtimeMultiplier === null ? undefined : overtimeMultiplier;
+  
+  return this.save();
+};
+
 // Static method to find teams by specialization
 teamSchema.statics.findBySpecialization = function(specialization) {
   return this.find({
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+// Labor time booked by a technician against a maintenance request
+const timeEntrySchema = new mongoose.Schema({
+  request: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MaintenanceRequest',
+    required: [true, 'Maintenance request is required']
+  },
+  technician: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Technician is required']
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team'
+  },
+  workshop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workshop',
+    default: null
+  },
+  source: {
+    type: String,
+    enum: ['timer', 'manual'],
+    required: true
+  },
+  // Manual entries are always stopped
+  status: {
+    type: String,
+    enum: ['running', 'paused', 'stopped'],
+    default: 'stopped'
+  },
+  // Worked intervals; pausing a timer closes the current one
+  segments: [{
+    _id: false,
+    startedAt: {
+      type: Date,
+      required: true
+    },
+    endedAt: Date
+  }],
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: Date,
+  minutes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Minutes outside the workshop's operating hours count as overtime
+  regularMinutes: {
+    type: Number,
+    default: 0
+  },
+  overtimeMinutes: {
+    type: Number,
+    default: 0
+  },
+  // Manual entries can be booked entirely as overtime
+  overtime: {
+    type: Boolean,
+    default: false
+  },
+  // Rates in force when the entry was priced
+  hourlyRate: {
+    type: Number,
+    default: 0
+  },
+  overtimeMultiplier: {
+    type: Number,
+    default: 1
+  },
+  cost: {
+    type: Number,
+    default: 0
+  },
+  approval: {
+    status: {
+      type: String,
+      enum: ['Pending', 'Approved', 'Rejected'],
+      default: 'Approved'
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date,
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Reason cannot exceed 1000 characters']
+    }
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Note cannot exceed 1000 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+timeEntrySchema.index({ request: 1, technician: 1 });
+timeEntrySchema.index({ technician: 1, startedAt: -1 });
+timeEntrySchema.index({ 'approval.status': 1, team: 1 });
+// A technician can only have one timer running at a time
+timeEntrySchema.index({ technician: 1 }, { unique: true, partialFilterExpression: { status: 'running' } });
+
+module.exports = mongoose.model('TimeEntry', timeEntrySchema);
\ No newline at end of file
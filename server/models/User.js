@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const softDelete = require('./plugins/softDelete');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -91,6 +92,22 @@ const userSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Used to cost time entries; team membership can override it
+  laborRate: {
+    hourly: {
+      type: Number,
+      min: [0, 'Hourly rate cannot be negative']
+    },
+    overtimeMultiplier: {
+      type: Number,
+      min: [1, 'Overtime multiplier must be at least 1']
+    }
+  },
+  // Average requester rating on completed requests assigned to this technician
+  satisfaction: {
+    average: { type: Number, default: 0 },
+    count: { type: Number, default: 0 }
+  },
   avatar: {
     type: String,
     default: null
@@ -102,6 +119,11 @@ const userSchema = new mongoose.Schema({
     },
     dashboard: {
       layout: { type: String, default: 'grid' }
+    },
+    // Saved view each list opens with (see services/savedViewService)
+    defaultViews: {
+      maintenance: { type: mongoose.Schema.Types.ObjectId, ref: 'SavedView', default: null },
+      equipment: { type: mongoose.Schema.Types.ObjectId, ref: 'SavedView', default: null }
     }
   }
 }, {
@@ -116,6 +138,14 @@ userSchema.index({ role: 1 });
 userSchema.index({ workshop: 1 });
 userSchema.index({ team: 1 });
 userSchema.index({ status: 1 });
+// Global search (services/searchService)
+userSchema.index({ name: 'text', email: 'text', employeeId: 'text', department: 'text' }, {
+  name: 'search_text',
+  weights: { name: 10, employeeId: 10, email: 5, department: 2 }
+});
+
+// Deleting moves the record to the trash (services/trashService)
+userSchema.plugin(softDelete);
 
 // Virtual for assigned maintenance requests
 userSchema.virtual('assignedRequests', {
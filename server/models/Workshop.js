@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const workshopSchema = new mongoose.Schema({
   name: {
@@ -59,7 +60,12 @@ const workshopSchema = new mongoose.Schema({
     manager: {
       name: String,
       email: String,
-      phone: String
+      phone: String,
+      // Account that approves requests as workshop manager
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
     }
   },
   operatingHours: {
@@ -127,7 +133,78 @@ const workshopSchema = new mongoose.Schema({
       requireApproval: {
         type: Boolean,
         default: false
+      },
+      // Rules that add approval levels (see services/approvalService)
+      approvalRules: [{
+        name: {
+          type: String,
+          required: true,
+          trim: true
+        },
+        minEstimatedCost: Number,
+        types: [{
+          type: String,
+          enum: ['Corrective', 'Preventive', 'Predictive', 'Emergency']
+        }],
+        priorities: [{
+          type: String,
+          enum: ['Low', 'Medium', 'High', 'Critical', 'Emergency']
+        }],
+        approverRole: {
+          type: String,
+          enum: ['team_lead', 'workshop_manager', 'admin'],
+          required: true
+        }
+      }],
+      // Days ahead of the due date that preventive requests are generated
+      preventiveLeadDays: {
+        type: Number,
+        min: 0,
+        max: 90,
+        default: 7
+      },
+      // Background escalation rules (see services/escalationService)
+      escalationRules: [{
+        name: {
+          type: String,
+          required: true,
+          trim: true
+        },
+        trigger: {
+          type: String,
+          enum: ['unassigned', 'response_breach', 'resolution_breach'],
+          required: true
+        },
+        // Minutes after creation (unassigned) or after the deadline passed (breaches)
+        afterMinutes: {
+          type: Number,
+          min: 0,
+          default: 0
+        },
+        notify: {
+          type: String,
+          enum: ['team_lead', 'workshop_manager', 'assignee', 'admin'],
+          required: true
+        },
+        raisePriority: {
+          type: Boolean,
+          default: false
+        },
+        isActive: {
+          type: Boolean,
+          default: true
+        }
+      }],
+      // Overrides for the request status workflow (see services/workflowService)
+      workflow: {
+        type: mongoose.Schema.Types.Mixed,
+        default: undefined
       }
+    },
+    // Overrides for request numbers and asset tags (see services/numberingService)
+    numbering: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined
     }
   },
   status: {
@@ -152,6 +229,9 @@ workshopSchema.index({ name: 1 });
 workshopSchema.index({ status: 1 });
 workshopSchema.index({ 'specializations': 1 });
 
+// Deleting moves the record to the trash (services/trashService)
+workshopSchema.plugin(softDelete);
+
 // Virtual for users count
 workshopSchema.virtual('usersCount', {
   ref: 'User',
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const QUERY_HOOKS = ['count', 'countDocuments', 'distinct', 'find', 'findOne', 'findOneAndUpdate', 'updateOne', 'updateMany'];
+
+// A filter that already says something about deletedAt (the trash list, cursor pages
+// wrapping it in $and) is left as it is
+const mentionsDeletedAt = (filter) => {
+  if (!filter || typeof filter !== 'object') return false;
+  if (Object.prototype.hasOwnProperty.call(filter, 'deletedAt')) return true;
+  return ['$and', '$or'].some(operator => Array.isArray(filter[operator]) && filter[operator].some(mentionsDeletedAt));
+};
+
+// Populate looks documents up as { _id: { $in: [...] } }. Those keep resolving to deleted
+// records so old requests, history and audit entries still show who or what they pointed at
+const isIdLookup = (filter) => {
+  const keys = Object.keys(filter || {});
+  return keys.length === 1 && keys[0] === '_id'
+    && filter._id && typeof filter._id === 'object' && Object.keys(filter._id).join() === '$in';
+};
+
+// Records moved to the trash carry deletedAt/deletedBy and drop out of every query and
+// aggregate. Pass { withDeleted: true } as a query option (or aggregate option) to see them
+module.exports = function softDelete(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+
+  schema.pre(QUERY_HOOKS, function(next) {
+    const options = this.getOptions();
+    if (options.withDeleted) {
+      // Not a driver option; it must not reach MongoDB
+      delete this.options.withDeleted;
+      return next();
+    }
+
+    const filter = this.getFilter();
+    if (mentionsDeletedAt(filter) || (this.op === 'find' && isIdLookup(filter))) return next();
+
+    this.where({ deletedAt: null });
+    next();
+  });
+
+  // $text and $geoNear have to stay first, so the condition joins an opening $match
+  schema.pre('aggregate', function(next) {
+    const options = this.options || {};
+    if (options.withDeleted) {
+      delete options.withDeleted;
+      return next();
+    }
+
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+    if (first && first.$match) {
+      if (!mentionsDeletedAt(first.$match)) first.$match = { ...first.$match, deletedAt: null };
+    } else if (first && first.$geoNear) {
+      first.$geoNear.query = { ...(first.$geoNear.query || {}), deletedAt: null };
+    } else {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+    next();
+  });
+
+  schema.methods.isDeleted = function() {
+    return !!this.deletedAt;
+  };
+};
\ No newline at end of file
@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const { param, query } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const auditService = require('../services/auditService');
+const { auth, isAdmin } = require('../middleware/auth');
+const { handleValidationErrors, asyncHandler, paginationValidation } = require('../middleware/validation');
+
+const filterValidation = [
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('action').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Invalid action'),
+  query('category').optional()
+    .isIn(['create', 'update', 'delete', 'assignment', 'role_change', 'auth'])
+    .withMessage('Invalid category'),
+  query('outcome').optional().isIn(['success', 'failure']).withMessage('Invalid outcome'),
+  query('targetType').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Invalid target type'),
+  query('targetId').optional().isMongoId().withMessage('Invalid target ID'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+];
+
+// @route   GET /api/audit
+// @desc    Audit trail, newest first, filtered by actor, action, category, outcome, target and date range
+// @access  Private (Admin only)
+router.get('/', auth, isAdmin, [
+  ...paginationValidation('audit'),
+  ...filterValidation
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const { docs: entries, pagination } = await auditService.list(req.query);
+
+  res.json({
+    entries,
+    pagination
+  });
+}));
+
+// @route   GET /api/audit/export
+// @desc    Download the filtered audit trail as CSV (up to AUDIT_EXPORT_LIMIT rows)
+// @access  Private (Admin only)
+router.get('/export', auth, isAdmin, filterValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  // Exports of the trail are themselves part of it
+  await auditService.record({
+    action: 'EXPORT_AUDIT_LOG',
+    category: 'auth',
+    actor: req.user,
+    note: JSON.stringify(auditService.buildFilter(req.query)).slice(0, 500),
+    req,
+    statusCode: 200
+  });
+
+  await auditService.exportCsv(req.query, res);
+}));
+
+// @route   GET /api/audit/:id
+// @desc    Get a single audit entry
+// @access  Private (Admin only)
+router.get('/:id', auth, isAdmin, [
+  param('id').isMongoId().withMessage('Invalid audit entry ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const entry = await AuditLog.findById(req.params.id).lean();
+
+  if (!entry) {
+    return res.status(404).json({
+      message: 'Audit entry not found',
+      code: 'AUDIT_ENTRY_NOT_FOUND'
+    });
+  }
+
+  res.json({ entry });
+}));
+
+module.exports = router;
\ No newline at end of file
@@ -5,7 +5,23 @@ const jwt = require('jsonwebtoken');
 const { body } = require('express-validator');
 const User = require('../models/User');
 const { handleValidationErrors, asyncHandler } = require('../middleware/validation');
-const { auth } = require('../middleware/auth');
+const { auth, logUserAction } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+
+// Sign-ins are audited here rather than with logUserAction, as failed attempts matter too
+// and there is no signed-in user yet; audit writes never hold up the response
+const auditLogin = (req, user, outcome = 'success', note) => {
+  auditService.record({
+    action: outcome === 'success' ? 'LOGIN' : 'LOGIN_FAILED',
+    category: 'auth',
+    outcome,
+    actor: user || { email: req.body.email },
+    target: user ? { type: 'User', id: user._id, label: user.email } : undefined,
+    note,
+    req,
+    statusCode: outcome === 'success' ? 200 : 401
+  });
+};
 
 // Validation rules
 const registerValidation = [
@@ -58,8 +74,8 @@ const changePasswordValidation = [
 router.post('/register', registerValidation, handleValidationErrors, asyncHandler(async (req, res) => {
   const { name, email, password, role, phoneNumber, department, employeeId } = req.body;
 
-  // Check if user already exists
-  const existingUser = await User.findOne({ email });
+  // Check if user already exists (deleted accounts keep their email)
+  const existingUser = await User.findOne({ email }).setOptions({ withDeleted: true });
   if (existingUser) {
     return res.status(400).json({
       message: 'User with this email already exists',
@@ -81,6 +97,16 @@ router.post('/register', registerValidation, handleValidationErrors, asyncHandle
 
   await user.save();
 
+  auditService.record({
+    action: 'REGISTER',
+    category: 'create',
+    actor: user,
+    target: { type: 'User', id: user._id, label: user.email },
+    changes: auditService.diff(null, { name, email, role: user.role, department, employeeId }),
+    req,
+    statusCode: 201
+  });
+
   // Generate JWT token
   const token = jwt.sign(
     { 
@@ -112,6 +138,7 @@ router.post('/login', loginValidation, handleValidationErrors, asyncHandler(asyn
   // Find user by email
   const user = await User.findOne({ email }).populate('team', 'name specialization');
   if (!user) {
+    auditLogin(req, null, 'failure', 'Unknown email');
     return res.status(401).json({
       message: 'Invalid credentials',
       code: 'INVALID_CREDENTIALS'
@@ -120,6 +147,7 @@ router.post('/login', loginValidation, handleValidationErrors, asyncHandler(asyn
 
   // Check account status
   if (user.status !== 'active') {
+    auditLogin(req, user, 'failure', `Account is ${user.status}`);
     return res.status(401).json({
       message: 'Account is inactive. Contact administrator.',
       code: 'ACCOUNT_INACTIVE'
@@ -129,6 +157,7 @@ router.post('/login', loginValidation, handleValidationErrors, asyncHandler(asyn
   // Check password
   const isMatch = await user.comparePassword(password);
   if (!isMatch) {
+    auditLogin(req, user, 'failure', 'Wrong password');
     return res.status(401).json({
       message: 'Invalid credentials',
       code: 'INVALID_CREDENTIALS'
@@ -149,6 +178,7 @@ router.post('/login', loginValidation, handleValidationErrors, asyncHandler(asyn
   // Update last login
   user.lastLogin = new Date();
   await user.save();
+  auditLogin(req, user);
 
   res.json({
     message: 'Login successful',
@@ -211,7 +241,7 @@ router.put('/profile', auth, [
     .optional()
     .isObject()
     .withMessage('Preferences must be an object')
-], handleValidationErrors, asyncHandler(async (req, res) => {
+], handleValidationErrors, logUserAction('UPDATE_PROFILE'), asyncHandler(async (req, res) => {
   const allowedUpdates = ['name', 'phoneNumber', 'skills', 'preferences', 'avatar'];
   const updates = {};
 
@@ -244,7 +274,7 @@ router.put('/profile', auth, [
 // @route   PUT /api/auth/change-password
 // @desc    Change user password
 // @access  Private
-router.put('/change-password', auth, changePasswordValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+router.put('/change-password', auth, changePasswordValidation, handleValidationErrors, logUserAction('CHANGE_PASSWORD'), asyncHandler(async (req, res) => {
   const { currentPassword, newPassword } = req.body;
 
   const user = await User.findById(req.user.id);
@@ -344,6 +374,15 @@ router.post('/reset-password', [
     user.password = password;
     await user.save();
 
+    auditService.record({
+      action: 'RESET_PASSWORD',
+      category: 'auth',
+      actor: user,
+      target: { type: 'User', id: user._id, label: user.email },
+      req,
+      statusCode: 200
+    });
+
     res.json({
       message: 'Password reset successfully'
     });
@@ -358,7 +397,7 @@ router.post('/reset-password', [
 // @route   POST /api/auth/logout
 // @desc    Logout user (client-side token removal)
 // @access  Private
-router.post('/logout', auth, (req, res) => {
+router.post('/logout', auth, logUserAction('LOGOUT'), (req, res) => {
   // In a stateless JWT setup, logout is mainly handled client-side
   // In production, you might want to blacklist tokens
   res.json({
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const { param } = require('express-validator');
+const bulkService = require('../services/bulkService');
+const { auth } = require('../middleware/auth');
+const { handleValidationErrors, asyncHandler } = require('../middleware/validation');
+
+// @route   GET /api/bulk-jobs
+// @desc    Get the current user's recent bulk jobs
+// @access  Private
+router.get('/', auth, asyncHandler(async (req, res) => {
+  const jobs = await bulkService.listJobs(req.user);
+
+  res.json({ jobs });
+}));
+
+// @route   GET /api/bulk-jobs/:id
+// @desc    Get a bulk job's progress and per-item results
+// @access  Private (Owner or Admin)
+router.get('/:id', auth, [
+  param('id').isMongoId().withMessage('Invalid bulk job ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  try {
+    const job = await bulkService.getJob(req.params.id, req.user);
+
+    res.json({ job });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
+module.exports = router;
\ No newline at end of file
@@ -1,11 +1,15 @@
 const express = require('express');
 const router = express.Router();
+const { query } = require('express-validator');
 const MaintenanceRequest = require('../models/MaintenanceRequest');
 const Equipment = require('../models/Equipment');
 const User = require('../models/User');
 const Team = require('../models/Team');
 const { auth, isAdmin } = require('../middleware/auth');
-const { asyncHandler } = require('../middleware/validation');
+const { handleValidationErrors, asyncHandler } = require('../middleware/validation');
+const scheduler = require('../services/schedulerService');
+const timelineService = require('../services/timelineService');
+const failureCodeService = require('../services/failureCodeService');
 
 // @route   GET /api/dashboard/overview
 // @desc    Get dashboard overview statistics
@@ -259,6 +263,96 @@ router.get('/charts/maintenance-trends', auth, isAdmin, asyncHandler(async (req,
   res.json(formattedData);
 }));
 
+// @route   GET /api/dashboard/reports/time-in-status
+// @desc    Total and average time requests spent in each status, from their activity history
+//          (?from=&to= on creation date, type=, priority=, workshop= for admins)
+// @access  Private (Admin, Technician: own and team requests, Employee: own requests)
+router.get('/reports/time-in-status', auth, [
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  query('type').optional().isIn(['Corrective', 'Preventive', 'Predictive', 'Emergency']).withMessage('Invalid type'),
+  query('priority').optional().isIn(['Low', 'Medium', 'High', 'Critical', 'Emergency']).withMessage('Invalid priority'),
+  query('workshop').optional().isMongoId().withMessage('Invalid workshop ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const filter = {};
+
+  if (req.user.role === 'technician') {
+    filter.$or = [
+      { assignedTechnician: req.user._id },
+      { assignedTeam: req.user.team }
+    ];
+  } else if (req.user.role === 'employee') {
+    filter.createdBy = req.user._id;
+  }
+
+  if (req.user.role !== 'admin' && req.user.workshop) {
+    filter.workshop = req.user.workshop;
+  } else if (req.query.workshop) {
+    filter.workshop = req.query.workshop;
+  }
+  if (req.query.type) filter.type = req.query.type;
+  if (req.query.priority) filter.priority = req.query.priority;
+  if (req.query.from || req.query.to) {
+    filter.createdAt = {};
+    if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+    if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+  }
+
+  const report = await timelineService.statusDurations(filter);
+
+  res.json(report);
+}));
+
+// @route   GET /api/dashboard/reports/failure-pareto
+// @desc    Most frequent failure codes on completed corrective work, with their cumulative share,
+//          an optional split by equipment, model or workshop and a weekly or monthly trend
+//          (?from=&to= on completion date, level=, by=, interval=, limit=, category=, model=,
+//          type=, workshop= for admins)
+// @access  Private (Admin, Technician: own workshop)
+router.get('/reports/failure-pareto', auth, [
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  query('level').optional().isIn(failureCodeService.levels).withMessage(`Level must be one of ${failureCodeService.levels.join(', ')}`),
+  query('by').optional().isIn(failureCodeService.breakdowns).withMessage(`By must be one of ${failureCodeService.breakdowns.join(', ')}`),
+  query('interval').optional().isIn(failureCodeService.intervals).withMessage(`Interval must be one of ${failureCodeService.intervals.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('category').optional().isIn(Equipment.schema.path('category').enumValues).withMessage('Invalid equipment category'),
+  query('model').optional().trim().isLength({ max: 100 }).withMessage('Model cannot exceed 100 characters'),
+  query('type').optional().isIn(failureCodeService.codedTypes).withMessage(`Type must be one of ${failureCodeService.codedTypes.join(', ')}`),
+  query('workshop').optional().isMongoId().withMessage('Invalid workshop ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  if (req.user.role === 'employee') {
+    return res.status(403).json({
+      message: 'Access denied. Only admins and technicians can view failure reports.',
+      code: 'REPORT_ACCESS_DENIED'
+    });
+  }
+
+  const filter = { type: req.query.type || { $in: failureCodeService.codedTypes } };
+
+  if (req.user.role !== 'admin' && req.user.workshop) {
+    filter.workshop = req.user.workshop;
+  } else if (req.query.workshop) {
+    filter.workshop = req.query.workshop;
+  }
+  if (req.query.from || req.query.to) {
+    filter.completedAt = {};
+    if (req.query.from) filter.completedAt.$gte = new Date(req.query.from);
+    if (req.query.to) filter.completedAt.$lte = new Date(req.query.to);
+  }
+
+  const report = await failureCodeService.paretoReport(filter, {
+    level: req.query.level,
+    by: req.query.by,
+    interval: req.query.interval,
+    limit: req.query.limit ? parseInt(req.query.limit) : undefined,
+    category: req.query.category,
+    model: req.query.model
+  });
+
+  res.json(report);
+}));
+
 // @route   GET /api/dashboard/workload/technicians
 // @desc    Get technician workload data
 // @access  Private (Admin, Team leads)
@@ -427,4 +521,16 @@ router.get('/alerts', auth, asyncHandler(async (req, res) => {
   });
 }));
 
+// @route   GET /api/dashboard/jobs
+// @desc    Get background job status
+// @access  Private (Admin only)
+router.get('/jobs', auth, isAdmin, asyncHandler(async (req, res) => {
+  const jobs = await scheduler.getStatus();
+
+  res.json({
+    jobs,
+    count: jobs.length
+  });
+}));
+
 module.exports = router;
\ No newline at end of file
@@ -4,8 +4,19 @@ const { body, param, query } = require('express-validator');
 const Equipment = require('../models/Equipment');
 const Team = require('../models/Team');
 const User = require('../models/User');
-const { auth, canManageEquipment, canViewEquipment, logUserAction } = require('../middleware/auth');
-const { handleValidationErrors, asyncHandler } = require('../middleware/validation');
+const MeterReading = require('../models/MeterReading');
+const meterService = require('../services/meterService');
+const storageService = require('../services/storageService');
+const downtimeService = require('../services/downtimeService');
+const bulkService = require('../services/bulkService');
+const savedViewService = require('../services/savedViewService');
+const trashService = require('../services/trashService');
+const paginationService = require('../services/paginationService');
+const DowntimePeriod = require('../models/DowntimePeriod');
+const { auth, isAdmin, canManageEquipment, canViewEquipment, logUserAction } = require('../middleware/auth');
+const { handleValidationErrors, asyncHandler, paginationValidation } = require('../middleware/validation');
+const { uploadFiles } = require('../middleware/upload');
+const { applySavedView } = require('../middleware/savedView');
 
 // Validation rules
 const equipmentValidation = [
@@ -33,20 +44,16 @@ const equipmentValidation = [
 ];
 
 // @route   GET /api/equipment
-// @desc    Get all equipment with pagination and filters
+// @desc    Get all equipment with filters, sorting and page or cursor pagination (?view= applies a saved view)
 // @access  Private (Admin, Technician)
 router.get('/', auth, canViewEquipment, [
-  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ...paginationValidation('equipment'),
   query('category').optional().trim(),
   query('status').optional().isIn(['Active', 'Maintenance', 'Out of Service', 'Scrapped']),
   query('team').optional().isMongoId().withMessage('Invalid team ID'),
-  query('search').optional().trim().isLength({ min: 1 }).withMessage('Search term must not be empty')
-], handleValidationErrors, asyncHandler(async (req, res) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
-  const skip = (page - 1) * limit;
-  
+  query('search').optional().trim().isLength({ min: 1 }).withMessage('Search term must not be empty'),
+  query('view').optional().isMongoId().withMessage('Invalid saved view ID')
+], handleValidationErrors, applySavedView('equipment'), asyncHandler(async (req, res) => {
   // Build filter
   const filter = { isActive: true };
   
@@ -59,6 +66,7 @@ router.get('/', auth, canViewEquipment, [
     filter.$or = [
       { name: { $regex: req.query.search, $options: 'i' } },
       { serialNumber: { $regex: req.query.search, $options: 'i' } },
+      { assetTag: { $regex: req.query.search, $options: 'i' } },
       { manufacturer: { $regex: req.query.search, $options: 'i' } },
       { model: { $regex: req.query.search, $options: 'i' } }
     ];
@@ -69,15 +77,15 @@ router.get('/', auth, canViewEquipment, [
     filter.assignedTeam = req.user.team;
   }
 
-  const equipment = await Equipment.find(filter)
-    .populate('assignedTeam', 'name specialization')
-    .populate('primaryTechnician', 'name email')
-    .populate('metadata.createdBy', 'name')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit);
-
-  const total = await Equipment.countDocuments(filter);
+  const { docs: equipment, pagination } = await paginationService.paginate(
+    Equipment,
+    filter,
+    { list: 'equipment', ...req.query },
+    query => query
+      .populate('assignedTeam', 'name specialization')
+      .populate('primaryTechnician', 'name email')
+      .populate('metadata.createdBy', 'name')
+  );
 
   // Add computed fields
   const equipmentWithStats = equipment.map(eq => {
@@ -92,16 +100,57 @@ router.get('/', auth, canViewEquipment, [
 
   res.json({
     equipment: equipmentWithStats,
-    pagination: {
-      current: page,
-      pages: Math.ceil(total / limit),
-      total,
-      hasNext: page < Math.ceil(total / limit),
-      hasPrev: page > 1
-    }
+    pagination,
+    view: savedViewService.describe(req.savedView)
   });
 }));
 
+// Reporting window from ?from=&to=, defaulting to the last 30 days
+const rangeValidation = [
+  query('from').optional().isISO8601().withMessage('Invalid from date'),
+  query('to').optional().isISO8601().withMessage('Invalid to date')
+];
+
+const parseRange = (req) => {
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+  return { from, to };
+};
+
+// @route   GET /api/equipment/availability
+// @desc    Availability % and downtime cost per equipment, category or workshop over a date range
+// @access  Private (Admin, Technician - own team's equipment)
+router.get('/availability', auth, canViewEquipment, [
+  ...rangeValidation,
+  query('groupBy').optional().isIn(['equipment', 'category', 'workshop']).withMessage('Group by must be equipment, category or workshop'),
+  query('workshop').optional().isMongoId().withMessage('Invalid workshop ID'),
+  query('category').optional().trim()
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const { from, to } = parseRange(req);
+  if (from >= to) {
+    return res.status(400).json({
+      message: 'From date must be before to date',
+      code: 'INVALID_DATE_RANGE'
+    });
+  }
+
+  const filter = {};
+  if (req.query.workshop) filter.workshop = req.query.workshop;
+  if (req.query.category) filter.category = req.query.category;
+  if (req.user.role === 'technician' && req.user.team) {
+    filter.assignedTeam = req.user.team;
+  }
+
+  const availability = await downtimeService.getAvailability({
+    from,
+    to,
+    groupBy: req.query.groupBy || 'equipment',
+    filter
+  });
+
+  res.json(availability);
+}));
+
 // @route   GET /api/equipment/:id
 // @desc    Get equipment by ID with maintenance history
 // @access  Private (Admin, Technician)
@@ -252,6 +301,42 @@ router.post('/', auth, canManageEquipment, equipmentValidation, handleValidation
   });
 }));
 
+// @route   POST /api/equipment/bulk
+// @desc    Assign, change status, tag or reschedule many pieces of equipment; large batches run as a background job
+// @access  Private (Admin, Technician - own team's equipment)
+router.post('/bulk', auth, canManageEquipment, [
+  body('action').isIn(bulkService.getActions('equipment')).withMessage('Invalid bulk action'),
+  body('ids').isArray({ min: 1 }).withMessage('Select at least one piece of equipment'),
+  body('ids.*').isMongoId().withMessage('Invalid equipment ID'),
+  body('params').optional().isObject().withMessage('Params must be an object'),
+  body('params.technicianId').optional().isMongoId().withMessage('Invalid technician ID'),
+  body('params.teamId').optional().isMongoId().withMessage('Invalid team ID'),
+  body('params.nextMaintenanceDate').optional().isISO8601().withMessage('Next maintenance date must be a valid date'),
+  body('params.tags').optional().isArray({ min: 1, max: 20 }).withMessage('Tags must be a list of up to 20 tags')
+], handleValidationErrors, logUserAction('BULK_UPDATE_EQUIPMENT'), asyncHandler(async (req, res) => {
+  try {
+    const outcome = await bulkService.submit('equipment', req.body, req.user);
+
+    if (outcome.job) {
+      return res.status(202).json({
+        message: `Updating ${outcome.job.total} pieces of equipment in the background`,
+        job: outcome.job
+      });
+    }
+
+    res.json({
+      message: `${outcome.summary.succeeded} of ${outcome.summary.total} pieces of equipment updated`,
+      ...outcome
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
 // @route   PUT /api/equipment/:id
 // @desc    Update equipment information
 // @access  Private (Admin only)
@@ -339,7 +424,8 @@ router.put('/:id', auth, canManageEquipment, [
 // @desc    Delete equipment (soft delete)
 // @access  Private (Admin only)
 router.delete('/:id', auth, canManageEquipment, [
-  param('id').isMongoId().withMessage('Invalid equipment ID')
+  param('id').isMongoId().withMessage('Invalid equipment ID'),
+  query('cascade').optional().isBoolean().withMessage('Cascade must be true or false')
 ], handleValidationErrors, logUserAction('DELETE_EQUIPMENT'), asyncHandler(async (req, res) => {
   const equipment = await Equipment.findById(req.params.id);
   
@@ -350,15 +436,22 @@ router.delete('/:id', auth, canManageEquipment, [
     });
   }
 
-  // Soft delete - set isActive to false
-  equipment.isActive = false;
-  equipment.status = 'Scrapped';
+  // Moved to the trash; ?cascade=true cancels its open maintenance requests
   equipment.metadata.lastModifiedBy = req.user._id;
-  await equipment.save();
+  try {
+    const { cascaded, purgeAt } = await trashService.moveToTrash('equipment', equipment, req.user, {
+      cascade: req.query.cascade === 'true'
+    });
 
-  res.json({
-    message: 'Equipment deleted successfully'
-  });
+    res.json({
+      message: 'Equipment moved to the trash',
+      cascaded,
+      purgeAt
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({ message: error.message, code: error.code, openRequests: error.openRequests });
+  }
 }));
 
 // @route   GET /api/equipment/maintenance/due
@@ -549,4 +642,580 @@ router.put('/:id/condition', auth, canViewEquipment, [
   });
 }));
 
+const meterValidation = [
+  body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Meter name is required (max 50 characters)'),
+  body('unit').isIn(['hours', 'cycles', 'km', 'miles', 'units']).withMessage('Invalid meter unit'),
+  body('rolloverValue').optional({ nullable: true }).isFloat({ min: 1 }).withMessage('Rollover value must be a positive number'),
+  body('currentReading').optional().isFloat({ min: 0 }).withMessage('Current reading cannot be negative'),
+  body('triggers').optional().isArray().withMessage('Triggers must be an array'),
+  body('triggers.*.every').isFloat({ min: 1 }).withMessage('Trigger interval must be a positive number'),
+  body('triggers.*.requestType').optional().isIn(['Preventive', 'Predictive']).withMessage('Trigger request type must be Preventive or Predictive'),
+  body('triggers.*.priority').optional().isIn(['Low', 'Medium', 'High', 'Critical']).withMessage('Invalid trigger priority'),
+  body('triggers.*.title').optional().trim().isLength({ max: 200 }).withMessage('Trigger title cannot exceed 200 characters')
+];
+
+const readingValidation = [
+  body('value').isFloat({ min: 0 }).withMessage('Reading value must be a non-negative number'),
+  body('recordedAt').optional().isISO8601().withMessage('Valid reading date is required'),
+  body('reset').optional().isBoolean().withMessage('Reset must be true or false'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+];
+
+// Load equipment for meter and document routes and enforce technician team access
+const loadTeamEquipment = async (req, res) => {
+  const equipment = await Equipment.findById(req.params.id);
+
+  if (!equipment) {
+    res.status(404).json({
+      message: 'Equipment not found',
+      code: 'EQUIPMENT_NOT_FOUND'
+    });
+    return null;
+  }
+
+  if (req.user.role === 'technician') {
+    if (!req.user.team || equipment.assignedTeam.toString() !== req.user.team.toString()) {
+      res.status(403).json({
+        message: 'Access denied. Equipment not assigned to your team.',
+        code: 'EQUIPMENT_ACCESS_DENIED'
+      });
+      return null;
+    }
+  }
+
+  return equipment;
+};
+
+// Start new triggers at the current usage so they do not fire for past usage
+const buildTriggers = (triggers = [], totalUsage = 0) => triggers.map(trigger => ({
+  every: trigger.every,
+  requestType: trigger.requestType,
+  priority: trigger.priority,
+  title: trigger.title,
+  isActive: trigger.isActive !== false,
+  lastTriggeredUsage: trigger.lastTriggeredUsage !== undefined
+    ? trigger.lastTriggeredUsage
+    : Math.floor(totalUsage / trigger.every) * trigger.every
+}));
+
+// @route   POST /api/equipment/meters/readings/bulk
+// @desc    Record meter readings for several meters at once
+// @access  Private (Admin, Technician)
+router.post('/meters/readings/bulk', auth, canViewEquipment, [
+  body('readings').isArray({ min: 1, max: 500 }).withMessage('Readings must be an array of 1 to 500 items'),
+  body('readings.*.equipment').isMongoId().withMessage('Valid equipment ID is required'),
+  body('readings.*.meter').isMongoId().withMessage('Valid meter ID is required'),
+  body('readings.*.value').isFloat({ min: 0 }).withMessage('Reading value must be a non-negative number'),
+  body('readings.*.recordedAt').optional().isISO8601().withMessage('Valid reading date is required'),
+  body('readings.*.reset').optional().isBoolean().withMessage('Reset must be true or false')
+], handleValidationErrors, logUserAction('RECORD_METER_READINGS'), asyncHandler(async (req, res) => {
+  const results = [];
+
+  // Sequential so that several readings for the same meter apply in order
+  for (const [index, item] of req.body.readings.entries()) {
+    try {
+      const { reading, triggeredRequests } = await meterService.recordReading(
+        item.equipment,
+        item.meter,
+        { value: item.value, recordedAt: item.recordedAt, reset: item.reset, note: item.note },
+        req.user,
+        'bulk'
+      );
+      results.push({
+        index,
+        success: true,
+        reading,
+        triggeredRequests: triggeredRequests.map(request => ({ _id: request._id, requestNumber: request.requestNumber, title: request.title }))
+      });
+    } catch (error) {
+      if (!error.status) throw error;
+      results.push({ index, success: false, message: error.message, code: error.code });
+    }
+  }
+
+  const succeeded = results.filter(result => result.success).length;
+
+  res.status(succeeded > 0 ? 201 : 400).json({
+    message: `${succeeded} of ${results.length} readings recorded`,
+    succeeded,
+    failed: results.length - succeeded,
+    results
+  });
+}));
+
+// @route   GET /api/equipment/:id/meters
+// @desc    List meters configured on equipment
+// @access  Private (Admin, Technician)
+router.get('/:id/meters', auth, canViewEquipment, [
+  param('id').isMongoId().withMessage('Invalid equipment ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const equipment = await loadTeamEquipment(req, res);
+  if (!equipment) return;
+
+  res.json({
+    meters: equipment.meters.filter(meter => meter.isActive)
+  });
+}));
+
+// @route   POST /api/equipment/:id/meters
+// @desc    Add a meter with optional usage triggers
+// @access  Private (Admin, Technician)
+router.post('/:id/meters', auth, canManageEquipment, [
+  param('id').isMongoId().withMessage('Invalid equipment ID'),
+  ...meterValidation
+], handleValidationErrors, logUserAction('CREATE_METER'), asyncHandler(async (req, res) => {
+  const equipment = await loadTeamEquipment(req, res);
+  if (!equipment) return;
+
+  const { name, unit, rolloverValue, currentReading = 0, triggers } = req.body;
+
+  if (equipment.meters.some(meter => meter.isActive && meter.name.toLowerCase() === name.toLowerCase())) {
+    return res.status(400).json({
+      message: 'A meter with this name already exists on this equipment',
+      code: 'METER_EXISTS'
+    });
+  }
+
+  if (rolloverValue && currentReading > rolloverValue) {
+    return res.status(400).json({
+      message: 'Current reading cannot exceed the rollover value',
+      code: 'READING_EXCEEDS_ROLLOVER'
+    });
+  }
+
+  equipment.meters.push({
+    name,
+    unit,
+    rolloverValue,
+    currentReading,
+    lastReadingAt: new Date(),
+    triggers: buildTriggers(triggers)
+  });
+  equipment.metadata.lastModifiedBy = req.user._id;
+  await equipment.save();
+
+  res.status(201).json({
+    message: 'Meter added successfully',
+    meter: equipment.meters[equipment.meters.length - 1]
+  });
+}));
+
+// @route   PUT /api/equipment/:id/meters/:meterId
+// @desc    Update meter settings and triggers
+// @access  Private (Admin, Technician)
+router.put('/:id/meters/:meterId', auth, canManageEquipment, [
+  param('id').isMongoId().withMessage('Invalid equipment ID'),
+  param('meterId').isMongoId().withMessage('Invalid meter ID'),
+  body('name').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Meter name cannot exceed 50 characters'),
+  body('rolloverValue').optional({ nullable: true }).isFloat({ min: 1 }).withMessage('Rollover value must be a positive number'),
+  body('triggers').optional().isArray().withMessage('Triggers must be an array'),
+  body('triggers.*.every').isFloat({ min: 1 }).withMessage('Trigger interval must be a positive number'),
+  body('triggers.*.requestType').optional().isIn(['Preventive', 'Predictive']).withMessage('Trigger request type must be Preventive or Predictive'),
+  body('triggers.*.priority').optional().isIn(['Low', 'Medium', 'High', 'Critical']).withMessage('Invalid trigger priority')
+], handleValidationErrors, logUserAction('UPDATE_METER'), asyncHandler(async (req, res) => {
+  const equipment = await loadTeamEquipment(req, res);
+  if (!equipment) return;
+
+  const meter = equipment.meters.id(req.params.meterId);
+  if (!meter || !meter.isActive) {
+    return res.status(404).json({
+      message: 'Meter not found',
+      code: 'METER_NOT_FOUND'
+    });
+  }
+
+  const { name, rolloverValue, triggers } = req.body;
+
+  if (name !== undefined) meter.name = name;
+  if (rolloverValue !== undefined) {
+    if (rolloverValue && meter.currentReading > rolloverValue) {
+      return res.status(400).json({
+        message: 'Rollover value cannot be lower than the current reading',
+        code: 'READING_EXCEEDS_ROLLOVER'
+      });
+    }
+    meter.rolloverValue = rolloverValue || undefined;
+  }
+
+  if (triggers !== undefined) {
+    // Keep progress of triggers that are being edited rather than replaced
+    meter.triggers = buildTriggers(triggers.map(trigger => {
+      const existing = trigger._id && meter.triggers.id(trigger._id);
+      return existing && existing.every === Number(trigger.every)
+        ? { ...trigger, lastTriggeredUsage: existing.lastTriggeredUsage }
+        : { ...trigger, lastTriggeredUsage: undefined };
+    }), meter.totalUsage);
+  }
+
+  equipment.metadata.lastModifiedBy = req.user._id;
+  await equipment.save();
+
+  res.json({
+    message: 'Meter updated successfully',
+    meter
+  });
+}));
+
+// @route   DELETE /api/equipment/:id/meters/:meterId
+// @desc    Deactivate a meter (reading history is kept)
+// @access  Private (Admin, Technician)
+router.delete('/:id/meters/:meterId', auth, canManageEquipment, [
+  param('id').isMongoId().withMessage('Invalid equipment ID'),
+  param('meterId').isMongoId().withMessage('Invalid meter ID')
+], handleValidationErrors, logUserAction('DELETE_METER'), asyncHandler(async (req, res) => {
+  const equipment = await loadTeamEquipment(req, res);
+  if (!equipment) return;
+
+  const meter = equipment.meters.id(req.params.meterId);
+  if (!meter || !meter.isActive) {
+    return res.status(404).json({
+      message: 'Meter not found',
+      code: 'METER_NOT_FOUND'
+    });
+  }
+
+  meter.isActive = false;
+  equipment.metadata.lastModifiedBy = req.user._id;
+  await equipment.save();
+
+  res.json({
+    message: 'Meter removed successfully'
+  });
+}));
+
+// @route   POST /api/equipment/:id/meters/:meterId/readings
+// @desc    Record a meter reading
+// @access  Private (Admin, Technician)
+router.post('/:id/meters/:meterId/readings', auth, canViewEquipment, [
+  param('id').isMongoId().withMessage('Invalid equipment ID'),
+  param('meterId').isMongoId().withMessage('Invalid meter ID'),
+  ...readingValidation
+], handleValidationErrors, logUserAction('RECORD_METER_READING'), asyncHandler(async (req, res) => {
+  const { value, recordedAt, reset, note } = req.body;
+
+  try {
+    const { reading, triggeredRequests } = await meterService.recordReading(
+      req.params.id,
+      req.params.meterId,
+      { value, recordedAt, reset, note },
+      req.user
+    );
+
+    res.status(201).json({
+      message: triggeredRequests.length > 0
+        ? `Reading recorded. ${triggeredRequests.length} maintenance request(s) created.`
+        : 'Reading recorded successfully',
+      reading,
+      triggeredRequests
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
+// @route   GET /api/equipment/:id/meters/:meterId/readings
+// @desc    Get reading history for a meter
+// @access  Private (Admin, Technician)
+router.get('/:id/meters/:meterId/readings', auth, canViewEquipment, [
+  param('id').isMongoId().withMessage('Invalid equipment ID'),
+  param('meterId').isMongoId().withMessage('Invalid meter ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+  query('from').optional().isISO8601().withMessage('Valid from date is required'),
+  query('to').optional().isISO8601().withMessage('Valid to date is required')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const equipment = await loadTeamEquipment(req, res);
+  if (!equipment) return;
+
+  const meter = equipment.meters.id(req.params.meterId);
+  if (!meter) {
+    return res.status(404).json({
+      message: 'Meter not found',
+      code: 'METER_NOT_FOUND'
+    });
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+  const skip = (page - 1) * limit;
+
+  const filter = { equipment: equipment._id, meter: meter._id };
+  if (req.query.from || req.query.to) {
+    filter.recordedAt = {};
+    if (req.query.from) filter.recordedAt.$gte = new Date(req.query.from);
+    if (req.query.to) filter.recordedAt.$lte = new Date(req.query.to);
+  }
+
+  const readings = await MeterReading.find(filter)
+    .populate('recordedBy', 'name email')
+    .populate('triggeredRequests', 'requestNumber title status')
+    .sort({ recordedAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await MeterReading.countDocuments(filter);
+
+  res.json({
+    meter,
+    readings,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+      hasNext: page * limit < total,
+      hasPrev: page > 1
+    }
+  });
+}));
+
+// @route   GET /api/equipment/:id/documents
+// @desc    List documents uploaded for equipment
+// @access  Private (Admin, Technician)
+router.get('/:id/documents', auth, canViewEquipment, [
+  param('id').isMongoId().withMessage('Invalid equipment ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const equipment = await loadTeamEquipment(req, res);
+  if (!equipment) return;
+
+  await equipment.populate('documents.uploadedBy', 'name');
+
+  res.json({
+    documents: equipment.documents
+  });
+}));
+
+// @route   POST /api/equipment/:id/documents
+// @desc    Upload a document (multipart field "file") such as a manual or certificate
+// @access  Private (Admin, Technician)
+router.post('/:id/documents', auth, canManageEquipment, uploadFiles('file', 1), [
+  param('id').isMongoId().withMessage('Invalid equipment ID'),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Document name must be between 1 and 100 characters'),
+  body('type').optional().isIn(['Manual', 'Warranty', 'Certificate', 'Drawing', 'Photo', 'Other']).withMessage('Invalid document type')
+], handleValidationErrors, logUserAction('UPLOAD_EQUIPMENT_DOCUMENT'), asyncHandler(async (req, res) => {
+  const equipment = await loadTeamEquipment(req, res);
+  if (!equipment) return;
+
+  const file = req.files?.[0];
+  if (!file) {
+    return res.status(400).json({
+      message: 'No file uploaded',
+      code: 'NO_FILES'
+    });
+  }
+
+  try {
+    const stored = await storageService.storeFile('equipment', equipment._id, file);
+    const document = {
+      ...stored,
+      name: req.body.name || file.originalname,
+      type: req.body.type || (file.mimetype.startsWith('image/') ? 'Photo' : 'Other'),
+      uploadedBy: req.user._id,
+      uploadedAt: new Date()
+    };
+
+    const updatedEquipment = await Equipment.findByIdAndUpdate(
+      equipment._id,
+      { $push: { documents: document } },
+      { new: true }
+    ).select('documents');
+
+    res.status(201).json({
+      message: 'Document uploaded successfully',
+      document: updatedEquipment.documents[updatedEquipment.documents.length - 1]
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
+// @route   GET /api/equipment/:id/documents/:documentId
+// @desc    Download an equipment document (?thumbnail=true for the image preview)
+// @access  Private (Admin, Technician)
+router.get('/:id/documents/:documentId', auth, canViewEquipment, [
+  param('id').isMongoId().withMessage('Invalid equipment ID'),
+  param('documentId').isMongoId().withMessage('Invalid document ID'),
+  query('thumbnail').optional().isBoolean().withMessage('Thumbnail must be true or false')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const equipment = await loadTeamEquipment(req, res);
+  if (!equipment) return;
+
+  const document = equipment.documents.id(req.params.documentId);
+  if (!document) {
+    return res.status(404).json({
+      message: 'Document not found',
+      code: 'DOCUMENT_NOT_FOUND'
+    });
+  }
+
+  await storageService.sendFile(res, document, { thumbnail: req.query.thumbnail === 'true' });
+}));
+
+// @route   DELETE /api/equipment/:id/documents/:documentId
+// @desc    Remove an equipment document and its stored file
+// @access  Private (Admin, Technician)
+router.delete('/:id/documents/:documentId', auth, canManageEquipment, [
+  param('id').isMongoId().withMessage('Invalid equipment ID'),
+  param('documentId').isMongoId().withMessage('Invalid document ID')
+], handleValidationErrors, logUserAction('DELETE_EQUIPMENT_DOCUMENT'), asyncHandler(async (req, res) => {
+  const equipment = await loadTeamEquipment(req, res);
+  if (!equipment) return;
+
+  const document = equipment.documents.id(req.params.documentId);
+  if (!document) {
+    return res.status(404).json({
+      message: 'Document not found',
+      code: 'DOCUMENT_NOT_FOUND'
+    });
+  }
+
+  await Equipment.updateOne(
+    { _id: equipment._id },
+    { $pull: { documents: { _id: document._id } } }
+  );
+  await storageService.removeFiles([document]);
+
+  res.json({
+    message: 'Document removed successfully'
+  });
+}));
+
+// Downtime period of the equipment in the URL (404 if it belongs to other equipment)
+const loadDowntimePeriod = async (req, res, equipment) => {
+  const period = await DowntimePeriod.findOne({ _id: req.params.periodId, equipment: equipment._id });
+  if (!period) {
+    res.status(404).json({
+      message: 'Downtime period not found',
+      code: 'DOWNTIME_NOT_FOUND'
+    });
+  }
+  return period;
+};
+
+// @route   GET /api/equipment/:id/downtime
+// @desc    Downtime periods in a date range with availability for the equipment
+// @access  Private (Admin, Technician)
+router.get('/:id/downtime', auth, canViewEquipment, [
+  param('id').isMongoId().withMessage('Invalid equipment ID'),
+  ...rangeValidation
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const equipment = await loadTeamEquipment(req, res);
+  if (!equipment) return;
+
+  const { from, to } = parseRange(req);
+  const [periods, availability] = await Promise.all([
+    downtimeService.getPeriods(equipment._id, from, to),
+    downtimeService.getAvailability({ from, to, filter: { _id: equipment._id } })
+  ]);
+
+  res.json({
+    periods,
+    summary: availability.overall,
+    period: { from, to: availability.to }
+  });
+}));
+
+// @route   POST /api/equipment/:id/downtime
+// @desc    Record a past downtime period the automatic tracking missed
+// @access  Private (Admin, Technician)
+router.post('/:id/downtime', auth, canManageEquipment, [
+  param('id').isMongoId().withMessage('Invalid equipment ID'),
+  body('startedAt').isISO8601().withMessage('Valid start time is required'),
+  body('endedAt').isISO8601().withMessage('Valid end time is required'),
+  body('note').optional().trim().isLength({ max: 1000 }).withMessage('Note cannot exceed 1000 characters')
+], handleValidationErrors, logUserAction('ADD_DOWNTIME'), asyncHandler(async (req, res) => {
+  const equipment = await loadTeamEquipment(req, res);
+  if (!equipment) return;
+
+  try {
+    const period = await downtimeService.addManualPeriod(equipment, {
+      startedAt: new Date(req.body.startedAt),
+      endedAt: new Date(req.body.endedAt),
+      note: req.body.note
+    }, req.user);
+
+    res.status(201).json({
+      message: 'Downtime recorded successfully',
+      period
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
+// @route   PUT /api/equipment/:id/downtime/:periodId
+// @desc    Correct a downtime period's start or end time (reason required, history kept)
+// @access  Private (Admin, Technician)
+router.put('/:id/downtime/:periodId', auth, canManageEquipment, [
+  param('id').isMongoId().withMessage('Invalid equipment ID'),
+  param('periodId').isMongoId().withMessage('Invalid downtime period ID'),
+  body('startedAt').optional().isISO8601().withMessage('Invalid start time'),
+  body('endedAt').optional().isISO8601().withMessage('Invalid end time'),
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason is required and cannot exceed 500 characters')
+], handleValidationErrors, logUserAction('CORRECT_DOWNTIME'), asyncHandler(async (req, res) => {
+  const equipment = await loadTeamEquipment(req, res);
+  if (!equipment) return;
+
+  const period = await loadDowntimePeriod(req, res, equipment);
+  if (!period) return;
+
+  try {
+    const updated = await downtimeService.correctPeriod(period, {
+      startedAt: req.body.startedAt ? new Date(req.body.startedAt) : undefined,
+      endedAt: req.body.endedAt ? new Date(req.body.endedAt) : undefined,
+      reason: req.body.reason
+    }, req.user);
+
+    res.json({
+      message: 'Downtime corrected successfully',
+      period: updated
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
+// @route   DELETE /api/equipment/:id/downtime/:periodId
+// @desc    Remove a closed downtime period recorded in error
+// @access  Private (Admin only)
+router.delete('/:id/downtime/:periodId', auth, isAdmin, [
+  param('id').isMongoId().withMessage('Invalid equipment ID'),
+  param('periodId').isMongoId().withMessage('Invalid downtime period ID')
+], handleValidationErrors, logUserAction('DELETE_DOWNTIME'), asyncHandler(async (req, res) => {
+  const equipment = await loadTeamEquipment(req, res);
+  if (!equipment) return;
+
+  const period = await loadDowntimePeriod(req, res, equipment);
+  if (!period) return;
+
+  try {
+    await downtimeService.deletePeriod(period);
+
+    res.json({
+      message: 'Downtime period removed successfully'
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,110 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const Equipment = require('../models/Equipment');
+const failureCodeService = require('../services/failureCodeService');
+const { auth, isAdmin, logUserAction } = require('../middleware/auth');
+const { handleValidationErrors, asyncHandler } = require('../middleware/validation');
+
+const CATEGORIES = Equipment.schema.path('category').enumValues;
+
+// Validation rules; on update every field is optional
+const failureCodeValidation = (update = false) => [
+  (update ? body('code').optional() : body('code')).trim().matches(/^[A-Za-z0-9_-]{1,20}$/).withMessage('Code must be 1 to 20 letters, numbers, dashes or underscores'),
+  (update ? body('name').optional() : body('name')).trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('equipmentCategories').optional().isArray().withMessage('Equipment categories must be an array'),
+  body('equipmentCategories.*').isIn(CATEGORIES).withMessage('Invalid equipment category')
+];
+
+// @route   GET /api/failure-codes
+// @desc    Get the failure code catalogue as problems > causes > remedies, optionally only the
+//          problems that apply to an equipment category or piece of equipment
+// @access  Private (All roles; inactive codes for admins only)
+router.get('/', auth, [
+  query('category').optional().isIn(CATEGORIES).withMessage('Invalid equipment category'),
+  query('equipment').optional().isMongoId().withMessage('Invalid equipment ID'),
+  query('includeInactive').optional().isBoolean().withMessage('includeInactive must be true or false')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  let category = req.query.category;
+
+  if (req.query.equipment) {
+    const equipment = await Equipment.findById(req.query.equipment).select('category');
+    if (!equipment) {
+      return res.status(404).json({
+        message: 'Equipment not found',
+        code: 'EQUIPMENT_NOT_FOUND'
+      });
+    }
+    category = equipment.category;
+  }
+
+  const problems = await failureCodeService.getCatalogue({
+    category,
+    includeInactive: req.user.role === 'admin' && req.query.includeInactive === 'true'
+  });
+
+  res.json({ problems });
+}));
+
+// @route   POST /api/failure-codes
+// @desc    Add a problem, or a cause under a problem, or a remedy under a cause
+// @access  Private (Admin only)
+router.post('/', auth, isAdmin, [
+  ...failureCodeValidation(),
+  body('level').isIn(failureCodeService.levels).withMessage(`Level must be one of ${failureCodeService.levels.join(', ')}`),
+  body('parent').optional({ nullable: true }).isMongoId().withMessage('Invalid parent code')
+], handleValidationErrors, logUserAction('CREATE_FAILURE_CODE'), asyncHandler(async (req, res) => {
+  try {
+    const failureCode = await failureCodeService.createCode(req.body, req.user);
+
+    res.status(201).json({
+      message: 'Failure code created successfully',
+      failureCode
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({ message: error.message, code: error.code });
+  }
+}));
+
+// @route   PUT /api/failure-codes/:id
+// @desc    Update failure code (its level and parent cannot change)
+// @access  Private (Admin only)
+router.put('/:id', auth, isAdmin, [
+  param('id').isMongoId().withMessage('Invalid failure code ID'),
+  ...failureCodeValidation(true),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+], handleValidationErrors, logUserAction('UPDATE_FAILURE_CODE'), asyncHandler(async (req, res) => {
+  try {
+    const failureCode = await failureCodeService.updateCode(req.params.id, req.body, req.user);
+
+    res.json({
+      message: 'Failure code updated successfully',
+      failureCode
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({ message: error.message, code: error.code });
+  }
+}));
+
+// @route   DELETE /api/failure-codes/:id
+// @desc    Retire failure code (kept on the requests that used it)
+// @access  Private (Admin only)
+router.delete('/:id', auth, isAdmin, [
+  param('id').isMongoId().withMessage('Invalid failure code ID')
+], handleValidationErrors, logUserAction('DELETE_FAILURE_CODE'), asyncHandler(async (req, res) => {
+  try {
+    await failureCodeService.updateCode(req.params.id, { isActive: false }, req.user);
+
+    res.json({
+      message: 'Failure code retired successfully'
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({ message: error.message, code: error.code });
+  }
+}));
+
+module.exports = router;
\ No newline at end of file
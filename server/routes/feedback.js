@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const feedbackService = require('../services/feedbackService');
+const { handleValidationErrors, asyncHandler } = require('../middleware/validation');
+
+// Links from the completion email carry a 64-character hex token instead of a login
+const tokenValidation = param('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid feedback link');
+
+// @route   GET /api/feedback/:token
+// @desc    Get the request a feedback link belongs to
+// @access  Public (valid feedback token)
+router.get('/:token', [
+  tokenValidation
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  try {
+    const request = await feedbackService.findByToken(req.params.token);
+
+    res.json({
+      request: {
+        requestNumber: request.requestNumber,
+        title: request.title,
+        completedAt: request.completedAt,
+        technician: request.assignedTechnician?.name || null
+      }
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
+// @route   POST /api/feedback/:token
+// @desc    Submit a rating from the completion email link (the link works once)
+// @access  Public (valid feedback token)
+router.post('/:token', [
+  tokenValidation,
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  body('comment').optional().trim().isLength({ max: 1000 }).withMessage('Comment cannot exceed 1000 characters')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  try {
+    await feedbackService.submitWithToken(req.params.token, {
+      rating: parseInt(req.body.rating),
+      comment: req.body.comment
+    });
+
+    res.status(201).json({
+      message: 'Thank you for your feedback'
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
+module.exports = router;
\ No newline at end of file
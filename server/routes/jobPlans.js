@@ -0,0 +1,250 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const JobPlan = require('../models/JobPlan');
+const Equipment = require('../models/Equipment');
+const Workshop = require('../models/Workshop');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const { auth, isAdmin, logUserAction } = require('../middleware/auth');
+const { handleValidationErrors, asyncHandler } = require('../middleware/validation');
+
+// Validation rules
+const jobPlanValidation = [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Job plan name must be between 2 and 100 characters'),
+  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+  body('workshop').optional({ nullable: true }).isMongoId().withMessage('Invalid workshop ID'),
+  body('equipment').optional().isArray().withMessage('Equipment must be an array'),
+  body('equipment.*').isMongoId().withMessage('Invalid equipment ID'),
+  body('equipmentCategories').optional().isArray().withMessage('Equipment categories must be an array'),
+  body('estimatedHours').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Estimated hours must be a non-negative number'),
+  body('safetyNotes').optional().isArray().withMessage('Safety notes must be an array'),
+  body('safetyNotes.*').trim().isLength({ min: 1, max: 500 }).withMessage('Safety notes must be between 1 and 500 characters'),
+  body('steps').isArray({ min: 1 }).withMessage('A job plan needs at least one step'),
+  body('steps.*.title').trim().isLength({ min: 1, max: 200 }).withMessage('Step title must be between 1 and 200 characters'),
+  body('steps.*.instructions').optional().trim().isLength({ max: 1000 }).withMessage('Instructions cannot exceed 1000 characters'),
+  body('steps.*.type').optional().isIn(['task', 'check', 'measurement']).withMessage('Invalid step type'),
+  body('steps.*.minValue').optional({ nullable: true }).isFloat().withMessage('Minimum value must be a number'),
+  body('steps.*.maxValue').optional({ nullable: true }).isFloat().withMessage('Maximum value must be a number'),
+  body('steps.*.required').optional().isBoolean().withMessage('Required must be true or false')
+];
+
+// Measurement steps need a unit and a sensible range; returns a message or null
+const validateSteps = (steps) => {
+  for (const [index, step] of steps.entries()) {
+    if (step.type !== 'measurement') continue;
+
+    if (!step.unit) {
+      return `Step ${index + 1}: measurement steps need a unit`;
+    }
+    const hasMin = step.minValue !== undefined && step.minValue !== null;
+    const hasMax = step.maxValue !== undefined && step.maxValue !== null;
+    if (!hasMin && !hasMax) {
+      return `Step ${index + 1}: measurement steps need a minimum or maximum value`;
+    }
+    if (hasMin && hasMax && parseFloat(step.minValue) > parseFloat(step.maxValue)) {
+      return `Step ${index + 1}: minimum value cannot exceed the maximum value`;
+    }
+  }
+  return null;
+};
+
+// Fields accepted from the client; range fields are dropped for non-measurement steps
+const getPlanFields = (source) => ({
+  name: source.name,
+  description: source.description,
+  workshop: source.workshop || null,
+  equipment: source.equipment || [],
+  equipmentCategories: source.equipmentCategories || [],
+  estimatedHours: source.estimatedHours,
+  safetyNotes: source.safetyNotes || [],
+  steps: source.steps.map(step => {
+    const type = step.type || 'task';
+    return {
+      title: step.title,
+      instructions: step.instructions,
+      type,
+      unit: type === 'measurement' ? step.unit : undefined,
+      minValue: type === 'measurement' ? step.minValue : undefined,
+      maxValue: type === 'measurement' ? step.maxValue : undefined,
+      required: step.required !== undefined ? step.required : true
+    };
+  })
+});
+
+// Checks shared by create and update; returns { status, message, code } on failure
+const checkPlanReferences = async (fields) => {
+  const stepError = validateSteps(fields.steps);
+  if (stepError) {
+    return { status: 400, message: stepError, code: 'INVALID_JOB_PLAN_STEPS' };
+  }
+
+  if (fields.equipment.length === 0 && fields.equipmentCategories.length === 0) {
+    return { status: 400, message: 'Attach the job plan to equipment or an equipment category', code: 'JOB_PLAN_TARGET_REQUIRED' };
+  }
+
+  if (fields.workshop && !(await Workshop.exists({ _id: fields.workshop }))) {
+    return { status: 400, message: 'Workshop not found', code: 'WORKSHOP_NOT_FOUND' };
+  }
+
+  if (fields.equipment.length > 0) {
+    const found = await Equipment.countDocuments({ _id: { $in: fields.equipment } });
+    if (found !== new Set(fields.equipment.map(String)).size) {
+      return { status: 400, message: 'One or more equipment items were not found', code: 'EQUIPMENT_NOT_FOUND' };
+    }
+  }
+
+  return null;
+};
+
+// @route   GET /api/job-plans
+// @desc    Get job plans, optionally only those that apply to a piece of equipment
+// @access  Private (All roles)
+router.get('/', auth, [
+  query('equipment').optional().isMongoId().withMessage('Invalid equipment ID'),
+  query('category').optional().trim(),
+  query('workshop').optional().isMongoId().withMessage('Invalid workshop ID'),
+  query('active').optional().isBoolean().withMessage('Active must be true or false')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.active !== undefined) filter.isActive = req.query.active === 'true';
+  if (req.query.workshop) filter.workshop = { $in: [null, req.query.workshop] };
+  if (req.query.category) filter.equipmentCategories = req.query.category;
+
+  if (req.query.equipment) {
+    const equipment = await Equipment.findById(req.query.equipment).select('category workshop');
+    if (!equipment) {
+      return res.status(404).json({
+        message: 'Equipment not found',
+        code: 'EQUIPMENT_NOT_FOUND'
+      });
+    }
+    filter.workshop = { $in: [null, equipment.workshop || null] };
+    filter.$or = [{ equipment: equipment._id }, { equipmentCategories: equipment.category }];
+  }
+
+  const jobPlans = await JobPlan.find(filter)
+    .populate('workshop', 'name code')
+    .populate('equipment', 'name serialNumber')
+    .populate('lastModifiedBy', 'name email')
+    .sort({ name: 1 });
+
+  res.json({ jobPlans });
+}));
+
+// @route   GET /api/job-plans/:id
+// @desc    Get job plan with the number of requests created from it
+// @access  Private (All roles)
+router.get('/:id', auth, [
+  param('id').isMongoId().withMessage('Invalid job plan ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const jobPlan = await JobPlan.findById(req.params.id)
+    .populate('workshop', 'name code')
+    .populate('equipment', 'name serialNumber category')
+    .populate('createdBy', 'name email')
+    .populate('lastModifiedBy', 'name email');
+
+  if (!jobPlan) {
+    return res.status(404).json({
+      message: 'Job plan not found',
+      code: 'JOB_PLAN_NOT_FOUND'
+    });
+  }
+
+  const usage = await MaintenanceRequest.aggregate([
+    { $match: { 'jobPlan.plan': jobPlan._id } },
+    { $group: { _id: '$jobPlan.version', requests: { $sum: 1 } } },
+    { $sort: { _id: -1 } }
+  ]);
+
+  res.json({
+    jobPlan,
+    usage: usage.map(({ _id, ...counts }) => ({ version: _id, ...counts }))
+  });
+}));
+
+// @route   POST /api/job-plans
+// @desc    Create job plan
+// @access  Private (Admin only)
+router.post('/', auth, isAdmin, jobPlanValidation, handleValidationErrors, logUserAction('CREATE_JOB_PLAN'), asyncHandler(async (req, res) => {
+  const fields = getPlanFields(req.body);
+
+  const problem = await checkPlanReferences(fields);
+  if (problem) {
+    return res.status(problem.status).json({ message: problem.message, code: problem.code });
+  }
+
+  const jobPlan = await JobPlan.create({
+    ...fields,
+    createdBy: req.user._id,
+    lastModifiedBy: req.user._id
+  });
+
+  res.status(201).json({
+    message: 'Job plan created successfully',
+    jobPlan
+  });
+}));
+
+// @route   PUT /api/job-plans/:id
+// @desc    Update job plan (applies to requests created afterwards)
+// @access  Private (Admin only)
+router.put('/:id', auth, isAdmin, [
+  param('id').isMongoId().withMessage('Invalid job plan ID'),
+  ...jobPlanValidation,
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+], handleValidationErrors, logUserAction('UPDATE_JOB_PLAN'), asyncHandler(async (req, res) => {
+  const jobPlan = await JobPlan.findById(req.params.id);
+
+  if (!jobPlan) {
+    return res.status(404).json({
+      message: 'Job plan not found',
+      code: 'JOB_PLAN_NOT_FOUND'
+    });
+  }
+
+  const fields = getPlanFields(req.body);
+
+  const problem = await checkPlanReferences(fields);
+  if (problem) {
+    return res.status(problem.status).json({ message: problem.message, code: problem.code });
+  }
+
+  Object.assign(jobPlan, fields, {
+    isActive: req.body.isActive !== undefined ? req.body.isActive : jobPlan.isActive,
+    lastModifiedBy: req.user._id
+  });
+  // Requests already created keep the checklist copied from their version
+  jobPlan.version += 1;
+  await jobPlan.save();
+
+  res.json({
+    message: 'Job plan updated successfully',
+    jobPlan
+  });
+}));
+
+// @route   DELETE /api/job-plans/:id
+// @desc    Deactivate job plan (kept for existing requests)
+// @access  Private (Admin only)
+router.delete('/:id', auth, isAdmin, [
+  param('id').isMongoId().withMessage('Invalid job plan ID')
+], handleValidationErrors, logUserAction('DELETE_JOB_PLAN'), asyncHandler(async (req, res) => {
+  const jobPlan = await JobPlan.findById(req.params.id);
+
+  if (!jobPlan) {
+    return res.status(404).json({
+      message: 'Job plan not found',
+      code: 'JOB_PLAN_NOT_FOUND'
+    });
+  }
+
+  jobPlan.isActive = false;
+  jobPlan.lastModifiedBy = req.user._id;
+  await jobPlan.save();
+
+  res.json({
+    message: 'Job plan deactivated successfully'
+  });
+}));
+
+module.exports = router;
\ No newline at end of file
@@ -2,9 +2,25 @@ const express = require('express');
 const router = express.Router();
 const { body, param, query } = require('express-validator');
 const MaintenanceRequest = require('../models/MaintenanceRequest');
+const Equipment = require('../models/Equipment');
+const User = require('../models/User');
 const MaintenanceController = require('../controllers/maintenanceController');
-const { auth, canCreateMaintenance, canAssignTechnicians, canAccessMaintenanceRequest, logUserAction } = require('../middleware/auth');
-const { handleValidationErrors, asyncHandler } = require('../middleware/validation');
+const workflowService = require('../services/workflowService');
+const approvalService = require('../services/approvalService');
+const jobPlanService = require('../services/jobPlanService');
+const workOrderService = require('../services/workOrderService');
+const timeTrackingService = require('../services/timeTrackingService');
+const storageService = require('../services/storageService');
+const commentService = require('../services/commentService');
+const feedbackService = require('../services/feedbackService');
+const bulkService = require('../services/bulkService');
+const timelineService = require('../services/timelineService');
+const failureCodeService = require('../services/failureCodeService');
+const scheduler = require('../services/schedulerService');
+const { auth, isAdmin, canCreateMaintenance, canAssignTechnicians, canAccessMaintenanceRequest, canFollowMaintenanceRequest, logUserAction } = require('../middleware/auth');
+const { handleValidationErrors, asyncHandler, paginationValidation } = require('../middleware/validation');
+const { applySavedView } = require('../middleware/savedView');
+const { uploadFiles } = require('../middleware/upload');
 
 // Validation rules
 const maintenanceRequestValidation = [
@@ -29,17 +45,18 @@ const maintenanceRequestValidation = [
 ];
 
 // @route   GET /api/maintenance
-// @desc    Get maintenance requests with filters and pagination
+// @desc    Get maintenance requests with filters, sorting and page or cursor pagination
+//          (?view= applies a saved view)
 // @access  Private (All roles with appropriate filtering)
 router.get('/', auth, [
-  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ...paginationValidation('maintenance'),
   query('status').optional().isIn(['New', 'Assigned', 'In Progress', 'Waiting for Parts', 'On Hold', 'Completed', 'Cancelled', 'Rejected']),
   query('priority').optional().isIn(['Low', 'Medium', 'High', 'Critical', 'Emergency']),
   query('type').optional().isIn(['Corrective', 'Preventive', 'Predictive', 'Emergency']),
   query('assignedTechnician').optional().isMongoId().withMessage('Invalid technician ID'),
-  query('equipment').optional().isMongoId().withMessage('Invalid equipment ID')
-], handleValidationErrors, MaintenanceController.getAllRequests);
+  query('equipment').optional().isMongoId().withMessage('Invalid equipment ID'),
+  query('view').optional().isMongoId().withMessage('Invalid saved view ID')
+], handleValidationErrors, applySavedView('maintenance'), MaintenanceController.getAllRequests);
 
 // @route   POST /api/maintenance
 // @desc    Create new maintenance request
@@ -48,9 +65,773 @@ router.post('/', auth, canCreateMaintenance, [
   ...maintenanceRequestValidation,
   body('scheduledDate').optional().isISO8601().withMessage('Invalid scheduled date'),
   body('estimatedDuration').optional().isNumeric().withMessage('Estimated duration must be a number'),
-  body('dueDate').optional().isISO8601().withMessage('Invalid due date')
+  body('estimatedCost').optional().isFloat({ min: 0 }).withMessage('Estimated cost must be a non-negative number'),
+  body('dueDate').optional().isISO8601().withMessage('Invalid due date'),
+  body('recurrence.value').optional().isInt({ min: 1, max: 365 }).withMessage('Recurrence value must be between 1 and 365').toInt(),
+  body('recurrence.unit').if(body('recurrence.value').exists()).notEmpty().withMessage('Recurrence unit is required with a recurrence value'),
+  body('recurrence.unit').optional().isIn(['days', 'weeks', 'months', 'years']).withMessage('Invalid recurrence unit'),
+  body('jobPlan').optional().isMongoId().withMessage('Invalid job plan ID'),
+  body('breakdown').optional().isBoolean().withMessage('Breakdown must be true or false')
 ], handleValidationErrors, logUserAction('CREATE_MAINTENANCE_REQUEST'), MaintenanceController.createRequest);
 
+// @route   POST /api/maintenance/preventive/generate
+// @desc    Run the preventive maintenance generator now instead of waiting for the scheduler
+// @access  Private (Admin only)
+router.post('/preventive/generate', auth, isAdmin, logUserAction('GENERATE_PREVENTIVE_MAINTENANCE'), asyncHandler(async (req, res) => {
+  const result = await scheduler.run('preventive-maintenance');
+
+  res.json({
+    message: result.skipped ? 'Preventive maintenance generation is already running' : 'Preventive maintenance generated successfully',
+    result
+  });
+}));
+
+// @route   GET /api/maintenance/workflow
+// @desc    Get the status workflow (transitions, required fields, roles) for a workshop
+// @access  Private (All roles)
+router.get('/workflow', auth, [
+  query('workshop').optional().isMongoId().withMessage('Invalid workshop ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const workshopId = req.user.role === 'admin' && req.query.workshop
+    ? req.query.workshop
+    : req.user.workshop;
+
+  const workflow = await workflowService.getWorkflowForWorkshop(workshopId);
+
+  res.json({
+    workshop: workshopId || null,
+    statuses: workflowService.statuses,
+    workflow
+  });
+}));
+
+// @route   POST /api/maintenance/bulk
+// @desc    Assign, change status/priority, tag, reschedule or cancel many requests; large batches run as a background job
+// @access  Private (Admin and Team Leads)
+router.post('/bulk', auth, canAssignTechnicians, [
+  body('action').isIn(bulkService.getActions('maintenance')).withMessage('Invalid bulk action'),
+  body('ids').isArray({ min: 1 }).withMessage('Select at least one request'),
+  body('ids.*').isMongoId().withMessage('Invalid maintenance request ID'),
+  body('params').optional().isObject().withMessage('Params must be an object'),
+  body('params.technicianId').optional().isMongoId().withMessage('Invalid technician ID'),
+  body('params.teamId').optional().isMongoId().withMessage('Invalid team ID'),
+  body('params.scheduledDate').optional().isISO8601().withMessage('Scheduled date must be a valid date'),
+  body('params.dueDate').optional().isISO8601().withMessage('Due date must be a valid date'),
+  body('params.tags').optional().isArray({ min: 1, max: 20 }).withMessage('Tags must be a list of up to 20 tags'),
+  body('params.reason').optional().trim().isLength({ min: 1, max: 1000 }).withMessage('Reason must be between 1 and 1000 characters'),
+  body('params.workNote').optional().trim().isLength({ min: 1, max: 1000 }).withMessage('Work note must be between 1 and 1000 characters')
+], handleValidationErrors, logUserAction('BULK_UPDATE_MAINTENANCE'), asyncHandler(async (req, res) => {
+  try {
+    const outcome = await bulkService.submit('maintenance', req.body, req.user);
+
+    if (outcome.job) {
+      return res.status(202).json({
+        message: `Updating ${outcome.job.total} requests in the background`,
+        job: outcome.job
+      });
+    }
+
+    res.json({
+      message: `${outcome.summary.succeeded} of ${outcome.summary.total} requests updated`,
+      ...outcome
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
+// @route   GET /api/maintenance/approvals/pending
+// @desc    Get requests waiting for the current user's approval
+// @access  Private (Admin, team leads, workshop managers)
+router.get('/approvals/pending', auth, asyncHandler(async (req, res) => {
+  const requests = await approvalService.getPendingForUser(req.user);
+
+  res.json({
+    requests,
+    count: requests.length
+  });
+}));
+
+// @route   GET /api/maintenance/:id/approval
+// @desc    Get the approval chain of a request and whether the user can decide it
+// @access  Private (Admin, assigned technician, creator, or current approver)
+router.get('/:id/approval', auth, [
+  param('id').isMongoId().withMessage('Invalid maintenance request ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const request = await MaintenanceRequest.findById(req.params.id)
+    .select('approval status workshop createdBy assignedTechnician')
+    .populate('approval.steps.decidedBy', 'name email')
+    .populate('approval.steps.team', 'name');
+
+  if (!request) {
+    return res.status(404).json({
+      message: 'Maintenance request not found',
+      code: 'REQUEST_NOT_FOUND'
+    });
+  }
+
+  const userId = req.user._id.toString();
+  const canApprove = await approvalService.canApprove(req.user, request);
+  const isInvolved = req.user.role === 'admin' ||
+    request.createdBy.toString() === userId ||
+    (request.assignedTechnician && request.assignedTechnician.toString() === userId);
+
+  if (!isInvolved && !canApprove) {
+    return res.status(403).json({
+      message: 'Access denied. You can only access your own requests or assigned requests.',
+      code: 'REQUEST_ACCESS_DENIED'
+    });
+  }
+
+  res.json({
+    approval: request.approval,
+    canApprove
+  });
+}));
+
+// @route   POST /api/maintenance/:id/approve
+// @desc    Approve the current approval step of a request
+// @access  Private (Approver of the current step or admin)
+router.post('/:id/approve', auth, [
+  param('id').isMongoId().withMessage('Invalid maintenance request ID'),
+  body('comment').optional().trim().isLength({ max: 1000 }).withMessage('Comment cannot exceed 1000 characters')
+], handleValidationErrors, logUserAction('APPROVE_MAINTENANCE_REQUEST'), asyncHandler(async (req, res) => {
+  const request = await MaintenanceRequest.findById(req.params.id);
+  if (!request) {
+    return res.status(404).json({
+      message: 'Maintenance request not found',
+      code: 'REQUEST_NOT_FOUND'
+    });
+  }
+
+  const result = await approvalService.decide(request, req.user, 'Approved', req.body.comment);
+  if (!result.ok) {
+    return res.status(result.status).json({ message: result.message, code: result.code });
+  }
+
+  res.json({
+    message: result.request.approval.status === 'Approved'
+      ? 'Request approved'
+      : 'Approval recorded. Waiting for the next approver.',
+    approval: result.request.approval
+  });
+}));
+
+// @route   POST /api/maintenance/:id/reject
+// @desc    Reject a request at its current approval step
+// @access  Private (Approver of the current step or admin)
+router.post('/:id/reject', auth, [
+  param('id').isMongoId().withMessage('Invalid maintenance request ID'),
+  body('reason').trim().isLength({ min: 1, max: 1000 }).withMessage('Rejection reason is required (max 1000 characters)')
+], handleValidationErrors, logUserAction('REJECT_MAINTENANCE_REQUEST'), asyncHandler(async (req, res) => {
+  const request = await MaintenanceRequest.findById(req.params.id);
+  if (!request) {
+    return res.status(404).json({
+      message: 'Maintenance request not found',
+      code: 'REQUEST_NOT_FOUND'
+    });
+  }
+
+  const result = await approvalService.decide(request, req.user, 'Rejected', req.body.reason);
+  if (!result.ok) {
+    return res.status(result.status).json({ message: result.message, code: result.code });
+  }
+
+  res.json({
+    message: 'Request rejected',
+    approval: result.request.approval
+  });
+}));
+
+// @route   PUT /api/maintenance/:id/checklist/:itemId
+// @desc    Sign off a job plan checklist step; failed steps raise a follow-up request
+// @access  Private (Assigned technician or admin)
+router.put('/:id/checklist/:itemId', auth, [
+  param('id').isMongoId().withMessage('Invalid maintenance request ID'),
+  param('itemId').isMongoId().withMessage('Invalid checklist step ID'),
+  body('status').optional().isIn(['Done', 'Passed', 'Failed', 'Skipped']).withMessage('Invalid step result'),
+  body('value').optional({ nullable: true }).isFloat().withMessage('Measurement must be a number'),
+  body('note').optional().trim().isLength({ max: 1000 }).withMessage('Note cannot exceed 1000 characters')
+], handleValidationErrors, canAccessMaintenanceRequest, logUserAction('SIGN_OFF_CHECKLIST_STEP'), asyncHandler(async (req, res) => {
+  const { status, value, note } = req.body;
+
+  try {
+    const { item, followUpRequest } = await jobPlanService.recordStep(
+      req.maintenanceRequest,
+      req.params.itemId,
+      { status, value, note },
+      req.user
+    );
+
+    res.json({
+      message: followUpRequest
+        ? `Step recorded as ${item.status}. Follow-up request ${followUpRequest.requestNumber} created.`
+        : `Step recorded as ${item.status}`,
+      item,
+      checklistProgress: req.maintenanceRequest.checklistProgress,
+      followUpRequest
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
+// @route   GET /api/maintenance/:id/children
+// @desc    Get the sub-work-orders of a request with the rolled-up totals
+// @access  Private (Admin, assigned technician, or creator)
+router.get('/:id/children', auth, [
+  param('id').isMongoId().withMessage('Invalid maintenance request ID')
+], handleValidationErrors, canAccessMaintenanceRequest, asyncHandler(async (req, res) => {
+  const request = req.maintenanceRequest;
+  const { parent, children } = await workOrderService.getHierarchy(request);
+
+  res.json({
+    parent,
+    children,
+    rollup: request.rollup,
+    combinedTotals: request.combinedTotals
+  });
+}));
+
+// @route   POST /api/maintenance/:id/children
+// @desc    Create a sub-work-order under a request
+// @access  Private (Admin and Team Leads)
+router.post('/:id/children', auth, canAssignTechnicians, [
+  param('id').isMongoId().withMessage('Invalid maintenance request ID'),
+  body('title').trim().isLength({ min: 5, max: 200 }).withMessage('Title must be between 5 and 200 characters'),
+  body('description').trim().isLength({ min: 10, max: 2000 }).withMessage('Description must be between 10 and 2000 characters'),
+  body('type').optional().isIn(['Corrective', 'Preventive', 'Predictive', 'Emergency']).withMessage('Invalid maintenance type'),
+  body('priority').optional().isIn(['Low', 'Medium', 'High', 'Critical', 'Emergency']).withMessage('Invalid priority'),
+  body('equipment').optional().isMongoId().withMessage('Invalid equipment ID'),
+  body('assignedTeam').optional().isMongoId().withMessage('Invalid team ID'),
+  body('assignedTechnician').optional().isMongoId().withMessage('Invalid technician ID'),
+  body('scheduledDate').optional().isISO8601().withMessage('Invalid scheduled date'),
+  body('dueDate').optional().isISO8601().withMessage('Invalid due date'),
+  body('estimatedDuration').optional().isFloat({ min: 0 }).withMessage('Estimated duration must be a non-negative number'),
+  body('estimatedCost').optional().isFloat({ min: 0 }).withMessage('Estimated cost must be a non-negative number')
+], handleValidationErrors, logUserAction('CREATE_SUB_WORK_ORDER'), asyncHandler(async (req, res) => {
+  const parent = await MaintenanceRequest.findById(req.params.id);
+  if (!parent) {
+    return res.status(404).json({
+      message: 'Maintenance request not found',
+      code: 'REQUEST_NOT_FOUND'
+    });
+  }
+
+  try {
+    const child = await workOrderService.createChild(parent, req.body, req.user);
+
+    const populatedChild = await MaintenanceRequest.findById(child._id)
+      .populate('equipment', 'name serialNumber')
+      .populate('assignedTechnician', 'name email')
+      .populate('assignedTeam', 'name specialization');
+
+    res.status(201).json({
+      message: 'Sub-work-order created successfully',
+      request: populatedChild
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
+// Shared by the timer routes: 404 for unknown requests, {message, code} for service errors
+const handleTimer = (action) => asyncHandler(async (req, res) => {
+  const request = await MaintenanceRequest.findById(req.params.id);
+  if (!request) {
+    return res.status(404).json({
+      message: 'Maintenance request not found',
+      code: 'REQUEST_NOT_FOUND'
+    });
+  }
+
+  try {
+    const { status, entry } = await action(request, req);
+    res.status(status || 200).json({
+      message: `Timer ${entry.status}`,
+      entry
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+});
+
+// @route   POST /api/maintenance/:id/timer/start
+// @desc    Start (or resume) the current technician's timer on a request
+// @access  Private (Assigned technician, assigned team, or admin)
+router.post('/:id/timer/start', auth, [
+  param('id').isMongoId().withMessage('Invalid maintenance request ID'),
+  body('note').optional().trim().isLength({ max: 1000 }).withMessage('Note cannot exceed 1000 characters')
+], handleValidationErrors, logUserAction('START_TIMER'), handleTimer(async (request, req) => ({
+  status: 201,
+  entry: await timeTrackingService.startTimer(request, req.user, req.body.note)
+})));
+
+// @route   POST /api/maintenance/:id/timer/pause
+// @desc    Pause the current technician's running timer
+// @access  Private (Timer owner)
+router.post('/:id/timer/pause', auth, [
+  param('id').isMongoId().withMessage('Invalid maintenance request ID')
+], handleValidationErrors, logUserAction('PAUSE_TIMER'), handleTimer(async (request, req) => ({
+  entry: await timeTrackingService.pauseTimer(request, req.user)
+})));
+
+// @route   POST /api/maintenance/:id/timer/stop
+// @desc    Stop the current technician's timer and cost it into the request's labor
+// @access  Private (Timer owner)
+router.post('/:id/timer/stop', auth, [
+  param('id').isMongoId().withMessage('Invalid maintenance request ID'),
+  body('note').optional().trim().isLength({ max: 1000 }).withMessage('Note cannot exceed 1000 characters')
+], handleValidationErrors, logUserAction('STOP_TIMER'), handleTimer(async (request, req) => ({
+  entry: await timeTrackingService.stopTimer(request, req.user, req.body.note)
+})));
+
+// @route   GET /api/maintenance/:id/time-entries
+// @desc    Get time entries on a request with per-technician totals
+// @access  Private (Admin, assigned technician, or creator)
+router.get('/:id/time-entries', auth, [
+  param('id').isMongoId().withMessage('Invalid maintenance request ID')
+], handleValidationErrors, canAccessMaintenanceRequest, asyncHandler(async (req, res) => {
+  const { entries, totals } = await timeTrackingService.getRequestEntries(req.maintenanceRequest._id);
+
+  res.json({
+    entries,
+    totals,
+    laborCost: req.maintenanceRequest.cost.labor
+  });
+}));
+
+// @route   POST /api/maintenance/:id/time-entries
+// @desc    Book time manually; entries from technicians wait for team lead approval
+// @access  Private (Assigned technician, assigned team, or admin)
+router.post('/:id/time-entries', auth, [
+  param('id').isMongoId().withMessage('Invalid maintenance request ID'),
+  body('startedAt').isISO8601().withMessage('Valid start time is required'),
+  body('endedAt').optional().isISO8601().withMessage('Invalid end time'),
+  body('minutes').optional().isFloat({ min: 1, max: 24 * 60 }).withMessage('Minutes must be between 1 and 1440'),
+  body('overtime').optional().isBoolean().withMessage('Overtime must be true or false'),
+  body('technician').optional().isMongoId().withMessage('Invalid technician ID'),
+  body('note').optional().trim().isLength({ max: 1000 }).withMessage('Note cannot exceed 1000 characters')
+], handleValidationErrors, logUserAction('ADD_TIME_ENTRY'), asyncHandler(async (req, res) => {
+  if (!req.body.endedAt && !req.body.minutes) {
+    return res.status(400).json({
+      message: 'Either an end time or a number of minutes is required',
+      code: 'INVALID_TIME_RANGE'
+    });
+  }
+
+  const request = await MaintenanceRequest.findById(req.params.id);
+  if (!request) {
+    return res.status(404).json({
+      message: 'Maintenance request not found',
+      code: 'REQUEST_NOT_FOUND'
+    });
+  }
+
+  try {
+    const entry = await timeTrackingService.addManualEntry(request, req.body, req.user);
+
+    res.status(201).json({
+      message: entry.approval.status === 'Pending'
+        ? 'Time entry submitted for approval'
+        : 'Time entry added',
+      entry
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
+// @route   POST /api/maintenance/:id/attachments
+// @desc    Upload files (multipart field "files") to a request
+// @access  Private (Admin, assigned technician, or creator)
+router.post('/:id/attachments', auth, [
+  param('id').isMongoId().withMessage('Invalid maintenance request ID')
+], handleValidationErrors, canAccessMaintenanceRequest, uploadFiles('files'), logUserAction('UPLOAD_ATTACHMENT'), asyncHandler(async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({
+      message: 'No files uploaded',
+      code: 'NO_FILES'
+    });
+  }
+
+  try {
+    const stored = await storageService.storeFiles('maintenance', req.maintenanceRequest._id, req.files);
+    const attachments = stored.map(file => ({ ...file, uploadedBy: req.user._id, uploadedAt: new Date() }));
+
+    const updatedRequest = await MaintenanceRequest.findByIdAndUpdate(
+      req.maintenanceRequest._id,
+      { $push: { attachments: { $each: attachments } } },
+      { new: true }
+    ).select('attachments');
+
+    res.status(201).json({
+      message: `${attachments.length} file(s) uploaded`,
+      attachments: updatedRequest.attachments.slice(-attachments.length)
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
+// @route   GET /api/maintenance/:id/attachments/:attachmentId
+// @desc    Download a request attachment (?thumbnail=true for the image preview)
+// @access  Private (Admin, assigned technician, or creator)
+router.get('/:id/attachments/:attachmentId', auth, [
+  param('id').isMongoId().withMessage('Invalid maintenance request ID'),
+  param('attachmentId').isMongoId().withMessage('Invalid attachment ID'),
+  query('thumbnail').optional().isBoolean().withMessage('Thumbnail must be true or false')
+], handleValidationErrors, canAccessMaintenanceRequest, asyncHandler(async (req, res) => {
+  const attachment = req.maintenanceRequest.attachments.id(req.params.attachmentId);
+  if (!attachment) {
+    return res.status(404).json({
+      message: 'Attachment not found',
+      code: 'ATTACHMENT_NOT_FOUND'
+    });
+  }
+
+  await storageService.sendFile(res, attachment, { thumbnail: req.query.thumbnail === 'true' });
+}));
+
+// @route   DELETE /api/maintenance/:id/attachments/:attachmentId
+// @desc    Remove a request attachment and its stored file
+// @access  Private (Uploader or admin)
+router.delete('/:id/attachments/:attachmentId', auth, [
+  param('id').isMongoId().withMessage('Invalid maintenance request ID'),
+  param('attachmentId').isMongoId().withMessage('Invalid attachment ID')
+], handleValidationErrors, canAccessMaintenanceRequest, logUserAction('DELETE_ATTACHMENT'), asyncHandler(async (req, res) => {
+  const attachment = req.maintenanceRequest.attachments.id(req.params.attachmentId);
+  if (!attachment) {
+    return res.status(404).json({
+      message: 'Attachment not found',
+      code: 'ATTACHMENT_NOT_FOUND'
+    });
+  }
+
+  if (req.user.role !== 'admin' && attachment.uploadedBy?.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      message: 'Only the uploader or an admin can remove this attachment',
+      code: 'ATTACHMENT_DELETE_DENIED'
+    });
+  }
+
+  await MaintenanceRequest.updateOne(
+    { _id: req.maintenanceRequest._id },
+    { $pull: { attachments: { _id: attachment._id } } }
+  );
+  await storageService.removeFiles([attachment]);
+
+  res.json({
+    message: 'Attachment removed'
+  });
+}));
+
+// @route   GET /api/maintenance/:id/work-notes/:noteId/attachments/:attachmentId
+// @desc    Download a work note attachment (?thumbnail=true for the image preview)
+// @access  Private (Admin, assigned technician, or creator)
+router.get('/:id/work-notes/:noteId/attachments/:attachmentId', auth, [
+  param('id').isMongoId().withMessage('Invalid maintenance request ID'),
+  param('noteId').isMongoId().withMessage('Invalid work note ID'),
+  param('attachmentId').isMongoId().withMessage('Invalid attachment ID'),
+  query('thumbnail').optional().isBoolean().withMessage('Thumbnail must be true or false')
+], handleValidationErrors, canAccessMaintenanceRequest, asyncHandler(async (req, res) => {
+  const note = req.maintenanceRequest.workNotes.id(req.params.noteId);
+  const attachment = note && note.attachments.id(req.params.attachmentId);
+  if (!attachment) {
+    return res.status(404).json({
+      message: 'Attachment not found',
+      code: 'ATTACHMENT_NOT_FOUND'
+    });
+  }
+
+  await storageService.sendFile(res, attachment, { thumbnail: req.query.thumbnail === 'true' });
+}));
+
+// @route   POST /api/maintenance/:id/feedback
+// @desc    Rate a completed request; low ratings open a review request
+// @access  Private (Creator only)
+router.post('/:id/feedback', auth, [
+  param('id').isMongoId().withMessage('Invalid maintenance request ID'),
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  body('comment').optional().trim().isLength({ max: 1000 }).withMessage('Comment cannot exceed 1000 characters')
+], handleValidationErrors, canAccessMaintenanceRequest, logUserAction('SUBMIT_FEEDBACK'), asyncHandler(async (req, res) => {
+  try {
+    const request = await feedbackService.submitFeedback(
+      req.maintenanceRequest,
+      { rating: parseInt(req.body.rating), comment: req.body.comment },
+      req.user
+    );
+
+    res.status(201).json({
+      message: 'Thank you for your feedback',
+      feedback: request.feedback
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
+// @route   GET /api/maintenance/:id/comments
+// @desc    Get the discussion thread (internal comments hidden from requesters)
+// @access  Private (Admin, assigned technician, creator, or watcher)
+router.get('/:id/comments', auth, [
+  param('id').isMongoId().withMessage('Invalid maintenance request ID')
+], handleValidationErrors, canFollowMaintenanceRequest, asyncHandler(async (req, res) => {
+  const comments = await commentService.getComments(req.maintenanceRequest, req.user);
+
+  res.json({
+    comments,
+    watching: req.maintenanceRequest.isWatchedBy(req.user._id),
+    watcherCount: req.maintenanceRequest.watchers.length
+  });
+}));
+
+// @route   POST /api/maintenance/:id/comments
+// @desc    Post a comment; @[Name](userId) mentions notify and subscribe the user
+// @access  Private (Admin, assigned technician, creator, or watcher)
+router.post('/:id/comments', auth, [
+  param('id').isMongoId().withMessage('Invalid maintenance request ID'),
+  body('body').trim().isLength({ min: 1, max: 5000 }).withMessage('Comment must be between 1 and 5000 characters'),
+  body('internal').optional().isBoolean().withMessage('Internal must be true or false')
+], handleValidationErrors, canFollowMaintenanceRequest, logUserAction('ADD_COMMENT'), asyncHandler(async (req, res) => {
+  try {
+    const comment = await commentService.addComment(
+      req.maintenanceRequest,
+      { body: req.body.body, internal: req.body.internal === true || req.body.internal === 'true' },
+      req.user
+    );
+
+    res.status(201).json({
+      message: 'Comment added',
+      comment
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
+// @route   PUT /api/maintenance/:id/comments/:commentId
+// @desc    Edit a comment; newly mentioned users are notified
+// @access  Private (Comment author)
+router.put('/:id/comments/:commentId', auth, [
+  param('id').isMongoId().withMessage('Invalid maintenance request ID'),
+  param('commentId').isMongoId().withMessage('Invalid comment ID'),
+  body('body').trim().isLength({ min: 1, max: 5000 }).withMessage('Comment must be between 1 and 5000 characters')
+], handleValidationErrors, canFollowMaintenanceRequest, logUserAction('EDIT_COMMENT'), asyncHandler(async (req, res) => {
+  try {
+    const comment = await commentService.updateComment(req.maintenanceRequest, req.params.commentId, req.body.body, req.user);
+
+    res.json({
+      message: 'Comment updated',
+      comment
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
+// @route   DELETE /api/maintenance/:id/comments/:commentId
+// @desc    Delete a comment
+// @access  Private (Comment author or admin)
+router.delete('/:id/comments/:commentId', auth, [
+  param('id').isMongoId().withMessage('Invalid maintenance request ID'),
+  param('commentId').isMongoId().withMessage('Invalid comment ID')
+], handleValidationErrors, canFollowMaintenanceRequest, logUserAction('DELETE_COMMENT'), asyncHandler(async (req, res) => {
+  try {
+    await commentService.deleteComment(req.maintenanceRequest, req.params.commentId, req.user);
+
+    res.json({
+      message: 'Comment deleted'
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
+// @route   GET /api/maintenance/:id/mentionable
+// @desc    Search users that can be @mentioned on a request
+// @access  Private (Admin, assigned technician, creator, or watcher)
+router.get('/:id/mentionable', auth, [
+  param('id').isMongoId().withMessage('Invalid maintenance request ID'),
+  query('q').optional().trim().isLength({ max: 50 }).withMessage('Search cannot exceed 50 characters')
+], handleValidationErrors, canFollowMaintenanceRequest, asyncHandler(async (req, res) => {
+  const users = await commentService.getMentionable(req.maintenanceRequest, req.query.q);
+
+  res.json({ users });
+}));
+
+// @route   GET /api/maintenance/:id/watchers
+// @desc    Get the users watching a request
+// @access  Private (Admin, assigned technician, creator, or watcher)
+router.get('/:id/watchers', auth, [
+  param('id').isMongoId().withMessage('Invalid maintenance request ID')
+], handleValidationErrors, canFollowMaintenanceRequest, asyncHandler(async (req, res) => {
+  const watchers = await commentService.getWatchers(req.maintenanceRequest._id);
+
+  res.json({
+    watchers,
+    watching: req.maintenanceRequest.isWatchedBy(req.user._id)
+  });
+}));
+
+// @route   POST /api/maintenance/:id/watch
+// @desc    Subscribe the current user to a request's comments
+// @access  Private (Admin, assigned technician, creator, or watcher)
+router.post('/:id/watch', auth, [
+  param('id').isMongoId().withMessage('Invalid maintenance request ID')
+], handleValidationErrors, canFollowMaintenanceRequest, asyncHandler(async (req, res) => {
+  await commentService.watch(req.maintenanceRequest, req.user);
+
+  res.json({
+    message: 'You are now watching this request',
+    watching: true
+  });
+}));
+
+// @route   DELETE /api/maintenance/:id/watch
+// @desc    Stop watching a request
+// @access  Private (Watcher)
+router.delete('/:id/watch', auth, [
+  param('id').isMongoId().withMessage('Invalid maintenance request ID')
+], handleValidationErrors, canFollowMaintenanceRequest, asyncHandler(async (req, res) => {
+  await commentService.unwatch(req.maintenanceRequest, req.user);
+
+  res.json({
+    message: 'You are no longer watching this request',
+    watching: false
+  });
+}));
+
+// @route   GET /api/maintenance/:id/transitions
+// @desc    Get the statuses the current user may move a request to
+// @access  Private (Admin, assigned technician, or creator)
+router.get('/:id/transitions', auth, [
+  param('id').isMongoId().withMessage('Invalid maintenance request ID')
+], handleValidationErrors, canAccessMaintenanceRequest, asyncHandler(async (req, res) => {
+  const request = req.maintenanceRequest;
+  const workflow = await workflowService.getWorkflowForRequest(request);
+
+  res.json({
+    status: request.status,
+    allowedTransitions: workflowService.getAllowedTransitions(workflow, request, req.user),
+    requiredFields: workflow.requiredFields
+  });
+}));
+
+// @route   GET /api/maintenance/:id/timeline
+// @desc    Get the request's activity history, oldest first, and the time it spent in each status
+// @access  Private (Admin, assigned technician, creator, or watcher)
+router.get('/:id/timeline', auth, [
+  param('id').isMongoId().withMessage('Invalid maintenance request ID')
+], handleValidationErrors, canFollowMaintenanceRequest, asyncHandler(async (req, res) => {
+  const { timeline, timeInStatus } = await timelineService.getTimeline(req.maintenanceRequest);
+
+  res.json({
+    timeline,
+    timeInStatus
+  });
+}));
+
+// @route   GET /api/maintenance/:id/failure-codes
+// @desc    Get the request's failure coding and the catalogue for its equipment's category
+// @access  Private (Admin, assigned technician, creator, or watcher)
+router.get('/:id/failure-codes', auth, [
+  param('id').isMongoId().withMessage('Invalid maintenance request ID')
+], handleValidationErrors, canFollowMaintenanceRequest, asyncHandler(async (req, res) => {
+  const request = await MaintenanceRequest.findById(req.maintenanceRequest._id)
+    .select('type equipment failure')
+    .populate('failure.problem failure.cause failure.remedy', 'code name level')
+    .populate('failure.codedBy', 'name email');
+  const equipment = await Equipment.findById(request.equipment)
+    .select('category')
+    .setOptions({ withDeleted: true });
+
+  res.json({
+    failure: request.failure,
+    required: failureCodeService.requiresCodes(request),
+    category: equipment ? equipment.category : null,
+    problems: await failureCodeService.getCatalogue({ category: equipment ? equipment.category : undefined })
+  });
+}));
+
+// @route   PUT /api/maintenance/:id/failure-codes
+// @desc    Record the problem, cause and remedy codes (also after completion, to correct them)
+// @access  Private (Assigned technician, Admin)
+router.put('/:id/failure-codes', auth, [
+  param('id').isMongoId().withMessage('Invalid maintenance request ID'),
+  body('problem').isMongoId().withMessage('Invalid problem code'),
+  body('cause').isMongoId().withMessage('Invalid cause code'),
+  body('remedy').isMongoId().withMessage('Invalid remedy code')
+], handleValidationErrors, canAccessMaintenanceRequest, logUserAction('UPDATE_FAILURE_CODES'), asyncHandler(async (req, res) => {
+  const request = req.maintenanceRequest;
+
+  if (req.user.role !== 'admin' && req.user.role !== 'technician') {
+    return res.status(403).json({
+      message: 'Access denied. Only technicians and admins can record failure codes.',
+      code: 'FAILURE_CODES_DENIED'
+    });
+  }
+
+  try {
+    const { problem, cause, remedy } = req.body;
+    await failureCodeService.applyToRequest(request, { problem, cause, remedy }, req.user);
+  } catch (error) {
+    if (!error.status) throw error;
+    return res.status(error.status).json({ message: error.message, code: error.code });
+  }
+  request.$locals.actor = req.user._id;
+  await request.save();
+
+  const updatedRequest = await MaintenanceRequest.findById(request._id)
+    .select('failure')
+    .populate('failure.problem failure.cause failure.remedy', 'code name level');
+
+  res.json({
+    message: 'Failure codes recorded',
+    failure: updatedRequest.failure
+  });
+}));
+
 // @route   GET /api/maintenance/:id
 // @desc    Get specific maintenance request
 // @access  Private (Based on role and assignment)
@@ -74,8 +855,13 @@ router.put('/:id/stage', auth, [
   param('id').isMongoId().withMessage('Invalid maintenance request ID'),
   body('status').isIn(['New', 'Assigned', 'In Progress', 'Waiting for Parts', 'On Hold', 'Completed', 'Cancelled', 'Rejected']).withMessage('Invalid status'),
   body('workNote').optional().trim().isLength({ min: 1, max: 1000 }).withMessage('Work note must be between 1 and 1000 characters'),
+  body('reason').optional().trim().isLength({ min: 1, max: 1000 }).withMessage('Reason must be between 1 and 1000 characters'),
   body('hoursWorked').optional().isNumeric().withMessage('Hours worked must be a number'),
-  body('partsUsed').optional().isArray().withMessage('Parts used must be an array')
+  body('partsUsed').optional().isArray().withMessage('Parts used must be an array'),
+  body('failureCodes').optional().isObject().withMessage('Failure codes must be an object'),
+  body('failureCodes.problem').optional().isMongoId().withMessage('Invalid problem code'),
+  body('failureCodes.cause').optional().isMongoId().withMessage('Invalid cause code'),
+  body('failureCodes.remedy').optional().isMongoId().withMessage('Invalid remedy code')
 ], handleValidationErrors, logUserAction('UPDATE_MAINTENANCE_STATUS'), MaintenanceController.updateStage);
 
 // @route   POST /api/maintenance/:id/notes
@@ -160,6 +946,7 @@ router.post('/', auth, canCreateMaintenance, maintenanceRequestValidation, handl
     type,
     equipment: equipmentId,
     location: equipment.location,
+    workshop: equipment.workshop,
     createdBy: req.user._id,
     assignedTeam: equipment.assignedTeam._id,
     priority: priority || 'Medium',
@@ -225,6 +1012,7 @@ router.put('/:id/assign', auth, canAssignTechnicians, [
   }
 
   // Update request
+  request.$locals.actor = req.user._id;
   request.assignedTechnician = technicianId;
   request.status = 'Assigned';
   await request.save();
@@ -249,36 +1037,51 @@ router.put('/:id/assign', auth, canAssignTechnicians, [
 router.put('/:id/status', auth, [
   param('id').isMongoId().withMessage('Invalid request ID'),
   body('status').isIn(['New', 'Assigned', 'In Progress', 'Waiting for Parts', 'On Hold', 'Completed', 'Cancelled', 'Rejected']).withMessage('Invalid status'),
-  body('note').optional().trim().isLength({ max: 1000 }).withMessage('Note cannot exceed 1000 characters')
+  body('note').optional().trim().isLength({ max: 1000 }).withMessage('Note cannot exceed 1000 characters'),
+  body('reason').optional().trim().isLength({ max: 1000 }).withMessage('Reason cannot exceed 1000 characters'),
+  body('failureCodes').optional().isObject().withMessage('Failure codes must be an object'),
+  body('failureCodes.problem').optional().isMongoId().withMessage('Invalid problem code'),
+  body('failureCodes.cause').optional().isMongoId().withMessage('Invalid cause code'),
+  body('failureCodes.remedy').optional().isMongoId().withMessage('Invalid remedy code')
 ], handleValidationErrors, canAccessMaintenanceRequest, logUserAction('UPDATE_STATUS'), asyncHandler(async (req, res) => {
-  const { status, note } = req.body;
+  const { status, note, reason, failureCodes } = req.body;
   const request = req.maintenanceRequest;
 
-  // Check permissions for status changes
-  if (req.user.role !== 'admin' && 
-      (!request.assignedTechnician || request.assignedTechnician.toString() !== req.user._id.toString())) {
-    return res.status(403).json({
-      message: 'Access denied. Only assigned technician or admin can update status.',
-      code: 'STATUS_UPDATE_DENIED'
-    });
+  // Codes sent along with the change are recorded first, so they count towards completing
+  if (failureCodes) {
+    try {
+      await failureCodeService.applyToRequest(request, failureCodes, req.user);
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({ message: error.message, code: error.code });
+    }
+  }
+
+  // Transitions, required fields and role guards come from the workshop workflow
+  const workflow = await workflowService.getWorkflowForRequest(request);
+  const transition = workflowService.validateTransition(workflow, request, status, req.user, { workNote: note, reason });
+  if (!transition.allowed) {
+    const { allowed, status: httpStatus, ...details } = transition;
+    return res.status(httpStatus).json(details);
   }
 
   const oldStatus = request.status;
   request.status = status;
+  if (reason) {
+    request.statusReason = reason;
+  }
 
   // Add work note if provided
-  if (note && req.user.role === 'technician') {
-    await request.addWorkNote(req.user._id, note);
+  if (note) {
+    request.workNotes.push({
+      technician: req.user._id,
+      note,
+      timestamp: new Date()
+    });
   }
 
   // Update technician workload
-  if (status === 'Completed' && oldStatus !== 'Completed' && request.assignedTechnician) {
-    const technician = await User.findById(request.assignedTechnician);
-    if (technician) {
-      technician.workload = Math.max(0, (technician.workload || 0) - 1);
-      await technician.save();
-    }
-  }
+  await workflowService.releaseWorkload(request, oldStatus);
 
   await request.save();
 
@@ -293,9 +1096,9 @@ router.put('/:id/status', auth, [
 }));
 
 // @route   POST /api/maintenance/:id/work-notes
-// @desc    Add work note to maintenance request
+// @desc    Add work note to maintenance request (JSON, or multipart with "files")
 // @access  Private (Assigned technician, Admin)
-router.post('/:id/work-notes', auth, [
+router.post('/:id/work-notes', auth, uploadFiles('files'), [
   param('id').isMongoId().withMessage('Invalid request ID'),
   body('note').trim().isLength({ min: 1, max: 1000 }).withMessage('Note must be between 1 and 1000 characters'),
   body('hoursWorked').optional().isFloat({ min: 0, max: 24 }).withMessage('Hours worked must be between 0 and 24')
@@ -311,7 +1114,20 @@ router.post('/:id/work-notes', auth, [
     });
   }
 
-  await request.addWorkNote(req.user._id, note, hoursWorked || 0);
+  let attachments = [];
+  if (req.files && req.files.length > 0) {
+    try {
+      attachments = await storageService.storeFiles('maintenance', request._id, req.files);
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({
+        message: error.message,
+        code: error.code
+      });
+    }
+  }
+
+  await request.addWorkNote(req.user._id, note, hoursWorked || 0, attachments);
 
   const updatedRequest = await MaintenanceRequest.findById(request._id)
     .populate('workNotes.technician', 'name email');
@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const { param, query } = require('express-validator');
+const notificationService = require('../services/notificationService');
+const { auth } = require('../middleware/auth');
+const { handleValidationErrors, asyncHandler } = require('../middleware/validation');
+
+// @route   GET /api/notifications
+// @desc    Get the current user's notifications, newest first
+// @access  Private
+router.get('/', auth, [
+  query('unread').optional().isBoolean().withMessage('Unread must be true or false'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const result = await notificationService.list(req.user._id, {
+    unreadOnly: req.query.unread === 'true',
+    limit: parseInt(req.query.limit) || 20
+  });
+
+  res.json(result);
+}));
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all of the current user's notifications as read
+// @access  Private
+router.put('/read-all', auth, asyncHandler(async (req, res) => {
+  const count = await notificationService.markAllRead(req.user._id);
+
+  res.json({
+    message: `${count} notification(s) marked as read`,
+    count
+  });
+}));
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark one notification as read
+// @access  Private (Recipient only)
+router.put('/:id/read', auth, [
+  param('id').isMongoId().withMessage('Invalid notification ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const notification = await notificationService.markRead(req.user._id, req.params.id);
+  if (!notification) {
+    return res.status(404).json({
+      message: 'Notification not found',
+      code: 'NOTIFICATION_NOT_FOUND'
+    });
+  }
+
+  res.json({
+    message: 'Notification marked as read',
+    notification
+  });
+}));
+
+module.exports = router;
\ No newline at end of file
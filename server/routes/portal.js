@@ -0,0 +1,108 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const { body, param } = require('express-validator');
+const portalService = require('../services/portalService');
+const { uploadFiles } = require('../middleware/upload');
+const { handleValidationErrors, asyncHandler } = require('../middleware/validation');
+
+// Nobody logs in here, so every route is limited per IP on top of the app-wide limit
+const viewLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.PORTAL_VIEW_LIMIT) || 60,
+  message: { message: 'Too many requests. Please try again later', code: 'RATE_LIMITED' }
+});
+
+const submitLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: parseInt(process.env.PORTAL_SUBMIT_LIMIT) || 5,
+  message: { message: 'Too many reports from this device. Please try again later', code: 'RATE_LIMITED' }
+});
+
+const qrCodeValidation = param('qrCode').trim().isLength({ min: 1, max: 200 }).withMessage('Invalid equipment code');
+
+// Tracking links carry a 64-character hex token instead of a login
+const tokenValidation = param('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid tracking link');
+
+// @route   GET /api/portal/equipment/:qrCode
+// @desc    Get the basic details of scanned equipment and a token for the report form
+// @access  Public
+router.get('/equipment/:qrCode', viewLimiter, [
+  qrCodeValidation
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  try {
+    const { equipment, formToken } = await portalService.getEquipmentInfo(req.params.qrCode);
+
+    res.json({ equipment, formToken });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
+// @route   POST /api/portal/equipment/:qrCode/reports
+// @desc    Report a problem with the equipment (multipart, up to 3 photos in `photos`)
+// @access  Public
+router.post('/equipment/:qrCode/reports', submitLimiter, uploadFiles('photos', 3), [
+  qrCodeValidation,
+  body('title').trim().isLength({ min: 3, max: 200 }).withMessage('Please summarize the problem in 3 to 200 characters'),
+  body('description').trim().isLength({ min: 10, max: 2000 }).withMessage('Please describe the problem in 10 to 2000 characters'),
+  body('name').optional({ checkFalsy: true }).trim().isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+  body('email').optional({ checkFalsy: true }).trim().isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('formToken').isString().withMessage('Please reload the page and try again'),
+  body('website').optional().isString()
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const photos = (req.files || []).filter(file => file.mimetype.startsWith('image/'));
+  if (photos.length !== (req.files || []).length) {
+    return res.status(415).json({
+      message: 'Only photos can be attached to a report',
+      code: 'UNSUPPORTED_FILE_TYPE'
+    });
+  }
+
+  try {
+    const { token } = await portalService.submitReport(req.params.qrCode, {
+      title: req.body.title,
+      description: req.body.description,
+      name: req.body.name || undefined,
+      email: req.body.email || undefined,
+      website: req.body.website,
+      formToken: req.body.formToken
+    }, photos);
+
+    res.status(201).json({
+      message: 'Thank you. Your report has been received',
+      trackingToken: token
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
+// @route   GET /api/portal/reports/:token
+// @desc    Follow a report's progress from its tracking link
+// @access  Public (valid tracking token)
+router.get('/reports/:token', viewLimiter, [
+  tokenValidation
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  try {
+    const report = await portalService.getByToken(req.params.token);
+
+    res.json({ report });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const portalService = require('../services/portalService');
+const storageService = require('../services/storageService');
+const { auth, canAssignTechnicians, logUserAction } = require('../middleware/auth');
+const { handleValidationErrors, asyncHandler } = require('../middleware/validation');
+
+const idValidation = param('id').isMongoId().withMessage('Invalid report ID');
+
+// @route   GET /api/portal-reports
+// @desc    Get the triage queue of problems reported from public equipment pages
+// @access  Private (Admin or Team Lead; anyone else gets an empty queue)
+router.get('/', auth, [
+  query('status').optional().isIn(['pending', 'accepted', 'rejected', 'spam']).withMessage('Invalid report status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const { reports, pagination } = await portalService.listQueue(req.user, {
+    status: req.query.status,
+    page: parseInt(req.query.page) || 1,
+    limit: parseInt(req.query.limit) || 20
+  });
+
+  res.json({ reports, pagination });
+}));
+
+// @route   GET /api/portal-reports/:id
+// @desc    Get a reported problem
+// @access  Private (Admin or Team Lead)
+router.get('/:id', auth, canAssignTechnicians, [
+  idValidation
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  try {
+    const report = await portalService.getReport(req.params.id, req.user);
+
+    res.json({ report });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
+// @route   GET /api/portal-reports/:id/photos/:photoId
+// @desc    View a photo attached to a report (?thumbnail=true for the preview)
+// @access  Private (Admin or Team Lead)
+router.get('/:id/photos/:photoId', auth, canAssignTechnicians, [
+  idValidation,
+  param('photoId').isMongoId().withMessage('Invalid photo ID'),
+  query('thumbnail').optional().isBoolean().withMessage('Thumbnail must be true or false')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  try {
+    const report = await portalService.getReport(req.params.id, req.user);
+    const photo = report.photos.id(req.params.photoId);
+    if (!photo) {
+      return res.status(404).json({
+        message: 'Photo not found',
+        code: 'PHOTO_NOT_FOUND'
+      });
+    }
+
+    await storageService.sendFile(res, photo, { thumbnail: req.query.thumbnail === 'true' });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
+// @route   POST /api/portal-reports/:id/accept
+// @desc    Turn a report into a maintenance request on the equipment
+// @access  Private (Admin or Team Lead)
+router.post('/:id/accept', auth, canAssignTechnicians, [
+  idValidation,
+  body('type').optional().isIn(['Corrective', 'Emergency']).withMessage('Type must be Corrective or Emergency'),
+  body('priority').optional().isIn(['Low', 'Medium', 'High', 'Critical', 'Emergency']).withMessage('Invalid priority'),
+  body('category').optional({ checkFalsy: true }).isIn(['Electrical', 'Mechanical', 'HVAC', 'Plumbing', 'IT/Electronics', 'Safety', 'Building', 'Grounds', 'Other']).withMessage('Invalid category'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], handleValidationErrors, logUserAction('ACCEPT_PUBLIC_REPORT'), asyncHandler(async (req, res) => {
+  try {
+    const { report, request } = await portalService.acceptReport(req.params.id, {
+      type: req.body.type,
+      priority: req.body.priority,
+      category: req.body.category || undefined,
+      note: req.body.note
+    }, req.user);
+
+    res.status(201).json({
+      message: `Report accepted as ${request.requestNumber}`,
+      report,
+      request
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
+// @route   POST /api/portal-reports/:id/reject
+// @desc    Discard a report (spam: true also deletes its photos)
+// @access  Private (Admin or Team Lead)
+router.post('/:id/reject', auth, canAssignTechnicians, [
+  idValidation,
+  body('spam').optional().isBoolean().withMessage('Spam must be true or false'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], handleValidationErrors, logUserAction('REJECT_PUBLIC_REPORT'), asyncHandler(async (req, res) => {
+  try {
+    const report = await portalService.rejectReport(req.params.id, {
+      spam: req.body.spam === true || req.body.spam === 'true',
+      note: req.body.note
+    }, req.user);
+
+    res.json({
+      message: report.status === 'spam' ? 'Report marked as spam' : 'Report rejected',
+      report
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,236 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const rcaService = require('../services/rcaService');
+const { auth, isTechnicianOrAdmin, logUserAction } = require('../middleware/auth');
+const { handleValidationErrors, asyncHandler, paginationValidation } = require('../middleware/validation');
+
+const idValidation = param('id').isMongoId().withMessage('Invalid RCA ID');
+const actionIdValidation = param('actionId').isMongoId().withMessage('Invalid action ID');
+
+// Validation rules; on update every field is optional
+const rcaValidation = (update = false) => [
+  (update ? body('title').optional() : body('title')).trim().isLength({ min: 3, max: 200 }).withMessage('Title must be between 3 and 200 characters'),
+  body('problemStatement').optional().trim().isLength({ max: 2000 }).withMessage('Problem statement cannot exceed 2000 characters'),
+  body('equipment').optional().isArray().withMessage('Equipment must be an array'),
+  body('equipment.*').isMongoId().withMessage('Invalid equipment ID'),
+  body('maintenanceRequests').optional().isArray().withMessage('Maintenance requests must be an array'),
+  body('maintenanceRequests.*').isMongoId().withMessage('Invalid maintenance request ID'),
+  body('owner').optional({ nullable: true }).isMongoId().withMessage('Invalid owner ID'),
+  body('failureCode').optional({ nullable: true }).isMongoId().withMessage('Invalid failure code ID'),
+  body('fiveWhys').optional().isArray({ max: 10 }).withMessage('Up to 10 whys can be recorded'),
+  body('fiveWhys.*.question').trim().isLength({ min: 1, max: 500 }).withMessage('Each why needs a question of up to 500 characters'),
+  body('fiveWhys.*.answer').optional().trim().isLength({ max: 1000 }).withMessage('Answers cannot exceed 1000 characters'),
+  body('fishbone').optional().isArray({ max: 100 }).withMessage('Fishbone must be an array of up to 100 causes'),
+  body('fishbone.*.category').isIn(rcaService.fishboneCategories).withMessage(`Fishbone category must be one of ${rcaService.fishboneCategories.join(', ')}`),
+  body('fishbone.*.cause').trim().isLength({ min: 1, max: 300 }).withMessage('Each fishbone cause must be between 1 and 300 characters'),
+  body('rootCause').optional().trim().isLength({ max: 2000 }).withMessage('Root cause cannot exceed 2000 characters')
+];
+
+const actionValidation = (update = false) => [
+  (update ? body('title').optional() : body('title')).trim().isLength({ min: 3, max: 200 }).withMessage('Action title must be between 3 and 200 characters'),
+  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+  (update ? body('owner').optional() : body('owner')).isMongoId().withMessage('Invalid owner ID'),
+  (update ? body('dueDate').optional() : body('dueDate')).isISO8601().withMessage('Due date must be a valid date')
+];
+
+// Fields accepted from the client
+const getRcaFields = (source) => ({
+  title: source.title,
+  problemStatement: source.problemStatement,
+  equipment: source.equipment,
+  maintenanceRequests: source.maintenanceRequests,
+  owner: source.owner,
+  failureCode: source.failureCode,
+  fiveWhys: source.fiveWhys && source.fiveWhys.map(({ question, answer }) => ({ question, answer })),
+  fishbone: source.fishbone && source.fishbone.map(({ category, cause }) => ({ category, cause })),
+  rootCause: source.rootCause
+});
+
+// @route   GET /api/rcas
+// @desc    Get root cause analyses with their open and overdue corrective actions
+//          (?status=, ?equipment=, ?maintenanceRequest=, ?owner=me|<id>, ?workshop= for admins)
+// @access  Private (Admin, Technician: own workshop)
+router.get('/', auth, isTechnicianOrAdmin, [
+  query('status').optional().isIn(rcaService.statuses).withMessage(`Status must be one of ${rcaService.statuses.join(', ')}`),
+  query('equipment').optional().isMongoId().withMessage('Invalid equipment ID'),
+  query('maintenanceRequest').optional().isMongoId().withMessage('Invalid maintenance request ID'),
+  query('owner').optional().custom(value => value === 'me' || /^[a-f\d]{24}$/i.test(value)).withMessage('Owner must be "me" or a user ID'),
+  query('workshop').optional().isMongoId().withMessage('Invalid workshop ID'),
+  ...paginationValidation('rcas')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const { rcas, pagination } = await rcaService.list(req.query, req.user);
+
+  res.json({ rcas, pagination });
+}));
+
+// @route   GET /api/rcas/actions/mine
+// @desc    Open corrective actions assigned to me, soonest due first
+// @access  Private (Admin, Technician)
+router.get('/actions/mine', auth, isTechnicianOrAdmin, asyncHandler(async (req, res) => {
+  const actions = await rcaService.actionsFor(req.user);
+
+  res.json({ actions });
+}));
+
+// @route   GET /api/rcas/owners
+// @desc    Active technicians and admins who can own an RCA or a corrective action
+// @access  Private (Admin, Technician: own workshop)
+router.get('/owners', auth, isTechnicianOrAdmin, asyncHandler(async (req, res) => {
+  const owners = await rcaService.owners(req.user);
+
+  res.json({ owners });
+}));
+
+// @route   GET /api/rcas/:id
+// @desc    Get a root cause analysis with its 5 Whys, fishbone and corrective actions, and
+//          the statuses it can move to next
+// @access  Private (Admin, Technician: own workshop)
+router.get('/:id', auth, isTechnicianOrAdmin, [
+  idValidation
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  try {
+    const rca = await rcaService.getRca(req.params.id, req.user);
+
+    res.json({
+      rca: await rcaService.findPopulated(rca._id),
+      canEdit: rcaService.canEdit(rca, req.user),
+      nextStatuses: rcaService.nextStatuses(rca)
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({ message: error.message, code: error.code });
+  }
+}));
+
+// @route   POST /api/rcas
+// @desc    Open a root cause analysis on equipment and/or maintenance requests
+// @access  Private (Admin, Technician)
+router.post('/', auth, isTechnicianOrAdmin, rcaValidation(), handleValidationErrors, logUserAction('CREATE_RCA'), asyncHandler(async (req, res) => {
+  try {
+    const rca = await rcaService.create(getRcaFields(req.body), req.user);
+
+    res.status(201).json({
+      message: 'Root cause analysis created successfully',
+      rca: await rcaService.findPopulated(rca._id)
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({ message: error.message, code: error.code });
+  }
+}));
+
+// @route   PUT /api/rcas/:id
+// @desc    Update the analysis: links, owner, 5 Whys, fishbone and root cause
+// @access  Private (RCA owner or creator, Admin)
+router.put('/:id', auth, isTechnicianOrAdmin, [
+  idValidation,
+  ...rcaValidation(true)
+], handleValidationErrors, logUserAction('UPDATE_RCA'), asyncHandler(async (req, res) => {
+  try {
+    const rca = await rcaService.getRca(req.params.id, req.user);
+    await rcaService.update(rca, getRcaFields(req.body), req.user);
+
+    res.json({
+      message: 'Root cause analysis updated successfully',
+      rca: await rcaService.findPopulated(rca._id)
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({ message: error.message, code: error.code });
+  }
+}));
+
+// @route   PUT /api/rcas/:id/status
+// @desc    Move the RCA through its statuses (reason required to dismiss)
+// @access  Private (RCA owner or creator, Admin; anyone can pick up a suggestion)
+router.put('/:id/status', auth, isTechnicianOrAdmin, [
+  idValidation,
+  body('status').isIn(rcaService.statuses).withMessage(`Status must be one of ${rcaService.statuses.join(', ')}`),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], handleValidationErrors, logUserAction('UPDATE_RCA_STATUS'), asyncHandler(async (req, res) => {
+  try {
+    const rca = await rcaService.getRca(req.params.id, req.user);
+    await rcaService.changeStatus(rca, req.body.status, req.user, { reason: req.body.reason });
+
+    res.json({
+      message: `Root cause analysis moved to ${rca.status}`,
+      rca: await rcaService.findPopulated(rca._id)
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({ message: error.message, code: error.code });
+  }
+}));
+
+// @route   POST /api/rcas/:id/actions
+// @desc    Add a corrective action with its owner and due date
+// @access  Private (RCA owner or creator, Admin)
+router.post('/:id/actions', auth, isTechnicianOrAdmin, [
+  idValidation,
+  ...actionValidation()
+], handleValidationErrors, logUserAction('ADD_RCA_ACTION'), asyncHandler(async (req, res) => {
+  try {
+    const rca = await rcaService.getRca(req.params.id, req.user);
+    const { title, description, owner, dueDate } = req.body;
+    const action = await rcaService.addAction(rca, { title, description, owner, dueDate }, req.user);
+
+    res.status(201).json({
+      message: 'Corrective action added',
+      action,
+      rca: await rcaService.findPopulated(rca._id)
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({ message: error.message, code: error.code });
+  }
+}));
+
+// @route   PUT /api/rcas/:id/actions/:actionId
+// @desc    Update a corrective action (its owner can report status and a note)
+// @access  Private (RCA owner or creator, Admin, action owner)
+router.put('/:id/actions/:actionId', auth, isTechnicianOrAdmin, [
+  idValidation,
+  actionIdValidation,
+  ...actionValidation(true),
+  body('status').optional().isIn(rcaService.actionStatuses).withMessage(`Status must be one of ${rcaService.actionStatuses.join(', ')}`),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], handleValidationErrors, logUserAction('UPDATE_RCA_ACTION'), asyncHandler(async (req, res) => {
+  try {
+    const rca = await rcaService.getRca(req.params.id, req.user);
+    const { title, description, owner, dueDate, status, note } = req.body;
+    const action = await rcaService.updateAction(rca, req.params.actionId, { title, description, owner, dueDate, status, note }, req.user);
+
+    res.json({
+      message: 'Corrective action updated',
+      action,
+      rca: await rcaService.findPopulated(rca._id)
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({ message: error.message, code: error.code });
+  }
+}));
+
+// @route   DELETE /api/rcas/:id/actions/:actionId
+// @desc    Remove a corrective action (cancel it instead to keep it on record)
+// @access  Private (RCA owner or creator, Admin)
+router.delete('/:id/actions/:actionId', auth, isTechnicianOrAdmin, [
+  idValidation,
+  actionIdValidation
+], handleValidationErrors, logUserAction('DELETE_RCA_ACTION'), asyncHandler(async (req, res) => {
+  try {
+    const rca = await rcaService.getRca(req.params.id, req.user);
+    await rcaService.removeAction(rca, req.params.actionId, req.user);
+
+    res.json({
+      message: 'Corrective action removed',
+      rca: await rcaService.findPopulated(rca._id)
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({ message: error.message, code: error.code });
+  }
+}));
+
+module.exports = router;
\ No newline at end of file
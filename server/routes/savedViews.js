@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const savedViewService = require('../services/savedViewService');
+const { auth } = require('../middleware/auth');
+const { handleValidationErrors, asyncHandler } = require('../middleware/validation');
+
+const entityValidation = (location) => location('entity')
+  .isIn(savedViewService.entities)
+  .withMessage(`Entity must be one of ${savedViewService.entities.join(', ')}`);
+
+const settingsValidation = [
+  body('filters').optional().isObject().withMessage('Filters must be an object'),
+  body('sort').optional().isString().withMessage('Sort must be a field name'),
+  body('columns').optional().isArray().withMessage('Columns must be a list'),
+  body('visibility').optional().isIn(['private', 'team', 'workshop']).withMessage('Visibility must be private, team or workshop')
+];
+
+// @route   GET /api/saved-views
+// @desc    Get my views and the ones shared with my team or workshop, plus my default
+// @access  Private
+router.get('/', auth, [
+  entityValidation(query)
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const { views, defaultView } = await savedViewService.listViews(req.query.entity, req.user);
+
+  res.json({ views, defaultView });
+}));
+
+// @route   POST /api/saved-views
+// @desc    Save the current filters, sort and columns as a named view
+// @access  Private
+router.post('/', auth, [
+  entityValidation(body),
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  ...settingsValidation
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  try {
+    const view = await savedViewService.createView(req.body, req.user);
+
+    res.status(201).json({
+      message: 'View saved',
+      view
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
+// @route   PUT /api/saved-views/default/:entity
+// @desc    Pin a view as my default for the list (view: null clears it)
+// @access  Private
+router.put('/default/:entity', auth, [
+  entityValidation(param),
+  body('view').optional({ nullable: true }).isMongoId().withMessage('Invalid saved view ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  try {
+    const defaultView = await savedViewService.setDefaultView(req.params.entity, req.body.view, req.user);
+
+    res.json({
+      message: defaultView ? 'Default view pinned' : 'Default view cleared',
+      defaultView
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
+// @route   PUT /api/saved-views/:id
+// @desc    Update a view's name, settings or sharing
+// @access  Private (Owner or Admin)
+router.put('/:id', auth, [
+  param('id').isMongoId().withMessage('Invalid saved view ID'),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  ...settingsValidation
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  try {
+    const view = await savedViewService.updateView(req.params.id, req.body, req.user);
+
+    res.json({
+      message: 'View updated',
+      view
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
+// @route   DELETE /api/saved-views/:id
+// @desc    Delete a view; users who pinned it fall back to no default
+// @access  Private (Owner or Admin)
+router.delete('/:id', auth, [
+  param('id').isMongoId().withMessage('Invalid saved view ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  try {
+    await savedViewService.deleteView(req.params.id, req.user);
+
+    res.json({
+      message: 'View deleted'
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+}));
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const searchService = require('../services/searchService');
+const { auth } = require('../middleware/auth');
+const { handleValidationErrors, asyncHandler } = require('../middleware/validation');
+
+// @route   GET /api/search
+// @desc    Ranked search across requests, equipment, request comments and users, grouped by type
+//          (?q=, types=requests,equipment,notes,users, limit= per type, workshop= for admins)
+// @access  Private (each type is scoped to what the caller can see)
+router.get('/', auth, [
+  query('q').trim().isLength({ min: 2, max: 100 }).withMessage('Search must be between 2 and 100 characters'),
+  query('types').optional()
+    .customSanitizer(value => String(value).split(',').map(type => type.trim()).filter(Boolean))
+    .custom(types => types.every(type => searchService.types.includes(type)))
+    .withMessage(`Types must be among ${searchService.types.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20'),
+  query('workshop').optional().isMongoId().withMessage('Invalid workshop ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const result = await searchService.search(req.query.q, req.user, {
+    types: req.query.types,
+    workshop: req.user.role === 'admin' ? req.query.workshop : undefined,
+    limit: parseInt(req.query.limit) || 5
+  });
+
+  res.json(result);
+}));
+
+module.exports = router;
\ No newline at end of file
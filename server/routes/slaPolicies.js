@@ -0,0 +1,234 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const SLAPolicy = require('../models/SLAPolicy');
+const Workshop = require('../models/Workshop');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const slaService = require('../services/slaService');
+const { auth, isAdmin, logUserAction } = require('../middleware/auth');
+const { handleValidationErrors, asyncHandler } = require('../middleware/validation');
+
+const PRIORITIES = ['Low', 'Medium', 'High', 'Critical', 'Emergency'];
+const REQUEST_TYPES = ['Corrective', 'Preventive', 'Predictive', 'Emergency'];
+const CRITICALITIES = ['Low', 'Medium', 'High', 'Critical'];
+
+// Validation rules
+const policyValidation = [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Policy name must be between 2 and 100 characters'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('workshop').optional({ nullable: true }).isMongoId().withMessage('Invalid workshop ID'),
+  body('priority').optional({ nullable: true }).isIn(PRIORITIES).withMessage('Invalid priority'),
+  body('requestType').optional({ nullable: true }).isIn(REQUEST_TYPES).withMessage('Invalid request type'),
+  body('criticality').optional({ nullable: true }).isIn(CRITICALITIES).withMessage('Invalid equipment criticality'),
+  body('responseHours').isFloat({ min: 0.25 }).withMessage('Response target must be at least 0.25 hours'),
+  body('resolutionHours').isFloat({ min: 0.25 }).withMessage('Resolution target must be at least 0.25 hours')
+];
+
+// Match fields of a policy, with missing values stored as wildcards
+const getMatchFields = (source) => ({
+  workshop: source.workshop || null,
+  priority: source.priority || null,
+  requestType: source.requestType || null,
+  criticality: source.criticality || null
+});
+
+// Only one active policy may cover the same combination of match fields
+const findConflict = (match, excludeId) => SLAPolicy.findOne({
+  ...match,
+  isActive: true,
+  ...(excludeId ? { _id: { $ne: excludeId } } : {})
+});
+
+// @route   GET /api/sla-policies
+// @desc    Get SLA policies
+// @access  Private (Admin only)
+router.get('/', auth, isAdmin, [
+  query('workshop').optional().isMongoId().withMessage('Invalid workshop ID'),
+  query('active').optional().isBoolean().withMessage('Active must be true or false')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.workshop) filter.workshop = { $in: [null, req.query.workshop] };
+  if (req.query.active !== undefined) filter.isActive = req.query.active === 'true';
+
+  const policies = await SLAPolicy.find(filter)
+    .populate('workshop', 'name code')
+    .populate('lastModifiedBy', 'name email')
+    .sort({ workshop: 1, priority: 1, requestType: 1, criticality: 1 });
+
+  res.json({
+    policies,
+    defaults: slaService.getDefaultTargets()
+  });
+}));
+
+// @route   GET /api/sla-policies/resolve
+// @desc    Preview which policy would apply to a request
+// @access  Private (Admin only)
+router.get('/resolve', auth, isAdmin, [
+  query('workshop').optional().isMongoId().withMessage('Invalid workshop ID'),
+  query('priority').isIn(PRIORITIES).withMessage('Invalid priority'),
+  query('requestType').optional().isIn(REQUEST_TYPES).withMessage('Invalid request type'),
+  query('criticality').optional().isIn(CRITICALITIES).withMessage('Invalid equipment criticality')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const applied = await slaService.resolvePolicy(
+    { priority: req.query.priority, type: req.query.requestType },
+    { workshopId: req.query.workshop, criticality: req.query.criticality }
+  );
+
+  res.json({ applied });
+}));
+
+// @route   GET /api/sla-policies/:id
+// @desc    Get SLA policy with the number of requests measured against it
+// @access  Private (Admin only)
+router.get('/:id', auth, isAdmin, [
+  param('id').isMongoId().withMessage('Invalid policy ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const policy = await SLAPolicy.findById(req.params.id)
+    .populate('workshop', 'name code')
+    .populate('createdBy', 'name email')
+    .populate('lastModifiedBy', 'name email');
+
+  if (!policy) {
+    return res.status(404).json({
+      message: 'SLA policy not found',
+      code: 'SLA_POLICY_NOT_FOUND'
+    });
+  }
+
+  const usage = await MaintenanceRequest.aggregate([
+    { $match: { 'sla.policy.policy': policy._id } },
+    { $group: { _id: '$sla.policy.version', requests: { $sum: 1 }, breached: { $sum: { $cond: ['$sla.isSLABreached', 1, 0] } } } },
+    { $sort: { _id: -1 } }
+  ]);
+
+  res.json({
+    policy,
+    usage: usage.map(({ _id, ...counts }) => ({ version: _id, ...counts }))
+  });
+}));
+
+// @route   POST /api/sla-policies
+// @desc    Create SLA policy
+// @access  Private (Admin only)
+router.post('/', auth, isAdmin, policyValidation, handleValidationErrors, logUserAction('CREATE_SLA_POLICY'), asyncHandler(async (req, res) => {
+  const match = getMatchFields(req.body);
+
+  if (parseFloat(req.body.resolutionHours) < parseFloat(req.body.responseHours)) {
+    return res.status(400).json({
+      message: 'Resolution target cannot be shorter than the response target',
+      code: 'INVALID_SLA_TARGETS'
+    });
+  }
+
+  if (match.workshop && !(await Workshop.exists({ _id: match.workshop }))) {
+    return res.status(400).json({
+      message: 'Workshop not found',
+      code: 'WORKSHOP_NOT_FOUND'
+    });
+  }
+
+  const conflict = await findConflict(match);
+  if (conflict) {
+    return res.status(400).json({
+      message: `Policy "${conflict.name}" already covers this workshop, priority, type and criticality`,
+      code: 'SLA_POLICY_EXISTS'
+    });
+  }
+
+  const policy = await SLAPolicy.create({
+    ...match,
+    name: req.body.name,
+    description: req.body.description,
+    responseHours: req.body.responseHours,
+    resolutionHours: req.body.resolutionHours,
+    createdBy: req.user._id,
+    lastModifiedBy: req.user._id
+  });
+
+  res.status(201).json({
+    message: 'SLA policy created successfully',
+    policy
+  });
+}));
+
+// @route   PUT /api/sla-policies/:id
+// @desc    Update SLA policy (applies to new requests only)
+// @access  Private (Admin only)
+router.put('/:id', auth, isAdmin, [
+  param('id').isMongoId().withMessage('Invalid policy ID'),
+  ...policyValidation,
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false').toBoolean()
+], handleValidationErrors, logUserAction('UPDATE_SLA_POLICY'), asyncHandler(async (req, res) => {
+  const policy = await SLAPolicy.findById(req.params.id);
+
+  if (!policy) {
+    return res.status(404).json({
+      message: 'SLA policy not found',
+      code: 'SLA_POLICY_NOT_FOUND'
+    });
+  }
+
+  if (parseFloat(req.body.resolutionHours) < parseFloat(req.body.responseHours)) {
+    return res.status(400).json({
+      message: 'Resolution target cannot be shorter than the response target',
+      code: 'INVALID_SLA_TARGETS'
+    });
+  }
+
+  const match = getMatchFields(req.body);
+  const isActive = req.body.isActive !== undefined ? req.body.isActive : policy.isActive;
+
+  if (isActive) {
+    const conflict = await findConflict(match, policy._id);
+    if (conflict) {
+      return res.status(400).json({
+        message: `Policy "${conflict.name}" already covers this workshop, priority, type and criticality`,
+        code: 'SLA_POLICY_EXISTS'
+      });
+    }
+  }
+
+  Object.assign(policy, match, {
+    name: req.body.name,
+    description: req.body.description,
+    responseHours: req.body.responseHours,
+    resolutionHours: req.body.resolutionHours,
+    isActive,
+    lastModifiedBy: req.user._id
+  });
+  // Existing requests keep the snapshot of the version they were measured against
+  policy.version += 1;
+  await policy.save();
+
+  res.json({
+    message: 'SLA policy updated successfully',
+    policy
+  });
+}));
+
+// @route   DELETE /api/sla-policies/:id
+// @desc    Deactivate SLA policy (kept for historic requests)
+// @access  Private (Admin only)
+router.delete('/:id', auth, isAdmin, [
+  param('id').isMongoId().withMessage('Invalid policy ID')
+], handleValidationErrors, logUserAction('DELETE_SLA_POLICY'), asyncHandler(async (req, res) => {
+  const policy = await SLAPolicy.findById(req.params.id);
+
+  if (!policy) {
+    return res.status(404).json({
+      message: 'SLA policy not found',
+      code: 'SLA_POLICY_NOT_FOUND'
+    });
+  }
+
+  policy.isActive = false;
+  policy.lastModifiedBy = req.user._id;
+  await policy.save();
+
+  res.json({
+    message: 'SLA policy deactivated successfully'
+  });
+}));
+
+module.exports = router;
\ No newline at end of file
@@ -4,8 +4,11 @@ const { body, param, query } = require('express-validator');
 const Team = require('../models/Team');
 const User = require('../models/User');
 const MaintenanceRequest = require('../models/MaintenanceRequest');
+const feedbackService = require('../services/feedbackService');
+const trashService = require('../services/trashService');
 const { auth, canManageTeams, logUserAction } = require('../middleware/auth');
-const { handleValidationErrors, asyncHandler } = require('../middleware/validation');
+const paginationService = require('../services/paginationService');
+const { handleValidationErrors, asyncHandler, paginationValidation } = require('../middleware/validation');
 
 // Validation rules
 const teamValidation = [
@@ -33,17 +36,10 @@ const addMemberValidation = [
 ];
 
 // @route   GET /api/teams
-// @desc    Get all teams with pagination and filters
+// @desc    Get all teams with filters, sorting and page or cursor pagination
 // @access  Private (Admin, Technician for read-only)
 router.get('/', auth, [
-  query('page')
-    .optional()
-    .isInt({ min: 1 })
-    .withMessage('Page must be a positive integer'),
-  query('limit')
-    .optional()
-    .isInt({ min: 1, max: 100 })
-    .withMessage('Limit must be between 1 and 100'),
+  ...paginationValidation('teams'),
   query('specialization')
     .optional()
     .isString()
@@ -54,10 +50,6 @@ router.get('/', auth, [
     .isIn(['active', 'inactive', 'disbanded'])
     .withMessage('Invalid status')
 ], handleValidationErrors, asyncHandler(async (req, res) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
-  const skip = (page - 1) * limit;
-  
   // Build filter
   const filter = {};
   if (req.query.specialization) {
@@ -68,15 +60,15 @@ router.get('/', auth, [
   }
 
   // Get teams with pagination
-  const teams = await Team.find(filter)
-    .populate('teamLead', 'name email')
-    .populate('members.user', 'name email role skills')
-    .populate('equipment', 'name serialNumber status')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit);
-
-  const total = await Team.countDocuments(filter);
+  const { docs: teams, pagination } = await paginationService.paginate(
+    Team,
+    filter,
+    { list: 'teams', ...req.query },
+    query => query
+      .populate('teamLead', 'name email')
+      .populate('members.user', 'name email role skills')
+      .populate('equipment', 'name serialNumber status')
+  );
 
   // Calculate additional stats for each team
   const teamsWithStats = await Promise.all(teams.map(async (team) => {
@@ -130,13 +122,7 @@ router.get('/', auth, [
 
   res.json({
     teams: teamsWithStats,
-    pagination: {
-      current: page,
-      pages: Math.ceil(total / limit),
-      total,
-      hasNext: page < Math.ceil(total / limit),
-      hasPrev: page > 1
-    }
+    pagination
   });
 }));
 
@@ -264,10 +250,11 @@ router.put('/:id', auth, canManageTeams, [
 }));
 
 // @route   DELETE /api/teams/:id
-// @desc    Delete team (soft delete - set status to disbanded)
+// @desc    Move team to the trash; ?cascade=true takes it off its open maintenance requests
 // @access  Private (Admin only)
 router.delete('/:id', auth, canManageTeams, [
-  param('id').isMongoId().withMessage('Invalid team ID')
+  param('id').isMongoId().withMessage('Invalid team ID'),
+  query('cascade').optional().isBoolean().withMessage('Cascade must be true or false')
 ], handleValidationErrors, logUserAction('DELETE_TEAM'), asyncHandler(async (req, res) => {
   const team = await Team.findById(req.params.id);
   
@@ -286,13 +273,21 @@ router.delete('/:id', auth, canManageTeams, [
     });
   }
 
-  // Soft delete - set status to disbanded
-  team.status = 'disbanded';
-  await team.save();
+  // Moved to the trash; ?cascade=true takes the team off its open maintenance requests
+  try {
+    const { cascaded, purgeAt } = await trashService.moveToTrash('teams', team, req.user, {
+      cascade: req.query.cascade === 'true'
+    });
 
-  res.json({
-    message: 'Team disbanded successfully'
-  });
+    res.json({
+      message: 'Team moved to the trash',
+      cascaded,
+      purgeAt
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({ message: error.message, code: error.code, openRequests: error.openRequests });
+  }
 }));
 
 // @route   POST /api/teams/:id/members
@@ -437,6 +432,45 @@ router.put('/:id/members/:userId/role', auth, canManageTeams, [
   }
 }));
 
+// @route   PUT /api/teams/:id/members/:userId/rate
+// @desc    Set the member's labor rate for this team (null clears the override)
+// @access  Private (Admin only)
+router.put('/:id/members/:userId/rate', auth, canManageTeams, [
+  param('id').isMongoId().withMessage('Invalid team ID'),
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  body('hourlyRate').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Hourly rate must be a non-negative number'),
+  body('overtimeMultiplier').optional({ nullable: true }).isFloat({ min: 1 }).withMessage('Overtime multiplier must be at least 1')
+], handleValidationErrors, logUserAction('UPDATE_MEMBER_RATE'), asyncHandler(async (req, res) => {
+  const { id: teamId, userId } = req.params;
+  const { hourlyRate, overtimeMultiplier } = req.body;
+  
+  const team = await Team.findById(teamId);
+  if (!team) {
+    return res.status(404).json({
+      message: 'Team not found',
+      code: 'TEAM_NOT_FOUND'
+    });
+  }
+
+  try {
+    await team.updateMemberRate(userId, { hourlyRate, overtimeMultiplier });
+
+    const updatedTeam = await Team.findById(team._id)
+      .populate('teamLead', 'name email')
+      .populate('members.user', 'name email role skills');
+
+    res.json({
+      message: 'Member rate updated successfully',
+      team: updatedTeam
+    });
+  } catch (error) {
+    return res.status(400).json({
+      message: error.message,
+      code: 'UPDATE_RATE_ERROR'
+    });
+  }
+}));
+
 // @route   GET /api/teams/specialization/:specialization
 // @desc    Get teams by specialization
 // @access  Private
@@ -521,7 +555,10 @@ router.get('/:id/performance', auth, [
   const startDate = req.query.startDate ? new Date(req.query.startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
   const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
 
-  const performanceStats = await Team.getTeamPerformance(team._id, startDate, endDate);
+  const [performanceStats, satisfaction] = await Promise.all([
+    Team.getTeamPerformance(team._id, startDate, endDate),
+    feedbackService.getTeamSatisfaction(team._id, startDate, endDate)
+  ]);
 
   res.json({
     teamId: team._id,
@@ -531,7 +568,8 @@ router.get('/:id/performance', auth, [
       completedTasks: 0,
       totalTasks: 0,
       completionRate: 0
-    }
+    },
+    satisfaction
   });
 }));
 
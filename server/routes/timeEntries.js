@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const timeTrackingService = require('../services/timeTrackingService');
+const { auth, logUserAction } = require('../middleware/auth');
+const { handleValidationErrors, asyncHandler } = require('../middleware/validation');
+
+// @route   GET /api/time-entries/timesheet
+// @desc    Get a technician's time entries for one week (Monday-Sunday, UTC), grouped by day
+// @access  Private (Own timesheet, team lead for members, or admin)
+router.get('/timesheet', auth, [
+  query('technician').optional().isMongoId().withMessage('Invalid technician ID'),
+  query('week').optional().isISO8601().withMessage('Week must be a date')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const technicianId = req.query.technician || req.user._id;
+
+  if (!(await timeTrackingService.canViewTimesheet(technicianId, req.user))) {
+    return res.status(403).json({
+      message: 'Access denied. You can only view your own or your team members\' timesheets.',
+      code: 'TIMESHEET_ACCESS_DENIED'
+    });
+  }
+
+  const timesheet = await timeTrackingService.getTimesheet(
+    technicianId,
+    req.query.week ? new Date(req.query.week) : new Date()
+  );
+
+  res.json(timesheet);
+}));
+
+// @route   GET /api/time-entries/pending
+// @desc    Get manual time entries waiting for the current user's approval
+// @access  Private (Team leads and admins)
+router.get('/pending', auth, asyncHandler(async (req, res) => {
+  const entries = await timeTrackingService.getPendingApprovals(req.user);
+
+  res.json({
+    entries,
+    count: entries.length
+  });
+}));
+
+const decide = (decision) => asyncHandler(async (req, res) => {
+  try {
+    const entry = await timeTrackingService.decideEntry(req.params.id, decision, req.user, req.body.reason);
+
+    res.json({
+      message: `Time entry ${decision.toLowerCase()}`,
+      entry
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      message: error.message,
+      code: error.code
+    });
+  }
+});
+
+// @route   PUT /api/time-entries/:id/approve
+// @desc    Approve a manual time entry and add it to the request's labor cost
+// @access  Private (Team lead of the entry's team or admin)
+router.put('/:id/approve', auth, [
+  param('id').isMongoId().withMessage('Invalid time entry ID')
+], handleValidationErrors, logUserAction('APPROVE_TIME_ENTRY'), decide('Approved'));
+
+// @route   PUT /api/time-entries/:id/reject
+// @desc    Reject a manual time entry
+// @access  Private (Team lead of the entry's team or admin)
+router.put('/:id/reject', auth, [
+  param('id').isMongoId().withMessage('Invalid time entry ID'),
+  body('reason').trim().isLength({ min: 1, max: 1000 }).withMessage('A rejection reason is required')
+], handleValidationErrors, logUserAction('REJECT_TIME_ENTRY'), decide('Rejected'));
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const { param, query } = require('express-validator');
+const trashService = require('../services/trashService');
+const { auth, isAdmin, logUserAction } = require('../middleware/auth');
+const { handleValidationErrors, asyncHandler, paginationValidation } = require('../middleware/validation');
+
+const recordValidation = [
+  param('type').isIn(trashService.types).withMessage(`Type must be one of ${trashService.types.join(', ')}`),
+  param('id').isMongoId().withMessage('Invalid ID')
+];
+
+// @route   GET /api/trash
+// @desc    Deleted records of one type, most recently deleted first, with how many of each type are in the trash
+// @access  Private (Admin only)
+router.get('/', auth, isAdmin, [
+  query('type').optional().isIn(trashService.types).withMessage(`Type must be one of ${trashService.types.join(', ')}`),
+  ...paginationValidation('trash')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const type = req.query.type || trashService.types[0];
+  const [{ items, pagination }, counts] = await Promise.all([
+    trashService.list(type, req.query),
+    trashService.counts()
+  ]);
+
+  res.json({
+    type,
+    items,
+    counts,
+    retentionDays: trashService.retentionDays,
+    pagination
+  });
+}));
+
+// @route   POST /api/trash/:type/:id/restore
+// @desc    Restore a deleted record
+// @access  Private (Admin only)
+router.post('/:type/:id/restore', auth, isAdmin, recordValidation, handleValidationErrors, logUserAction('RESTORE_RECORD'), asyncHandler(async (req, res) => {
+  try {
+    const record = await trashService.restore(req.params.type, req.params.id);
+
+    res.json({
+      message: 'Record restored',
+      record
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({ message: error.message, code: error.code });
+  }
+}));
+
+// @route   DELETE /api/trash/:type/:id
+// @desc    Purge a deleted record now instead of waiting for the retention period
+// @access  Private (Admin only)
+router.delete('/:type/:id', auth, isAdmin, recordValidation, handleValidationErrors, logUserAction('PURGE_RECORD'), asyncHandler(async (req, res) => {
+  try {
+    await trashService.purge(req.params.type, req.params.id);
+
+    res.json({
+      message: 'Record deleted permanently'
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({ message: error.message, code: error.code });
+  }
+}));
+
+module.exports = router;
\ No newline at end of file
@@ -5,8 +5,11 @@ const User = require('../models/User');
 const Team = require('../models/Team');
 const Workshop = require('../models/Workshop');
 const { auth, isAdmin, logUserAction } = require('../middleware/auth');
-const { handleValidationErrors, asyncHandler } = require('../middleware/validation');
+const { handleValidationErrors, asyncHandler, paginationValidation } = require('../middleware/validation');
 const emailService = require('../services/emailService');
+const auditService = require('../services/auditService');
+const trashService = require('../services/trashService');
+const paginationService = require('../services/paginationService');
 const crypto = require('crypto');
 
 // Validation rules
@@ -29,19 +32,14 @@ const userValidation = [
 ];
 
 // @route   GET /api/users
-// @desc    Get all users with pagination and filters
+// @desc    Get all users with filters, sorting and page or cursor pagination
 // @access  Private (Admin only)
 router.get('/', auth, isAdmin, [
-  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ...paginationValidation('users'),
   query('role').optional().isIn(['admin', 'technician', 'employee']).withMessage('Invalid role'),
   query('status').optional().isIn(['active', 'inactive', 'suspended']).withMessage('Invalid status'),
   query('search').optional().trim().isLength({ min: 1 }).withMessage('Search term must not be empty')
 ], handleValidationErrors, asyncHandler(async (req, res) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
-  const skip = (page - 1) * limit;
-  
   // Build filter
   const filter = {};
   if (req.query.role) filter.role = req.query.role;
@@ -74,27 +72,18 @@ router.get('/', auth, isAdmin, [
     ];
   }
 
-  const users = await User.find(filter)
-    .select('-password')
-    .populate('team', 'name specialization')
-    .populate('workshop', 'name code')
-    .populate('invitedBy', 'name email')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit);
-
-  const total = await User.countDocuments(filter);
+  const { docs: users, pagination } = await paginationService.paginate(
+    User,
+    filter,
+    { list: 'users', ...req.query },
+    query => query
+      .select('-password')
+      .populate('team', 'name specialization')
+      .populate('workshop', 'name code')
+      .populate('invitedBy', 'name email')
+  );
 
-  res.json({
-    users,
-    pagination: {
-      current: page,
-      pages: Math.ceil(total / limit),
-      total,
-      hasNext: page < Math.ceil(total / limit),
-      hasPrev: page > 1
-    }
-  });
+  res.json({ users, pagination });
 }));
 
 // @route   GET /api/users/:id
@@ -186,6 +175,15 @@ router.post('/activate/:token', [
   user.activationExpires = undefined;
   await user.save();
 
+  auditService.record({
+    action: 'ACTIVATE_ACCOUNT',
+    category: 'auth',
+    actor: user,
+    target: { type: 'User', id: user._id, label: user.email },
+    req,
+    statusCode: 200
+  });
+
   // Generate JWT token for immediate login
   const jwtToken = jwt.sign(
     { id: user._id, email: user.email, role: user.role },
@@ -218,20 +216,25 @@ router.post('/', auth, isAdmin, [
   const { name, email, role, phoneNumber, department, employeeId, skills, team, workshop } = req.body;
 
   // Check if user already exists
-  const existingUser = await User.findOne({ email });
+  // Emails stay taken while a deleted user is in the trash
+  const existingUser = await User.findOne({ email }).setOptions({ withDeleted: true });
   if (existingUser) {
     return res.status(400).json({
-      message: 'User with this email already exists',
+      message: existingUser.deletedAt
+        ? 'A deleted user with this email is in the trash; restore it instead'
+        : 'User with this email already exists',
       code: 'USER_EXISTS'
     });
   }
 
   // Check if employee ID is unique (if provided)
   if (employeeId) {
-    const existingEmployeeId = await User.findOne({ employeeId });
+    const existingEmployeeId = await User.findOne({ employeeId }).setOptions({ withDeleted: true });
     if (existingEmployeeId) {
       return res.status(400).json({
-        message: 'Employee ID already exists',
+        message: existingEmployeeId.deletedAt
+          ? 'A deleted user with this employee ID is in the trash; restore it instead'
+          : 'Employee ID already exists',
         code: 'EMPLOYEE_ID_EXISTS'
       });
     }
@@ -330,7 +333,9 @@ router.put('/:id', auth, [
   body('email').optional().isEmail().normalizeEmail().withMessage('Please provide a valid email'),
   body('role').optional().isIn(['admin', 'technician', 'employee']).withMessage('Invalid role'),
   body('phoneNumber').optional().matches(/^\+?[1-9]\d{1,14}$/).withMessage('Invalid phone number format'),
-  body('status').optional().isIn(['active', 'inactive', 'suspended']).withMessage('Invalid status')
+  body('status').optional().isIn(['active', 'inactive', 'suspended']).withMessage('Invalid status'),
+  body('laborRate.hourly').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Hourly rate must be a non-negative number'),
+  body('laborRate.overtimeMultiplier').optional({ nullable: true }).isFloat({ min: 1 }).withMessage('Overtime multiplier must be at least 1')
 ], handleValidationErrors, logUserAction('UPDATE_USER'), asyncHandler(async (req, res) => {
   const userId = req.params.id;
   const isOwnProfile = req.user._id.toString() === userId;
@@ -354,7 +359,7 @@ router.put('/:id', auth, [
   // Define allowed fields based on role
   let allowedUpdates;
   if (isAdmin) {
-    allowedUpdates = ['name', 'email', 'role', 'phoneNumber', 'department', 'employeeId', 'skills', 'status', 'team'];
+    allowedUpdates = ['name', 'email', 'role', 'phoneNumber', 'department', 'employeeId', 'skills', 'status', 'team', 'laborRate'];
   } else {
     allowedUpdates = ['name', 'phoneNumber', 'skills', 'preferences', 'avatar'];
   }
@@ -364,10 +369,10 @@ router.put('/:id', auth, [
     const existingUser = await User.findOne({ 
       email: req.body.email, 
       _id: { $ne: userId } 
-    });
+    }).setOptions({ withDeleted: true });
     if (existingUser) {
       return res.status(400).json({
-        message: 'Email already in use',
+        message: existingUser.deletedAt ? 'Email belongs to a deleted user in the trash' : 'Email already in use',
         code: 'EMAIL_EXISTS'
       });
     }
@@ -438,10 +443,11 @@ router.put('/:id', auth, [
 }));
 
 // @route   DELETE /api/users/:id
-// @desc    Delete user (soft delete - set status to inactive)
+// @desc    Move user to the trash; ?cascade=true takes them off their open maintenance requests
 // @access  Private (Admin only)
 router.delete('/:id', auth, isAdmin, [
-  param('id').isMongoId().withMessage('Invalid user ID')
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  query('cascade').optional().isBoolean().withMessage('Cascade must be true or false')
 ], handleValidationErrors, logUserAction('DELETE_USER'), asyncHandler(async (req, res) => {
   const user = await User.findById(req.params.id);
   
@@ -460,10 +466,23 @@ router.delete('/:id', auth, isAdmin, [
     });
   }
 
+  // Moved to the trash; ?cascade=true takes the user off their open maintenance requests
+  const teamId = user.team;
+  user.team = null;
+  let result;
+  try {
+    result = await trashService.moveToTrash('users', user, req.user, {
+      cascade: req.query.cascade === 'true'
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    return res.status(error.status).json({ message: error.message, code: error.code, openRequests: error.openRequests });
+  }
+
   // Remove from team if assigned
-  if (user.team) {
+  if (teamId) {
     try {
-      const team = await Team.findById(user.team);
+      const team = await Team.findById(teamId);
       if (team) {
         await team.removeMember(user._id);
       }
@@ -472,13 +491,10 @@ router.delete('/:id', auth, isAdmin, [
     }
   }
 
-  // Soft delete - set status to inactive
-  user.status = 'inactive';
-  user.team = null;
-  await user.save();
-
   res.json({
-    message: 'User deactivated successfully'
+    message: 'User moved to the trash',
+    cascaded: result.cascaded,
+    purgeAt: result.purgeAt
   });
 }));
 
@@ -664,6 +680,15 @@ router.post('/reset-password', [
   user.passwordResetExpires = undefined;
   await user.save();
 
+  auditService.record({
+    action: 'RESET_PASSWORD',
+    category: 'auth',
+    actor: user,
+    target: { type: 'User', id: user._id, label: user.email },
+    req,
+    statusCode: 200
+  });
+
   res.json({
     message: 'Password reset successfully'
   });
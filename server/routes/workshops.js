@@ -3,22 +3,21 @@ const router = express.Router();
 const { body, param, query } = require('express-validator');
 const Workshop = require('../models/Workshop');
 const User = require('../models/User');
+const workflowService = require('../services/workflowService');
+const numberingService = require('../services/numberingService');
+const trashService = require('../services/trashService');
 const { auth, isAdmin, logUserAction } = require('../middleware/auth');
-const { handleValidationErrors, asyncHandler } = require('../middleware/validation');
+const paginationService = require('../services/paginationService');
+const { handleValidationErrors, asyncHandler, paginationValidation } = require('../middleware/validation');
 
 // @route   GET /api/workshops
-// @desc    Get all workshops with pagination and filters
+// @desc    Get all workshops with filters, sorting and page or cursor pagination
 // @access  Private
 router.get('/', auth, [
-  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ...paginationValidation('workshops'),
   query('status').optional().isIn(['active', 'inactive', 'maintenance']).withMessage('Invalid status'),
   query('search').optional().trim().isLength({ min: 1 }).withMessage('Search term must not be empty')
 ], handleValidationErrors, asyncHandler(async (req, res) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
-  const skip = (page - 1) * limit;
-  
   // Build filter
   const filter = {};
   if (req.query.status) filter.status = req.query.status;
@@ -32,11 +31,12 @@ router.get('/', auth, [
     ];
   }
 
-  const workshops = await Workshop.find(filter)
-    .populate('createdBy', 'name email')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit);
+  const { docs: workshops, pagination } = await paginationService.paginate(
+    Workshop,
+    filter,
+    { list: 'workshops', ...req.query },
+    query => query.populate('createdBy', 'name email')
+  );
 
   // Get stats for each workshop
   const workshopsWithStats = await Promise.all(
@@ -49,17 +49,9 @@ router.get('/', auth, [
     })
   );
 
-  const total = await Workshop.countDocuments(filter);
-
   res.json({
     workshops: workshopsWithStats,
-    pagination: {
-      current: page,
-      pages: Math.ceil(total / limit),
-      total,
-      hasNext: page < Math.ceil(total / limit),
-      hasPrev: page > 1
-    }
+    pagination
   });
 }));
 
@@ -127,12 +119,15 @@ router.post('/', auth, isAdmin, [
   const { name, code, description, location, contact, operatingHours, specializations, capacity, settings } = req.body;
 
   // Check if workshop code already exists
+  // Codes stay taken while a deleted workshop is in the trash
   const existingWorkshop = await Workshop.findOne({ 
     code: code.toUpperCase() 
-  });
+  }).setOptions({ withDeleted: true });
   if (existingWorkshop) {
     return res.status(400).json({
-      message: 'Workshop with this code already exists',
+      message: existingWorkshop.deletedAt
+        ? 'A deleted workshop with this code is in the trash; restore it instead'
+        : 'Workshop with this code already exists',
       code: 'WORKSHOP_CODE_EXISTS'
     });
   }
@@ -185,10 +180,10 @@ router.put('/:id', auth, isAdmin, [
     const existingWorkshop = await Workshop.findOne({ 
       code: req.body.code.toUpperCase(), 
       _id: { $ne: req.params.id } 
-    });
+    }).setOptions({ withDeleted: true });
     if (existingWorkshop) {
       return res.status(400).json({
-        message: 'Workshop code already in use',
+        message: existingWorkshop.deletedAt ? 'Workshop code belongs to a deleted workshop in the trash' : 'Workshop code already in use',
         code: 'WORKSHOP_CODE_EXISTS'
       });
     }
@@ -220,10 +215,11 @@ router.put('/:id', auth, isAdmin, [
 }));
 
 // @route   DELETE /api/workshops/:id
-// @desc    Delete workshop (soft delete - set status to inactive)
+// @desc    Move workshop to the trash; ?cascade=true cancels its open maintenance requests
 // @access  Private (Admin only)
 router.delete('/:id', auth, isAdmin, [
-  param('id').isMongoId().withMessage('Invalid workshop ID')
+  param('id').isMongoId().withMessage('Invalid workshop ID'),
+  query('cascade').optional().isBoolean().withMessage('Cascade must be true or false')
 ], handleValidationErrors, logUserAction('DELETE_WORKSHOP'), asyncHandler(async (req, res) => {
   const workshop = await Workshop.findById(req.params.id);
   
@@ -247,12 +243,152 @@ router.delete('/:id', auth, isAdmin, [
     });
   }
 
-  // Soft delete - set status to inactive
-  workshop.status = 'inactive';
-  await workshop.save();
+  // Moved to the trash; ?cascade=true cancels its open maintenance requests
+  try {
+    const { cascaded, purgeAt } = await trashService.moveToTrash('workshops', workshop, req.user, {
+      cascade: req.query.cascade === 'true'
+    });
+
+    res.json({
+      message: 'Workshop moved to the trash',
+      cascaded,
+      purgeAt
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({ message: error.message, code: error.code, openRequests: error.openRequests });
+  }
+}));
+
+// @route   GET /api/workshops/:id/workflow
+// @desc    Get the effective maintenance workflow and the stored override
+// @access  Private (Admin only)
+router.get('/:id/workflow', auth, isAdmin, [
+  param('id').isMongoId().withMessage('Invalid workshop ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const workshop = await Workshop.findById(req.params.id);
+
+  if (!workshop) {
+    return res.status(404).json({
+      message: 'Workshop not found',
+      code: 'WORKSHOP_NOT_FOUND'
+    });
+  }
+
+  const override = workshop.settings?.maintenanceSettings?.workflow || null;
+
+  res.json({
+    workflow: workflowService.mergeWorkflow(override),
+    override,
+    defaults: workflowService.getDefaultWorkflow()
+  });
+}));
+
+// @route   PUT /api/workshops/:id/workflow
+// @desc    Replace the workshop's maintenance workflow override (null resets to defaults)
+// @access  Private (Admin only)
+router.put('/:id/workflow', auth, isAdmin, [
+  param('id').isMongoId().withMessage('Invalid workshop ID'),
+  body('workflow').custom(value => value === null || typeof value === 'object').withMessage('Workflow must be an object or null')
+], handleValidationErrors, logUserAction('UPDATE_WORKSHOP_WORKFLOW'), asyncHandler(async (req, res) => {
+  const { workflow } = req.body;
+
+  if (workflow) {
+    const errors = workflowService.validateWorkflowConfig(workflow);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Invalid workflow configuration',
+        code: 'INVALID_WORKFLOW',
+        errors: errors.map(message => ({ field: 'workflow', message }))
+      });
+    }
+  }
+
+  const workshop = await Workshop.findByIdAndUpdate(
+    req.params.id,
+    workflow
+      ? { 'settings.maintenanceSettings.workflow': workflow }
+      : { $unset: { 'settings.maintenanceSettings.workflow': 1 } },
+    { new: true }
+  );
+
+  if (!workshop) {
+    return res.status(404).json({
+      message: 'Workshop not found',
+      code: 'WORKSHOP_NOT_FOUND'
+    });
+  }
+
+  res.json({
+    message: 'Workflow updated successfully',
+    workflow: workflowService.mergeWorkflow(workshop.settings?.maintenanceSettings?.workflow)
+  });
+}));
+
+// @route   GET /api/workshops/:id/numbering
+// @desc    Get the effective request number and asset tag patterns with the next numbers
+// @access  Private (Admin only)
+router.get('/:id/numbering', auth, isAdmin, [
+  param('id').isMongoId().withMessage('Invalid workshop ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const workshop = await Workshop.findById(req.params.id);
+
+  if (!workshop) {
+    return res.status(404).json({
+      message: 'Workshop not found',
+      code: 'WORKSHOP_NOT_FOUND'
+    });
+  }
+
+  const override = workshop.settings?.numbering || null;
+
+  res.json({
+    numbering: numberingService.mergeNumbering(override),
+    override,
+    defaults: numberingService.getDefaults(),
+    preview: await numberingService.preview(workshop._id)
+  });
+}));
+
+// @route   PUT /api/workshops/:id/numbering
+// @desc    Replace the workshop's numbering patterns (null resets to defaults)
+// @access  Private (Admin only)
+router.put('/:id/numbering', auth, isAdmin, [
+  param('id').isMongoId().withMessage('Invalid workshop ID'),
+  body('numbering').custom(value => value === null || typeof value === 'object').withMessage('Numbering must be an object or null')
+], handleValidationErrors, logUserAction('UPDATE_WORKSHOP_NUMBERING'), asyncHandler(async (req, res) => {
+  const { numbering } = req.body;
+
+  if (numbering) {
+    const errors = numberingService.validateNumberingConfig(numbering);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Invalid numbering configuration',
+        code: 'INVALID_NUMBERING',
+        errors: errors.map(message => ({ field: 'numbering', message }))
+      });
+    }
+  }
+
+  const workshop = await Workshop.findByIdAndUpdate(
+    req.params.id,
+    numbering
+      ? { 'settings.numbering': numbering }
+      : { $unset: { 'settings.numbering': 1 } },
+    { new: true }
+  );
+
+  if (!workshop) {
+    return res.status(404).json({
+      message: 'Workshop not found',
+      code: 'WORKSHOP_NOT_FOUND'
+    });
+  }
 
   res.json({
-    message: 'Workshop deactivated successfully'
+    message: 'Numbering updated successfully',
+    numbering: numberingService.mergeNumbering(workshop.settings?.numbering),
+    preview: await numberingService.preview(workshop._id)
   });
 }));
 
@@ -0,0 +1,304 @@
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const Workshop = require('../models/Workshop');
+const emailService = require('./emailService');
+const timelineService = require('./timelineService');
+
+// Approval levels from lowest to highest; chains are always climbed in this order
+const APPROVER_ROLES = ['team_lead', 'workshop_manager', 'admin'];
+
+// Statuses a request may take while its approval is outstanding
+const STATUSES_BEFORE_APPROVAL = ['New', 'Cancelled', 'Rejected'];
+
+// Rules used when a workshop requires approval but has not configured its own
+const DEFAULT_RULES = [
+  {
+    name: 'High estimated cost',
+    minEstimatedCost: parseFloat(process.env.APPROVAL_COST_THRESHOLD) || 5000,
+    approverRole: 'workshop_manager'
+  },
+  {
+    name: 'Emergency request',
+    types: ['Emergency'],
+    approverRole: 'workshop_manager'
+  }
+];
+
+class ApprovalService {
+  constructor() {
+    this.approverRoles = APPROVER_ROLES;
+  }
+
+  getDefaultRules() {
+    return JSON.parse(JSON.stringify(DEFAULT_RULES));
+  }
+
+  ruleMatches(rule, request) {
+    if (rule.minEstimatedCost !== undefined && rule.minEstimatedCost !== null &&
+        !((request.estimatedCost || 0) >= rule.minEstimatedCost)) {
+      return false;
+    }
+    if (rule.types && rule.types.length > 0 && !rule.types.includes(request.type)) {
+      return false;
+    }
+    if (rule.priorities && rule.priorities.length > 0 && !rule.priorities.includes(request.priority)) {
+      return false;
+    }
+    return true;
+  }
+
+  // Build the ordered approval steps for a new request, or an empty list if none are needed
+  buildChain(request, equipment, workshop) {
+    const settings = workshop?.settings?.maintenanceSettings || {};
+    const customRules = settings.approvalRules || [];
+
+    if (!settings.requireApproval && customRules.length === 0) {
+      return [];
+    }
+
+    const reasonsByRole = {};
+    const addLevel = (role, reason) => {
+      reasonsByRole[role] = [...(reasonsByRole[role] || []), reason];
+    };
+
+    if (settings.requireApproval) {
+      addLevel('team_lead', 'Workshop requires approval');
+    }
+
+    const rules = customRules.length > 0 ? customRules : this.getDefaultRules();
+    rules
+      .filter(rule => this.ruleMatches(rule, request))
+      .forEach(rule => addLevel(rule.approverRole, rule.name));
+
+    return APPROVER_ROLES
+      .filter(role => reasonsByRole[role])
+      .map(role => ({
+        approverRole: role,
+        team: role === 'team_lead' ? (request.assignedTeam || equipment?.assignedTeam) : undefined,
+        reasons: reasonsByRole[role],
+        status: 'Pending'
+      }));
+  }
+
+  // Attach the approval chain to an unsaved request
+  async initializeApproval(request, equipment) {
+    const workshop = request.workshop ? await Workshop.findById(request.workshop) : null;
+    const steps = this.buildChain(request, equipment, workshop);
+
+    request.approval = steps.length > 0
+      ? { required: true, status: 'Pending', steps, currentStep: 0 }
+      : { required: false, status: 'Not Required', steps: [] };
+
+    return request;
+  }
+
+  isPending(request) {
+    return !!(request.approval && request.approval.required && request.approval.status !== 'Approved');
+  }
+
+  // Requests awaiting approval cannot move past New
+  blocksTransition(request, toStatus) {
+    return this.isPending(request) && !STATUSES_BEFORE_APPROVAL.includes(toStatus);
+  }
+
+  getCurrentStep(request) {
+    if (!request.approval || request.approval.status !== 'Pending') return null;
+    return request.approval.steps[request.approval.currentStep] || null;
+  }
+
+  isWorkshopManager(user, workshop) {
+    const manager = workshop?.contact?.manager;
+    if (!manager) return false;
+    if (manager.user) return manager.user.toString() === user._id.toString();
+    return !!manager.email && manager.email.toLowerCase() === user.email.toLowerCase();
+  }
+
+  async canApproveStep(user, request, step) {
+    if (!step) return false;
+    if (user.role === 'admin') return true;
+
+    if (step.approverRole === 'team_lead') {
+      if (!step.team) return false;
+      const team = await Team.findById(step.team).select('teamLead');
+      return !!(team && team.teamLead && team.teamLead.toString() === user._id.toString());
+    }
+
+    if (step.approverRole === 'workshop_manager') {
+      const workshop = await Workshop.findById(request.workshop).select('contact.manager');
+      return this.isWorkshopManager(user, workshop);
+    }
+
+    return false;
+  }
+
+  async canApprove(user, request) {
+    return this.canApproveStep(user, request, this.getCurrentStep(request));
+  }
+
+  // Find the people who should be asked to approve a step
+  async getStepApprovers(request, step) {
+    if (step.approverRole === 'team_lead' && step.team) {
+      const team = await Team.findById(step.team).populate('teamLead', 'name email preferences');
+      if (team && team.teamLead) return [team.teamLead];
+    }
+
+    if (step.approverRole === 'workshop_manager') {
+      const workshop = await Workshop.findById(request.workshop).select('contact.manager');
+      const manager = workshop?.contact?.manager;
+      if (manager?.user) {
+        const managerUser = await User.findById(manager.user).select('name email preferences');
+        if (managerUser) return [managerUser];
+      }
+      if (manager?.email) return [{ name: manager.name || 'Workshop Manager', email: manager.email }];
+    }
+
+    // Admins approve anything that has nobody else to approve it
+    return User.find({ role: 'admin', status: 'active' }).select('name email preferences');
+  }
+
+  async notifyApprovers(request) {
+    const step = this.getCurrentStep(request);
+    if (!step) return;
+
+    const approvers = await this.getStepApprovers(request, step);
+    for (const approver of approvers) {
+      if (approver.preferences?.notifications?.email === false) continue;
+      try {
+        await emailService.sendApprovalRequestEmail(approver, request, step);
+      } catch (emailError) {
+        console.error('Failed to send approval request email:', emailError);
+      }
+    }
+  }
+
+  async notifyRequester(request, decision, comment) {
+    const creator = await User.findById(request.createdBy).select('name email preferences');
+    if (!creator || creator.preferences?.notifications?.email === false) return;
+
+    try {
+      await emailService.sendApprovalDecisionEmail(creator, request, decision, comment);
+    } catch (emailError) {
+      console.error('Failed to send approval decision email:', emailError);
+    }
+  }
+
+  // Record a decision on the current step; returns { ok } or { ok:false, status, code, message }
+  async decide(request, user, decision, comment) {
+    const step = this.getCurrentStep(request);
+    if (!step) {
+      return {
+        ok: false,
+        status: 400,
+        code: 'APPROVAL_NOT_PENDING',
+        message: 'This request is not awaiting approval'
+      };
+    }
+
+    if (!(await this.canApproveStep(user, request, step))) {
+      return {
+        ok: false,
+        status: 403,
+        code: 'NOT_APPROVER',
+        message: `Only the ${step.approverRole.replace('_', ' ')} can decide this approval step`
+      };
+    }
+
+    step.status = decision;
+    step.decidedBy = user._id;
+    step.decidedAt = new Date();
+    step.comment = comment;
+
+    if (decision === 'Rejected') {
+      request.approval.status = 'Rejected';
+      request.approval.rejectionReason = comment;
+      request.status = 'Rejected';
+      request.statusReason = comment;
+    } else if (request.approval.currentStep + 1 < request.approval.steps.length) {
+      request.approval.currentStep += 1;
+    } else {
+      request.approval.status = 'Approved';
+      request.approval.approvedBy = user._id;
+      request.approval.approvedAt = new Date();
+    }
+
+    // Saved with findOneAndUpdate, so the history events are collected here rather than on save
+    request.$locals.actor = user._id;
+    const events = timelineService.collect(request);
+
+    // Only one decision per step, even if two approvers click at once
+    const { approval } = request.toObject();
+    const updated = await MaintenanceRequest.findOneAndUpdate(
+      {
+        _id: request._id,
+        'approval.status': 'Pending',
+        'approval.currentStep': request.approval.steps.indexOf(step)
+      },
+      {
+        $set: {
+          approval,
+          status: request.status,
+          statusReason: request.statusReason
+        },
+        $push: { history: { $each: events } }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return {
+        ok: false,
+        status: 409,
+        code: 'APPROVAL_CONFLICT',
+        message: 'This approval step has already been decided'
+      };
+    }
+
+    if (updated.approval.status === 'Pending') {
+      await this.notifyApprovers(updated);
+    } else {
+      await this.notifyRequester(updated, updated.approval.status, comment);
+    }
+
+    return { ok: true, request: updated };
+  }
+
+  // Pending requests whose current step the user may decide
+  async getPendingForUser(user) {
+    const filter = { 'approval.status': 'Pending' };
+
+    if (user.role !== 'admin') {
+      const ledTeams = await Team.find({ teamLead: user._id }).distinct('_id');
+      const managedWorkshops = await Workshop.find({
+        $or: [
+          { 'contact.manager.user': user._id },
+          { 'contact.manager.user': { $exists: false }, 'contact.manager.email': user.email }
+        ]
+      }).distinct('_id');
+
+      if (ledTeams.length === 0 && managedWorkshops.length === 0) {
+        return [];
+      }
+
+      filter.$or = [
+        { 'approval.steps': { $elemMatch: { approverRole: 'team_lead', status: 'Pending', team: { $in: ledTeams } } } },
+        { workshop: { $in: managedWorkshops }, 'approval.steps': { $elemMatch: { approverRole: 'workshop_manager', status: 'Pending' } } }
+      ];
+    }
+
+    const requests = await MaintenanceRequest.find(filter)
+      .populate('equipment', 'name serialNumber category')
+      .populate('createdBy', 'name email')
+      .populate('workshop', 'name code')
+      .sort({ createdAt: 1 });
+
+    // Narrow down to requests whose *current* step belongs to the user
+    const pending = [];
+    for (const request of requests) {
+      if (await this.canApprove(user, request)) pending.push(request);
+    }
+    return pending;
+  }
+}
+
+module.exports = new ApprovalService();
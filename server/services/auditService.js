@@ -0,0 +1,256 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const paginationService = require('./paginationService');
+
+// Which model an audited route changes, by the router's mount point; the target is
+// the route's :id (or the signed-in user for /api/auth). /api/trash/:type/:id routes
+// change the record of their :type collection
+const TARGETS = {
+  '/api/users': 'User',
+  '/api/auth': 'User',
+  '/api/teams': 'Team',
+  '/api/workshops': 'Workshop',
+  '/api/equipment': 'Equipment',
+  '/api/maintenance': 'MaintenanceRequest',
+  '/api/sla-policies': 'SLAPolicy',
+  '/api/job-plans': 'JobPlan',
+  '/api/failure-codes': 'FailureCode',
+  '/api/rcas': 'RootCauseAnalysis',
+  '/api/time-entries': 'TimeEntry',
+  '/api/portal-reports': 'PublicReport'
+};
+
+// Bookkeeping fields that change on every save, and the request's own activity history
+const IGNORED_FIELDS = new Set(['_id', '__v', 'createdAt', 'updatedAt', 'history']);
+const SECRET_FIELD = /password|token|secret/i;
+const MAX_CHANGES = 50;
+const MAX_VALUE_LENGTH = 500;
+
+const isObjectId = (value) => value instanceof mongoose.Types.ObjectId;
+
+// Records in the trash are still looked up: deleting, restoring and purging them are audited too
+const findRecord = (type, id) => {
+  const Model = mongoose.model(type);
+  const query = Model.findById(id);
+  if (Model.schema.path('deletedAt')) query.setOptions({ withDeleted: true });
+  return query.lean();
+};
+const isNested = (value) => value && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && !isObjectId(value) && !Buffer.isBuffer(value);
+
+// ObjectIds and dates as strings, long values cut short, so entries stay small and readable
+const normalize = (value) => {
+  if (value === undefined) return null;
+  const plain = JSON.parse(JSON.stringify(value));
+  const text = typeof plain === 'string' ? plain : JSON.stringify(plain);
+  if (text && text.length > MAX_VALUE_LENGTH) return `${text.slice(0, MAX_VALUE_LENGTH)}…`;
+  return plain;
+};
+
+// { a: { b: 1 }, c: [..] } -> { 'a.b': 1, c: [..] }; arrays are compared whole
+const flatten = (value, prefix = '', out = {}) => {
+  Object.entries(value || {}).forEach(([key, child]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (!prefix && IGNORED_FIELDS.has(key)) return;
+    if (isNested(child) && Object.keys(child).length > 0) {
+      flatten(child, path, out);
+    } else {
+      out[path] = child;
+    }
+  });
+  return out;
+};
+
+const csvCell = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  // Keep spreadsheets from running cell contents as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = [
+  ['Time', entry => entry.createdAt && entry.createdAt.toISOString()],
+  ['Actor', entry => entry.actor && entry.actor.name],
+  ['Actor Email', entry => entry.actor && entry.actor.email],
+  ['Actor Role', entry => entry.actor && entry.actor.role],
+  ['Action', entry => entry.action],
+  ['Category', entry => entry.category],
+  ['Outcome', entry => entry.outcome],
+  ['Target Type', entry => entry.target && entry.target.type],
+  ['Target ID', entry => entry.target && entry.target.id],
+  ['Target', entry => entry.target && entry.target.label],
+  ['Changes', entry => (entry.changes || [])
+    .map(change => `${change.field}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`)
+    .join('; ')],
+  ['Note', entry => entry.note],
+  ['Method', entry => entry.request && entry.request.method],
+  ['Path', entry => entry.request && entry.request.path],
+  ['Status', entry => entry.request && entry.request.statusCode],
+  ['IP', entry => entry.ip],
+  ['User Agent', entry => entry.userAgent]
+];
+
+class AuditService {
+  constructor() {
+    // 0 keeps entries forever
+    this.retentionDays = process.env.AUDIT_RETENTION_DAYS !== undefined
+      ? parseInt(process.env.AUDIT_RETENTION_DAYS) || 0
+      : 365;
+    this.exportLimit = parseInt(process.env.AUDIT_EXPORT_LIMIT) || 50000;
+  }
+
+  // Field-level differences between two versions of a document; secrets are only
+  // reported as changed
+  diff(before, after) {
+    const left = flatten(before);
+    const right = flatten(after);
+    const fields = [...new Set([...Object.keys(left), ...Object.keys(right)])].sort();
+
+    const changes = [];
+    for (const field of fields) {
+      if (JSON.stringify(left[field]) === JSON.stringify(right[field])) continue;
+      if (SECRET_FIELD.test(field)) {
+        changes.push({ field, before: left[field] === undefined ? null : '[redacted]', after: right[field] === undefined ? null : '[redacted]' });
+      } else {
+        changes.push({ field, before: normalize(left[field]), after: normalize(right[field]) });
+      }
+      if (changes.length >= MAX_CHANGES) break;
+    }
+    return changes;
+  }
+
+  category(action, changes, targetType) {
+    if (/^(LOGIN|LOGOUT)/.test(action) || /PASSWORD/.test(action)) return 'auth';
+    if (/ROLE/.test(action) || (targetType === 'User' && changes.some(change => change.field === 'role'))) return 'role_change';
+    if (/ASSIGN/.test(action)) return 'assignment';
+    if (/^(CREATE|ADD|UPLOAD)_/.test(action)) return 'create';
+    if (/^(DELETE|REMOVE|PURGE)_/.test(action)) return 'delete';
+    return 'update';
+  }
+
+  label(doc) {
+    if (!doc) return undefined;
+    return doc.requestNumber || doc.rcaNumber || doc.name || doc.title || doc.email || undefined;
+  }
+
+  // The document an audited route is about to change, read before the handler runs
+  async snapshot(req) {
+    const type = req.baseUrl === '/api/trash' ? TARGETS[`/api/${req.params.type}`] : TARGETS[req.baseUrl];
+    if (!type) return null;
+
+    const id = req.baseUrl === '/api/auth' ? req.user && req.user._id : req.params.id;
+    if (!id || !mongoose.isValidObjectId(id)) return { type, id: null, doc: null };
+
+    const doc = await findRecord(type, id);
+    return { type, id: doc ? doc._id : null, doc };
+  }
+
+  // A created record's id from the JSON response ({ message, equipment: { _id } })
+  createdId(body) {
+    try {
+      const parsed = typeof body === 'string' ? JSON.parse(body) : body;
+      if (!parsed || typeof parsed !== 'object' || Buffer.isBuffer(parsed)) return null;
+      const created = Object.values(parsed).find(value => isNested(value) && mongoose.isValidObjectId(value._id));
+      return created ? created._id : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Called by logUserAction once a route has answered with 2xx
+  async recordAction(action, req, res, { snapshot, body }) {
+    let target = null;
+    let changes = [];
+
+    if (snapshot) {
+      const id = snapshot.id || this.createdId(body);
+      const after = id ? await findRecord(snapshot.type, id) : null;
+      changes = this.diff(snapshot.doc, after);
+      // Bulk routes answer with a job or summary rather than one record, so only ids that
+      // resolve to a record of the target type are kept
+      target = { type: snapshot.type, id: (after && after._id) || snapshot.id || undefined, label: this.label(after || snapshot.doc) };
+    }
+
+    return this.record({
+      action,
+      category: this.category(action, changes, target && target.type),
+      actor: req.user,
+      target,
+      changes,
+      req,
+      statusCode: res.statusCode
+    });
+  }
+
+  // Write one entry; failures are logged and never break the request being audited
+  async record({ action, category, outcome = 'success', actor, target, changes = [], note, req, statusCode }) {
+    try {
+      return await AuditLog.create({
+        actor: actor ? { user: actor._id, name: actor.name, email: actor.email, role: actor.role } : undefined,
+        action,
+        category: category || this.category(action, changes, target && target.type),
+        outcome,
+        target: target || undefined,
+        changes,
+        note,
+        request: req ? { method: req.method, path: req.originalUrl.split('?')[0], statusCode } : undefined,
+        ip: req ? req.ip : undefined,
+        userAgent: req ? req.get('User-Agent') : undefined
+      });
+    } catch (error) {
+      console.error('Failed to write audit log:', error);
+      return null;
+    }
+  }
+
+  buildFilter({ actor, action, category, outcome, targetType, targetId, from, to } = {}) {
+    const filter = {};
+    if (actor) filter['actor.user'] = new mongoose.Types.ObjectId(actor);
+    if (action) filter.action = action;
+    if (category) filter.category = category;
+    if (outcome) filter.outcome = outcome;
+    if (targetType) filter['target.type'] = targetType;
+    if (targetId) filter['target.id'] = new mongoose.Types.ObjectId(targetId);
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+    return filter;
+  }
+
+  async list(query) {
+    return paginationService.paginate(AuditLog, this.buildFilter(query), { list: 'audit', ...query });
+  }
+
+  // Newest first, up to exportLimit rows, written to the response as they are read
+  async exportCsv(query, res) {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.write(`${CSV_COLUMNS.map(([header]) => header).join(',')}\n`);
+
+    const cursor = AuditLog.find(this.buildFilter(query))
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(this.exportLimit)
+      .lean()
+      .cursor();
+
+    for await (const entry of cursor) {
+      const line = CSV_COLUMNS.map(([, read]) => csvCell(read(entry))).join(',');
+      if (!res.write(`${line}\n`)) {
+        await new Promise(resolve => res.once('drain', resolve));
+      }
+    }
+    res.end();
+  }
+
+  // Scheduled: drop entries older than the retention period
+  async purgeExpired() {
+    if (!this.retentionDays) return { removed: 0 };
+    const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000);
+    const removed = await AuditLog.purgeBefore(cutoff);
+    return { removed, cutoff };
+  }
+}
+
+module.exports = new AuditService();
\ No newline at end of file
@@ -0,0 +1,403 @@
+const BulkJob = require('../models/BulkJob');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const Equipment = require('../models/Equipment');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const workflowService = require('./workflowService');
+const emailService = require('./emailService');
+const scheduler = require('./schedulerService');
+
+const ACTIONS = {
+  maintenance: ['assign', 'status', 'priority', 'tags', 'reschedule', 'cancel'],
+  equipment: ['assign', 'status', 'tags', 'reschedule']
+};
+
+const CLOSED_STATUSES = ['Completed', 'Cancelled', 'Rejected'];
+const PRIORITIES = ['Low', 'Medium', 'High', 'Critical', 'Emergency'];
+const EQUIPMENT_STATUSES = ['Active', 'Maintenance', 'Out of Service', 'Scrapped'];
+
+// Progress is written back to the job every this many items
+const FLUSH_EVERY = 10;
+
+const bulkError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const sameId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+
+class BulkService {
+  constructor() {
+    // Batches above this size run as a background job
+    this.syncLimit = parseInt(process.env.BULK_SYNC_LIMIT) || 25;
+    this.maxItems = parseInt(process.env.BULK_MAX_ITEMS) || 1000;
+    this.staleAfterMs = 5 * 60 * 1000;
+  }
+
+  getActions(entity) {
+    return ACTIONS[entity] || [];
+  }
+
+  // Check the action's parameters and load what every item shares (technician, team)
+  async prepare(entity, action, params = {}) {
+    if (!this.getActions(entity).includes(action)) {
+      throw bulkError(`Unsupported bulk action: ${action}`, 'INVALID_BULK_ACTION');
+    }
+
+    const context = { entity, action, params: {} };
+
+    switch (action) {
+      case 'assign': {
+        if (!params.technicianId && !params.teamId) {
+          throw bulkError('A technician or team is required', 'INVALID_BULK_PARAMS');
+        }
+        if (params.technicianId) {
+          const technician = await User.findById(params.technicianId).select('name email role status');
+          if (!technician || technician.role !== 'technician' || technician.status !== 'active') {
+            throw bulkError('Invalid technician', 'INVALID_TECHNICIAN');
+          }
+          context.technician = technician;
+          context.params.technicianId = technician._id;
+        }
+        if (params.teamId) {
+          const team = await Team.findById(params.teamId).select('name');
+          if (!team) {
+            throw bulkError('Invalid team', 'INVALID_TEAM');
+          }
+          context.team = team;
+          context.params.teamId = team._id;
+        }
+        break;
+      }
+      case 'status': {
+        const statuses = entity === 'maintenance' ? workflowService.statuses : EQUIPMENT_STATUSES;
+        if (!statuses.includes(params.status)) {
+          throw bulkError('Invalid status', 'INVALID_BULK_PARAMS');
+        }
+        context.params.status = params.status;
+        if (params.workNote) context.params.workNote = params.workNote;
+        if (params.reason) context.params.reason = params.reason;
+        break;
+      }
+      case 'priority': {
+        if (!PRIORITIES.includes(params.priority)) {
+          throw bulkError('Invalid priority', 'INVALID_BULK_PARAMS');
+        }
+        context.params.priority = params.priority;
+        break;
+      }
+      case 'tags': {
+        const tags = Array.isArray(params.tags)
+          ? [...new Set(params.tags.filter(tag => typeof tag === 'string').map(tag => tag.trim().toLowerCase()).filter(Boolean))]
+          : [];
+        if (tags.length === 0) {
+          throw bulkError('At least one tag is required', 'INVALID_BULK_PARAMS');
+        }
+        context.params.tags = tags;
+        break;
+      }
+      case 'reschedule': {
+        const fields = entity === 'maintenance' ? ['scheduledDate', 'dueDate'] : ['nextMaintenanceDate'];
+        fields.forEach(field => {
+          if (params[field]) context.params[field] = new Date(params[field]);
+        });
+        if (Object.keys(context.params).length === 0) {
+          throw bulkError(`A new ${fields.join(' or ')} is required`, 'INVALID_BULK_PARAMS');
+        }
+        if (Object.values(context.params).some(date => isNaN(date.getTime()))) {
+          throw bulkError('Invalid date', 'INVALID_BULK_PARAMS');
+        }
+        break;
+      }
+      case 'cancel': {
+        if (params.reason) context.params.reason = params.reason;
+        break;
+      }
+    }
+
+    return context;
+  }
+
+  // What the user may touch: team leads manage their team's requests, technicians their team's equipment
+  async getScope(entity, user) {
+    if (user.role === 'admin' || !user.team) return { team: null };
+
+    if (entity === 'maintenance') {
+      const team = await Team.findOne({ _id: user.team, teamLead: user._id }).select('_id');
+      return { team: team ? team._id : null };
+    }
+    return { team: user.team };
+  }
+
+  canAccess(entity, doc, user, scope) {
+    if (user.role === 'admin') return true;
+
+    if (entity === 'equipment') {
+      return !scope.team || sameId(doc.assignedTeam, scope.team);
+    }
+    return sameId(doc.assignedTechnician, user._id)
+      || sameId(doc.createdBy, user._id)
+      || (!!scope.team && sameId(doc.assignedTeam, scope.team));
+  }
+
+  async applyToRequest(request, context, user) {
+    const { action, params } = context;
+    const previousStatus = request.status;
+
+    if (['priority', 'tags', 'reschedule'].includes(action) && CLOSED_STATUSES.includes(request.status)) {
+      throw bulkError(`Request is ${request.status.toLowerCase()}`, 'REQUEST_CLOSED', 409);
+    }
+
+    switch (action) {
+      case 'assign': {
+        if (context.technician) request.assignedTechnician = context.technician._id;
+        if (context.team) request.assignedTeam = context.team._id;
+
+        // Only advance the status when the workflow allows it (e.g. not on closed requests)
+        const workflow = await workflowService.getWorkflowForRequest(request);
+        if (workflowService.validateTransition(workflow, request, 'Assigned', user).allowed) {
+          request.status = 'Assigned';
+        }
+        break;
+      }
+      case 'status':
+      case 'cancel': {
+        const status = action === 'cancel' ? 'Cancelled' : params.status;
+        const workflow = await workflowService.getWorkflowForRequest(request);
+        const transition = workflowService.validateTransition(workflow, request, status, user, {
+          workNote: params.workNote,
+          reason: params.reason
+        });
+        if (!transition.allowed) {
+          throw bulkError(transition.message, transition.code, transition.status);
+        }
+
+        request.status = status;
+        if (params.reason) request.statusReason = params.reason;
+        if (status === 'In Progress' && !request.actualStartDate) {
+          request.actualStartDate = new Date();
+        }
+        if (params.workNote) {
+          request.workNotes.push({ technician: user._id, note: params.workNote, timestamp: new Date() });
+        }
+        break;
+      }
+      case 'priority':
+        request.priority = params.priority;
+        break;
+      case 'tags':
+        request.tags = [...new Set([...(request.tags || []), ...params.tags])];
+        break;
+      case 'reschedule':
+        if (params.scheduledDate) request.scheduledDate = params.scheduledDate;
+        if (params.dueDate) request.dueDate = params.dueDate;
+        break;
+    }
+
+    request.$locals.actor = user._id;
+    await request.save();
+    await workflowService.releaseWorkload(request, previousStatus);
+
+    if (action === 'assign' && context.technician) {
+      try {
+        await emailService.sendMaintenanceNotification(context.technician, request);
+      } catch (emailError) {
+        console.error('Failed to send assignment email:', emailError);
+      }
+    }
+  }
+
+  async applyToEquipment(equipment, context, user) {
+    const { action, params } = context;
+
+    switch (action) {
+      case 'assign':
+        if (context.team) equipment.assignedTeam = context.team._id;
+        if (context.technician) equipment.primaryTechnician = context.technician._id;
+        break;
+      case 'status':
+        equipment.status = params.status;
+        break;
+      case 'tags':
+        equipment.tags = [...new Set([...(equipment.tags || []), ...params.tags])];
+        break;
+      case 'reschedule':
+        equipment.nextMaintenanceDate = params.nextMaintenanceDate;
+        break;
+    }
+
+    equipment.metadata.lastModifiedBy = user._id;
+    await equipment.save();
+  }
+
+  // Apply the action to one item; failures are reported, never thrown, so one bad item
+  // doesn't stop the batch
+  async processItem(context, id, user, scope) {
+    const isRequest = context.entity === 'maintenance';
+    const doc = isRequest ? await MaintenanceRequest.findById(id) : await Equipment.findById(id);
+
+    if (!doc) {
+      return { item: id, ok: false, code: 'NOT_FOUND', message: `${isRequest ? 'Maintenance request' : 'Equipment'} not found` };
+    }
+
+    const label = isRequest ? doc.requestNumber : doc.assetTag || doc.serialNumber;
+    if (!this.canAccess(context.entity, doc, user, scope)) {
+      return { item: id, label, ok: false, code: 'ACCESS_DENIED', message: 'You cannot change this item' };
+    }
+
+    try {
+      if (isRequest) {
+        await this.applyToRequest(doc, context, user);
+      } else {
+        await this.applyToEquipment(doc, context, user);
+      }
+      return { item: id, label, ok: true };
+    } catch (error) {
+      if (error.status || error.name === 'ValidationError') {
+        return { item: id, label, ok: false, code: error.code || 'VALIDATION_ERROR', message: error.message };
+      }
+      console.error(`Bulk ${context.action} failed for ${id}:`, error);
+      return { item: id, label, ok: false, code: 'ITEM_FAILED', message: 'Unexpected error while updating this item' };
+    }
+  }
+
+  summarize(results) {
+    const succeeded = results.filter(result => result.ok).length;
+    return { total: results.length, succeeded, failed: results.length - succeeded };
+  }
+
+  // Run small batches now and queue large ones; either way the parameters are checked first
+  async submit(entity, { action, params, ids }, user) {
+    const uniqueIds = [...new Set(ids.map(String))];
+    if (uniqueIds.length > this.maxItems) {
+      throw bulkError(`A bulk operation can change at most ${this.maxItems} items`, 'TOO_MANY_ITEMS');
+    }
+
+    const context = await this.prepare(entity, action, params);
+
+    if (uniqueIds.length > this.syncLimit) {
+      const job = await BulkJob.create({
+        entity,
+        action,
+        params: context.params,
+        ids: uniqueIds,
+        total: uniqueIds.length,
+        createdBy: user._id
+      });
+
+      // Start right away instead of waiting for the next scheduler tick
+      scheduler.run('bulk-operations').catch(() => {});
+
+      return { job };
+    }
+
+    const scope = await this.getScope(entity, user);
+    const results = [];
+    for (const id of uniqueIds) {
+      results.push(await this.processItem(context, id, user, scope));
+    }
+    return { results, summary: this.summarize(results) };
+  }
+
+  // Scheduler handler: work through queued jobs (and resume ones whose runner died)
+  async processPending() {
+    let jobs = 0;
+    let items = 0;
+
+    for (;;) {
+      const now = new Date();
+      const job = await BulkJob.findOneAndUpdate(
+        {
+          $or: [
+            { status: 'queued' },
+            { status: 'running', heartbeatAt: { $lt: new Date(now.getTime() - this.staleAfterMs) } }
+          ]
+        },
+        { $set: { status: 'running', heartbeatAt: now } },
+        { sort: { createdAt: 1 }, new: true }
+      );
+      if (!job) break;
+
+      jobs += 1;
+      items += await this.processJob(job);
+    }
+
+    return { jobs, items };
+  }
+
+  async processJob(job) {
+    const fail = (message) => BulkJob.updateOne(
+      { _id: job._id },
+      { $set: { status: 'failed', error: message, finishedAt: new Date() } }
+    );
+
+    // Permissions are checked against the requester as they are now, not when queued
+    const user = await User.findById(job.createdBy);
+    if (!user || user.status !== 'active') {
+      await fail('The user who started this job is no longer active');
+      return 0;
+    }
+
+    let context;
+    try {
+      context = await this.prepare(job.entity, job.action, job.params);
+    } catch (error) {
+      await fail(error.message);
+      return 0;
+    }
+
+    if (!job.startedAt) {
+      await BulkJob.updateOne({ _id: job._id }, { $set: { startedAt: new Date() } });
+    }
+
+    const scope = await this.getScope(job.entity, user);
+    const done = new Set(job.results.map(result => result.item.toString()));
+    const pending = job.ids.filter(id => !done.has(id.toString()));
+
+    let buffer = [];
+    const flush = async () => {
+      if (buffer.length === 0) return;
+      const { succeeded, failed } = this.summarize(buffer);
+      await BulkJob.updateOne(
+        { _id: job._id },
+        {
+          $push: { results: { $each: buffer } },
+          $inc: { processed: buffer.length, succeeded, failed },
+          $set: { heartbeatAt: new Date() }
+        }
+      );
+      buffer = [];
+    };
+
+    for (const id of pending) {
+      buffer.push(await this.processItem(context, id, user, scope));
+      if (buffer.length >= FLUSH_EVERY) await flush();
+    }
+    await flush();
+
+    await BulkJob.updateOne({ _id: job._id }, { $set: { status: 'completed', finishedAt: new Date() } });
+    return pending.length;
+  }
+
+  async getJob(jobId, user) {
+    const job = await BulkJob.findById(jobId).select('-ids');
+    if (!job) {
+      throw bulkError('Bulk job not found', 'BULK_JOB_NOT_FOUND', 404);
+    }
+    if (user.role !== 'admin' && !sameId(job.createdBy, user._id)) {
+      throw bulkError('You can only view your own bulk jobs', 'BULK_JOB_ACCESS_DENIED', 403);
+    }
+    return job;
+  }
+
+  async listJobs(user, limit = 20) {
+    return BulkJob.find({ createdBy: user._id })
+      .select('-ids -results')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+  }
+}
+
+module.exports = new BulkService();
\ No newline at end of file
@@ -0,0 +1,204 @@
+const Comment = require('../models/Comment');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+const emailService = require('./emailService');
+
+// @[Display Name](24-hex user id)
+const MENTION_PATTERN = /@\[([^\]\n]{1,100})\]\(([a-f0-9]{24})\)/g;
+
+const commentError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+// Employees (requesters) never see internal comments
+const canSeeInternal = (user) => user.role !== 'employee';
+
+class CommentService {
+  parseMentionIds(body) {
+    return [...new Set([...body.matchAll(MENTION_PATTERN)].map(match => match[2]))];
+  }
+
+  // Mention markup replaced by @Name
+  toPlainText(body) {
+    return body.replace(MENTION_PATTERN, '@$1');
+  }
+
+  // Mentioned users that may be mentioned on the request and may read the comment
+  async resolveMentions(request, body, internal) {
+    const ids = this.parseMentionIds(body);
+    if (ids.length === 0) return [];
+
+    const users = await User.find({ ...this.mentionableFilter(request), _id: { $in: ids } }).select('role');
+    return users
+      .filter(user => !internal || canSeeInternal(user))
+      .map(user => user._id);
+  }
+
+  async getComments(request, user) {
+    const filter = { maintenanceRequest: request._id };
+    if (!canSeeInternal(user)) filter.internal = false;
+
+    return Comment.find(filter)
+      .populate('author', 'name email role avatar')
+      .populate('mentions', 'name')
+      .sort({ createdAt: 1 });
+  }
+
+  async addComment(request, { body, internal = false }, user) {
+    if (internal && !canSeeInternal(user)) {
+      throw commentError('Only technicians and admins can post internal comments', 'INTERNAL_COMMENT_DENIED', 403);
+    }
+
+    const mentions = await this.resolveMentions(request, body, internal);
+    const comment = await Comment.create({
+      maintenanceRequest: request._id,
+      author: user._id,
+      body,
+      internal,
+      mentions
+    });
+
+    // Commenting or being mentioned subscribes you to the thread
+    await MaintenanceRequest.updateOne(
+      { _id: request._id },
+      { $addToSet: { watchers: { $each: [user._id, ...mentions] } } }
+    );
+
+    await this.notifyParticipants(request, comment, user, mentions);
+    return comment.populate([
+      { path: 'author', select: 'name email role avatar' },
+      { path: 'mentions', select: 'name' }
+    ]);
+  }
+
+  async updateComment(request, commentId, body, user) {
+    const comment = await Comment.findOne({ _id: commentId, maintenanceRequest: request._id });
+    if (!comment || (comment.internal && !canSeeInternal(user))) {
+      throw commentError('Comment not found', 'COMMENT_NOT_FOUND', 404);
+    }
+    if (comment.author.toString() !== user._id.toString()) {
+      throw commentError('Only the author can edit this comment', 'COMMENT_EDIT_DENIED', 403);
+    }
+
+    const previous = new Set(comment.mentions.map(id => id.toString()));
+    const mentions = await this.resolveMentions(request, body, comment.internal);
+    const added = mentions.filter(id => !previous.has(id.toString()));
+
+    comment.body = body;
+    comment.mentions = mentions;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    // Only people newly mentioned by the edit hear about it
+    if (added.length > 0) {
+      await MaintenanceRequest.updateOne(
+        { _id: request._id },
+        { $addToSet: { watchers: { $each: added } } }
+      );
+      await this.notifyMentioned(request, comment, user, added);
+    }
+
+    return comment.populate([
+      { path: 'author', select: 'name email role avatar' },
+      { path: 'mentions', select: 'name' }
+    ]);
+  }
+
+  async deleteComment(request, commentId, user) {
+    const comment = await Comment.findOne({ _id: commentId, maintenanceRequest: request._id });
+    if (!comment || (comment.internal && !canSeeInternal(user))) {
+      throw commentError('Comment not found', 'COMMENT_NOT_FOUND', 404);
+    }
+    if (user.role !== 'admin' && comment.author.toString() !== user._id.toString()) {
+      throw commentError('Only the author or an admin can delete this comment', 'COMMENT_DELETE_DENIED', 403);
+    }
+
+    await comment.deleteOne();
+    return comment;
+  }
+
+  // Comment as passed to the email template
+  toEmailComment(comment) {
+    return { body: this.toPlainText(comment.body), internal: comment.internal };
+  }
+
+  async notifyMentioned(request, comment, author, mentionIds) {
+    const preview = this.toPlainText(comment.body).slice(0, 200);
+
+    await notificationService.notify(mentionIds, {
+      type: 'mention',
+      title: `${author.name} mentioned you on ${request.requestNumber}`,
+      message: preview,
+      maintenanceRequest: request._id,
+      actor: author._id
+    }, (recipient) => emailService.sendCommentEmail(recipient, request, this.toEmailComment(comment), author, { mentioned: true }));
+  }
+
+  // Mentioned users get a mention; other watchers get a comment notification
+  async notifyParticipants(request, comment, author, mentionIds) {
+    const mentioned = new Set(mentionIds.map(id => id.toString()));
+    const authorId = author._id.toString();
+
+    await this.notifyMentioned(request, comment, author, mentionIds.filter(id => id.toString() !== authorId));
+
+    let watcherIds = request.watchers
+      .map(id => id.toString())
+      .filter(id => id !== authorId && !mentioned.has(id));
+
+    if (comment.internal && watcherIds.length > 0) {
+      const insiders = await User.find({ _id: { $in: watcherIds }, role: { $ne: 'employee' } }).select('_id');
+      watcherIds = insiders.map(user => user._id.toString());
+    }
+
+    await notificationService.notify(watcherIds, {
+      type: 'comment',
+      title: `${author.name} commented on ${request.requestNumber}`,
+      message: this.toPlainText(comment.body).slice(0, 200),
+      maintenanceRequest: request._id,
+      actor: author._id
+    }, (recipient) => emailService.sendCommentEmail(recipient, request, this.toEmailComment(comment), author, { mentioned: false }));
+  }
+
+  // Active staff of the request's workshop, and the people already involved in it
+  mentionableFilter(request) {
+    const involved = [request.createdBy, request.assignedTechnician, ...request.watchers].filter(Boolean);
+    const staff = { role: { $in: ['admin', 'technician'] } };
+    if (request.workshop) staff.$or = [{ workshop: request.workshop }, { role: 'admin' }];
+
+    return { status: 'active', $or: [staff, { _id: { $in: involved } }] };
+  }
+
+  async getMentionable(request, search) {
+    const filter = this.mentionableFilter(request);
+    if (search) {
+      const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.name = { $regex: escaped, $options: 'i' };
+    }
+
+    return User.find(filter)
+      .select('name email role')
+      .sort({ name: 1 })
+      .limit(10);
+  }
+
+  async watch(request, user) {
+    await MaintenanceRequest.updateOne({ _id: request._id }, { $addToSet: { watchers: user._id } });
+  }
+
+  async unwatch(request, user) {
+    await MaintenanceRequest.updateOne({ _id: request._id }, { $pull: { watchers: user._id } });
+  }
+
+  async getWatchers(requestId) {
+    const request = await MaintenanceRequest.findById(requestId)
+      .select('watchers')
+      .populate('watchers', 'name email role');
+    return request ? request.watchers : [];
+  }
+}
+
+module.exports = new CommentService();
\ No newline at end of file
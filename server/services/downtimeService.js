@@ -0,0 +1,283 @@
+const DowntimePeriod = require('../models/DowntimePeriod');
+const Equipment = require('../models/Equipment');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+
+const CLOSED_STATUSES = ['Completed', 'Cancelled', 'Rejected'];
+// Equipment in these states is unavailable
+const DOWN_STATUSES = ['Maintenance', 'Out of Service'];
+const MINUTE = 60 * 1000;
+
+const downtimeError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Minutes of [start, end) that fall inside [from, to)
+const overlapMinutes = (start, end, from, to) => {
+  const overlap = Math.min(end.getTime(), to.getTime()) - Math.max(start.getTime(), from.getTime());
+  return overlap > 0 ? overlap / MINUTE : 0;
+};
+
+class DowntimeService {
+  constructor() {
+    this.defaultCostPerHour = parseFloat(process.env.DEFAULT_DOWNTIME_COST_PER_HOUR) || 0;
+  }
+
+  getCostPerHour(equipment) {
+    return equipment.cost?.downtimePerHour ?? this.defaultCostPerHour;
+  }
+
+  // Open or close the equipment's period so it matches the current state: the equipment is
+  // down while its status is Maintenance/Out of Service or a breakdown request is open.
+  // Equipment in the trash is never down, so its open period is closed
+  async syncEquipment(equipmentId, user = null) {
+    const equipment = await Equipment.findById(equipmentId)
+      .setOptions({ withDeleted: true })
+      .select('status category workshop cost deletedAt');
+    if (!equipment) return null;
+
+    const [breakdown, open] = await Promise.all([
+      MaintenanceRequest.findOne({
+        equipment: equipment._id,
+        breakdown: true,
+        status: { $nin: CLOSED_STATUSES }
+      }).sort({ createdAt: 1 }).select('_id'),
+      DowntimePeriod.findOne({ equipment: equipment._id, status: 'open' })
+    ]);
+    const isDown = !equipment.deletedAt && (DOWN_STATUSES.includes(equipment.status) || !!breakdown);
+
+    if (isDown && !open) {
+      return this.openPeriod(equipment, breakdown, user);
+    }
+    if (!isDown && open) {
+      return this.closePeriod(open, user);
+    }
+    if (open && breakdown && !open.maintenanceRequest) {
+      // Equipment already down for its status; the breakdown request shares the period
+      open.maintenanceRequest = breakdown._id;
+      await open.save();
+      await this.updateRequestDowntime(open);
+    }
+    return open;
+  }
+
+  async openPeriod(equipment, breakdown, user) {
+    const statusDown = DOWN_STATUSES.includes(equipment.status);
+
+    try {
+      const period = await DowntimePeriod.create({
+        equipment: equipment._id,
+        workshop: equipment.workshop,
+        category: equipment.category,
+        trigger: statusDown ? 'status' : 'breakdown',
+        equipmentStatus: equipment.status,
+        maintenanceRequest: breakdown ? breakdown._id : undefined,
+        startedAt: new Date(),
+        costPerHour: this.getCostPerHour(equipment),
+        openedBy: user ? user._id : undefined
+      });
+      await this.updateRequestDowntime(period);
+      return period;
+    } catch (error) {
+      // Another status change opened it first
+      if (error.code === 11000) {
+        return DowntimePeriod.findOne({ equipment: equipment._id, status: 'open' });
+      }
+      throw error;
+    }
+  }
+
+  async closePeriod(period, user, endedAt = new Date()) {
+    period.status = 'closed';
+    period.endedAt = endedAt;
+    if (user) period.closedBy = user._id;
+    await period.save();
+    await this.updateRequestDowntime(period);
+    return period;
+  }
+
+  // Mirror the period onto the breakdown request's downtime (rolls up to parent work orders)
+  async updateRequestDowntime(period) {
+    if (!period.maintenanceRequest) return;
+
+    await MaintenanceRequest.findOneAndUpdate(
+      { _id: period.maintenanceRequest },
+      {
+        $set: {
+          'downtime.startTime': period.startedAt,
+          'downtime.endTime': period.endedAt || null,
+          'downtime.totalMinutes': period.endedAt ? Math.round((period.endedAt - period.startedAt) / MINUTE) : 0
+        }
+      }
+    );
+  }
+
+  // Reject times in the future, reversed ranges, and ranges that overlap another period
+  async validateRange(equipmentId, startedAt, endedAt, excludeId = null) {
+    const now = new Date();
+    if (startedAt > now || (endedAt && endedAt > now)) {
+      throw downtimeError('Downtime cannot be recorded in the future', 'INVALID_DOWNTIME_RANGE');
+    }
+    if (endedAt && endedAt <= startedAt) {
+      throw downtimeError('End time must be after start time', 'INVALID_DOWNTIME_RANGE');
+    }
+
+    const filter = {
+      equipment: equipmentId,
+      startedAt: { $lt: endedAt || now },
+      $or: [{ endedAt: null }, { endedAt: { $gt: startedAt } }]
+    };
+    if (excludeId) filter._id = { $ne: excludeId };
+
+    const overlapping = await DowntimePeriod.findOne(filter).select('_id');
+    if (overlapping) {
+      throw downtimeError('This overlaps another downtime period for the equipment', 'DOWNTIME_OVERLAP', 409);
+    }
+  }
+
+  // Record downtime the automatic tracking missed (e.g. before the system was in use)
+  async addManualPeriod(equipment, { startedAt, endedAt, note }, user) {
+    await this.validateRange(equipment._id, startedAt, endedAt);
+
+    return DowntimePeriod.create({
+      equipment: equipment._id,
+      workshop: equipment.workshop,
+      category: equipment.category,
+      trigger: 'manual',
+      equipmentStatus: equipment.status,
+      status: 'closed',
+      startedAt,
+      endedAt,
+      costPerHour: this.getCostPerHour(equipment),
+      note,
+      openedBy: user._id,
+      closedBy: user._id
+    });
+  }
+
+  // Adjust a period's times; the previous values are kept in `corrections`
+  async correctPeriod(period, { startedAt, endedAt, reason }, user) {
+    if (endedAt && period.status === 'open') {
+      throw downtimeError('Open periods close when the equipment is back in service', 'DOWNTIME_STILL_OPEN', 409);
+    }
+
+    const nextStart = startedAt || period.startedAt;
+    const nextEnd = endedAt || period.endedAt;
+    await this.validateRange(period.equipment, nextStart, nextEnd, period._id);
+
+    period.corrections.push({
+      correctedBy: user._id,
+      correctedAt: new Date(),
+      reason,
+      previous: { startedAt: period.startedAt, endedAt: period.endedAt }
+    });
+    period.startedAt = nextStart;
+    period.endedAt = nextEnd;
+    await period.save();
+    await this.updateRequestDowntime(period);
+    return period;
+  }
+
+  async deletePeriod(period) {
+    if (period.status === 'open') {
+      throw downtimeError('Open periods close when the equipment is back in service', 'DOWNTIME_STILL_OPEN', 409);
+    }
+    await period.deleteOne();
+    return period;
+  }
+
+  // Periods overlapping [from, to) with the minutes and cost that fall inside it
+  async getPeriods(equipmentId, from, to) {
+    const periods = await DowntimePeriod.find({
+      equipment: equipmentId,
+      startedAt: { $lt: to },
+      $or: [{ endedAt: null }, { endedAt: { $gt: from } }]
+    })
+      .populate('maintenanceRequest', 'requestNumber title status')
+      .populate('corrections.correctedBy', 'name')
+      .sort({ startedAt: -1 });
+
+    const now = new Date();
+    return periods.map(period => {
+      const minutes = overlapMinutes(period.startedAt, period.endedAt || now, from, to);
+      return {
+        ...period.toObject(),
+        minutesInRange: Math.round(minutes),
+        costInRange: round(minutes / 60 * period.costPerHour)
+      };
+    });
+  }
+
+  // Availability % and downtime cost over [from, to), per equipment, category or workshop.
+  // Equipment with no downtime still counts towards its group's available time
+  async getAvailability({ from, to, groupBy = 'equipment', filter = {} }) {
+    const end = new Date(Math.min(to.getTime(), Date.now()));
+    const windowMinutes = Math.max(0, (end - from) / MINUTE);
+
+    const equipment = await Equipment.find({ isActive: true, status: { $ne: 'Scrapped' }, ...filter })
+      .select('name serialNumber category workshop')
+      .populate('workshop', 'name');
+
+    const periods = await DowntimePeriod.find({
+      equipment: { $in: equipment.map(item => item._id) },
+      startedAt: { $lt: end },
+      $or: [{ endedAt: null }, { endedAt: { $gt: from } }]
+    }).select('equipment startedAt endedAt costPerHour');
+
+    const byEquipment = new Map();
+    for (const period of periods) {
+      const minutes = overlapMinutes(period.startedAt, period.endedAt || end, from, end);
+      const totals = byEquipment.get(period.equipment.toString()) || { minutes: 0, cost: 0, periods: 0 };
+      totals.minutes += minutes;
+      totals.cost += minutes / 60 * period.costPerHour;
+      totals.periods += 1;
+      byEquipment.set(period.equipment.toString(), totals);
+    }
+
+    const keyOf = {
+      equipment: item => ({ key: item._id.toString(), name: `${item.name} (${item.serialNumber})` }),
+      category: item => ({ key: item.category, name: item.category }),
+      workshop: item => ({ key: item.workshop ? item.workshop._id.toString() : 'none', name: item.workshop ? item.workshop.name : 'No workshop' })
+    }[groupBy];
+
+    const groups = new Map();
+    for (const item of equipment) {
+      const { key, name } = keyOf(item);
+      const group = groups.get(key) || { key, name, equipmentCount: 0, downtimeMinutes: 0, downtimeCost: 0, periods: 0 };
+      const totals = byEquipment.get(item._id.toString());
+      group.equipmentCount += 1;
+      if (totals) {
+        group.downtimeMinutes += totals.minutes;
+        group.downtimeCost += totals.cost;
+        group.periods += totals.periods;
+      }
+      groups.set(key, group);
+    }
+
+    const summarize = (group) => {
+      const available = windowMinutes * group.equipmentCount;
+      return {
+        ...group,
+        downtimeMinutes: Math.round(group.downtimeMinutes),
+        downtimeCost: round(group.downtimeCost),
+        availability: available > 0 ? round(100 * (1 - group.downtimeMinutes / available)) : 100
+      };
+    };
+
+    const rows = [...groups.values()].map(summarize).sort((a, b) => a.availability - b.availability);
+    const overall = summarize(rows.reduce((total, row) => ({
+      equipmentCount: total.equipmentCount + row.equipmentCount,
+      downtimeMinutes: total.downtimeMinutes + row.downtimeMinutes,
+      downtimeCost: total.downtimeCost + row.downtimeCost,
+      periods: total.periods + row.periods
+    }), { equipmentCount: 0, downtimeMinutes: 0, downtimeCost: 0, periods: 0 }));
+
+    return { from, to: end, groupBy, overall, groups: rows };
+  }
+}
+
+module.exports = new DowntimeService();
\ No newline at end of file
@@ -1,6 +1,14 @@
 const nodemailer = require('nodemailer');
 require('dotenv').config();
 
+// User-written text (comments) must not be able to inject markup into emails
+const escapeHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 class EmailService {
   constructor() {
     this.transporter = null;
@@ -141,6 +149,164 @@ class EmailService {
     }
   }
 
+  // Ask an approver to review a maintenance request
+  async sendApprovalRequestEmail(approver, maintenanceRequest, step) {
+    if (!this.transporter) {
+      throw new Error('Email service not initialized');
+    }
+
+    const mailOptions = {
+      from: {
+        name: 'GearGuard CMMS',
+        address: process.env.EMAIL_USER
+      },
+      to: approver.email,
+      subject: `Approval Required - ${maintenanceRequest.title}`,
+      html: this.getApprovalRequestTemplate(approver, maintenanceRequest, step)
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Approval request sent to:', approver.email);
+      return info;
+    } catch (error) {
+      console.error('❌ Failed to send approval request:', error.message);
+      throw error;
+    }
+  }
+
+  // Tell the requester their request was approved or rejected
+  async sendApprovalDecisionEmail(user, maintenanceRequest, decision, comment) {
+    if (!this.transporter) {
+      throw new Error('Email service not initialized');
+    }
+
+    const mailOptions = {
+      from: {
+        name: 'GearGuard CMMS',
+        address: process.env.EMAIL_USER
+      },
+      to: user.email,
+      subject: `Maintenance Request ${decision} - ${maintenanceRequest.title}`,
+      html: this.getApprovalDecisionTemplate(user, maintenanceRequest, decision, comment)
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Approval decision sent to:', user.email);
+      return info;
+    } catch (error) {
+      console.error('❌ Failed to send approval decision:', error.message);
+      throw error;
+    }
+  }
+
+  // Notify someone that a maintenance request has been escalated to them
+  async sendEscalationEmail(recipient, maintenanceRequest, escalation) {
+    if (!this.transporter) {
+      throw new Error('Email service not initialized');
+    }
+
+    const mailOptions = {
+      from: {
+        name: 'GearGuard CMMS',
+        address: process.env.EMAIL_USER
+      },
+      to: recipient.email,
+      subject: `Escalation: ${escalation.rule} - ${maintenanceRequest.title}`,
+      html: this.getEscalationTemplate(recipient, maintenanceRequest, escalation)
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Escalation email sent to:', recipient.email);
+      return info;
+    } catch (error) {
+      console.error('❌ Failed to send escalation email:', error.message);
+      throw error;
+    }
+  }
+
+  // Notify a watcher of a new comment, or a user that they were mentioned in one.
+  // `comment.body` is expected as plain text (mention markup already resolved)
+  async sendCommentEmail(recipient, maintenanceRequest, comment, author, { mentioned = false } = {}) {
+    if (!this.transporter) {
+      throw new Error('Email service not initialized');
+    }
+
+    const mailOptions = {
+      from: {
+        name: 'GearGuard CMMS',
+        address: process.env.EMAIL_USER
+      },
+      to: recipient.email,
+      subject: mentioned
+        ? `${author.name} mentioned you on ${maintenanceRequest.requestNumber}`
+        : `New comment on ${maintenanceRequest.requestNumber}: ${maintenanceRequest.title}`,
+      html: this.getCommentTemplate(recipient, maintenanceRequest, comment, author, mentioned)
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Comment email sent to:', recipient.email);
+      return info;
+    } catch (error) {
+      console.error('❌ Failed to send comment email:', error.message);
+      throw error;
+    }
+  }
+
+  // Ask the requester to rate a completed request; each star links straight to the feedback page
+  async sendFeedbackRequestEmail(recipient, maintenanceRequest, token) {
+    if (!this.transporter) {
+      throw new Error('Email service not initialized');
+    }
+
+    const mailOptions = {
+      from: {
+        name: 'GearGuard CMMS',
+        address: process.env.EMAIL_USER
+      },
+      to: recipient.email,
+      subject: `How did we do? ${maintenanceRequest.requestNumber}: ${maintenanceRequest.title}`,
+      html: this.getFeedbackRequestTemplate(recipient, maintenanceRequest, token)
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Feedback request email sent to:', recipient.email);
+      return info;
+    } catch (error) {
+      console.error('❌ Failed to send feedback request email:', error.message);
+      throw error;
+    }
+  }
+
+  async sendReportReceivedEmail(recipient, report, equipment, token) {
+    if (!this.transporter) {
+      throw new Error('Email service not initialized');
+    }
+
+    const mailOptions = {
+      from: {
+        name: 'GearGuard CMMS',
+        address: process.env.EMAIL_USER
+      },
+      to: recipient.email,
+      subject: `We received your report: ${report.title}`,
+      html: this.getReportReceivedTemplate(recipient, report, equipment, token)
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Report confirmation email sent to:', recipient.email);
+      return info;
+    } catch (error) {
+      console.error('❌ Failed to send report confirmation email:', error.message);
+      throw error;
+    }
+  }
+
   // Welcome email template
   getWelcomeEmailTemplate(user, temporaryPassword, workshop) {
     return `
@@ -574,6 +740,310 @@ class EmailService {
     </html>
     `;
   }
+
+  // Approval request email template
+  getApprovalRequestTemplate(approver, maintenanceRequest, step) {
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <title>Approval Required - GearGuard CMMS</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f4; margin: 0; padding: 20px; }
+        .container { max-width: 600px; margin: 0 auto; background-color: white; border-radius: 10px; overflow: hidden; box-shadow: 0 0 20px rgba(0,0,0,0.1); }
+        .header { background: linear-gradient(135deg, #f6d365 0%, #fda085 100%); color: white; padding: 30px; text-align: center; }
+        .content { padding: 30px; }
+        .details { background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0; }
+        .button { display: inline-block; background-color: #007bff; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin-top: 20px; }
+        .footer { background-color: #f8f9fa; padding: 20px; text-align: center; font-size: 12px; color: #666; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>📝 Approval Required</h1>
+        </div>
+
+        <div class="content">
+          <h2>Hello ${approver.name},</h2>
+
+          <p>A maintenance request is waiting for your approval.</p>
+
+          <div class="details">
+            <p><strong>Request:</strong> ${maintenanceRequest.requestNumber || ''} ${maintenanceRequest.title}</p>
+            <p><strong>Type:</strong> ${maintenanceRequest.type}</p>
+            <p><strong>Priority:</strong> ${maintenanceRequest.priority}</p>
+            <p><strong>Estimated Cost:</strong> ${maintenanceRequest.estimatedCost !== undefined ? maintenanceRequest.estimatedCost : 'Not specified'}</p>
+            <p><strong>Why approval is needed:</strong> ${(step.reasons || []).join(', ')}</p>
+          </div>
+
+          <a href="${process.env.CLIENT_URL || 'http://localhost:3000'}/maintenance" class="button">Review Request</a>
+        </div>
+
+        <div class="footer">
+          <p>© 2025 GearGuard CMMS. All rights reserved.</p>
+          <p>This is an automated message. Please do not reply to this email.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+    `;
+  }
+
+  // Approval decision email template
+  getApprovalDecisionTemplate(user, maintenanceRequest, decision, comment) {
+    const approved = decision === 'Approved';
+
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <title>Maintenance Request ${decision} - GearGuard CMMS</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f4; margin: 0; padding: 20px; }
+        .container { max-width: 600px; margin: 0 auto; background-color: white; border-radius: 10px; overflow: hidden; box-shadow: 0 0 20px rgba(0,0,0,0.1); }
+        .header { background-color: ${approved ? '#28a745' : '#dc3545'}; color: white; padding: 30px; text-align: center; }
+        .content { padding: 30px; }
+        .details { background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0; }
+        .footer { background-color: #f8f9fa; padding: 20px; text-align: center; font-size: 12px; color: #666; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>${approved ? '✅' : '❌'} Request ${decision}</h1>
+        </div>
+
+        <div class="content">
+          <h2>Hello ${user.name},</h2>
+
+          <p>Your maintenance request <strong>${maintenanceRequest.title}</strong> has been ${decision.toLowerCase()}.</p>
+
+          ${comment ? `<div class="details"><p><strong>Comment:</strong> ${comment}</p></div>` : ''}
+        </div>
+
+        <div class="footer">
+          <p>© 2025 GearGuard CMMS. All rights reserved.</p>
+          <p>This is an automated message. Please do not reply to this email.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+    `;
+  }
+  // Escalation email template
+  getEscalationTemplate(recipient, maintenanceRequest, escalation) {
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <title>Maintenance Escalation - GearGuard CMMS</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f4; margin: 0; padding: 20px; }
+        .container { max-width: 600px; margin: 0 auto; background-color: white; border-radius: 10px; overflow: hidden; box-shadow: 0 0 20px rgba(0,0,0,0.1); }
+        .header { background-color: #dc3545; color: white; padding: 30px; text-align: center; }
+        .content { padding: 30px; }
+        .details { background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0; }
+        .button { display: inline-block; background-color: #007bff; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin-top: 20px; }
+        .footer { background-color: #f8f9fa; padding: 20px; text-align: center; font-size: 12px; color: #666; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>🚨 ${escalation.rule}</h1>
+        </div>
+
+        <div class="content">
+          <h2>Hello ${recipient.name},</h2>
+
+          <p>The following maintenance request has been escalated to you and needs attention.</p>
+
+          <div class="details">
+            <p><strong>Request:</strong> ${maintenanceRequest.requestNumber || ''} ${maintenanceRequest.title}</p>
+            <p><strong>Equipment:</strong> ${maintenanceRequest.equipment?.name || 'Not specified'}</p>
+            <p><strong>Status:</strong> ${maintenanceRequest.status}</p>
+            <p><strong>Priority:</strong> ${escalation.priorityTo ? `${escalation.priorityFrom} → ${escalation.priorityTo}` : maintenanceRequest.priority}</p>
+            <p><strong>Resolution Deadline:</strong> ${maintenanceRequest.sla?.resolutionDeadline ? new Date(maintenanceRequest.sla.resolutionDeadline).toLocaleString() : 'Not set'}</p>
+          </div>
+
+          <a href="${process.env.CLIENT_URL || 'http://localhost:3000'}/maintenance" class="button">View Maintenance Request</a>
+        </div>
+
+        <div class="footer">
+          <p>© 2025 GearGuard CMMS. All rights reserved.</p>
+          <p>This is an automated message. Please do not reply to this email.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+    `;
+  }
+
+  getCommentTemplate(recipient, maintenanceRequest, comment, author, mentioned) {
+    const body = escapeHtml(comment.body).replace(/\n/g, '<br>');
+
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <title>New Comment - GearGuard CMMS</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f4; margin: 0; padding: 20px; }
+        .container { max-width: 600px; margin: 0 auto; background-color: white; border-radius: 10px; overflow: hidden; box-shadow: 0 0 20px rgba(0,0,0,0.1); }
+        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; }
+        .content { padding: 30px; }
+        .comment { background-color: #f8f9fa; padding: 20px; border-left: 4px solid #667eea; border-radius: 4px; margin: 20px 0; }
+        .internal { color: #b45309; font-size: 12px; font-weight: bold; }
+        .button { display: inline-block; background-color: #007bff; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin-top: 20px; }
+        .footer { background-color: #f8f9fa; padding: 20px; text-align: center; font-size: 12px; color: #666; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>💬 ${mentioned ? 'You were mentioned' : 'New Comment'}</h1>
+        </div>
+
+        <div class="content">
+          <h2>Hello ${escapeHtml(recipient.name)},</h2>
+
+          <p><strong>${escapeHtml(author.name)}</strong> ${mentioned ? 'mentioned you in a comment' : 'commented'} on
+          ${maintenanceRequest.requestNumber || ''} ${escapeHtml(maintenanceRequest.title)}.</p>
+
+          <div class="comment">
+            ${comment.internal ? '<p class="internal">INTERNAL - not visible to the requester</p>' : ''}
+            <p>${body}</p>
+          </div>
+
+          <a href="${process.env.CLIENT_URL || 'http://localhost:3000'}/maintenance" class="button">View Discussion</a>
+        </div>
+
+        <div class="footer">
+          <p>© 2025 GearGuard CMMS. All rights reserved.</p>
+          <p>You are receiving this because you watch this request. Turn off email notifications in your profile settings.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+    `;
+  }
+
+  getFeedbackRequestTemplate(recipient, maintenanceRequest, token) {
+    const feedbackUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/feedback/${token}`;
+    const stars = [1, 2, 3, 4, 5]
+      .map(rating => `<a href="${feedbackUrl}?rating=${rating}" class="star">${'★'.repeat(rating)}</a>`)
+      .join('');
+
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <title>Rate Your Request - GearGuard CMMS</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f4; margin: 0; padding: 20px; }
+        .container { max-width: 600px; margin: 0 auto; background-color: white; border-radius: 10px; overflow: hidden; box-shadow: 0 0 20px rgba(0,0,0,0.1); }
+        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; }
+        .content { padding: 30px; }
+        .request-details { background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0; }
+        .star { display: block; color: #f59e0b; font-size: 22px; text-decoration: none; margin: 6px 0; }
+        .button { display: inline-block; background-color: #007bff; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin-top: 20px; }
+        .footer { background-color: #f8f9fa; padding: 20px; text-align: center; font-size: 12px; color: #666; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>⭐ How did we do?</h1>
+        </div>
+
+        <div class="content">
+          <h2>Hello ${escapeHtml(recipient.name)},</h2>
+
+          <p>Your maintenance request has been completed. Please take a moment to rate the work.</p>
+
+          <div class="request-details">
+            <p><strong>Request:</strong> ${maintenanceRequest.requestNumber || ''} ${escapeHtml(maintenanceRequest.title)}</p>
+            <p><strong>Completed:</strong> ${maintenanceRequest.completedAt ? new Date(maintenanceRequest.completedAt).toLocaleString() : 'Just now'}</p>
+          </div>
+
+          <p>Click a rating to open the feedback form:</p>
+          ${stars}
+
+          <a href="${feedbackUrl}" class="button">Leave Feedback</a>
+        </div>
+
+        <div class="footer">
+          <p>© 2025 GearGuard CMMS. All rights reserved.</p>
+          <p>This link can be used once and expires in ${parseInt(process.env.FEEDBACK_LINK_TTL_DAYS) || 14} days.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+    `;
+  }
+
+  // Confirmation for a problem reported from an equipment's public page
+  getReportReceivedTemplate(recipient, report, equipment, token) {
+    const trackingUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/track/${token}`;
+
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <title>Report Received - GearGuard CMMS</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f4; margin: 0; padding: 20px; }
+        .container { max-width: 600px; margin: 0 auto; background-color: white; border-radius: 10px; overflow: hidden; box-shadow: 0 0 20px rgba(0,0,0,0.1); }
+        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; }
+        .content { padding: 30px; }
+        .request-details { background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0; }
+        .button { display: inline-block; background-color: #007bff; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin-top: 20px; }
+        .footer { background-color: #f8f9fa; padding: 20px; text-align: center; font-size: 12px; color: #666; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>📋 Report Received</h1>
+        </div>
+
+        <div class="content">
+          <h2>Hello ${escapeHtml(recipient.name || 'there')},</h2>
+
+          <p>Thank you for reporting a problem. Our maintenance team will review it shortly.</p>
+
+          <div class="request-details">
+            <p><strong>Equipment:</strong> ${escapeHtml(equipment.name)}</p>
+            <p><strong>Problem:</strong> ${escapeHtml(report.title)}</p>
+          </div>
+
+          <p>You can follow the status of your report at any time:</p>
+
+          <a href="${trackingUrl}" class="button">Track Your Report</a>
+        </div>
+
+        <div class="footer">
+          <p>© 2025 GearGuard CMMS. All rights reserved.</p>
+          <p>Keep this email: the link above is the only way to follow your report.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+    `;
+  }
 }
 
 module.exports = new EmailService();
\ No newline at end of file
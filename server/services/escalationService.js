@@ -0,0 +1,183 @@
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const Equipment = require('../models/Equipment');
+const User = require('../models/User');
+const Workshop = require('../models/Workshop');
+const approvalService = require('./approvalService');
+const emailService = require('./emailService');
+
+const CLOSED_STATUSES = ['Completed', 'Cancelled', 'Rejected'];
+const PRIORITY_LADDER = ['Low', 'Medium', 'High', 'Critical', 'Emergency'];
+
+// Rules used by workshops that have not configured their own
+const DEFAULT_RULES = [
+  {
+    name: 'Unassigned request',
+    trigger: 'unassigned',
+    afterMinutes: parseInt(process.env.ESCALATION_UNASSIGNED_MINUTES) || 60,
+    notify: 'team_lead',
+    raisePriority: false
+  },
+  {
+    name: 'Resolution SLA breached',
+    trigger: 'resolution_breach',
+    afterMinutes: 0,
+    notify: 'workshop_manager',
+    raisePriority: process.env.ESCALATION_RAISE_PRIORITY === 'true'
+  }
+];
+
+class EscalationService {
+
+  getDefaultRules() {
+    return JSON.parse(JSON.stringify(DEFAULT_RULES));
+  }
+
+  // Stable key so a rule fires at most once per request, even across restarts
+  getRuleKey(rule) {
+    return `${rule.trigger}:${rule.afterMinutes || 0}:${rule.notify}`;
+  }
+
+  getNextPriority(priority) {
+    const index = PRIORITY_LADDER.indexOf(priority);
+    return index >= 0 && index < PRIORITY_LADDER.length - 1 ? PRIORITY_LADDER[index + 1] : null;
+  }
+
+  // Query for open requests a rule applies to at `now`
+  buildRuleFilter(rule, now) {
+    const threshold = new Date(now.getTime() - (rule.afterMinutes || 0) * 60 * 1000);
+    const filter = {
+      status: { $nin: CLOSED_STATUSES },
+      'escalations.key': { $ne: this.getRuleKey(rule) }
+    };
+
+    switch (rule.trigger) {
+      case 'unassigned':
+        filter.assignedTechnician = null;
+        filter.createdAt = { $lte: threshold };
+        // Requests still waiting on approval cannot be worked yet
+        filter['approval.status'] = { $ne: 'Pending' };
+        break;
+      case 'response_breach':
+        filter['sla.responseBreached'] = true;
+        filter['sla.firstResponseAt'] = null;
+        filter['sla.responseDeadline'] = { $lte: threshold };
+        break;
+      case 'resolution_breach':
+        filter['sla.resolutionBreached'] = true;
+        filter['sla.resolutionDeadline'] = { $lte: threshold };
+        break;
+      default:
+        return null;
+    }
+
+    return filter;
+  }
+
+  async getRecipients(request, role) {
+    if (role === 'assignee') {
+      if (request.assignedTechnician) {
+        const technician = await User.findById(request.assignedTechnician).select('name email preferences');
+        if (technician) return [technician];
+      }
+      role = 'team_lead';
+    }
+
+    let team = request.assignedTeam;
+    if (!team && role === 'team_lead') {
+      const equipment = await Equipment.findById(request.equipment).select('assignedTeam');
+      team = equipment?.assignedTeam;
+    }
+
+    // Same people who would approve at that level, with admins as the fallback
+    return approvalService.getStepApprovers(request, { approverRole: role, team });
+  }
+
+  // Record and send one escalation; returns false if it was already taken
+  async escalate(request, rule, now) {
+    const key = this.getRuleKey(rule);
+    const recipients = await this.getRecipients(request, rule.notify);
+    const priorityTo = rule.raisePriority ? this.getNextPriority(request.priority) : null;
+
+    const escalation = {
+      key,
+      rule: rule.name,
+      trigger: rule.trigger,
+      notifyRole: rule.notify,
+      notified: recipients.map(recipient => ({
+        user: recipient._id,
+        name: recipient.name,
+        email: recipient.email
+      })),
+      priorityFrom: priorityTo ? request.priority : undefined,
+      priorityTo: priorityTo || undefined,
+      triggeredAt: now
+    };
+
+    // Claim the step atomically so concurrent runs never escalate twice
+    const claimed = await MaintenanceRequest.updateOne(
+      { _id: request._id, 'escalations.key': { $ne: key } },
+      {
+        $push: {
+          escalations: escalation,
+          history: { event: 'escalated', at: now, field: rule.trigger, to: rule.notify, note: rule.name }
+        }
+      }
+    );
+    if (claimed.modifiedCount === 0) return false;
+
+    if (priorityTo) {
+      // Saved through the document so the SLA targets follow the new priority
+      const fresh = await MaintenanceRequest.findById(request._id);
+      fresh.priority = priorityTo;
+      await fresh.save();
+    }
+
+    for (const recipient of recipients) {
+      if (recipient.preferences?.notifications?.email === false) continue;
+      try {
+        await emailService.sendEscalationEmail(recipient, request, escalation);
+      } catch (emailError) {
+        console.error('Failed to send escalation email:', emailError);
+      }
+    }
+
+    return true;
+  }
+
+  // Apply every workshop's rules (or the defaults) to open requests; run by the scheduler
+  async runEscalations(now = new Date()) {
+    const workshops = await Workshop.find({
+      'settings.maintenanceSettings.escalationRules.0': { $exists: true }
+    }).select('settings.maintenanceSettings.escalationRules');
+
+    // Workshops with their own rules, then everyone else on the defaults
+    const scopes = workshops.map(workshop => ({
+      filter: { workshop: workshop._id },
+      rules: workshop.settings.maintenanceSettings.escalationRules.filter(rule => rule.isActive)
+    }));
+    scopes.push({
+      filter: { workshop: { $nin: workshops.map(workshop => workshop._id) } },
+      rules: this.getDefaultRules()
+    });
+
+    let escalated = 0;
+    for (const scope of scopes) {
+      for (const rule of scope.rules) {
+        const ruleFilter = this.buildRuleFilter(rule, now);
+        if (!ruleFilter) continue;
+
+        const requests = await MaintenanceRequest.find({ ...ruleFilter, ...scope.filter })
+          .populate('equipment', 'name serialNumber')
+          .limit(200);
+
+        for (const request of requests) {
+          if (await this.escalate(request, rule, now)) escalated += 1;
+        }
+      }
+    }
+
+    return { escalated };
+  }
+}
+
+module.exports = new EscalationService();
\ No newline at end of file
@@ -0,0 +1,311 @@
+const mongoose = require('mongoose');
+const FailureCode = require('../models/FailureCode');
+const Equipment = require('../models/Equipment');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const Workshop = require('../models/Workshop');
+
+const failureError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const sameId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+
+// Each level hangs under the one before it
+const PARENT_LEVEL = { problem: null, cause: 'problem', remedy: 'cause' };
+
+// Pareto breakdowns and trend buckets
+const BREAKDOWN_KEYS = {
+  equipment: '$equipment',
+  model: { manufacturer: '$asset.manufacturer', model: '$asset.model' },
+  workshop: '$workshop'
+};
+const PERIOD_FORMATS = {
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+const MAX_BREAKDOWN_ROWS = 10;
+
+// Low-rating review tasks (see feedbackService.raiseReview) are filed as corrective work but
+// are not equipment failures
+const FEEDBACK_REVIEW_KEY = /^FEEDBACK:/;
+
+const percentOf = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : 0);
+
+class FailureCodeService {
+  constructor() {
+    this.levels = Object.keys(PARENT_LEVEL);
+    this.breakdowns = Object.keys(BREAKDOWN_KEYS);
+    this.intervals = Object.keys(PERIOD_FORMATS);
+    // Request types that cannot be completed without a problem, cause and remedy
+    this.codedTypes = ['Corrective', 'Emergency'];
+  }
+
+  isFeedbackReview(request) {
+    return FEEDBACK_REVIEW_KEY.test(request.generationKey || '');
+  }
+
+  // Query condition that leaves low-rating reviews out
+  excludeFeedbackReviews() {
+    return { generationKey: { $not: FEEDBACK_REVIEW_KEY } };
+  }
+
+  requiresCodes(request) {
+    return this.codedTypes.includes(request.type) && !this.isFeedbackReview(request);
+  }
+
+  isCoded(request) {
+    const failure = request.failure || {};
+    return !!(failure.problem && failure.cause && failure.remedy);
+  }
+
+  // Problems without categories apply to every piece of equipment
+  appliesTo(problem, category) {
+    const categories = problem.equipmentCategories || [];
+    return categories.length === 0 || (!!category && categories.includes(category));
+  }
+
+  // Problems with their causes and each cause's remedies, sorted by code
+  async getCatalogue({ category, includeInactive = false } = {}) {
+    const codes = await FailureCode.find(includeInactive ? {} : { isActive: true })
+      .sort({ code: 1 })
+      .lean();
+
+    const children = new Map();
+    codes.forEach(code => {
+      const key = code.parent ? code.parent.toString() : 'root';
+      if (!children.has(key)) children.set(key, []);
+      children.get(key).push(code);
+    });
+    const under = (code) => children.get(code._id.toString()) || [];
+
+    return (children.get('root') || [])
+      .filter(problem => problem.level === 'problem' && (!category || this.appliesTo(problem, category)))
+      .map(problem => ({
+        ...problem,
+        causes: under(problem).map(cause => ({ ...cause, remedies: under(cause) }))
+      }));
+  }
+
+  async checkParent(level, parentId) {
+    const parentLevel = PARENT_LEVEL[level];
+    if (!parentLevel) {
+      if (parentId) throw failureError('Problems sit at the top of the catalogue and have no parent', 'FAILURE_CODE_PARENT_INVALID');
+      return null;
+    }
+
+    const parent = parentId && mongoose.isValidObjectId(parentId) ? await FailureCode.findById(parentId) : null;
+    if (!parent || parent.level !== parentLevel) {
+      throw failureError(`A ${level} must be filed under a ${parentLevel}`, 'FAILURE_CODE_PARENT_INVALID');
+    }
+    return parent;
+  }
+
+  async checkDuplicate(parent, code, exceptId) {
+    const filter = { parent: parent ? parent._id : null, code: String(code).trim().toUpperCase() };
+    if (exceptId) filter._id = { $ne: exceptId };
+    if (await FailureCode.exists(filter)) {
+      throw failureError(`Code ${filter.code} is already used at this place in the catalogue`, 'FAILURE_CODE_EXISTS', 409);
+    }
+  }
+
+  async createCode({ code, name, description, level, parent, equipmentCategories }, user) {
+    const parentDoc = await this.checkParent(level, parent);
+    await this.checkDuplicate(parentDoc, code);
+
+    return FailureCode.create({
+      code,
+      name,
+      description,
+      level,
+      parent: parentDoc ? parentDoc._id : null,
+      // Causes and remedies follow their problem's categories
+      equipmentCategories: level === 'problem' ? equipmentCategories || [] : [],
+      createdBy: user._id,
+      lastModifiedBy: user._id
+    });
+  }
+
+  // Level and parent are fixed once a code exists; requests already point through them
+  async updateCode(id, { code, name, description, equipmentCategories, isActive }, user) {
+    const failureCode = mongoose.isValidObjectId(id) ? await FailureCode.findById(id) : null;
+    if (!failureCode) throw failureError('Failure code not found', 'FAILURE_CODE_NOT_FOUND', 404);
+
+    if (code !== undefined && code.trim().toUpperCase() !== failureCode.code) {
+      await this.checkDuplicate(failureCode.parent, code, failureCode._id);
+      failureCode.code = code;
+    }
+    if (name !== undefined) failureCode.name = name;
+    if (description !== undefined) failureCode.description = description;
+    if (equipmentCategories !== undefined && failureCode.level === 'problem') {
+      failureCode.equipmentCategories = equipmentCategories;
+    }
+    if (isActive !== undefined) failureCode.isActive = isActive;
+    failureCode.lastModifiedBy = user._id;
+
+    await failureCode.save();
+    return failureCode;
+  }
+
+  // Checks that the cause belongs to the problem, the remedy to the cause, all three are
+  // active and the problem applies to the equipment's category
+  async resolveCodes({ problem, cause, remedy } = {}, category) {
+    const ids = [problem, cause, remedy];
+    if (ids.some(id => !id || !mongoose.isValidObjectId(id))) {
+      throw failureError('Pick a problem, a cause and a remedy', 'FAILURE_CODES_INVALID');
+    }
+
+    const found = await FailureCode.find({ _id: { $in: ids } }).lean();
+    const [problemCode, causeCode, remedyCode] = ids.map(id => found.find(code => sameId(code._id, id)));
+
+    if (!problemCode || problemCode.level !== 'problem'
+      || !causeCode || causeCode.level !== 'cause' || !sameId(causeCode.parent, problemCode._id)
+      || !remedyCode || remedyCode.level !== 'remedy' || !sameId(remedyCode.parent, causeCode._id)) {
+      throw failureError('The cause must belong to the problem and the remedy to the cause', 'FAILURE_CODES_INVALID');
+    }
+    const retired = [problemCode, causeCode, remedyCode].find(code => !code.isActive);
+    if (retired) {
+      throw failureError(`Failure code ${retired.code} is no longer in use`, 'FAILURE_CODE_INACTIVE');
+    }
+    if (!this.appliesTo(problemCode, category)) {
+      throw failureError(`Problem ${problemCode.code} does not apply to ${category || 'this'} equipment`, 'FAILURE_CODE_CATEGORY');
+    }
+
+    return { problem: problemCode, cause: causeCode, remedy: remedyCode };
+  }
+
+  // Record the codes on a request (saved by the caller); the equipment may be in the trash
+  async applyToRequest(request, codes, user) {
+    const equipment = await Equipment.findById(request.equipment._id || request.equipment)
+      .select('category')
+      .setOptions({ withDeleted: true });
+    const resolved = await this.resolveCodes(codes, equipment && equipment.category);
+
+    request.failure = {
+      problem: resolved.problem._id,
+      cause: resolved.cause._id,
+      remedy: resolved.remedy._id,
+      codedBy: user._id,
+      codedAt: new Date()
+    };
+    return resolved;
+  }
+
+  // Completed requests counted by failure code at one level, largest first, with each code's
+  // share and running share of the total. `by` splits every code by equipment, model or
+  // workshop; the trend counts them per week or month of completion
+  async paretoReport(filter, { level = 'problem', by, interval = 'month', limit = 10, category, model } = {}) {
+    const path = `failure.${level}`;
+    // Aggregations do not cast, so ids from the query string are converted here
+    const match = { ...filter, status: 'Completed', [path]: { $ne: null }, ...this.excludeFeedbackReviews() };
+    if (match.workshop) match.workshop = new mongoose.Types.ObjectId(match.workshop.toString());
+
+    const assetFilter = {};
+    if (category) assetFilter['asset.category'] = category;
+    if (model) assetFilter['asset.model'] = model;
+
+    const facets = {
+      modes: [
+        { $group: { _id: `$${path}`, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } }
+      ],
+      trend: [
+        {
+          $group: {
+            _id: { mode: `$${path}`, period: { $dateToString: { format: PERIOD_FORMATS[interval], date: '$completedAt' } } },
+            count: { $sum: 1 }
+          }
+        }
+      ]
+    };
+    if (by) {
+      facets.breakdown = [
+        { $group: { _id: { mode: `$${path}`, key: BREAKDOWN_KEYS[by] }, count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ];
+    }
+
+    const [result] = await MaintenanceRequest.aggregate([
+      { $match: match },
+      {
+        $lookup: {
+          from: Equipment.collection.name,
+          let: { id: '$equipment' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$_id', '$$id'] } } },
+            { $project: { category: 1, manufacturer: 1, model: 1 } }
+          ],
+          as: 'asset'
+        }
+      },
+      { $unwind: '$asset' },
+      { $match: assetFilter },
+      { $facet: facets }
+    ]);
+
+    const total = result.modes.reduce((sum, mode) => sum + mode.count, 0);
+    const top = result.modes.slice(0, limit);
+    const codes = await FailureCode.find({ _id: { $in: top.map(mode => mode._id) } }).select('code name level isActive').lean();
+    const labels = by ? await this.breakdownLabels(by, result.breakdown) : null;
+
+    let running = 0;
+    const items = top.map(mode => {
+      running += mode.count;
+      const item = {
+        failureCode: codes.find(code => sameId(code._id, mode._id)) || { _id: mode._id },
+        count: mode.count,
+        percent: percentOf(mode.count, total),
+        cumulativePercent: percentOf(running, total)
+      };
+      if (by) {
+        item.breakdown = result.breakdown
+          .filter(row => sameId(row._id.mode, mode._id))
+          .slice(0, MAX_BREAKDOWN_ROWS)
+          .map(row => ({ key: row._id.key, label: labels(row._id.key), count: row.count }));
+      }
+      return item;
+    });
+
+    const periods = [...new Set(result.trend.map(row => row._id.period))].sort();
+    const series = top.map(mode => ({
+      failureCode: mode._id,
+      counts: periods.map(label => {
+        const row = result.trend.find(entry => sameId(entry._id.mode, mode._id) && entry._id.period === label);
+        return row ? row.count : 0;
+      })
+    }));
+
+    const otherCount = total - running;
+    return {
+      level,
+      by: by || null,
+      interval,
+      total,
+      items,
+      other: { count: otherCount, percent: percentOf(otherCount, total) },
+      trend: { periods, series }
+    };
+  }
+
+  // key -> readable label for a breakdown row; records in the trash keep their names
+  async breakdownLabels(by, rows) {
+    if (by === 'model') {
+      return (key) => [key && key.manufacturer, key && key.model].filter(Boolean).join(' ') || 'Unknown model';
+    }
+
+    const Model = by === 'equipment' ? Equipment : Workshop;
+    const ids = [...new Set(rows.map(row => row._id.key).filter(Boolean).map(String))];
+    const docs = await Model.find({ _id: { $in: ids } }).select('name assetTag code').lean();
+    return (key) => {
+      const doc = key && docs.find(entry => sameId(entry._id, key));
+      if (!doc) return by === 'equipment' ? 'Unknown equipment' : 'No workshop';
+      const tag = doc.assetTag || doc.code;
+      return tag ? `${doc.name} (${tag})` : doc.name;
+    };
+  }
+}
+
+module.exports = new FailureCodeService();
\ No newline at end of file
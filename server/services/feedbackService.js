@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+const emailService = require('./emailService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const feedbackError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const sameId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+
+class FeedbackService {
+  constructor() {
+    this.settings = {
+      linkTtlMs: (parseInt(process.env.FEEDBACK_LINK_TTL_DAYS) || 14) * DAY,
+      // Ratings at or below this raise a review request for the team
+      reviewThreshold: parseInt(process.env.FEEDBACK_REVIEW_THRESHOLD) || 2
+    };
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Only the requester rates their own request
+  canSubmit(request, user) {
+    return sameId(request.createdBy, user._id);
+  }
+
+  // Called after a request is saved as Completed: issue a one-time link and notify the requester
+  async requestFeedback(request) {
+    if (!request.createdBy || request.feedback?.submittedAt) return;
+    // Technicians closing their own requests are not asked to rate themselves
+    if (sameId(request.createdBy, request.assignedTechnician)) return;
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const requestedAt = new Date();
+    await MaintenanceRequest.updateOne(
+      { _id: request._id },
+      {
+        $set: {
+          'feedback.requestedAt': requestedAt,
+          'feedback.tokenHash': this.hashToken(token),
+          'feedback.tokenExpiresAt': new Date(requestedAt.getTime() + this.settings.linkTtlMs)
+        }
+      }
+    );
+
+    await notificationService.notify([request.createdBy], {
+      type: 'feedback',
+      title: `How did we do on ${request.requestNumber}?`,
+      message: `${request.title} has been completed. Please rate the work.`,
+      maintenanceRequest: request._id
+    }, (recipient) => emailService.sendFeedbackRequestEmail(recipient, request, token));
+  }
+
+  // In-app submission by the logged-in requester
+  async submitFeedback(request, { rating, comment }, user) {
+    if (!this.canSubmit(request, user)) {
+      throw feedbackError('Only the requester can rate this request', 'FEEDBACK_DENIED', 403);
+    }
+
+    return this.recordFeedback({ _id: request._id }, { rating, comment }, user._id, 'app');
+  }
+
+  // Submission from the emailed link; the token stands in for authentication
+  async submitWithToken(token, { rating, comment }) {
+    const request = await this.findByToken(token);
+    return this.recordFeedback({ _id: request._id }, { rating, comment }, request.createdBy, 'email');
+  }
+
+  async findByToken(token) {
+    const request = await MaintenanceRequest.findOne({
+      'feedback.tokenHash': this.hashToken(token),
+      'feedback.tokenExpiresAt': { $gt: new Date() }
+    })
+      .select('requestNumber title status completedAt createdBy assignedTechnician feedback')
+      .populate('assignedTechnician', 'name');
+
+    if (!request) {
+      throw feedbackError('This feedback link is invalid or has expired', 'FEEDBACK_LINK_INVALID', 404);
+    }
+    return request;
+  }
+
+  // Record the rating once (the filter makes concurrent submissions safe), then update scores
+  async recordFeedback(filter, { rating, comment }, submittedBy, channel) {
+    const update = {
+      'feedback.rating': rating,
+      'feedback.submittedBy': submittedBy,
+      'feedback.submittedAt': new Date(),
+      'feedback.channel': channel
+    };
+    if (comment) update['feedback.comment'] = comment;
+
+    const request = await MaintenanceRequest.findOneAndUpdate(
+      { ...filter, status: 'Completed', 'feedback.submittedAt': null },
+      {
+        $set: update,
+        $unset: {
+          'feedback.tokenHash': '',
+          'feedback.tokenExpiresAt': ''
+        }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!request) {
+      const existing = await MaintenanceRequest.findOne(filter).select('status feedback.submittedAt');
+      if (!existing) throw feedbackError('Maintenance request not found', 'REQUEST_NOT_FOUND', 404);
+      if (existing.status !== 'Completed') {
+        throw feedbackError('Feedback can only be given on completed requests', 'REQUEST_NOT_COMPLETED', 409);
+      }
+      throw feedbackError('Feedback has already been submitted for this request', 'FEEDBACK_ALREADY_SUBMITTED', 409);
+    }
+
+    await this.refreshSatisfaction(request);
+
+    if (rating <= this.settings.reviewThreshold) {
+      const review = await this.raiseReview(request);
+      request.feedback.reviewRequest = review._id;
+    }
+
+    return request;
+  }
+
+  // Recompute the average rating for the request's team and technician
+  async refreshSatisfaction(request) {
+    const summarize = async (match) => {
+      const [result] = await MaintenanceRequest.aggregate([
+        { $match: { ...match, status: 'Completed', 'feedback.rating': { $gte: 1 } } },
+        { $group: { _id: null, average: { $avg: '$feedback.rating' }, count: { $sum: 1 } } }
+      ]);
+      return result ? { average: round(result.average), count: result.count } : { average: 0, count: 0 };
+    };
+
+    if (request.assignedTeam) {
+      const team = await summarize({ assignedTeam: request.assignedTeam });
+      await Team.updateOne(
+        { _id: request.assignedTeam },
+        { $set: { 'performance.customerSatisfaction': team.average, 'performance.feedbackCount': team.count } }
+      );
+    }
+
+    if (request.assignedTechnician) {
+      const technician = await summarize({ assignedTechnician: request.assignedTechnician });
+      await User.updateOne(
+        { _id: request.assignedTechnician },
+        { $set: { 'satisfaction.average': technician.average, 'satisfaction.count': technician.count } }
+      );
+    }
+  }
+
+  // Ratings submitted in a period for a team, overall and per technician
+  async getTeamSatisfaction(teamId, startDate, endDate) {
+    const ratings = await MaintenanceRequest.aggregate([
+      {
+        $match: {
+          assignedTeam: teamId,
+          'feedback.rating': { $gte: 1 },
+          'feedback.submittedAt': { $gte: startDate, $lte: endDate }
+        }
+      },
+      {
+        $group: {
+          _id: '$assignedTechnician',
+          total: { $sum: '$feedback.rating' },
+          count: { $sum: 1 },
+          lowRatings: { $sum: { $cond: [{ $lte: ['$feedback.rating', this.settings.reviewThreshold] }, 1, 0] } }
+        }
+      },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'technician' } }
+    ]);
+
+    const total = ratings.reduce((sum, group) => sum + group.total, 0);
+    const count = ratings.reduce((sum, group) => sum + group.count, 0);
+
+    return {
+      average: count > 0 ? round(total / count) : 0,
+      count,
+      lowRatings: ratings.reduce((sum, group) => sum + group.lowRatings, 0),
+      technicians: ratings
+        .filter(group => group._id)
+        .map(group => ({
+          technician: group._id,
+          name: group.technician[0]?.name || 'Unknown',
+          average: round(group.total / group.count),
+          count: group.count
+        }))
+        .sort((a, b) => b.average - a.average)
+    };
+  }
+
+  // One review request per rated request, owned by the team lead when there is one
+  async raiseReview(request) {
+    const generationKey = `FEEDBACK:${request._id}`;
+    const team = request.assignedTeam ? await Team.findById(request.assignedTeam).select('teamLead') : null;
+    const reviewer = team?.teamLead || request.assignedTechnician || request.createdBy;
+    const { rating, comment } = request.feedback;
+
+    let review;
+    try {
+      review = await MaintenanceRequest.create({
+        generationKey,
+        title: `Review: ${rating}-star rating on ${request.requestNumber}`.slice(0, 200),
+        description: `The requester rated ${request.requestNumber} (${request.title}) ${rating} out of 5.${comment ? ` Comment: ${comment}` : ''}`.slice(0, 2000),
+        type: 'Corrective',
+        equipment: request.equipment,
+        workshop: request.workshop,
+        location: request.location,
+        createdBy: reviewer,
+        assignedTeam: request.assignedTeam,
+        priority: 'Medium',
+        category: request.category,
+        status: 'New',
+        followUpOf: {
+          request: request._id
+        }
+      });
+    } catch (error) {
+      if (error.code === 11000 && error.keyPattern && error.keyPattern.generationKey) {
+        return MaintenanceRequest.findOne({ generationKey });
+      }
+      throw error;
+    }
+
+    await MaintenanceRequest.updateOne({ _id: request._id }, { $set: { 'feedback.reviewRequest': review._id } });
+
+    // Team lead plus the workshop's admins
+    const admins = await User.find({
+      role: 'admin',
+      status: 'active',
+      ...(request.workshop ? { workshop: request.workshop } : {})
+    }).select('_id');
+
+    await notificationService.notify([reviewer, ...admins.map(admin => admin._id)], {
+      type: 'feedback',
+      title: `Low rating on ${request.requestNumber}`,
+      message: `Rated ${rating} out of 5. Review ${review.requestNumber} has been opened.`,
+      maintenanceRequest: review._id
+    });
+
+    return review;
+  }
+}
+
+module.exports = new FeedbackService();
\ No newline at end of file
@@ -0,0 +1,183 @@
+const JobPlan = require('../models/JobPlan');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+
+const CLOSED_STATUSES = ['Completed', 'Cancelled', 'Rejected'];
+
+// Result statuses each kind of step may be signed off with
+const STEP_RESULTS = {
+  task: ['Done', 'Skipped'],
+  check: ['Passed', 'Failed', 'Skipped'],
+  measurement: ['Passed', 'Failed', 'Skipped']
+};
+
+const jobPlanError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+class JobPlanService {
+
+  findForEquipment(equipment) {
+    return JobPlan.findForEquipment(equipment);
+  }
+
+  // Copy the plan onto a request (document or plain data); later plan edits do not touch it
+  applyToRequest(request, plan) {
+    request.jobPlan = {
+      plan: plan._id,
+      name: plan.name,
+      version: plan.version,
+      estimatedHours: plan.estimatedHours,
+      safetyNotes: plan.safetyNotes
+    };
+    request.checklist = plan.steps.map((step, index) => ({
+      step: step._id,
+      order: index + 1,
+      title: step.title,
+      instructions: step.instructions,
+      type: step.type,
+      unit: step.unit,
+      minValue: step.minValue,
+      maxValue: step.maxValue,
+      required: step.required
+    }));
+
+    if (!request.estimatedDuration && plan.estimatedHours) {
+      request.estimatedDuration = plan.estimatedHours;
+    }
+    return request;
+  }
+
+  // Attach the equipment's plan to generated preventive work, if it has one
+  async applyPlanForEquipment(data, equipment) {
+    const plan = await this.findForEquipment(equipment);
+    return plan ? this.applyToRequest(data, plan) : data;
+  }
+
+  // Recurring occurrences pick up the latest version of the plan their series uses
+  async applyPlanById(data, planId) {
+    if (!planId) return data;
+    const plan = await JobPlan.findOne({ _id: planId, isActive: true });
+    return plan ? this.applyToRequest(data, plan) : data;
+  }
+
+  isOutOfRange(item, value) {
+    return (item.minValue != null && value < item.minValue) ||
+      (item.maxValue != null && value > item.maxValue);
+  }
+
+  formatRange(item) {
+    const unit = item.unit ? ` ${item.unit}` : '';
+    if (item.minValue != null && item.maxValue != null) return `${item.minValue}-${item.maxValue}${unit}`;
+    if (item.minValue != null) return `at least ${item.minValue}${unit}`;
+    if (item.maxValue != null) return `at most ${item.maxValue}${unit}`;
+    return 'any value';
+  }
+
+  getIncompleteSteps(request) {
+    return (request.checklist || []).filter(item => item.required && item.status === 'Pending');
+  }
+
+  canSignOff(user, request) {
+    if (user.role === 'admin') return true;
+    return user.role === 'technician' &&
+      !!request.assignedTechnician &&
+      request.assignedTechnician.toString() === user._id.toString();
+  }
+
+  // Sign off one checklist step; failed steps raise a corrective follow-up request
+  async recordStep(request, itemId, { status, value, note }, user) {
+    if (!this.canSignOff(user, request)) {
+      throw jobPlanError('Only the assigned technician or an admin can sign off checklist steps', 'CHECKLIST_ACCESS_DENIED', 403);
+    }
+
+    if (CLOSED_STATUSES.includes(request.status)) {
+      throw jobPlanError(`Checklist cannot be changed once the request is ${request.status}`, 'REQUEST_CLOSED', 409);
+    }
+
+    const item = request.checklist.id(itemId);
+    if (!item) {
+      throw jobPlanError('Checklist step not found', 'CHECKLIST_ITEM_NOT_FOUND', 404);
+    }
+
+    if (status === 'Skipped' && item.required) {
+      throw jobPlanError('Required steps cannot be skipped', 'STEP_REQUIRED');
+    }
+
+    let outOfRange = false;
+    if (item.type === 'measurement' && status !== 'Skipped') {
+      if (value === undefined || value === null || value === '' || isNaN(value)) {
+        throw jobPlanError(`A reading${item.unit ? ` in ${item.unit}` : ''} is required for this step`, 'MEASUREMENT_REQUIRED');
+      }
+      value = Number(value);
+      outOfRange = this.isOutOfRange(item, value);
+      // The reading decides pass or fail, not the technician
+      status = outOfRange ? 'Failed' : 'Passed';
+    } else {
+      status = status || (item.type === 'task' ? 'Done' : undefined);
+    }
+
+    if (!STEP_RESULTS[item.type].includes(status)) {
+      throw jobPlanError(`Step result must be one of: ${STEP_RESULTS[item.type].join(', ')}`, 'INVALID_STEP_RESULT');
+    }
+
+    item.status = status;
+    item.value = item.type === 'measurement' && status !== 'Skipped' ? value : undefined;
+    item.outOfRange = outOfRange;
+    item.note = note;
+    item.completedBy = user._id;
+    item.completedAt = new Date();
+    request.$locals.actor = user._id;
+    await request.save();
+
+    let followUpRequest = null;
+    if (status === 'Failed' && !item.followUpRequest) {
+      followUpRequest = await this.raiseFollowUp(request, item, user);
+      item.followUpRequest = followUpRequest._id;
+      await MaintenanceRequest.updateOne(
+        { _id: request._id, 'checklist._id': item._id },
+        { $set: { 'checklist.$.followUpRequest': followUpRequest._id } }
+      );
+    }
+
+    return { request, item, followUpRequest };
+  }
+
+  // One corrective request per failed step, even if the step is signed off twice
+  async raiseFollowUp(request, item, user) {
+    const generationKey = `CHECKLIST:${request._id}:${item._id}`;
+    const finding = item.type === 'measurement'
+      ? `${item.title} measured ${item.value}${item.unit ? ` ${item.unit}` : ''}, outside the acceptable range of ${this.formatRange(item)}`
+      : `${item.title} failed`;
+
+    try {
+      return await MaintenanceRequest.create({
+        generationKey,
+        title: `Follow-up: ${item.title}`.slice(0, 200),
+        description: `${finding} during ${request.requestNumber} (${request.jobPlan?.name || 'job plan'}, step ${item.order}).${item.note ? ` Technician note: ${item.note}` : ''}`.slice(0, 2000),
+        type: 'Corrective',
+        equipment: request.equipment?._id || request.equipment,
+        workshop: request.workshop,
+        location: request.location,
+        createdBy: user._id,
+        assignedTeam: request.assignedTeam,
+        priority: 'High',
+        category: request.category,
+        status: 'New',
+        followUpOf: {
+          request: request._id,
+          checklistItem: item._id
+        }
+      });
+    } catch (error) {
+      if (error.code === 11000 && error.keyPattern && error.keyPattern.generationKey) {
+        return MaintenanceRequest.findOne({ generationKey });
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new JobPlanService();
\ No newline at end of file
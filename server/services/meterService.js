@@ -0,0 +1,166 @@
+const Equipment = require('../models/Equipment');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const MeterReading = require('../models/MeterReading');
+const jobPlanService = require('./jobPlanService');
+
+const meterError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+class MeterService {
+
+  // Work out how much usage a new reading adds, handling rollovers and resets
+  calculateDelta(meter, value, { reset = false } = {}) {
+    const previous = meter.currentReading || 0;
+
+    if (reset) {
+      // Meter was replaced; the new one started counting from zero
+      return { delta: value, kind: 'reset' };
+    }
+
+    if (value >= previous) {
+      return { delta: value - previous, kind: 'normal' };
+    }
+
+    if (meter.rolloverValue && value < meter.rolloverValue && previous <= meter.rolloverValue) {
+      return { delta: (meter.rolloverValue - previous) + value, kind: 'rollover' };
+    }
+
+    throw meterError(
+      `Reading ${value} is lower than the current reading ${previous}. Mark it as a meter reset if the meter was replaced.`,
+      'READING_DECREASED'
+    );
+  }
+
+  // Create requests for every trigger whose threshold the meter has crossed
+  async evaluateTriggers(equipment, meter, totalUsage, userId) {
+    const created = [];
+
+    for (const trigger of meter.triggers) {
+      if (!trigger.isActive) continue;
+
+      const threshold = (trigger.lastTriggeredUsage || 0) + trigger.every;
+      if (totalUsage < threshold) continue;
+
+      // Skip thresholds that were passed in a single large reading
+      const crossed = Math.floor(totalUsage / trigger.every) * trigger.every;
+
+      try {
+        const data = {
+          generationKey: `METER:${equipment._id}:${meter._id}:${trigger._id}:${crossed}`,
+          title: trigger.title || `${meter.name} service at ${crossed} ${meter.unit} - ${equipment.name}`,
+          description: `Usage-based maintenance for ${equipment.name} (${equipment.serialNumber}): ${meter.name} reached ${totalUsage} ${meter.unit} (service every ${trigger.every} ${meter.unit}).`,
+          type: trigger.requestType,
+          equipment: equipment._id,
+          workshop: equipment.workshop,
+          location: {
+            building: equipment.location?.building,
+            floor: equipment.location?.floor,
+            room: equipment.location?.room
+          },
+          createdBy: userId || equipment.metadata.createdBy,
+          assignedTeam: equipment.assignedTeam,
+          priority: trigger.priority,
+          status: 'New'
+        };
+        if (trigger.requestType === 'Preventive') {
+          await jobPlanService.applyPlanForEquipment(data, equipment);
+        }
+
+        const request = await MaintenanceRequest.create(data);
+        created.push(request);
+      } catch (error) {
+        // Already generated by a concurrent reading
+        if (!(error.code === 11000 && error.keyPattern && error.keyPattern.generationKey)) {
+          throw error;
+        }
+      }
+
+      await Equipment.updateOne(
+        { _id: equipment._id },
+        { $max: { 'meters.$[meter].triggers.$[trigger].lastTriggeredUsage': crossed } },
+        { arrayFilters: [{ 'meter._id': meter._id }, { 'trigger._id': trigger._id }] }
+      );
+    }
+
+    return created;
+  }
+
+  // Record a reading; returns the stored reading and any requests it triggered
+  async recordReading(equipmentId, meterId, { value, recordedAt, reset, note }, user, source = 'manual') {
+    const equipment = await Equipment.findById(equipmentId);
+    if (!equipment) {
+      throw meterError('Equipment not found', 'EQUIPMENT_NOT_FOUND', 404);
+    }
+
+    // Technicians may only record readings for their team's equipment
+    if (user && user.role === 'technician' &&
+        (!user.team || equipment.assignedTeam.toString() !== user.team.toString())) {
+      throw meterError('Access denied. Equipment not assigned to your team.', 'EQUIPMENT_ACCESS_DENIED', 403);
+    }
+
+    const meter = equipment.meters.id(meterId);
+    if (!meter || !meter.isActive) {
+      throw meterError('Meter not found', 'METER_NOT_FOUND', 404);
+    }
+
+    const readingDate = recordedAt ? new Date(recordedAt) : new Date();
+    if (readingDate > new Date()) {
+      throw meterError('Reading date cannot be in the future', 'READING_IN_FUTURE');
+    }
+    if (meter.lastReadingAt && readingDate < meter.lastReadingAt) {
+      throw meterError('Reading is older than the latest recorded reading', 'READING_OUT_OF_ORDER');
+    }
+    if (meter.rolloverValue && value > meter.rolloverValue) {
+      throw meterError(`Reading cannot exceed the meter rollover value of ${meter.rolloverValue}`, 'READING_EXCEEDS_ROLLOVER');
+    }
+
+    const { delta, kind } = this.calculateDelta(meter, value, { reset });
+    const previousValue = meter.currentReading || 0;
+    const totalUsage = (meter.totalUsage || 0) + delta;
+
+    // Only apply if no other reading landed in between
+    const updated = await Equipment.findOneAndUpdate(
+      {
+        _id: equipment._id,
+        meters: { $elemMatch: { _id: meter._id, currentReading: previousValue, totalUsage: meter.totalUsage || 0 } }
+      },
+      {
+        $set: {
+          'meters.$.currentReading': value,
+          'meters.$.totalUsage': totalUsage,
+          'meters.$.lastReadingAt': readingDate
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw meterError('Meter was updated by another reading. Please retry.', 'READING_CONFLICT', 409);
+    }
+
+    const triggered = await this.evaluateTriggers(updated, updated.meters.id(meter._id), totalUsage, user?._id);
+
+    const reading = await MeterReading.create({
+      equipment: equipment._id,
+      meter: meter._id,
+      value,
+      previousValue,
+      delta,
+      totalUsage,
+      kind,
+      source,
+      note,
+      recordedAt: readingDate,
+      recordedBy: user?._id,
+      triggeredRequests: triggered.map(request => request._id)
+    });
+
+    return { reading, triggeredRequests: triggered };
+  }
+}
+
+module.exports = new MeterService();
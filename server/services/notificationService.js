@@ -0,0 +1,70 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+
+class NotificationService {
+  // Deliver to each recipient over the channels enabled in preferences.notifications:
+  // `push` covers the in-app bell, `email` calls sendEmail(user) for that user
+  async notify(recipientIds, notification, sendEmail) {
+    const ids = [...new Set(recipientIds.filter(Boolean).map(id => id.toString()))];
+    if (ids.length === 0) return { inApp: 0, email: 0 };
+
+    const users = await User.find({ _id: { $in: ids }, status: 'active' })
+      .select('name email role preferences');
+
+    const inApp = users.filter(user => user.preferences?.notifications?.push !== false);
+    if (inApp.length > 0) {
+      await Notification.insertMany(inApp.map(user => ({
+        ...notification,
+        recipient: user._id
+      })));
+    }
+
+    let emailed = 0;
+    if (sendEmail) {
+      for (const user of users.filter(user => user.preferences?.notifications?.email !== false)) {
+        try {
+          await sendEmail(user);
+          emailed += 1;
+        } catch (error) {
+          console.error(`Failed to email notification to ${user.email}:`, error.message);
+        }
+      }
+    }
+
+    return { inApp: inApp.length, email: emailed };
+  }
+
+  async list(userId, { unreadOnly = false, limit = 20 } = {}) {
+    const filter = { recipient: userId };
+    if (unreadOnly) filter.readAt = null;
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .populate('actor', 'name')
+        .populate('maintenanceRequest', 'requestNumber title')
+        .sort({ createdAt: -1 })
+        .limit(limit),
+      Notification.countDocuments({ recipient: userId, readAt: null })
+    ]);
+
+    return { notifications, unreadCount };
+  }
+
+  async markRead(userId, notificationId) {
+    return Notification.findOneAndUpdate(
+      { _id: notificationId, recipient: userId },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  async markAllRead(userId) {
+    const result = await Notification.updateMany(
+      { recipient: userId, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new NotificationService();
\ No newline at end of file
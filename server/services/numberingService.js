@@ -0,0 +1,220 @@
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+const Workshop = require('../models/Workshop');
+const { getZonedParts, isValidTimeZone } = require('../utils/businessHours');
+
+// Sequences that can be numbered and the field each one fills. Models are looked up
+// by name so the model hooks that call this service don't create a require cycle
+const SEQUENCES = {
+  request: {
+    model: 'MaintenanceRequest',
+    field: 'requestNumber',
+    defaults: { prefix: 'MR', pattern: '{PREFIX}-{YYYY}{MM}-{SEQ}', padding: 4, reset: 'monthly' }
+  },
+  assetTag: {
+    model: 'Equipment',
+    field: 'assetTag',
+    defaults: { prefix: 'EQ', pattern: '{PREFIX}-{SEQ}', padding: 5, reset: 'never' }
+  },
+  rca: {
+    model: 'RootCauseAnalysis',
+    field: 'rcaNumber',
+    defaults: { prefix: 'RCA', pattern: '{PREFIX}-{YYYY}-{SEQ}', padding: 4, reset: 'yearly' }
+  }
+};
+
+// {PREFIX} and {WS} (workshop code) are fixed per workshop; the date tokens follow the
+// workshop's timezone
+const TOKENS = ['PREFIX', 'WS', 'YYYY', 'YY', 'MM', 'SEQ'];
+const TOKEN_PATTERN = /\{([A-Z]+)\}/g;
+const DATE_TOKENS = /\{(YYYY|YY|MM|SEQ)\}/;
+const RESETS = ['never', 'yearly', 'monthly'];
+const SETTINGS = ['prefix', 'pattern', 'padding', 'reset'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class NumberingService {
+  constructor() {
+    this.sequences = Object.keys(SEQUENCES);
+  }
+
+  getDefaults() {
+    const defaults = {};
+    this.sequences.forEach(name => {
+      defaults[name] = { ...SEQUENCES[name].defaults };
+    });
+    return defaults;
+  }
+
+  // Merge a workshop override on top of the defaults (per sequence and setting)
+  mergeNumbering(override) {
+    const numbering = this.getDefaults();
+    if (!override) return numbering;
+
+    this.sequences.forEach(name => {
+      SETTINGS.forEach(setting => {
+        if (override[name]?.[setting] !== undefined) numbering[name][setting] = override[name][setting];
+      });
+    });
+    return numbering;
+  }
+
+  validateNumberingConfig(config) {
+    const errors = [];
+
+    if (!config || typeof config !== 'object') {
+      return ['Numbering must be an object'];
+    }
+
+    Object.entries(config).forEach(([name, settings]) => {
+      if (!SEQUENCES[name]) {
+        errors.push(`Unknown sequence: ${name}`);
+        return;
+      }
+      if (!settings || typeof settings !== 'object') {
+        errors.push(`Settings for ${name} must be an object`);
+        return;
+      }
+
+      const { prefix, pattern, padding, reset } = { ...SEQUENCES[name].defaults, ...settings };
+
+      if (typeof prefix !== 'string' || !/^[A-Za-z0-9_-]{0,10}$/.test(prefix)) {
+        errors.push(`Prefix for ${name} must be up to 10 letters, digits, dashes or underscores`);
+      }
+      if (typeof pattern !== 'string' || pattern.length > 40) {
+        errors.push(`Pattern for ${name} must be a string of at most 40 characters`);
+        return;
+      }
+
+      const tokens = [...pattern.matchAll(TOKEN_PATTERN)].map(match => match[1]);
+      tokens.filter(token => !TOKENS.includes(token)).forEach(token => {
+        errors.push(`Unknown token in ${name} pattern: {${token}}`);
+      });
+      if (tokens.filter(token => token === 'SEQ').length !== 1) {
+        errors.push(`Pattern for ${name} must contain {SEQ} exactly once`);
+      }
+      if (!/^[A-Za-z0-9_\-/.#{}]*$/.test(pattern)) {
+        errors.push(`Pattern for ${name} may only contain letters, digits, tokens and - _ / . #`);
+      }
+
+      if (!Number.isInteger(padding) || padding < 1 || padding > 10) {
+        errors.push(`Padding for ${name} must be a whole number between 1 and 10`);
+      }
+      if (!RESETS.includes(reset)) {
+        errors.push(`Reset for ${name} must be one of: ${RESETS.join(', ')}`);
+        return;
+      }
+
+      // A sequence that restarts needs the period in the number, or numbers would repeat
+      const hasYear = tokens.includes('YYYY') || tokens.includes('YY');
+      if (reset !== 'never' && !hasYear) {
+        errors.push(`Pattern for ${name} must contain {YYYY} or {YY} to reset ${reset}`);
+      }
+      if (reset === 'monthly' && !tokens.includes('MM')) {
+        errors.push(`Pattern for ${name} must contain {MM} to reset monthly`);
+      }
+    });
+
+    return errors;
+  }
+
+  // Effective settings, code and timezone for a workshop (defaults when there is none)
+  async resolveContext(workshopId) {
+    const workshop = workshopId
+      ? await Workshop.findById(workshopId).select('code settings.timezone settings.numbering').lean()
+      : null;
+
+    const timeZone = workshop?.settings?.timezone;
+    return {
+      code: workshop?.code || '',
+      timeZone: timeZone && isValidTimeZone(timeZone) ? timeZone : 'UTC',
+      numbering: this.mergeNumbering(workshop?.settings?.numbering)
+    };
+  }
+
+  getDateValues(date, timeZone) {
+    const { year, month } = getZonedParts(date, timeZone);
+    return {
+      YYYY: String(year),
+      YY: String(year).slice(-2),
+      MM: String(month).padStart(2, '0')
+    };
+  }
+
+  getPeriod(reset, dateValues) {
+    if (reset === 'yearly') return dateValues.YYYY;
+    if (reset === 'monthly') return `${dateValues.YYYY}${dateValues.MM}`;
+    return '';
+  }
+
+  // Pattern with the workshop-level tokens filled in; identifies the counter
+  getScope(settings, code) {
+    return settings.pattern
+      .replace(/\{PREFIX\}/g, settings.prefix)
+      .replace(/\{WS\}/g, code);
+  }
+
+  render(scope, dateValues, seq, padding) {
+    return scope.replace(TOKEN_PATTERN, (match, token) => (
+      token === 'SEQ' ? String(seq).padStart(padding, '0') : dateValues[token] ?? match
+    ));
+  }
+
+  // Highest sequence already used by numbers this counter would produce, so switching
+  // to the counter (or to a new pattern) never hands out an existing number again
+  async findExistingMax(name, scope, settings, dateValues) {
+    const { model, field } = SEQUENCES[name];
+    const resetTokens = { never: [], yearly: ['YYYY', 'YY'], monthly: ['YYYY', 'YY', 'MM'] }[settings.reset];
+
+    const source = scope.split(DATE_TOKENS).map((part, index) => {
+      if (index % 2 === 0) return escapeRegex(part);
+      if (part === 'SEQ') return '(\\d+)';
+      return resetTokens.includes(part) ? dateValues[part] : `\\d{${part.length}}`;
+    }).join('');
+    const regex = new RegExp(`^${source}$`);
+
+    // Records in the trash still hold their numbers
+    const Model = mongoose.model(model);
+    const existing = await Model.find({ [field]: regex })
+      .setOptions(Model.schema.path('deletedAt') ? { withDeleted: true } : {})
+      .select(field)
+      .lean();
+    return existing.reduce((max, doc) => Math.max(max, parseInt(regex.exec(doc[field])[1], 10)), 0);
+  }
+
+  // Next number for a sequence, e.g. next('request', { workshop }) => 'MR-202610-0042'
+  async next(name, { workshop = null, date = new Date() } = {}) {
+    if (!SEQUENCES[name]) throw new Error(`Unknown sequence: ${name}`);
+
+    const { code, timeZone, numbering } = await this.resolveContext(workshop?._id || workshop);
+    const settings = numbering[name];
+    const dateValues = this.getDateValues(date, timeZone);
+    const scope = this.getScope(settings, code);
+    const period = this.getPeriod(settings.reset, dateValues);
+
+    const seed = await Counter.exists({ name, scope, period })
+      ? 0
+      : await this.findExistingMax(name, scope, settings, dateValues);
+    const seq = await Counter.next(name, scope, period, seed);
+
+    return this.render(scope, dateValues, seq, settings.padding);
+  }
+
+  // Numbers the workshop's next request, asset tag, ... would get, without consuming them
+  async preview(workshopId, date = new Date()) {
+    const { code, timeZone, numbering } = await this.resolveContext(workshopId);
+    const dateValues = this.getDateValues(date, timeZone);
+
+    const preview = {};
+    for (const name of this.sequences) {
+      const settings = numbering[name];
+      const scope = this.getScope(settings, code);
+      const current = await Counter.current(name, scope, this.getPeriod(settings.reset, dateValues));
+      const last = current ?? await this.findExistingMax(name, scope, settings, dateValues);
+      preview[name] = this.render(scope, dateValues, last + 1, settings.padding);
+    }
+    return preview;
+  }
+}
+
+module.exports = new NumberingService();
\ No newline at end of file
@@ -0,0 +1,244 @@
+const mongoose = require('mongoose');
+
+const paginationError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+// Fields each list can be sorted on, by public name -> document path. Priority sorts by
+// severity through the stored rank rather than alphabetically
+const LISTS = {
+  maintenance: {
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    dueDate: 'dueDate',
+    scheduledDate: 'scheduledDate',
+    requestNumber: 'requestNumber',
+    title: 'title',
+    status: 'status',
+    priority: 'priorityRank',
+    'sla.resolutionDeadline': 'sla.resolutionDeadline',
+    'sla.responseDeadline': 'sla.responseDeadline'
+  },
+  equipment: {
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    name: 'name',
+    assetTag: 'assetTag',
+    serialNumber: 'serialNumber',
+    status: 'status',
+    nextMaintenanceDate: 'nextMaintenanceDate'
+  },
+  users: {
+    createdAt: 'createdAt',
+    name: 'name',
+    email: 'email',
+    role: 'role',
+    status: 'status',
+    lastLogin: 'lastLogin'
+  },
+  teams: {
+    createdAt: 'createdAt',
+    name: 'name',
+    status: 'status'
+  },
+  workshops: {
+    createdAt: 'createdAt',
+    name: 'name',
+    code: 'code',
+    status: 'status'
+  },
+  audit: {
+    createdAt: 'createdAt',
+    action: 'action'
+  },
+  trash: {
+    createdAt: 'createdAt',
+    deletedAt: 'deletedAt',
+    name: 'name'
+  },
+  rcas: {
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    rcaNumber: 'rcaNumber',
+    status: 'status'
+  }
+};
+
+const DEFAULT_SORT = '-createdAt';
+const MAX_SORT_FIELDS = 3;
+const TOTAL_MODES = ['exact', 'estimated', 'none'];
+
+// Cursor values keep their type through JSON
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $o: value.toString() };
+  return value === undefined ? null : value;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.$d === 'string' && !Number.isNaN(Date.parse(value.$d))) return new Date(value.$d);
+    if (typeof value.$o === 'string' && mongoose.isValidObjectId(value.$o)) return new mongoose.Types.ObjectId(value.$o);
+    throw paginationError('Invalid cursor', 'CURSOR_INVALID');
+  }
+  return value;
+};
+
+class PaginationService {
+  constructor() {
+    this.lists = Object.keys(LISTS);
+    this.totalModes = TOTAL_MODES;
+    // With ?total=estimated a filtered count stops here and is reported as a lower bound
+    this.countLimit = parseInt(process.env.PAGINATION_COUNT_LIMIT) || 10000;
+  }
+
+  sortFields(list) {
+    return Object.keys(LISTS[list]);
+  }
+
+  // 'dueDate,-priority' -> [['dueDate', 1], ['priorityRank', -1], ['_id', -1]]; _id keeps the order stable
+  parseSort(list, sort) {
+    const value = sort || DEFAULT_SORT;
+    const fields = String(value).split(',').map(field => field.trim()).filter(Boolean);
+    if (fields.length === 0 || fields.length > MAX_SORT_FIELDS) {
+      throw paginationError(`Sort by 1 to ${MAX_SORT_FIELDS} fields`, 'INVALID_SORT');
+    }
+
+    const spec = fields.map(field => {
+      const name = field.replace(/^-/, '');
+      const path = LISTS[list][name];
+      if (!path) throw paginationError(`Cannot sort by ${name}`, 'INVALID_SORT');
+      return [path, field.startsWith('-') ? -1 : 1];
+    });
+    if (new Set(spec.map(([path]) => path)).size !== spec.length) {
+      throw paginationError('Each sort field may only be given once', 'INVALID_SORT');
+    }
+
+    spec.push(['_id', spec[spec.length - 1][1]]);
+    return spec;
+  }
+
+  isValidSort(list, sort) {
+    try {
+      this.parseSort(list, sort);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // The cursor carries the sort it was made for, so later pages keep the first page's order
+  encodeCursor(doc, list, sort) {
+    const spec = this.parseSort(list, sort);
+    const payload = {
+      s: sort || DEFAULT_SORT,
+      v: spec.map(([path]) => encodeValue(doc.get(path)))
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+  }
+
+  // -> { sort, spec, values }; throws CURSOR_INVALID for anything this service did not issue
+  decodeCursor(list, cursor) {
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+      throw paginationError('Invalid cursor', 'CURSOR_INVALID');
+    }
+    if (!payload || typeof payload.s !== 'string' || !Array.isArray(payload.v) || !this.isValidSort(list, payload.s)) {
+      throw paginationError('Invalid cursor', 'CURSOR_INVALID');
+    }
+
+    const spec = this.parseSort(list, payload.s);
+    if (payload.v.length !== spec.length) {
+      throw paginationError('Invalid cursor', 'CURSOR_INVALID');
+    }
+    return { sort: payload.s, spec, values: payload.v.map(decodeValue) };
+  }
+
+  // Documents after the cursor's row in sort order. Missing values sort before everything
+  // ascending and after everything descending, as MongoDB orders them
+  cursorFilter(spec, values) {
+    const clauses = [];
+
+    spec.forEach(([path, direction], index) => {
+      const value = values[index];
+      let after;
+      if (direction > 0) {
+        after = value === null ? { [path]: { $ne: null } } : { [path]: { $gt: value } };
+      } else if (value !== null) {
+        after = { $or: [{ [path]: { $lt: value } }, { [path]: null }] };
+      }
+
+      if (after) {
+        const equal = spec.slice(0, index).map(([previous], position) => ({ [previous]: values[position] }));
+        clauses.push(equal.length > 0 ? { $and: [...equal, after] } : after);
+      }
+    });
+
+    return clauses.length > 0 ? { $or: clauses } : { _id: null };
+  }
+
+  async count(Model, filter, mode) {
+    if (mode === 'none') return {};
+    if (mode === 'estimated') {
+      // The collection count would include records in the trash
+      if (Object.keys(filter).length === 0 && !Model.schema.path('deletedAt')) {
+        return { total: await Model.estimatedDocumentCount(), totalExact: false };
+      }
+      const total = await Model.countDocuments(filter).limit(this.countLimit);
+      return { total, totalExact: total < this.countLimit };
+    }
+    return { total: await Model.countDocuments(filter), totalExact: true };
+  }
+
+  // One page of a list. ?cursor= continues after the previous page in that page's sort (no
+  // skip, stable under inserts); without it ?page= works as before. Totals are exact for
+  // page-based calls unless ?total=estimated|none is asked for, and left out for cursor calls
+  // unless asked for. `build` adds populate/select to the find query. Sort and cursor are
+  // expected to have passed paginationValidation
+  async paginate(Model, filter, { list, sort, page, limit, cursor, total } = {}, build = (query) => query) {
+    const position = cursor ? this.decodeCursor(list, cursor) : null;
+    const listSort = position ? position.sort : (sort || DEFAULT_SORT);
+    const spec = position ? position.spec : this.parseSort(list, listSort);
+    const pageSize = parseInt(limit) || 10;
+    const pageNumber = position ? null : (parseInt(page) || 1);
+    const totalMode = total || (position ? 'none' : 'exact');
+
+    const findFilter = position
+      ? { $and: [filter, this.cursorFilter(spec, position.values)] }
+      : filter;
+
+    const [found, counted] = await Promise.all([
+      build(Model.find(findFilter))
+        .sort(Object.fromEntries(spec))
+        .skip(pageNumber ? (pageNumber - 1) * pageSize : 0)
+        .limit(pageSize + 1),
+      this.count(Model, filter, totalMode)
+    ]);
+
+    const hasNext = found.length > pageSize;
+    const docs = found.slice(0, pageSize);
+    const pagination = {
+      limit: pageSize,
+      hasNext,
+      nextCursor: hasNext ? this.encodeCursor(docs[docs.length - 1], list, listSort) : null,
+      ...counted
+    };
+
+    if (pageNumber) {
+      Object.assign(pagination, {
+        current: pageNumber,
+        pages: counted.total !== undefined ? Math.ceil(counted.total / pageSize) : null,
+        hasPrev: pageNumber > 1
+      });
+    }
+
+    return { docs, pagination };
+  }
+}
+
+module.exports = new PaginationService();
\ No newline at end of file
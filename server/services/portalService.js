@@ -0,0 +1,347 @@
+const crypto = require('crypto');
+const Equipment = require('../models/Equipment');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const PublicReport = require('../models/PublicReport');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const approvalService = require('./approvalService');
+const storageService = require('./storageService');
+const notificationService = require('./notificationService');
+const emailService = require('./emailService');
+
+const OPEN_STATUSES = ['New', 'Assigned', 'In Progress', 'Waiting for Parts', 'On Hold'];
+
+const portalError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const sameId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+
+// Public "report a problem" pages reached by scanning an equipment's QR code.
+// Anyone can report; reports wait in a triage queue until staff accept or discard them
+class PortalService {
+  constructor() {
+    this.settings = {
+      formSecret: process.env.PORTAL_FORM_SECRET || process.env.JWT_SECRET || '',
+      // Forms submitted faster than a person could type are treated as bots
+      minFillMs: (parseInt(process.env.PORTAL_MIN_FILL_SECONDS) || 3) * 1000,
+      formTtlMs: (parseInt(process.env.PORTAL_FORM_TTL_MINUTES) || 60) * 60 * 1000,
+      // Untriaged reports one piece of equipment may collect before new ones are refused
+      maxPendingPerEquipment: parseInt(process.env.PORTAL_MAX_PENDING_PER_EQUIPMENT) || 20
+    };
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  signForm(equipmentId, issuedAt) {
+    return crypto.createHmac('sha256', this.settings.formSecret)
+      .update(`${equipmentId}:${issuedAt}`)
+      .digest('hex');
+  }
+
+  // The form token records when the page was served, for the fill-time check
+  issueFormToken(equipmentId) {
+    const issuedAt = Date.now();
+    return `${issuedAt}.${this.signForm(equipmentId, issuedAt)}`;
+  }
+
+  checkFormToken(token, equipmentId) {
+    const [issuedAt, signature] = (token || '').split('.');
+    const expected = this.signForm(equipmentId, issuedAt);
+    if (!signature || signature.length !== expected.length
+      || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw portalError('Please reload the page and try again', 'PORTAL_FORM_INVALID');
+    }
+
+    const age = Date.now() - parseInt(issuedAt);
+    if (age < this.settings.minFillMs) {
+      throw portalError('Please take a moment to describe the problem', 'PORTAL_TOO_FAST');
+    }
+    if (age > this.settings.formTtlMs) {
+      throw portalError('This form has expired. Please reload the page and try again', 'PORTAL_FORM_EXPIRED');
+    }
+  }
+
+  async findEquipment(qrCode) {
+    const equipment = await Equipment.findOne({ qrCode, isActive: true, status: { $ne: 'Scrapped' } })
+      .select('name assetTag category manufacturer model location status workshop assignedTeam');
+
+    if (!equipment) {
+      throw portalError('Equipment not found', 'PORTAL_EQUIPMENT_NOT_FOUND', 404);
+    }
+    return equipment;
+  }
+
+  // Only what a passer-by needs to confirm they scanned the right machine
+  async getEquipmentInfo(qrCode) {
+    const equipment = await this.findEquipment(qrCode);
+    const openRequests = await MaintenanceRequest.countDocuments({
+      equipment: equipment._id,
+      status: { $in: OPEN_STATUSES }
+    });
+
+    return {
+      equipment: {
+        name: equipment.name,
+        assetTag: equipment.assetTag,
+        category: equipment.category,
+        manufacturer: equipment.manufacturer,
+        model: equipment.model,
+        location: {
+          building: equipment.location?.building,
+          floor: equipment.location?.floor,
+          room: equipment.location?.room,
+          zone: equipment.location?.zone
+        },
+        status: equipment.status,
+        openRequests
+      },
+      formToken: this.issueFormToken(equipment._id)
+    };
+  }
+
+  async submitReport(qrCode, { title, description, name, email, website, formToken }, files = []) {
+    const equipment = await this.findEquipment(qrCode);
+
+    // Honeypot: the field is hidden from people, so only bots fill it in
+    if (website) {
+      throw portalError('Your report could not be submitted', 'PORTAL_REJECTED');
+    }
+    this.checkFormToken(formToken, equipment._id);
+
+    const pending = await PublicReport.countDocuments({ equipment: equipment._id, status: 'pending' });
+    if (pending >= this.settings.maxPendingPerEquipment) {
+      throw portalError('This equipment already has many open reports. Please try again later', 'PORTAL_QUEUE_FULL', 429);
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const report = new PublicReport({
+      equipment: equipment._id,
+      workshop: equipment.workshop,
+      team: equipment.assignedTeam,
+      title,
+      description,
+      reporter: { name, email },
+      trackingTokenHash: this.hashToken(token)
+    });
+
+    report.photos = await storageService.storeFiles('reports', report._id, files);
+    try {
+      await report.save();
+    } catch (error) {
+      await storageService.removeFiles(report.photos);
+      throw error;
+    }
+
+    await this.notifyTriagers(report, equipment);
+    if (email) {
+      emailService.sendReportReceivedEmail({ name, email }, report, equipment, token)
+        .catch(error => console.error(`Failed to email report confirmation to ${email}:`, error.message));
+    }
+
+    return { report, token };
+  }
+
+  // The equipment's team lead plus the workshop's admins
+  async getTriagers(report) {
+    const team = report.team ? await Team.findById(report.team).select('teamLead') : null;
+    const admins = await User.find({
+      role: 'admin',
+      status: 'active',
+      ...(report.workshop ? { workshop: report.workshop } : {})
+    }).select('_id');
+
+    return [team?.teamLead, ...admins.map(admin => admin._id)];
+  }
+
+  async notifyTriagers(report, equipment) {
+    await notificationService.notify(await this.getTriagers(report), {
+      type: 'report',
+      title: `Problem reported on ${equipment.name}`.slice(0, 200),
+      message: report.title
+    });
+  }
+
+  // What the reporter sees on the tracking page
+  async getByToken(token) {
+    const report = await PublicReport.findOne({ trackingTokenHash: this.hashToken(token) })
+      .populate('equipment', 'name assetTag location.building location.floor location.room location.zone')
+      .populate('maintenanceRequest', 'requestNumber status scheduledDate completedAt');
+
+    if (!report) {
+      throw portalError('This tracking link is invalid', 'PORTAL_REPORT_NOT_FOUND', 404);
+    }
+
+    const request = report.maintenanceRequest;
+    return {
+      title: report.title,
+      submittedAt: report.createdAt,
+      // Discarded reports are shown as closed; the reporter is not told they were marked as spam
+      status: report.status === 'spam' ? 'rejected' : report.status,
+      note: report.triage?.note || null,
+      reviewedAt: report.triage?.at || null,
+      equipment: report.equipment
+        ? { name: report.equipment.name, assetTag: report.equipment.assetTag, location: report.equipment.location }
+        : null,
+      request: request
+        ? {
+          requestNumber: request.requestNumber,
+          status: request.status,
+          scheduledDate: request.scheduledDate,
+          completedAt: request.completedAt
+        }
+        : null
+    };
+  }
+
+  // Admins triage everything; team leads triage reports on their team's equipment
+  async getScope(user) {
+    if (user.role === 'admin') return {};
+    const team = user.team ? await Team.findOne({ _id: user.team, teamLead: user._id }).select('_id') : null;
+    return { team: team ? team._id : null };
+  }
+
+  canTriage(report, user, scope) {
+    return user.role === 'admin' || (!!scope.team && sameId(report.team, scope.team));
+  }
+
+  async listQueue(user, { status = 'pending', page = 1, limit = 20 } = {}) {
+    const scope = await this.getScope(user);
+    if (user.role !== 'admin' && !scope.team) {
+      return { reports: [], pagination: { current: page, pages: 0, total: 0 } };
+    }
+    const filter = { status, ...(user.role === 'admin' ? {} : { team: scope.team }) };
+
+    const [reports, total] = await Promise.all([
+      PublicReport.find(filter)
+        .populate('equipment', 'name assetTag location')
+        .populate('maintenanceRequest', 'requestNumber status')
+        .populate('triage.by', 'name')
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PublicReport.countDocuments(filter)
+    ]);
+
+    return {
+      reports,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    };
+  }
+
+  async getReport(id, user) {
+    const report = await PublicReport.findById(id)
+      .populate('equipment', 'name assetTag location assignedTeam')
+      .populate('maintenanceRequest', 'requestNumber status')
+      .populate('triage.by', 'name');
+
+    if (!report) {
+      throw portalError('Report not found', 'PORTAL_REPORT_NOT_FOUND', 404);
+    }
+    if (!this.canTriage(report, user, await this.getScope(user))) {
+      throw portalError('You cannot triage this report', 'ACCESS_DENIED', 403);
+    }
+    return report;
+  }
+
+  // Claim the report first so two people accepting at once create a single request
+  async claim(id, user, status, note) {
+    await this.getReport(id, user);
+
+    const update = { status, 'triage.by': user._id, 'triage.at': new Date() };
+    if (note) update['triage.note'] = note;
+
+    const report = await PublicReport.findOneAndUpdate(
+      { _id: id, status: 'pending' },
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+    if (!report) {
+      throw portalError('This report has already been triaged', 'PORTAL_REPORT_TRIAGED', 409);
+    }
+    return report;
+  }
+
+  // Turn a report into a maintenance request owned by the triager
+  async acceptReport(id, { type = 'Corrective', priority = 'Medium', category, note }, user) {
+    const report = await this.claim(id, user, 'accepted', note);
+
+    let request;
+    try {
+      const equipment = await Equipment.findById(report.equipment);
+      if (!equipment) {
+        throw portalError('Equipment not found', 'EQUIPMENT_NOT_FOUND', 404);
+      }
+
+      const reporter = [report.reporter?.name, report.reporter?.email && `<${report.reporter.email}>`]
+        .filter(Boolean)
+        .join(' ') || 'an anonymous reporter';
+
+      request = new MaintenanceRequest({
+        generationKey: `PORTAL:${report._id}`,
+        title: report.title,
+        description: `${report.description}\n\nReported from the equipment's public page by ${reporter}.`.slice(0, 2000),
+        type,
+        equipment: equipment._id,
+        workshop: equipment.workshop,
+        location: equipment.location,
+        assignedTeam: equipment.assignedTeam,
+        priority,
+        category,
+        createdBy: user._id,
+        status: 'New'
+      });
+
+      const attachments = await storageService.copyFiles(report.photos, 'maintenance', request._id);
+      request.attachments = attachments.map(file => ({ ...file, uploadedBy: user._id }));
+
+      await approvalService.initializeApproval(request, equipment);
+      try {
+        await request.save();
+      } catch (error) {
+        await storageService.removeOwner('maintenance', request._id);
+        throw error;
+      }
+    } catch (error) {
+      // Put the report back in the queue so it can be triaged again
+      await PublicReport.updateOne(
+        { _id: report._id },
+        { $set: { status: 'pending' }, $unset: { triage: '' } }
+      );
+      throw error;
+    }
+
+    report.maintenanceRequest = request._id;
+    await report.save();
+
+    if (request.approval.required) {
+      await approvalService.notifyApprovers(request);
+    }
+
+    return { report, request };
+  }
+
+  // Discard a report; spam reports lose their photos straight away
+  async rejectReport(id, { spam = false, note }, user) {
+    const report = await this.claim(id, user, spam ? 'spam' : 'rejected', note);
+
+    if (spam && report.photos.length > 0) {
+      await storageService.removeOwner('reports', report._id);
+      report.photos = [];
+      await report.save();
+    }
+
+    return report;
+  }
+}
+
+module.exports = new PortalService();
\ No newline at end of file
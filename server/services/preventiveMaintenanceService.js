@@ -0,0 +1,194 @@
+const Equipment = require('../models/Equipment');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const Workshop = require('../models/Workshop');
+const jobPlanService = require('./jobPlanService');
+const { addInterval } = require('../utils/schedule');
+
+const DEFAULT_LEAD_DAYS = parseInt(process.env.PM_LEAD_TIME_DAYS) || 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PreventiveMaintenanceService {
+
+  // Lead time per workshop id ('default' for equipment without a workshop)
+  async getLeadTimes() {
+    const workshops = await Workshop.find({}).select('settings.maintenanceSettings.preventiveLeadDays');
+    const leadTimes = { default: DEFAULT_LEAD_DAYS };
+
+    workshops.forEach(workshop => {
+      const leadDays = workshop.settings?.maintenanceSettings?.preventiveLeadDays;
+      leadTimes[workshop._id.toString()] = typeof leadDays === 'number' ? leadDays : DEFAULT_LEAD_DAYS;
+    });
+
+    return leadTimes;
+  }
+
+  getLeadDays(leadTimes, workshopId) {
+    if (workshopId && leadTimes[workshopId.toString()] !== undefined) {
+      return leadTimes[workshopId.toString()];
+    }
+    return leadTimes.default;
+  }
+
+  // Next occurrence after `date`, skipping cycles that were missed entirely
+  getNextOccurrence(date, interval, now) {
+    let next = addInterval(date, interval);
+    while (next <= now && next > date) {
+      date = next;
+      next = addInterval(date, interval);
+    }
+    return next;
+  }
+
+  // Create a generated request; returns false when the key was already used
+  async createGeneratedRequest(data) {
+    try {
+      await MaintenanceRequest.create(data);
+      return true;
+    } catch (error) {
+      if (error.code === 11000 && error.keyPattern && error.keyPattern.generationKey) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // Equipment with a maintenance interval whose next date falls inside the lead window
+  async generateFromEquipment(leadTimes, now) {
+    const maxLeadDays = Math.max(...Object.values(leadTimes));
+    const horizon = new Date(now.getTime() + maxLeadDays * DAY_MS);
+
+    const equipmentDue = await Equipment.find({
+      isActive: true,
+      status: { $in: ['Active', 'Maintenance'] },
+      'maintenanceInterval.value': { $gte: 1 },
+      nextMaintenanceDate: { $ne: null, $lte: horizon }
+    });
+
+    const summary = { scanned: equipmentDue.length, created: 0, skipped: 0, failed: 0 };
+
+    for (const equipment of equipmentDue) {
+      try {
+        const dueDate = equipment.nextMaintenanceDate;
+        const leadDays = this.getLeadDays(leadTimes, equipment.workshop);
+        if (dueDate.getTime() > now.getTime() + leadDays * DAY_MS) {
+          continue;
+        }
+
+        const { value, unit } = equipment.maintenanceInterval;
+        const created = await this.createGeneratedRequest(await jobPlanService.applyPlanForEquipment({
+          generationKey: `EQ:${equipment._id}:${dueDate.toISOString()}`,
+          title: `Preventive maintenance - ${equipment.name}`,
+          description: `Scheduled preventive maintenance for ${equipment.name} (${equipment.serialNumber}), due every ${value} ${unit}.`,
+          type: 'Preventive',
+          equipment: equipment._id,
+          workshop: equipment.workshop,
+          location: {
+            building: equipment.location?.building,
+            floor: equipment.location?.floor,
+            room: equipment.location?.room
+          },
+          createdBy: equipment.metadata.createdBy,
+          assignedTeam: equipment.assignedTeam,
+          priority: 'Medium',
+          scheduledDate: dueDate,
+          dueDate,
+          status: 'New'
+        }, equipment));
+
+        created ? summary.created++ : summary.skipped++;
+
+        // Advance only if nobody else moved the date in the meantime
+        await Equipment.updateOne(
+          { _id: equipment._id, nextMaintenanceDate: dueDate },
+          { $set: { nextMaintenanceDate: this.getNextOccurrence(dueDate, equipment.maintenanceInterval, now) } }
+        );
+      } catch (error) {
+        summary.failed++;
+        console.error(`Failed to generate preventive maintenance for equipment ${equipment._id}:`, error);
+      }
+    }
+
+    return summary;
+  }
+
+  // Recurring requests whose next occurrence falls inside the lead window
+  async generateFromRecurringRequests(leadTimes, now) {
+    const maxLeadDays = Math.max(...Object.values(leadTimes));
+    const horizon = new Date(now.getTime() + maxLeadDays * DAY_MS);
+
+    const recurringDue = await MaintenanceRequest.find({
+      'recurringMaintenance.isRecurring': true,
+      'recurringMaintenance.frequency.value': { $gte: 1 },
+      'recurringMaintenance.nextScheduled': { $ne: null, $lte: horizon },
+      status: { $nin: ['Cancelled', 'Rejected'] }
+    });
+
+    const summary = { scanned: recurringDue.length, created: 0, skipped: 0, failed: 0 };
+
+    for (const source of recurringDue) {
+      try {
+        const { frequency, nextScheduled } = source.recurringMaintenance;
+        const leadDays = this.getLeadDays(leadTimes, source.workshop);
+        if (nextScheduled.getTime() > now.getTime() + leadDays * DAY_MS) {
+          continue;
+        }
+
+        // Every occurrence links back to the first request of the series
+        const rootId = source.recurringMaintenance.parentRequest || source._id;
+
+        const created = await this.createGeneratedRequest(await jobPlanService.applyPlanById({
+          generationKey: `MR:${rootId}:${nextScheduled.toISOString()}`,
+          title: source.title,
+          description: source.description,
+          type: 'Preventive',
+          equipment: source.equipment,
+          workshop: source.workshop,
+          location: source.location,
+          createdBy: source.createdBy,
+          assignedTeam: source.assignedTeam,
+          priority: source.priority,
+          category: source.category,
+          tags: source.tags,
+          estimatedDuration: source.estimatedDuration,
+          scheduledDate: nextScheduled,
+          dueDate: nextScheduled,
+          status: 'New',
+          recurringMaintenance: {
+            isRecurring: true,
+            parentRequest: rootId,
+            frequency: { value: frequency.value, unit: frequency.unit },
+            nextScheduled: this.getNextOccurrence(nextScheduled, frequency, now)
+          }
+        }, source.jobPlan?.plan));
+
+        created ? summary.created++ : summary.skipped++;
+
+        // The new occurrence now carries the schedule forward
+        await MaintenanceRequest.updateOne(
+          { _id: source._id, 'recurringMaintenance.nextScheduled': nextScheduled },
+          { $set: { 'recurringMaintenance.nextScheduled': null } }
+        );
+      } catch (error) {
+        summary.failed++;
+        console.error(`Failed to generate the next occurrence of request ${source._id}:`, error);
+      }
+    }
+
+    return summary;
+  }
+
+  async generateDueRequests(now = new Date()) {
+    const leadTimes = await this.getLeadTimes();
+
+    const equipment = await this.generateFromEquipment(leadTimes, now);
+    const recurring = await this.generateFromRecurringRequests(leadTimes, now);
+
+    if (equipment.created || recurring.created) {
+      console.log(`🛠️  Generated ${equipment.created + recurring.created} preventive maintenance request(s)`);
+    }
+
+    return { equipment, recurring, ranAt: now };
+  }
+}
+
+module.exports = new PreventiveMaintenanceService();
@@ -0,0 +1,433 @@
+const mongoose = require('mongoose');
+const RootCauseAnalysis = require('../models/RootCauseAnalysis');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const Equipment = require('../models/Equipment');
+const FailureCode = require('../models/FailureCode');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+const failureCodeService = require('./failureCodeService');
+const paginationService = require('./paginationService');
+
+const rcaError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const sameId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+const uniqueIds = (ids = []) => [...new Set(ids.filter(Boolean).map(id => (id._id || id).toString()))];
+
+// Where an RCA can go from each status
+const TRANSITIONS = {
+  Suggested: ['Open', 'Dismissed'],
+  Open: ['In Analysis', 'Dismissed'],
+  'In Analysis': ['Actions In Progress', 'Open', 'Dismissed'],
+  'Actions In Progress': ['Closed', 'In Analysis'],
+  Closed: ['In Analysis'],
+  Dismissed: ['Open']
+};
+// Closed and dismissed RCAs are read-only until they are reopened
+const LOCKED_STATUSES = ['Closed', 'Dismissed'];
+const FINISHED_ACTIONS = ['Done', 'Cancelled'];
+// Requests that no longer count as a failure
+const VOID_REQUEST_STATUSES = ['Cancelled', 'Rejected'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ANALYSIS_FIELDS = ['title', 'problemStatement', 'fiveWhys', 'fishbone', 'rootCause'];
+
+class RcaService {
+  constructor() {
+    this.statuses = RootCauseAnalysis.schema.path('status').enumValues;
+    this.fishboneCategories = RootCauseAnalysis.schema.path('fishbone').schema.path('category').enumValues;
+    this.actionStatuses = RootCauseAnalysis.schema.path('correctiveActions').schema.path('status').enumValues;
+    // Request types counted as failures of the equipment (low-rating reviews are left out)
+    this.countedTypes = ['Corrective', 'Emergency'];
+    // An RCA is suggested once an asset has this many corrective requests within the window;
+    // 0 turns suggestions off
+    const threshold = parseInt(process.env.RCA_SUGGEST_THRESHOLD);
+    this.suggestThreshold = Number.isNaN(threshold) ? 3 : threshold;
+    this.suggestWindowDays = parseInt(process.env.RCA_SUGGEST_WINDOW_DAYS) || 90;
+  }
+
+  // Technicians see the RCAs of their own workshop
+  scopeFilter(user) {
+    if (user.role !== 'admin' && user.workshop) return { workshop: user.workshop };
+    return {};
+  }
+
+  // The owner and whoever opened the RCA work on it; admins can change any RCA, and an
+  // unclaimed suggestion is open to anyone who can see it
+  canEdit(rca, user) {
+    if (rca.status === 'Suggested' && !rca.owner) return true;
+    return user.role === 'admin' || sameId(rca.owner, user._id) || sameId(rca.createdBy, user._id);
+  }
+
+  assertEditable(rca, user) {
+    if (!this.canEdit(rca, user)) {
+      throw rcaError('Only the RCA owner, its creator or an admin can change it', 'RCA_ACCESS_DENIED', 403);
+    }
+    if (LOCKED_STATUSES.includes(rca.status)) {
+      throw rcaError(`This RCA is ${rca.status.toLowerCase()}; reopen it to make changes`, 'RCA_LOCKED', 409);
+    }
+  }
+
+  nextStatuses(rca) {
+    return TRANSITIONS[rca.status] || [];
+  }
+
+  isOverdue(action, now = new Date()) {
+    return !FINISHED_ACTIONS.includes(action.status) && !!action.dueDate && new Date(action.dueDate) < now;
+  }
+
+  async getRca(id, user) {
+    const rca = mongoose.isValidObjectId(id)
+      ? await RootCauseAnalysis.findOne({ _id: id, ...this.scopeFilter(user) })
+      : null;
+    if (!rca) throw rcaError('Root cause analysis not found', 'RCA_NOT_FOUND', 404);
+    return rca;
+  }
+
+  populate(query) {
+    return query
+      .populate('equipment', 'name assetTag serialNumber category')
+      .populate('maintenanceRequests', 'requestNumber title type status createdAt completedAt')
+      .populate('failureCode', 'code name level')
+      .populate('owner', 'name email')
+      .populate('correctiveActions.owner', 'name email')
+      .populate('createdBy', 'name email')
+      .populate('closedBy', 'name email');
+  }
+
+  findPopulated(id) {
+    return this.populate(RootCauseAnalysis.findById(id));
+  }
+
+  // Requests bring their equipment along; records in the trash cannot be newly linked
+  async resolveLinks({ equipment = [], maintenanceRequests = [] }) {
+    const requestIds = uniqueIds(maintenanceRequests);
+    const requests = await MaintenanceRequest.find({ _id: { $in: requestIds } }).select('equipment workshop');
+    if (requests.length !== requestIds.length) {
+      throw rcaError('One or more maintenance requests were not found', 'RCA_REQUEST_NOT_FOUND');
+    }
+
+    const equipmentIds = uniqueIds([...equipment, ...requests.map(request => request.equipment)]);
+    if (equipmentIds.length === 0) {
+      throw rcaError('Link the RCA to at least one piece of equipment or maintenance request', 'RCA_EQUIPMENT_REQUIRED');
+    }
+    const found = await Equipment.find({ _id: { $in: equipmentIds }, deletedAt: null }).select('workshop');
+    if (found.length !== equipmentIds.length) {
+      throw rcaError('One or more equipment items were not found', 'RCA_EQUIPMENT_NOT_FOUND');
+    }
+
+    const first = found.find(item => sameId(item._id, equipmentIds[0]));
+    return {
+      equipment: equipmentIds,
+      maintenanceRequests: requestIds,
+      workshop: first.workshop || null
+    };
+  }
+
+  async checkOwner(ownerId) {
+    const owner = mongoose.isValidObjectId(ownerId)
+      ? await User.findOne({ _id: ownerId, status: 'active', role: { $in: ['admin', 'technician'] } }).select('_id')
+      : null;
+    if (!owner) throw rcaError('Owners must be active technicians or admins', 'RCA_OWNER_INVALID');
+    return owner._id;
+  }
+
+  // Who can own an RCA or a corrective action, for the pickers; technicians see their workshop
+  async owners(user) {
+    return User.find({
+      status: 'active',
+      role: { $in: ['admin', 'technician'] },
+      ...(user.role !== 'admin' && user.workshop ? { workshop: user.workshop } : {})
+    }).select('name email role').sort({ name: 1 });
+  }
+
+  async checkFailureCode(codeId) {
+    if (!codeId) return null;
+    const exists = mongoose.isValidObjectId(codeId) && await FailureCode.exists({ _id: codeId });
+    if (!exists) throw rcaError('Failure code not found', 'FAILURE_CODE_NOT_FOUND');
+    return codeId;
+  }
+
+  // Analysis fields, links, owner and failure code present in `fields`
+  async applyFields(rca, fields) {
+    ANALYSIS_FIELDS.forEach(field => {
+      if (fields[field] !== undefined) rca[field] = fields[field];
+    });
+    if (fields.equipment !== undefined || fields.maintenanceRequests !== undefined) {
+      Object.assign(rca, await this.resolveLinks({
+        equipment: fields.equipment !== undefined ? fields.equipment : rca.equipment,
+        maintenanceRequests: fields.maintenanceRequests !== undefined ? fields.maintenanceRequests : rca.maintenanceRequests
+      }));
+    }
+    if (fields.owner !== undefined) rca.owner = fields.owner ? await this.checkOwner(fields.owner) : null;
+    if (fields.failureCode !== undefined) rca.failureCode = await this.checkFailureCode(fields.failureCode);
+  }
+
+  async create(fields, user) {
+    const rca = new RootCauseAnalysis({
+      status: 'Open',
+      owner: user._id,
+      createdBy: user._id,
+      lastModifiedBy: user._id
+    });
+    await this.applyFields(rca, { equipment: [], maintenanceRequests: [], ...fields });
+    await rca.save();
+    return rca;
+  }
+
+  async update(rca, fields, user) {
+    this.assertEditable(rca, user);
+    await this.applyFields(rca, fields);
+    rca.lastModifiedBy = user._id;
+    await rca.save();
+    return rca;
+  }
+
+  async changeStatus(rca, status, user, { reason } = {}) {
+    if (!this.canEdit(rca, user)) {
+      throw rcaError('Only the RCA owner, its creator or an admin can change its status', 'RCA_ACCESS_DENIED', 403);
+    }
+    if (!(TRANSITIONS[rca.status] || []).includes(status)) {
+      throw rcaError(`An RCA cannot move from ${rca.status} to ${status}`, 'RCA_TRANSITION_INVALID');
+    }
+
+    const actions = rca.correctiveActions.filter(action => action.status !== 'Cancelled');
+    if (status === 'Actions In Progress' && (!rca.rootCause || actions.length === 0)) {
+      throw rcaError('Record the root cause and at least one corrective action first', 'RCA_ANALYSIS_INCOMPLETE');
+    }
+    if (status === 'Closed') {
+      const open = actions.filter(action => action.status !== 'Done');
+      if (open.length > 0 || actions.length === 0) {
+        throw rcaError(`All corrective actions must be done before closing (${open.length} still open)`, 'RCA_ACTIONS_OPEN', 409);
+      }
+    }
+    if (status === 'Dismissed' && !(reason && reason.trim())) {
+      throw rcaError('A reason is required to dismiss an RCA', 'RCA_REASON_REQUIRED');
+    }
+
+    // Picking up a suggested RCA makes you its owner
+    if (rca.status === 'Suggested' && !rca.owner) rca.owner = user._id;
+    rca.status = status;
+    rca.statusReason = reason ? reason.trim() : undefined;
+    if (LOCKED_STATUSES.includes(status)) {
+      rca.closedAt = new Date();
+      rca.closedBy = user._id;
+    }
+    rca.lastModifiedBy = user._id;
+    await rca.save();
+    return rca;
+  }
+
+  async addAction(rca, { title, description, owner, dueDate }, user) {
+    this.assertEditable(rca, user);
+
+    const action = rca.correctiveActions.create({
+      title,
+      description,
+      owner: await this.checkOwner(owner),
+      dueDate
+    });
+    rca.correctiveActions.push(action);
+    rca.lastModifiedBy = user._id;
+    await rca.save();
+
+    await this.notifyActionOwner(rca, action, user);
+    return action;
+  }
+
+  // Action owners may report progress on their own action; everything else is up to the RCA's editors
+  async updateAction(rca, actionId, fields, user) {
+    const action = rca.correctiveActions.id(actionId);
+    if (!action) throw rcaError('Corrective action not found', 'RCA_ACTION_NOT_FOUND', 404);
+
+    const ownAction = sameId(action.owner, user._id);
+    if (!this.canEdit(rca, user)) {
+      const onlyProgress = Object.keys(fields).every(field => ['status', 'note'].includes(field) || fields[field] === undefined);
+      if (!ownAction || !onlyProgress) {
+        throw rcaError('You can only report progress on your own corrective actions', 'RCA_ACCESS_DENIED', 403);
+      }
+    }
+    if (LOCKED_STATUSES.includes(rca.status)) {
+      throw rcaError(`This RCA is ${rca.status.toLowerCase()}; reopen it to make changes`, 'RCA_LOCKED', 409);
+    }
+
+    const previousOwner = action.owner;
+    ['title', 'description', 'dueDate', 'note'].forEach(field => {
+      if (fields[field] !== undefined) action[field] = fields[field];
+    });
+    if (fields.owner !== undefined) action.owner = await this.checkOwner(fields.owner);
+    if (fields.status !== undefined && fields.status !== action.status) {
+      action.status = fields.status;
+      action.completedAt = fields.status === 'Done' ? new Date() : undefined;
+      action.completedBy = fields.status === 'Done' ? user._id : undefined;
+    }
+    rca.lastModifiedBy = user._id;
+    await rca.save();
+
+    if (!sameId(previousOwner, action.owner)) await this.notifyActionOwner(rca, action, user);
+    return action;
+  }
+
+  async removeAction(rca, actionId, user) {
+    this.assertEditable(rca, user);
+    const action = rca.correctiveActions.id(actionId);
+    if (!action) throw rcaError('Corrective action not found', 'RCA_ACTION_NOT_FOUND', 404);
+
+    action.deleteOne();
+    rca.lastModifiedBy = user._id;
+    await rca.save();
+  }
+
+  async notifyActionOwner(rca, action, user) {
+    if (sameId(action.owner, user._id)) return;
+    await notificationService.notify([action.owner], {
+      type: 'rca',
+      title: `Corrective action on ${rca.rcaNumber}`,
+      message: `${action.title} · due ${new Date(action.dueDate).toLocaleDateString()}`.slice(0, 500),
+      actor: user._id
+    }).catch(error => console.error('Failed to notify action owner:', error));
+  }
+
+  async list(query, user) {
+    const filter = this.scopeFilter(user);
+    if (query.status) filter.status = query.status;
+    if (query.equipment) filter.equipment = query.equipment;
+    if (query.maintenanceRequest) filter.maintenanceRequests = query.maintenanceRequest;
+    if (query.owner) filter.owner = query.owner === 'me' ? user._id : query.owner;
+    if (query.workshop && user.role === 'admin') filter.workshop = query.workshop;
+
+    const { docs, pagination } = await paginationService.paginate(
+      RootCauseAnalysis,
+      filter,
+      { ...query, list: 'rcas' },
+      found => found
+        .select('-fiveWhys -fishbone')
+        .populate('equipment', 'name assetTag')
+        .populate('owner', 'name email')
+        .populate('failureCode', 'code name')
+    );
+
+    const now = new Date();
+    const rcas = docs.map(doc => {
+      const actions = doc.correctiveActions || [];
+      const { correctiveActions, ...rest } = doc.toObject();
+      return {
+        ...rest,
+        actions: {
+          total: actions.length,
+          open: actions.filter(action => !FINISHED_ACTIONS.includes(action.status)).length,
+          overdue: actions.filter(action => this.isOverdue(action, now)).length
+        }
+      };
+    });
+    return { rcas, pagination };
+  }
+
+  // Open corrective actions assigned to the user across all RCAs, soonest due first
+  async actionsFor(user) {
+    const rcas = await RootCauseAnalysis.find({
+      correctiveActions: { $elemMatch: { owner: user._id, status: { $nin: FINISHED_ACTIONS } } }
+    }).select('rcaNumber title status correctiveActions');
+
+    const now = new Date();
+    return rcas
+      .flatMap(rca => rca.correctiveActions
+        .filter(action => sameId(action.owner, user._id) && !FINISHED_ACTIONS.includes(action.status))
+        .map(action => ({
+          ...action.toObject(),
+          overdue: this.isOverdue(action, now),
+          rca: { _id: rca._id, rcaNumber: rca.rcaNumber, title: rca.title, status: rca.status }
+        })))
+      .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+  }
+
+  // Called after a maintenance request is created
+  async checkRequest(request) {
+    if (!this.countedTypes.includes(request.type) || failureCodeService.isFeedbackReview(request)) return null;
+    return this.suggestForEquipment(request.equipment);
+  }
+
+  // Once the asset has reached the threshold of corrective requests within the rolling window,
+  // an RCA is suggested, unless one is already under way. Requests
+  // from before the last RCA on the asset was closed or dismissed are not counted again
+  async suggestForEquipment(equipmentId) {
+    if (!this.suggestThreshold || !equipmentId) return null;
+
+    const equipment = await Equipment.findById(equipmentId).select('name assetTag workshop assignedTeam');
+    if (!equipment) return null;
+
+    const latest = await RootCauseAnalysis.findOne({ equipment: equipment._id })
+      .sort({ createdAt: -1 })
+      .select('status closedAt');
+    if (latest && !LOCKED_STATUSES.includes(latest.status)) return null;
+
+    const windowStart = new Date(Date.now() - this.suggestWindowDays * DAY_MS);
+    const since = latest && latest.closedAt > windowStart ? latest.closedAt : windowStart;
+    const requests = await MaintenanceRequest.find({
+      equipment: equipment._id,
+      type: { $in: this.countedTypes },
+      ...failureCodeService.excludeFeedbackReviews(),
+      status: { $nin: VOID_REQUEST_STATUSES },
+      createdAt: { $gt: since }
+    }).select('failure.problem').sort({ createdAt: 1 });
+    if (requests.length < this.suggestThreshold) return null;
+
+    // The most frequent problem code among them, if any were coded
+    const problems = {};
+    requests.forEach(request => {
+      const problem = request.failure && request.failure.problem;
+      if (problem) problems[problem] = (problems[problem] || 0) + 1;
+    });
+    const [topProblem] = Object.entries(problems).sort((a, b) => b[1] - a[1])[0] || [];
+
+    let rca;
+    try {
+      rca = await RootCauseAnalysis.create({
+        title: `Repeat failures on ${equipment.name}`.slice(0, 200),
+        problemStatement: `${requests.length} corrective requests in the last ${this.suggestWindowDays} days.`,
+        status: 'Suggested',
+        equipment: [equipment._id],
+        maintenanceRequests: requests.map(request => request._id),
+        workshop: equipment.workshop || null,
+        failureCode: topProblem || null,
+        suggestion: {
+          correctiveCount: requests.length,
+          windowDays: this.suggestWindowDays,
+          threshold: this.suggestThreshold,
+          key: `${equipment._id}:${latest && latest.closedAt ? latest.closedAt.toISOString() : 'first'}`
+        }
+      });
+    } catch (error) {
+      // Another request saved at the same moment already suggested it
+      if (error.code === 11000 && error.keyPattern && error.keyPattern['suggestion.key']) return null;
+      throw error;
+    }
+
+    await this.notifySuggestion(rca, equipment)
+      .catch(error => console.error('Failed to notify about suggested RCA:', error));
+    return rca;
+  }
+
+  // The equipment's team lead plus the workshop's admins
+  async notifySuggestion(rca, equipment) {
+    const team = equipment.assignedTeam ? await Team.findById(equipment.assignedTeam).select('teamLead') : null;
+    const admins = await User.find({
+      role: 'admin',
+      status: 'active',
+      ...(equipment.workshop ? { workshop: equipment.workshop } : {})
+    }).select('_id');
+
+    await notificationService.notify([team?.teamLead, ...admins.map(admin => admin._id)], {
+      type: 'rca',
+      title: `Root cause analysis suggested for ${equipment.name}`.slice(0, 200),
+      message: `${rca.rcaNumber}: ${rca.suggestion.correctiveCount} corrective requests in ${rca.suggestion.windowDays} days`
+    });
+  }
+}
+
+module.exports = new RcaService();
\ No newline at end of file
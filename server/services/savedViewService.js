@@ -0,0 +1,234 @@
+const mongoose = require('mongoose');
+const SavedView = require('../models/SavedView');
+const User = require('../models/User');
+const paginationService = require('./paginationService');
+
+const viewError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const sameId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+
+const oneOf = (values) => (value) => values.includes(value);
+const isId = (value) => mongoose.isValidObjectId(value);
+const isText = (value) => typeof value === 'string' && value.trim().length > 0 && value.length <= 100;
+
+// What a view may store for each list: the list endpoint's query parameters and the
+// optional columns the page can hide. Sorts are whatever the list accepts (paginationService)
+const ENTITIES = {
+  maintenance: {
+    filters: {
+      status: oneOf(['New', 'Assigned', 'In Progress', 'Waiting for Parts', 'On Hold', 'Completed', 'Cancelled', 'Rejected']),
+      type: oneOf(['Corrective', 'Preventive', 'Predictive', 'Emergency']),
+      priority: oneOf(['Low', 'Medium', 'High', 'Critical', 'Emergency']),
+      assignedTechnician: isId,
+      assignedTeam: isId,
+      equipment: isId,
+      workshop: isId,
+      search: isText,
+      watching: oneOf(['true'])
+    },
+    columns: ['equipment', 'assignee', 'requester', 'dueDate']
+  },
+  equipment: {
+    filters: {
+      category: isText,
+      status: oneOf(['Active', 'Maintenance', 'Out of Service', 'Scrapped']),
+      team: isId,
+      search: isText
+    },
+    columns: ['department', 'assignee', 'status', 'team']
+  }
+};
+
+const DEFAULT_SORT = '-createdAt';
+
+class SavedViewService {
+  constructor() {
+    this.entities = Object.keys(ENTITIES);
+  }
+
+  // Check a view's settings against the entity's whitelist, dropping empty filters
+  sanitize(entity, { filters = {}, sort, columns } = {}) {
+    const definition = ENTITIES[entity];
+    const errors = [];
+
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+      throw viewError('Filters must be an object', 'INVALID_VIEW');
+    }
+
+    const cleanFilters = {};
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value === undefined || value === null || value === '') return;
+      const check = definition.filters[key];
+      if (!check) {
+        errors.push(`Unknown filter ${key}`);
+      } else if (!check(String(value))) {
+        errors.push(`Invalid value for ${key}`);
+      } else {
+        cleanFilters[key] = String(value);
+      }
+    });
+
+    if (sort !== undefined && (typeof sort !== 'string' || !paginationService.isValidSort(entity, sort))) {
+      errors.push(`Cannot sort by ${sort}`);
+    }
+
+    if (columns !== undefined) {
+      if (!Array.isArray(columns)) {
+        errors.push('Columns must be a list');
+      } else {
+        columns.filter(column => !definition.columns.includes(column))
+          .forEach(column => errors.push(`Unknown column ${column}`));
+      }
+    }
+
+    if (errors.length > 0) {
+      throw viewError(errors.join('; '), 'INVALID_VIEW');
+    }
+
+    return {
+      filters: cleanFilters,
+      sort: sort || DEFAULT_SORT,
+      columns: columns ? [...new Set(columns)] : definition.columns
+    };
+  }
+
+  // Shared views are pinned to the owner's team or workshop when they are saved
+  resolveSharing(visibility, user) {
+    if (visibility === 'team') {
+      if (!user.team) throw viewError('You are not in a team to share this view with', 'VIEW_SHARE_INVALID');
+      return { visibility, team: user.team._id || user.team, workshop: null };
+    }
+    if (visibility === 'workshop') {
+      if (!user.workshop) throw viewError('You are not in a workshop to share this view with', 'VIEW_SHARE_INVALID');
+      return { visibility, team: null, workshop: user.workshop._id || user.workshop };
+    }
+    return { visibility: 'private', team: null, workshop: null };
+  }
+
+  visibleFilter(user) {
+    const or = [{ owner: user._id }];
+    if (user.team) or.push({ visibility: 'team', team: user.team._id || user.team });
+    if (user.workshop) or.push({ visibility: 'workshop', workshop: user.workshop._id || user.workshop });
+    return { $or: or };
+  }
+
+  canSee(view, user) {
+    return sameId(view.owner, user._id)
+      || (view.visibility === 'team' && sameId(view.team, user.team))
+      || (view.visibility === 'workshop' && sameId(view.workshop, user.workshop));
+  }
+
+  canEdit(view, user) {
+    return sameId(view.owner, user._id) || user.role === 'admin';
+  }
+
+  async listViews(entity, user) {
+    const [views, owner] = await Promise.all([
+      SavedView.find({ entity, ...this.visibleFilter(user) })
+        .populate('owner', 'name')
+        .sort({ name: 1 }),
+      User.findById(user._id).select('preferences.defaultViews')
+    ]);
+
+    const defaultView = owner?.preferences?.defaultViews?.[entity] || null;
+    return {
+      views,
+      // A pinned view that was deleted or unshared since is ignored
+      defaultView: defaultView && views.some(view => sameId(view._id, defaultView)) ? defaultView : null
+    };
+  }
+
+  async getView(id, user, entity) {
+    const view = mongoose.isValidObjectId(id) ? await SavedView.findById(id) : null;
+    if (!view || (entity && view.entity !== entity)) {
+      throw viewError('Saved view not found', 'VIEW_NOT_FOUND', 404);
+    }
+    if (!this.canSee(view, user)) {
+      throw viewError('You do not have access to this view', 'VIEW_ACCESS_DENIED', 403);
+    }
+    return view;
+  }
+
+  async createView({ name, entity, filters, sort, columns, visibility }, user) {
+    return SavedView.create({
+      name,
+      entity,
+      ...this.sanitize(entity, { filters, sort, columns }),
+      ...this.resolveSharing(visibility, user),
+      owner: user._id
+    });
+  }
+
+  async updateView(id, { name, filters, sort, columns, visibility }, user) {
+    const view = await this.getView(id, user);
+    if (!this.canEdit(view, user)) {
+      throw viewError('Only the owner can change this view', 'VIEW_ACCESS_DENIED', 403);
+    }
+
+    if (name !== undefined) view.name = name;
+    if (filters !== undefined || sort !== undefined || columns !== undefined) {
+      const settings = this.sanitize(view.entity, {
+        filters: filters !== undefined ? filters : view.filters,
+        sort: sort !== undefined ? sort : view.sort,
+        columns: columns !== undefined ? columns : view.columns
+      });
+      Object.assign(view, settings);
+      view.markModified('filters');
+    }
+    // Sharing follows the owner's team and workshop, not the editor's
+    if (visibility !== undefined) {
+      const owner = sameId(view.owner, user._id) ? user : await User.findById(view.owner).select('team workshop');
+      Object.assign(view, this.resolveSharing(visibility, owner));
+    }
+
+    await view.save();
+    return view;
+  }
+
+  async deleteView(id, user) {
+    const view = await this.getView(id, user);
+    if (!this.canEdit(view, user)) {
+      throw viewError('Only the owner can delete this view', 'VIEW_ACCESS_DENIED', 403);
+    }
+
+    await view.deleteOne();
+    await User.updateMany(
+      { [`preferences.defaultViews.${view.entity}`]: view._id },
+      { $set: { [`preferences.defaultViews.${view.entity}`]: null } }
+    );
+    return view;
+  }
+
+  // Pin a view the user can see as the list's default, or clear it with null
+  async setDefaultView(entity, viewId, user) {
+    if (viewId) await this.getView(viewId, user, entity);
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { [`preferences.defaultViews.${entity}`]: viewId || null } }
+    );
+    return viewId || null;
+  }
+
+  // Echoed by list endpoints so API clients and exports know which columns the view shows
+  describe(view) {
+    if (!view) return undefined;
+    return { _id: view._id, name: view.name, sort: view.sort, columns: view.columns };
+  }
+
+  // Query for a list endpoint: the view's filters and sort, with explicit parameters taking precedence
+  applyToQuery(view, query) {
+    const merged = { ...view.filters, sort: view.sort };
+    Object.entries(query).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') merged[key] = value;
+    });
+    return merged;
+  }
+}
+
+module.exports = new SavedViewService();
\ No newline at end of file
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const os = require('os');
+const ScheduledJob = require('../models/ScheduledJob');
+
+class SchedulerService {
+  constructor() {
+    this.jobs = new Map();
+    this.timers = [];
+    this.started = false;
+    this.instanceId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  // Register a background job; handler is an async function returning a JSON-able summary
+  register(name, { interval, lockTtl, handler }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job already registered: ${name}`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      interval,
+      lockTtl: lockTtl || interval,
+      handler,
+      running: false
+    });
+  }
+
+  // Run a job once if no other runner holds its lock
+  async run(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    if (job.running) {
+      return { skipped: true, reason: 'already running' };
+    }
+
+    job.running = true;
+    try {
+      const lock = await ScheduledJob.acquireLock(name, this.instanceId, job.lockTtl);
+      if (!lock) {
+        return { skipped: true, reason: 'locked by another instance' };
+      }
+
+      try {
+        const result = await job.handler();
+        await ScheduledJob.releaseLock(name, this.instanceId, { result });
+        return result;
+      } catch (error) {
+        console.error(`❌ Job ${name} failed:`, error.message);
+        await ScheduledJob.releaseLock(name, this.instanceId, { error });
+        throw error;
+      }
+    } finally {
+      job.running = false;
+    }
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    this.jobs.forEach(job => {
+      const tick = () => this.run(job.name).catch(() => {});
+      const timer = setInterval(tick, job.interval);
+      // Do not keep the process alive just for background jobs
+      timer.unref();
+      this.timers.push(timer);
+      tick();
+    });
+
+    console.log(`⏱️  Scheduler started with ${this.jobs.size} job(s)`);
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+    this.started = false;
+  }
+
+  async getStatus() {
+    const jobs = await ScheduledJob.find({ name: { $in: Array.from(this.jobs.keys()) } }).lean();
+    return Array.from(this.jobs.values()).map(job => {
+      const state = jobs.find(doc => doc.name === job.name) || {};
+      return {
+        name: job.name,
+        interval: job.interval,
+        running: job.running,
+        lockedUntil: state.lockedUntil || null,
+        lastRunAt: state.lastRunAt || null,
+        lastFinishedAt: state.lastFinishedAt || null,
+        lastResult: state.lastResult || null,
+        lastError: state.lastError || null,
+        runCount: state.runCount || 0
+      };
+    });
+  }
+}
+
+module.exports = new SchedulerService();
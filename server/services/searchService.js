@@ -0,0 +1,321 @@
+const mongoose = require('mongoose');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const Equipment = require('../models/Equipment');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const commentService = require('./commentService');
+
+const toId = (value) => new mongoose.Types.ObjectId((value._id || value).toString());
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Close enough to the text index's English stemmer for highlighting: "pumps" and "pumping" both mark "pump"
+const stem = (word) => {
+  const lower = word.toLowerCase();
+  const stripped = lower.replace(/(ing|ed|es|s)$/, '');
+  return stripped.length >= 3 ? stripped : lower;
+};
+
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 40;
+const MAX_HIGHLIGHTS = 3;
+
+// Who can search what: requests and their notes are open to everyone (scoped below),
+// equipment follows canViewEquipment and the user directory is admin only
+const TYPES = {
+  requests: { roles: ['admin', 'technician', 'employee'] },
+  notes: { roles: ['admin', 'technician', 'employee'] },
+  equipment: { roles: ['admin', 'technician'] },
+  users: { roles: ['admin'] }
+};
+
+// Rewrite a filter on a request so it applies to a $lookup'ed copy at `prefix`
+const prefixFilter = (filter, prefix) => Object.fromEntries(Object.entries(filter).map(([key, value]) => (
+  key === '$or' || key === '$and'
+    ? [key, value.map(clause => prefixFilter(clause, prefix))]
+    : [`${prefix}.${key}`, value]
+)));
+
+class SearchService {
+  constructor() {
+    this.types = Object.keys(TYPES);
+  }
+
+  allowedTypes(user, requested) {
+    return (requested && requested.length > 0 ? requested : this.types)
+      .filter(type => TYPES[type] && TYPES[type].roles.includes(user.role));
+  }
+
+  // Same visibility as the request list: non-admins stay in their workshop and
+  // requesters only find requests they raised or follow
+  async requestScope(user, workshop) {
+    const filter = {};
+    const workshopId = user.role !== 'admin' ? user.workshop : workshop;
+    if (workshopId) {
+      filter.equipment = { $in: await Equipment.find({ workshop: toId(workshopId) }).distinct('_id') };
+    }
+    if (user.role === 'employee') {
+      filter.$or = [{ createdBy: toId(user) }, { watchers: toId(user) }];
+    }
+    return filter;
+  }
+
+  equipmentScope(user, workshop) {
+    const filter = { isActive: true };
+    const workshopId = user.role !== 'admin' ? user.workshop : workshop;
+    if (workshopId) filter.workshop = toId(workshopId);
+    if (user.role === 'technician' && user.team) filter.assignedTeam = toId(user.team);
+    return filter;
+  }
+
+  userScope(user, workshop) {
+    const filter = { status: { $in: ['active', 'inactive', 'suspended'] } };
+    if (workshop) filter.workshop = toId(workshop);
+    return filter;
+  }
+
+  // Words and "quoted phrases" from the query as one pattern; negated terms (-word) are not highlighted
+  highlightPattern(q) {
+    const phrases = [...q.matchAll(/"([^"]+)"/g)].map(match => match[1].trim()).filter(Boolean);
+    const words = q.replace(/"[^"]*"/g, ' ')
+      .split(/\s+/)
+      .filter(word => word && !word.startsWith('-'))
+      .flatMap(word => word.split(/[^\p{L}\p{N}]+/u))
+      .filter(word => word.length >= 2)
+      .map(stem);
+
+    const alternatives = [...new Set([...phrases, ...words])]
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegex);
+    if (alternatives.length === 0) return null;
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+  }
+
+  // A window of text around the first match, with [start, end) ranges of every match inside it
+  snippet(text, pattern) {
+    if (!text) return null;
+    const value = String(text);
+    const matches = [...value.matchAll(pattern)];
+    if (matches.length === 0) return null;
+
+    let start = 0;
+    let end = value.length;
+    if (value.length > SNIPPET_LENGTH) {
+      start = Math.max(0, matches[0].index - SNIPPET_LEAD);
+      end = Math.min(value.length, start + SNIPPET_LENGTH);
+    }
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < value.length ? '…' : '';
+
+    const ranges = matches
+      .filter(match => match.index >= start && match.index < end)
+      .map(match => [
+        match.index - start + prefix.length,
+        Math.min(match.index + match[0].length, end) - start + prefix.length
+      ]);
+
+    return { text: `${prefix}${value.slice(start, end)}${suffix}`, ranges };
+  }
+
+  // Up to MAX_HIGHLIGHTS snippets from the fields that matched, in the order given
+  highlights(fields, pattern) {
+    const result = [];
+    if (!pattern) return result;
+
+    for (const [field, values] of fields) {
+      for (const value of [].concat(values || [])) {
+        const snippet = this.snippet(value, pattern);
+        if (snippet) {
+          result.push({ field, ...snippet });
+          break;
+        }
+      }
+      if (result.length >= MAX_HIGHLIGHTS) break;
+    }
+    return result;
+  }
+
+  // Ranked hits plus the total for one collection, in a single round trip
+  async runText(Model, q, filter, limit, project, afterText = []) {
+    const [result] = await Model.aggregate([
+      { $match: { $text: { $search: q }, ...filter } },
+      { $addFields: { score: { $meta: 'textScore' } } },
+      ...afterText,
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          hits: [{ $sort: { score: -1 } }, { $limit: limit }, { $project: { score: 1, ...project } }]
+        }
+      }
+    ]);
+
+    return {
+      total: result.total[0] ? result.total[0].count : 0,
+      hits: result.hits
+    };
+  }
+
+  // A query that is exactly a request number, asset tag, serial or email goes first
+  async promoteExact(Model, q, fields, filter, project, found) {
+    if (/\s/.test(q)) return found;
+
+    const exact = await Model.findOne({
+      $and: [filter, { $or: fields.map(field => ({ [field]: { $in: [q, q.toUpperCase(), q.toLowerCase()] } })) }]
+    }).select(Object.keys(project).join(' ')).lean();
+    if (!exact) return found;
+
+    const rest = found.hits.filter(hit => hit._id.toString() !== exact._id.toString());
+    return { total: Math.max(found.total, rest.length + 1), hits: [{ ...exact, score: null, exact: true }, ...rest] };
+  }
+
+  async searchRequests(q, user, { workshop, limit }, pattern) {
+    const project = {
+      requestNumber: 1, title: 1, description: 1, status: 1, priority: 1, type: 1, equipment: 1, tags: 1,
+      'workNotes.note': 1, 'partsUsed.name': 1, 'partsUsed.partNumber': 1
+    };
+    const filter = await this.requestScope(user, workshop);
+    let found = await this.runText(MaintenanceRequest, q, filter, limit, project);
+    found = await this.promoteExact(MaintenanceRequest, q, ['requestNumber'], filter, project, found);
+    found.hits = found.hits.slice(0, limit);
+    await MaintenanceRequest.populate(found.hits, { path: 'equipment', select: 'name assetTag' });
+
+    return {
+      total: found.total,
+      hits: found.hits.map(hit => ({
+        _id: hit._id,
+        requestNumber: hit.requestNumber,
+        title: hit.title,
+        status: hit.status,
+        priority: hit.priority,
+        type: hit.type,
+        equipment: hit.equipment,
+        score: hit.score,
+        exact: hit.exact,
+        highlights: this.highlights([
+          ['requestNumber', hit.requestNumber],
+          ['title', hit.title],
+          ['description', hit.description],
+          ['partsUsed', (hit.partsUsed || []).map(part => [part.name, part.partNumber].filter(Boolean).join(' '))],
+          ['tags', (hit.tags || []).join(', ')],
+          ['workNotes', (hit.workNotes || []).map(note => note.note)]
+        ], pattern)
+      }))
+    };
+  }
+
+  async searchEquipment(q, user, { workshop, limit }, pattern) {
+    const project = {
+      name: 1, assetTag: 1, serialNumber: 1, manufacturer: 1, model: 1, status: 1, tags: 1, description: 1
+    };
+    const filter = this.equipmentScope(user, workshop);
+    let found = await this.runText(Equipment, q, filter, limit, project);
+    found = await this.promoteExact(Equipment, q, ['assetTag', 'serialNumber'], filter, project, found);
+
+    return {
+      total: found.total,
+      hits: found.hits.slice(0, limit).map(hit => ({
+        _id: hit._id,
+        name: hit.name,
+        assetTag: hit.assetTag,
+        serialNumber: hit.serialNumber,
+        status: hit.status,
+        score: hit.score,
+        exact: hit.exact,
+        highlights: this.highlights([
+          ['name', hit.name],
+          ['assetTag', hit.assetTag],
+          ['serialNumber', hit.serialNumber],
+          ['model', [hit.manufacturer, hit.model].filter(Boolean).join(' ')],
+          ['tags', (hit.tags || []).join(', ')],
+          ['description', hit.description]
+        ], pattern)
+      }))
+    };
+  }
+
+  // Comments are scoped through the request they belong to
+  async searchNotes(q, user, { workshop, limit }, pattern) {
+    const filter = user.role === 'employee' ? { internal: false } : {};
+    const requestFilter = await this.requestScope(user, workshop);
+
+    const found = await this.runText(Comment, q, filter, limit, {
+      body: 1, internal: 1, author: 1, createdAt: 1,
+      'request._id': 1, 'request.requestNumber': 1, 'request.title': 1
+    }, [
+      {
+        $lookup: {
+          from: MaintenanceRequest.collection.name,
+          localField: 'maintenanceRequest',
+          foreignField: '_id',
+          as: 'request'
+        }
+      },
+      { $unwind: '$request' },
+      { $match: prefixFilter(requestFilter, 'request') }
+    ]);
+    await User.populate(found.hits, { path: 'author', select: 'name' });
+
+    return {
+      total: found.total,
+      hits: found.hits.map(hit => ({
+        _id: hit._id,
+        maintenanceRequest: hit.request,
+        author: hit.author,
+        internal: hit.internal,
+        createdAt: hit.createdAt,
+        score: hit.score,
+        highlights: this.highlights([['body', commentService.toPlainText(hit.body)]], pattern)
+      }))
+    };
+  }
+
+  async searchUsers(q, user, { workshop, limit }, pattern) {
+    const project = { name: 1, email: 1, role: 1, employeeId: 1, department: 1, status: 1 };
+    const filter = this.userScope(user, workshop);
+    let found = await this.runText(User, q, filter, limit, project);
+    found = await this.promoteExact(User, q, ['email', 'employeeId'], filter, project, found);
+
+    return {
+      total: found.total,
+      hits: found.hits.slice(0, limit).map(hit => ({
+        _id: hit._id,
+        name: hit.name,
+        email: hit.email,
+        role: hit.role,
+        status: hit.status,
+        score: hit.score,
+        exact: hit.exact,
+        highlights: this.highlights([
+          ['name', hit.name],
+          ['email', hit.email],
+          ['employeeId', hit.employeeId],
+          ['department', hit.department]
+        ], pattern)
+      }))
+    };
+  }
+
+  // Ranked results grouped by type, with the number of matches per type as facets
+  async search(q, user, { types, workshop, limit = 5 } = {}) {
+    const searchers = {
+      requests: this.searchRequests,
+      equipment: this.searchEquipment,
+      notes: this.searchNotes,
+      users: this.searchUsers
+    };
+    const pattern = this.highlightPattern(q);
+    const allowed = this.allowedTypes(user, types);
+
+    const found = await Promise.all(allowed.map(type => searchers[type].call(this, q, user, { workshop, limit }, pattern)));
+
+    const results = {};
+    const facets = {};
+    allowed.forEach((type, index) => {
+      results[type] = found[index].hits;
+      facets[type] = found[index].total;
+    });
+    return { query: q, results, facets };
+  }
+}
+
+module.exports = new SearchService();
\ No newline at end of file
@@ -0,0 +1,255 @@
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const Equipment = require('../models/Equipment');
+const Workshop = require('../models/Workshop');
+const SLAPolicy = require('../models/SLAPolicy');
+const {
+  buildCalendar,
+  businessMinutesBetween,
+  addBusinessMinutes,
+  businessMinutesUntil
+} = require('../utils/businessHours');
+
+// Built-in targets (business hours) used when no SLA policy matches
+const DEFAULT_TARGETS = {
+  'Emergency': { response: 0.5, resolution: 4 },
+  'Critical': { response: 2, resolution: 8 },
+  'High': { response: 4, resolution: 24 },
+  'Medium': { response: 8, resolution: 72 },
+  'Low': { response: 24, resolution: 168 }
+};
+
+// The clock stops while a request waits on something outside the team's control
+const PAUSE_STATUSES = ['Waiting for Parts', 'On Hold'];
+const CLOSED_STATUSES = ['Completed', 'Cancelled', 'Rejected'];
+
+const CALENDAR_CACHE_TTL = 60 * 1000;
+
+class SLAService {
+  constructor() {
+    this.pauseStatuses = PAUSE_STATUSES;
+    this.closedStatuses = CLOSED_STATUSES;
+    this.calendarCache = new Map();
+  }
+
+  async getCalendarForWorkshop(workshopId) {
+    if (!workshopId) return null;
+
+    const key = workshopId.toString();
+    const cached = this.calendarCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.calendar;
+
+    const workshop = await Workshop.findById(workshopId).select('operatingHours settings.timezone');
+    const calendar = workshop
+      ? buildCalendar(workshop.toObject().operatingHours, workshop.settings?.timezone)
+      : null;
+
+    this.calendarCache.set(key, { calendar, expiresAt: Date.now() + CALENDAR_CACHE_TTL });
+    return calendar;
+  }
+
+  // Workshop and equipment criticality that select the calendar and policy
+  async resolveContext(request) {
+    let workshopId = request.workshop?._id || request.workshop;
+    let criticality = null;
+
+    if (request.equipment) {
+      const equipment = await Equipment.findById(request.equipment._id || request.equipment).select('workshop criticality');
+      workshopId = workshopId || equipment?.workshop;
+      criticality = equipment?.criticality || null;
+    }
+
+    return { workshopId, criticality };
+  }
+
+  // Pick the most specific active policy, falling back to the built-in targets
+  async resolvePolicy(request, context) {
+    const policy = await SLAPolicy.findBestMatch({
+      workshop: context.workshopId,
+      priority: request.priority,
+      requestType: request.type,
+      criticality: context.criticality
+    });
+
+    if (policy) {
+      return {
+        policy: policy._id,
+        name: policy.name,
+        version: policy.version,
+        responseHours: policy.responseHours,
+        resolutionHours: policy.resolutionHours
+      };
+    }
+
+    const targets = DEFAULT_TARGETS[request.priority];
+    if (!targets) return null;
+
+    return {
+      policy: null,
+      name: 'Default',
+      version: 0,
+      responseHours: targets.response,
+      resolutionHours: targets.resolution
+    };
+  }
+
+  getDefaultTargets() {
+    return JSON.parse(JSON.stringify(DEFAULT_TARGETS));
+  }
+
+  // Recalculate deadlines from the clock start, pushing resolution out by paused time
+  computeDeadlines(sla) {
+    const calendar = sla.calendar || null;
+    return {
+      responseDeadline: addBusinessMinutes(sla.startedAt, sla.responseTime * 60, calendar),
+      resolutionDeadline: addBusinessMinutes(sla.startedAt, sla.resolutionTime * 60 + (sla.pausedMinutes || 0), calendar)
+    };
+  }
+
+  // First reply from anyone but the requester, either by moving the request on or by a work note
+  findFirstResponse(request, now) {
+    if (!['New', ...CLOSED_STATUSES].includes(request.status)) return now;
+
+    const creatorId = (request.createdBy?._id || request.createdBy)?.toString();
+    const note = request.workNotes
+      .filter(workNote => workNote.technician && workNote.technician.toString() !== creatorId)
+      .sort((a, b) => a.timestamp - b.timestamp)[0];
+    return note ? note.timestamp || now : null;
+  }
+
+  // Keep the SLA subdocument in step with the request; called from the model's pre-save hook
+  async applyToRequest(request, now = new Date()) {
+    const sla = request.sla;
+
+    // Targets are fixed when applied; later policy edits do not touch existing requests
+    if (request.isNew || request.isModified('priority')) {
+      const context = await this.resolveContext(request);
+      const applied = await this.resolvePolicy(request, context);
+      if (applied) {
+        if (request.isNew || !sla.startedAt) {
+          sla.startedAt = request.createdAt || now;
+          sla.calendar = await this.getCalendarForWorkshop(context.workshopId);
+        }
+        sla.policy = { ...applied, appliedAt: now };
+        sla.responseTime = applied.responseHours;
+        sla.resolutionTime = applied.resolutionHours;
+        Object.assign(sla, this.computeDeadlines(sla));
+      }
+    }
+
+    if (!sla.startedAt) return;
+
+    const calendar = sla.calendar || null;
+
+    if (!sla.firstResponseAt) {
+      const firstResponseAt = this.findFirstResponse(request, now);
+      if (firstResponseAt) {
+        sla.firstResponseAt = firstResponseAt;
+        sla.responseMinutes = businessMinutesBetween(sla.startedAt, firstResponseAt, calendar);
+        sla.responseBreached = firstResponseAt > sla.responseDeadline;
+      }
+    }
+
+    if (!request.isNew && request.isModified('status')) {
+      // Close the running pause, then open a new one if still waiting
+      if (sla.pausedAt) {
+        const pause = sla.pauses[sla.pauses.length - 1];
+        const minutes = businessMinutesBetween(sla.pausedAt, now, calendar);
+        if (pause && !pause.endedAt) {
+          pause.endedAt = now;
+          pause.minutes = minutes;
+        }
+        sla.pausedMinutes = (sla.pausedMinutes || 0) + minutes;
+        sla.pausedAt = null;
+        sla.resolutionDeadline = this.computeDeadlines(sla).resolutionDeadline;
+      }
+
+      if (PAUSE_STATUSES.includes(request.status)) {
+        sla.pausedAt = now;
+        sla.pauses.push({ status: request.status, startedAt: now });
+      }
+
+      if (CLOSED_STATUSES.includes(request.status) && !sla.resolvedAt) {
+        sla.resolvedAt = now;
+        sla.resolutionMinutes = Math.max(0, businessMinutesBetween(sla.startedAt, now, calendar) - (sla.pausedMinutes || 0));
+        if (request.status === 'Completed') {
+          sla.resolutionBreached = now > sla.resolutionDeadline;
+        }
+      }
+    }
+
+    sla.isSLABreached = !!(sla.responseBreached || sla.resolutionBreached);
+  }
+
+  // Time remaining on each clock, in business minutes (negative once overdue)
+  getStatus(request, now = new Date()) {
+    const sla = request.sla;
+    if (!sla || !sla.resolutionDeadline) return null;
+
+    const calendar = sla.calendar || null;
+    const paused = !!sla.pausedAt;
+    const closed = CLOSED_STATUSES.includes(request.status);
+
+    return {
+      policy: sla.policy?.name || null,
+      paused,
+      businessHours: !!calendar,
+      response: {
+        deadline: sla.responseDeadline,
+        respondedAt: sla.firstResponseAt || null,
+        breached: !!sla.responseBreached,
+        remainingMinutes: sla.firstResponseAt || closed
+          ? null
+          : businessMinutesUntil(sla.responseDeadline, now, calendar)
+      },
+      resolution: {
+        deadline: sla.resolutionDeadline,
+        resolvedAt: sla.resolvedAt || null,
+        breached: !!sla.resolutionBreached,
+        // Frozen at the moment the clock was paused
+        remainingMinutes: closed
+          ? null
+          : businessMinutesUntil(sla.resolutionDeadline, paused ? sla.pausedAt : now, calendar)
+      }
+    };
+  }
+
+  // Flag open requests whose deadlines have passed; run periodically by the scheduler
+  async evaluateBreaches(now = new Date()) {
+    const open = { status: { $nin: CLOSED_STATUSES } };
+
+    const response = await MaintenanceRequest.updateMany(
+      {
+        ...open,
+        'sla.firstResponseAt': null,
+        'sla.responseBreached': { $ne: true },
+        'sla.responseDeadline': { $lt: now }
+      },
+      {
+        $set: { 'sla.responseBreached': true, 'sla.isSLABreached': true },
+        $min: { 'sla.breachedAt': now },
+        $push: { history: { event: 'sla', at: now, field: 'response', to: 'breached' } }
+      }
+    );
+
+    const resolution = await MaintenanceRequest.updateMany(
+      {
+        ...open,
+        'sla.pausedAt': null,
+        'sla.resolutionBreached': { $ne: true },
+        'sla.resolutionDeadline': { $lt: now }
+      },
+      {
+        $set: { 'sla.resolutionBreached': true, 'sla.isSLABreached': true },
+        $min: { 'sla.breachedAt': now },
+        $push: { history: { event: 'sla', at: now, field: 'resolution', to: 'breached' } }
+      }
+    );
+
+    return {
+      responseBreaches: response.modifiedCount,
+      resolutionBreaches: resolution.modifiedCount
+    };
+  }
+}
+
+module.exports = new SLAService();
@@ -0,0 +1,426 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_ALLOWED_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+const THUMBNAIL_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const THUMBNAIL_SIZE = 320;
+
+// Leading bytes for types we can verify, so a renamed executable cannot pass as an image
+const SIGNATURES = {
+  'image/jpeg': [[0xff, 0xd8, 0xff]],
+  'image/png': [[0x89, 0x50, 0x4e, 0x47]],
+  'image/gif': [[0x47, 0x49, 0x46, 0x38]],
+  'image/webp': [[0x52, 0x49, 0x46, 0x46]],
+  'application/pdf': [[0x25, 0x50, 0x44, 0x46]]
+};
+
+// Stored files live under <scope>/<owner id>/ so a whole record can be removed at once
+const SCOPES = {
+  maintenance: 'MaintenanceRequest',
+  equipment: 'Equipment',
+  reports: 'PublicReport'
+};
+
+const storageError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+// Files on the server's disk under UPLOAD_PATH
+class LocalStorageDriver {
+  constructor(root) {
+    this.root = path.resolve(__dirname, '..', root || './uploads');
+  }
+
+  resolve(key) {
+    const fullPath = path.resolve(this.root, key);
+    if (!fullPath.startsWith(this.root + path.sep)) {
+      throw storageError('Invalid file path', 'INVALID_FILE_PATH');
+    }
+    return fullPath;
+  }
+
+  async save(key, buffer) {
+    const fullPath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.promises.writeFile(fullPath, buffer);
+  }
+
+  async getStream(key) {
+    const fullPath = this.resolve(key);
+    const stats = await fs.promises.stat(fullPath).catch(() => null);
+    if (!stats) return null;
+    return { stream: fs.createReadStream(fullPath), size: stats.size };
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+
+  async removePrefix(prefix) {
+    await fs.promises.rm(this.resolve(prefix), { recursive: true, force: true });
+  }
+
+  // Yields { key, modifiedAt } for every file under the prefix
+  async *list(prefix) {
+    const walk = async function* (dir) {
+      const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          yield* walk(fullPath);
+        } else {
+          const stats = await fs.promises.stat(fullPath);
+          yield { key: path.relative(this.root, fullPath).split(path.sep).join('/'), modifiedAt: stats.mtime };
+        }
+      }
+    }.bind(this);
+
+    yield* walk(this.resolve(prefix));
+  }
+}
+
+// Any S3-compatible object store; needs the optional @aws-sdk/client-s3 package
+class S3StorageDriver {
+  constructor(options) {
+    let sdk;
+    try {
+      sdk = require('@aws-sdk/client-s3');
+    } catch (error) {
+      throw new Error('STORAGE_DRIVER=s3 requires the @aws-sdk/client-s3 package (npm install @aws-sdk/client-s3)');
+    }
+
+    this.sdk = sdk;
+    this.bucket = options.bucket;
+    this.client = new sdk.S3Client({
+      region: options.region || 'us-east-1',
+      endpoint: options.endpoint || undefined,
+      forcePathStyle: options.forcePathStyle,
+      credentials: options.accessKeyId
+        ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+        : undefined
+    });
+  }
+
+  async save(key, buffer, mimeType) {
+    await this.client.send(new this.sdk.PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: mimeType
+    }));
+  }
+
+  async getStream(key) {
+    try {
+      const result = await this.client.send(new this.sdk.GetObjectCommand({ Bucket: this.bucket, Key: key }));
+      return { stream: result.Body, size: result.ContentLength };
+    } catch (error) {
+      if (error.name === 'NoSuchKey') return null;
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    await this.client.send(new this.sdk.DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  async removePrefix(prefix) {
+    let batch = [];
+    for await (const { key } of this.list(prefix)) {
+      batch.push({ Key: key });
+      if (batch.length === 1000) {
+        await this.client.send(new this.sdk.DeleteObjectsCommand({ Bucket: this.bucket, Delete: { Objects: batch } }));
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await this.client.send(new this.sdk.DeleteObjectsCommand({ Bucket: this.bucket, Delete: { Objects: batch } }));
+    }
+  }
+
+  async *list(prefix) {
+    let ContinuationToken;
+    do {
+      const result = await this.client.send(new this.sdk.ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: prefix.endsWith('/') ? prefix : `${prefix}/`,
+        ContinuationToken
+      }));
+      for (const object of result.Contents || []) {
+        yield { key: object.Key, modifiedAt: object.LastModified };
+      }
+      ContinuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+  }
+}
+
+class StorageService {
+  constructor() {
+    this.maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+    this.allowedTypes = process.env.ALLOWED_UPLOAD_TYPES
+      ? process.env.ALLOWED_UPLOAD_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+      : DEFAULT_ALLOWED_TYPES;
+    // Unreferenced files younger than this may belong to an upload still in progress
+    this.orphanGraceMs = (parseInt(process.env.STORAGE_ORPHAN_GRACE_MINUTES) || 60) * 60 * 1000;
+    this.driver = null;
+    this.sharp = undefined;
+  }
+
+  getDriver() {
+    if (!this.driver) {
+      this.driver = process.env.STORAGE_DRIVER === 's3'
+        ? new S3StorageDriver({
+          bucket: process.env.S3_BUCKET,
+          region: process.env.S3_REGION,
+          endpoint: process.env.S3_ENDPOINT,
+          forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        })
+        : new LocalStorageDriver(process.env.UPLOAD_PATH);
+    }
+    return this.driver;
+  }
+
+  // Thumbnails need the optional sharp package; without it they are skipped
+  getSharp() {
+    if (this.sharp === undefined) {
+      try {
+        this.sharp = require('sharp');
+      } catch (error) {
+        console.warn('Image thumbnails disabled: install the sharp package to enable them');
+        this.sharp = null;
+      }
+    }
+    return this.sharp;
+  }
+
+  isAllowedType(mimeType) {
+    return this.allowedTypes.includes(mimeType);
+  }
+
+  // Check the declared MIME type against the file's leading bytes where we know them
+  matchesSignature(file) {
+    const signatures = SIGNATURES[file.mimetype];
+    if (!signatures) return true;
+    return signatures.some(signature =>
+      signature.every((byte, index) => file.buffer[index] === byte)
+    );
+  }
+
+  getExtension(originalName) {
+    const extension = path.extname(originalName || '').toLowerCase();
+    return /^\.[a-z0-9]{1,8}$/.test(extension) ? extension : '';
+  }
+
+  getPrefix(scope, ownerId) {
+    if (!SCOPES[scope]) throw storageError(`Unknown storage scope ${scope}`, 'INVALID_STORAGE_SCOPE', 500);
+    return `${scope}/${ownerId}`;
+  }
+
+  async createThumbnail(file, key) {
+    if (!THUMBNAIL_TYPES.includes(file.mimetype)) return null;
+    const sharp = this.getSharp();
+    if (!sharp) return null;
+
+    try {
+      const buffer = await sharp(file.buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 75 })
+        .toBuffer();
+      const thumbnailKey = key.replace(/\/([^/]+)$/, '/thumbnails/$1').replace(/\.[^./]*$/, '') + '.jpg';
+      await this.getDriver().save(thumbnailKey, buffer, 'image/jpeg');
+      return thumbnailKey;
+    } catch (error) {
+      // A broken image should not fail the upload
+      console.error('Thumbnail generation failed:', error.message);
+      return null;
+    }
+  }
+
+  // Validate and store an uploaded multer file; returns the attachment metadata
+  async storeFile(scope, ownerId, file) {
+    if (!this.isAllowedType(file.mimetype)) {
+      throw storageError(`File type ${file.mimetype} is not allowed`, 'UNSUPPORTED_FILE_TYPE', 415);
+    }
+    if (!this.matchesSignature(file)) {
+      throw storageError(`${file.originalname} does not look like a ${file.mimetype} file`, 'FILE_CONTENT_MISMATCH', 415);
+    }
+
+    const filename = `${crypto.randomUUID()}${this.getExtension(file.originalname)}`;
+    const key = `${this.getPrefix(scope, ownerId)}/${filename}`;
+    await this.getDriver().save(key, file.buffer, file.mimetype);
+    const thumbnailPath = await this.createThumbnail(file, key);
+
+    return {
+      filename,
+      originalName: file.originalname,
+      filePath: key,
+      thumbnailPath,
+      fileSize: file.size,
+      mimeType: file.mimetype
+    };
+  }
+
+  // Store several files, removing the ones already written if any of them fails
+  async storeFiles(scope, ownerId, files) {
+    const stored = [];
+    try {
+      for (const file of files) {
+        stored.push(await this.storeFile(scope, ownerId, file));
+      }
+    } catch (error) {
+      await this.removeFiles(stored);
+      throw error;
+    }
+    return stored;
+  }
+
+  // Stream a stored file (or its thumbnail) to the response
+  async sendFile(res, file, { thumbnail = false } = {}) {
+    const key = thumbnail && file.thumbnailPath ? file.thumbnailPath : file.filePath;
+    const stored = key ? await this.getDriver().getStream(key) : null;
+    if (!stored) {
+      return res.status(404).json({
+        message: 'File not found in storage',
+        code: 'FILE_NOT_FOUND'
+      });
+    }
+
+    const mimeType = key === file.thumbnailPath ? 'image/jpeg' : (file.mimeType || 'application/octet-stream');
+    const name = (file.originalName || file.name || file.filename || 'download').replace(/["\r\n]/g, '');
+    const disposition = mimeType.startsWith('image/') || mimeType === 'application/pdf' ? 'inline' : 'attachment';
+
+    res.setHeader('Content-Type', mimeType);
+    res.setHeader('Content-Disposition', `${disposition}; filename="${name}"`);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    if (stored.size) res.setHeader('Content-Length', stored.size);
+
+    stored.stream.on('error', (error) => {
+      console.error('File stream error:', error.message);
+      res.destroy(error);
+    });
+    stored.stream.pipe(res);
+  }
+
+  async removeFiles(files) {
+    const keys = files.flatMap(file => [file.filePath, file.thumbnailPath]).filter(Boolean);
+    await Promise.all(keys.map(key =>
+      this.getDriver().remove(key).catch(error => console.error(`Failed to remove ${key}:`, error.message))
+    ));
+  }
+
+  // Copy stored files to another record, e.g. a triaged report's photos onto its maintenance request
+  async copyFiles(files, scope, ownerId) {
+    const copied = [];
+    try {
+      for (const file of files) {
+        const stored = await this.getDriver().getStream(file.filePath);
+        if (!stored) continue;
+
+        const chunks = [];
+        for await (const chunk of stored.stream) chunks.push(chunk);
+        const filename = `${crypto.randomUUID()}${this.getExtension(file.originalName)}`;
+        const key = `${this.getPrefix(scope, ownerId)}/${filename}`;
+        const buffer = Buffer.concat(chunks);
+        await this.getDriver().save(key, buffer, file.mimeType);
+
+        copied.push({
+          filename,
+          originalName: file.originalName,
+          filePath: key,
+          thumbnailPath: await this.createThumbnail({ buffer, mimetype: file.mimeType }, key),
+          fileSize: file.fileSize,
+          mimeType: file.mimeType
+        });
+      }
+    } catch (error) {
+      await this.removeFiles(copied);
+      throw error;
+    }
+    return copied;
+  }
+
+  // Remove everything stored for a record; used when the record itself is deleted
+  async removeOwner(scope, ownerId) {
+    await this.getDriver().removePrefix(this.getPrefix(scope, ownerId));
+  }
+
+  // Keys a record still points at
+  getReferencedKeys(scope, doc) {
+    let files;
+    if (scope === 'maintenance') {
+      files = [...(doc.attachments || []), ...(doc.workNotes || []).flatMap(note => note.attachments || [])];
+    } else if (scope === 'reports') {
+      files = doc.photos || [];
+    } else {
+      files = doc.documents || [];
+    }
+    return new Set(files.flatMap(file => [file.filePath, file.thumbnailPath]).filter(Boolean));
+  }
+
+  // Remove files whose record is gone or that no record references any more
+  async sweepOrphans() {
+    const mongoose = require('mongoose');
+    const cutoff = Date.now() - this.orphanGraceMs;
+    const result = { removedOwners: 0, removedFiles: 0 };
+
+    for (const [scope, modelName] of Object.entries(SCOPES)) {
+      const Model = mongoose.model(modelName);
+      const byOwner = new Map();
+      for await (const file of this.getDriver().list(scope)) {
+        const ownerId = file.key.split('/')[1];
+        if (!byOwner.has(ownerId)) byOwner.set(ownerId, []);
+        byOwner.get(ownerId).push(file);
+      }
+
+      for (const [ownerId, files] of byOwner) {
+        // Equipment in the trash keeps its files until it is purged
+        const doc = mongoose.isValidObjectId(ownerId)
+          ? await Model.findById(ownerId)
+            .setOptions(Model.schema.path('deletedAt') ? { withDeleted: true } : {})
+            .select('attachments workNotes.attachments documents photos')
+            .lean()
+          : null;
+
+        // Files are stored before their record is saved, so a missing record only means
+        // an orphan once every file is past the grace period
+        if (!doc) {
+          if (files.some(file => new Date(file.modifiedAt).getTime() > cutoff)) continue;
+          await this.removeOwner(scope, ownerId);
+          result.removedOwners += 1;
+          continue;
+        }
+
+        const referenced = this.getReferencedKeys(scope, doc);
+        for (const file of files) {
+          if (referenced.has(file.key) || new Date(file.modifiedAt).getTime() > cutoff) continue;
+          await this.getDriver().remove(file.key);
+          result.removedFiles += 1;
+        }
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = new StorageService();
\ No newline at end of file
@@ -0,0 +1,387 @@
+const mongoose = require('mongoose');
+const TimeEntry = require('../models/TimeEntry');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const slaService = require('./slaService');
+const { businessMinutesBetween } = require('../utils/businessHours');
+
+const CLOSED_STATUSES = ['Completed', 'Cancelled', 'Rejected'];
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const timeError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const sameId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+
+class TimeTrackingService {
+  constructor() {
+    this.defaultRate = {
+      hourly: parseFloat(process.env.DEFAULT_LABOR_RATE) || 0,
+      overtimeMultiplier: parseFloat(process.env.DEFAULT_OVERTIME_MULTIPLIER) || 1.5
+    };
+  }
+
+  // Admins, the assigned technician and technicians of the assigned team can book time
+  canTrackTime(request, user) {
+    if (user.role === 'admin') return true;
+    if (user.role !== 'technician') return false;
+    return sameId(request.assignedTechnician, user._id) || sameId(request.assignedTeam, user.team);
+  }
+
+  // Team lead of the entry's team, or an admin
+  async canApprove(entry, user) {
+    if (user.role === 'admin') return true;
+    if (!entry.team) return false;
+    const team = await Team.findById(entry.team).select('teamLead');
+    return !!team && sameId(team.teamLead, user._id);
+  }
+
+  // Technicians see their own timesheet; team leads see their members'
+  async canViewTimesheet(technicianId, user) {
+    if (user.role === 'admin' || sameId(technicianId, user._id)) return true;
+    if (user.role !== 'technician') return false;
+    return !!(await Team.exists({ teamLead: user._id, 'members.user': technicianId }));
+  }
+
+  // Team member override, then the user's own rate, then the environment default
+  async resolveRate(technicianId, teamId) {
+    const [user, team] = await Promise.all([
+      User.findById(technicianId).select('laborRate'),
+      teamId ? Team.findById(teamId).select('members') : null
+    ]);
+    const member = team?.members.find(m => sameId(m.user, technicianId));
+
+    return {
+      hourly: member?.hourlyRate ?? user?.laborRate?.hourly ?? this.defaultRate.hourly,
+      overtimeMultiplier: member?.overtimeMultiplier ?? user?.laborRate?.overtimeMultiplier ?? this.defaultRate.overtimeMultiplier
+    };
+  }
+
+  // Work out regular/overtime minutes and cost from the entry's closed segments
+  async priceEntry(entry) {
+    const calendar = entry.overtime ? null : await slaService.getCalendarForWorkshop(entry.workshop);
+    let minutes = 0;
+    let regularMinutes = 0;
+
+    for (const segment of entry.segments) {
+      if (!segment.endedAt) continue;
+      const worked = Math.max(0, (segment.endedAt - segment.startedAt) / MINUTE);
+      minutes += worked;
+      // Without a calendar everything is regular time unless flagged as overtime
+      regularMinutes += entry.overtime
+        ? 0
+        : calendar ? businessMinutesBetween(segment.startedAt, segment.endedAt, calendar) : worked;
+    }
+
+    const rate = await this.resolveRate(entry.technician, entry.team);
+    const overtimeMinutes = minutes - regularMinutes;
+
+    entry.minutes = round(minutes);
+    entry.regularMinutes = round(regularMinutes);
+    entry.overtimeMinutes = round(overtimeMinutes);
+    entry.hourlyRate = rate.hourly;
+    entry.overtimeMultiplier = rate.overtimeMultiplier;
+    entry.cost = round((rate.hourly / 60) * (regularMinutes + overtimeMinutes * rate.overtimeMultiplier));
+    return entry;
+  }
+
+  async getOpenTimer(requestId, technicianId) {
+    return TimeEntry.findOne({
+      request: requestId,
+      technician: technicianId,
+      source: 'timer',
+      status: { $in: ['running', 'paused'] }
+    });
+  }
+
+  // Start a new timer, or resume the technician's paused one on this request
+  async startTimer(request, user, note) {
+    if (!this.canTrackTime(request, user)) {
+      throw timeError('Only the assigned technician, their team or an admin can track time on this request', 'TIME_TRACKING_DENIED', 403);
+    }
+    if (CLOSED_STATUSES.includes(request.status)) {
+      throw timeError(`Cannot track time on a ${request.status} request`, 'REQUEST_CLOSED', 409);
+    }
+
+    const running = await TimeEntry.findOne({ technician: user._id, status: 'running' })
+      .populate('request', 'requestNumber');
+    if (running) {
+      throw timeError(
+        `A timer is already running on ${running.request?.requestNumber || 'another request'}`,
+        'TIMER_ALREADY_RUNNING',
+        409
+      );
+    }
+
+    const now = new Date();
+    let entry = await this.getOpenTimer(request._id, user._id);
+    if (entry) {
+      entry.segments.push({ startedAt: now });
+      entry.status = 'running';
+      if (note) entry.note = note;
+    } else {
+      entry = new TimeEntry({
+        request: request._id,
+        technician: user._id,
+        team: request.assignedTeam || user.team,
+        workshop: request.workshop || null,
+        source: 'timer',
+        status: 'running',
+        segments: [{ startedAt: now }],
+        startedAt: now,
+        note,
+        createdBy: user._id
+      });
+    }
+
+    try {
+      await entry.save();
+    } catch (error) {
+      // Lost a race with another start request
+      if (error.code === 11000) {
+        throw timeError('A timer is already running', 'TIMER_ALREADY_RUNNING', 409);
+      }
+      throw error;
+    }
+    return entry;
+  }
+
+  async pauseTimer(request, user) {
+    const entry = await this.getOpenTimer(request._id, user._id);
+    if (!entry || entry.status !== 'running') {
+      throw timeError('No running timer on this request', 'TIMER_NOT_RUNNING', 404);
+    }
+
+    entry.segments[entry.segments.length - 1].endedAt = new Date();
+    entry.status = 'paused';
+    await this.priceEntry(entry);
+    await entry.save();
+    return entry;
+  }
+
+  // Close the timer; timer entries are approved and costed immediately
+  async stopTimer(request, user, note) {
+    const entry = await this.getOpenTimer(request._id, user._id);
+    if (!entry) {
+      throw timeError('No open timer on this request', 'TIMER_NOT_RUNNING', 404);
+    }
+
+    const now = new Date();
+    const current = entry.segments[entry.segments.length - 1];
+    if (current && !current.endedAt) current.endedAt = now;
+
+    entry.status = 'stopped';
+    entry.endedAt = current?.endedAt || now;
+    if (note) entry.note = note;
+    entry.approval = { status: 'Approved', decidedAt: now };
+    await this.priceEntry(entry);
+    await entry.save();
+
+    await this.recalculateLaborCost(request._id);
+    return entry;
+  }
+
+  // Book time after the fact; needs approval unless an admin enters it
+  async addManualEntry(request, data, user) {
+    if (!this.canTrackTime(request, user)) {
+      throw timeError('Only the assigned technician, their team or an admin can track time on this request', 'TIME_TRACKING_DENIED', 403);
+    }
+
+    let technician = user;
+    if (data.technician && !sameId(data.technician, user._id)) {
+      if (user.role !== 'admin') {
+        throw timeError('Only admins can book time for other technicians', 'TIME_TRACKING_DENIED', 403);
+      }
+      technician = await User.findById(data.technician).select('role team');
+      if (!technician || technician.role !== 'technician') {
+        throw timeError('Invalid technician', 'INVALID_TECHNICIAN');
+      }
+    }
+
+    const startedAt = new Date(data.startedAt);
+    const endedAt = data.endedAt
+      ? new Date(data.endedAt)
+      : new Date(startedAt.getTime() + (parseFloat(data.minutes) || 0) * MINUTE);
+    if (!(endedAt > startedAt)) {
+      throw timeError('Time entry must end after it starts', 'INVALID_TIME_RANGE');
+    }
+    if (endedAt > new Date()) {
+      throw timeError('Time entries cannot be booked in the future', 'INVALID_TIME_RANGE');
+    }
+
+    const autoApproved = user.role === 'admin';
+    const entry = new TimeEntry({
+      request: request._id,
+      technician: technician._id,
+      team: request.assignedTeam || technician.team,
+      workshop: request.workshop || null,
+      source: 'manual',
+      status: 'stopped',
+      segments: [{ startedAt, endedAt }],
+      startedAt,
+      endedAt,
+      overtime: !!data.overtime,
+      note: data.note,
+      approval: autoApproved
+        ? { status: 'Approved', decidedBy: user._id, decidedAt: new Date() }
+        : { status: 'Pending' },
+      createdBy: user._id
+    });
+
+    await this.priceEntry(entry);
+    await entry.save();
+
+    if (autoApproved) await this.recalculateLaborCost(request._id);
+    return entry;
+  }
+
+  // Approve or reject a pending manual entry
+  async decideEntry(entryId, decision, user, reason) {
+    const entry = await TimeEntry.findById(entryId);
+    if (!entry) {
+      throw timeError('Time entry not found', 'TIME_ENTRY_NOT_FOUND', 404);
+    }
+    if (!(await this.canApprove(entry, user))) {
+      throw timeError('Only the team lead or an admin can approve time entries', 'TIME_APPROVAL_DENIED', 403);
+    }
+    if (entry.approval.status !== 'Pending') {
+      throw timeError(`Time entry has already been ${entry.approval.status.toLowerCase()}`, 'TIME_ENTRY_DECIDED', 409);
+    }
+
+    entry.approval = {
+      status: decision,
+      decidedBy: user._id,
+      decidedAt: new Date(),
+      reason
+    };
+    // Re-price so the approved cost reflects current rates
+    if (decision === 'Approved') await this.priceEntry(entry);
+    await entry.save();
+
+    if (decision === 'Approved') await this.recalculateLaborCost(entry.request);
+    return entry;
+  }
+
+  // Sum approved entries into cost.labor; saved through the document so parents roll up
+  async recalculateLaborCost(requestId) {
+    const [totals] = await TimeEntry.aggregate([
+      {
+        $match: {
+          request: new mongoose.Types.ObjectId(requestId.toString()),
+          status: 'stopped',
+          'approval.status': 'Approved'
+        }
+      },
+      { $group: { _id: null, cost: { $sum: '$cost' } } }
+    ]);
+
+    const request = await MaintenanceRequest.findById(requestId);
+    if (!request) return null;
+
+    request.cost.labor = round(totals?.cost || 0);
+    await request.save();
+    return request.cost.labor;
+  }
+
+  // Entries on a request with per-technician totals
+  async getRequestEntries(requestId) {
+    const entries = await TimeEntry.find({ request: requestId })
+      .populate('technician', 'name email')
+      .populate('approval.decidedBy', 'name')
+      .sort({ startedAt: -1 });
+
+    const byTechnician = new Map();
+    for (const entry of entries) {
+      if (entry.approval.status === 'Rejected') continue;
+      const key = entry.technician?._id?.toString();
+      const totals = byTechnician.get(key) || {
+        technician: entry.technician,
+        minutes: 0,
+        overtimeMinutes: 0,
+        cost: 0,
+        pendingMinutes: 0
+      };
+      if (entry.approval.status === 'Pending') {
+        totals.pendingMinutes = round(totals.pendingMinutes + entry.minutes);
+      } else {
+        totals.minutes = round(totals.minutes + entry.minutes);
+        totals.overtimeMinutes = round(totals.overtimeMinutes + entry.overtimeMinutes);
+        totals.cost = round(totals.cost + entry.cost);
+      }
+      byTechnician.set(key, totals);
+    }
+
+    return { entries, totals: [...byTechnician.values()] };
+  }
+
+  // Monday 00:00 UTC of the week containing `date`
+  getWeekStart(date = new Date()) {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    const offset = (day.getUTCDay() + 6) % 7;
+    return new Date(day.getTime() - offset * DAY);
+  }
+
+  // A technician's entries for one week, grouped by day
+  async getTimesheet(technicianId, weekOf) {
+    const weekStart = this.getWeekStart(weekOf);
+    const weekEnd = new Date(weekStart.getTime() + 7 * DAY);
+
+    const entries = await TimeEntry.find({
+      technician: technicianId,
+      startedAt: { $gte: weekStart, $lt: weekEnd }
+    })
+      .populate('request', 'requestNumber title status')
+      .sort({ startedAt: 1 });
+
+    const days = Array.from({ length: 7 }, (_, index) => ({
+      date: new Date(weekStart.getTime() + index * DAY),
+      minutes: 0,
+      regularMinutes: 0,
+      overtimeMinutes: 0,
+      cost: 0,
+      entries: []
+    }));
+    const totals = { minutes: 0, regularMinutes: 0, overtimeMinutes: 0, cost: 0, pendingMinutes: 0 };
+
+    for (const entry of entries) {
+      const day = days[Math.floor((entry.startedAt - weekStart) / DAY)];
+      day.entries.push(entry);
+
+      if (entry.approval.status === 'Rejected') continue;
+      if (entry.approval.status === 'Pending') {
+        totals.pendingMinutes = round(totals.pendingMinutes + entry.minutes);
+        continue;
+      }
+      for (const key of ['minutes', 'regularMinutes', 'overtimeMinutes', 'cost']) {
+        day[key] = round(day[key] + entry[key]);
+        totals[key] = round(totals[key] + entry[key]);
+      }
+    }
+
+    return { technician: technicianId, weekStart, weekEnd, days, totals };
+  }
+
+  // Pending manual entries the user may decide on
+  async getPendingApprovals(user) {
+    const filter = { 'approval.status': 'Pending' };
+    if (user.role !== 'admin') {
+      const teams = await Team.find({ teamLead: user._id }).select('_id');
+      filter.team = { $in: teams.map(team => team._id) };
+    }
+
+    return TimeEntry.find(filter)
+      .populate('technician', 'name email')
+      .populate('request', 'requestNumber title status')
+      .sort({ startedAt: 1 });
+  }
+}
+
+module.exports = new TimeTrackingService();
\ No newline at end of file
@@ -0,0 +1,246 @@
+const mongoose = require('mongoose');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const User = require('../models/User');
+const Team = require('../models/Team');
+
+// Request fields whose changes are recorded, and the event each change becomes
+const TRACKED_FIELDS = {
+  status: 'status_changed',
+  assignedTechnician: 'assigned',
+  assignedTeam: 'assigned',
+  priority: 'priority_changed',
+  dueDate: 'date_changed',
+  scheduledDate: 'date_changed'
+};
+
+// Time spent in these statuses is not counted; the request is finished
+const CLOSED_STATUSES = ['Completed', 'Cancelled', 'Rejected'];
+
+const MAX_NOTE_LENGTH = 200;
+const MINUTE = 60 * 1000;
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+// Comparable form of a tracked value
+const comparable = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId || value._id) return idOf(value);
+  return value;
+};
+
+const truncate = (text) => (text && text.length > MAX_NOTE_LENGTH ? `${text.slice(0, MAX_NOTE_LENGTH)}…` : text);
+
+class TimelineService {
+  constructor() {
+    this.trackedFields = Object.keys(TRACKED_FIELDS);
+  }
+
+  // What the next save is compared against; called when a request is loaded and after each save
+  snapshot(request) {
+    const fields = {};
+    this.trackedFields.forEach(field => {
+      const value = request[field] === undefined ? null : request[field];
+      fields[field] = value instanceof Date ? new Date(value) : value;
+    });
+
+    const sla = request.sla || {};
+    return {
+      fields,
+      workNotes: new Set((request.workNotes || []).map(note => idOf(note))),
+      partsUsed: new Set((request.partsUsed || []).map(part => idOf(part))),
+      approvalSteps: (request.approval?.steps || []).map(step => step.status),
+      sla: {
+        responded: !!sla.firstResponseAt,
+        resolved: !!sla.resolvedAt,
+        paused: !!sla.pausedAt
+      }
+    };
+  }
+
+  remember(request) {
+    request.$locals.timeline = this.snapshot(request);
+  }
+
+  // Events for everything that changed since the request was loaded. The actor is whoever
+  // the caller set as request.$locals.actor; notes, parts and approvals carry their own
+  collect(request, now = new Date()) {
+    const actor = request.$locals.actor ? idOf(request.$locals.actor) : null;
+    const events = [];
+
+    if (request.isNew) {
+      events.push({ event: 'created', at: now, actor: actor || idOf(request.createdBy), to: request.status });
+      ['assignedTechnician', 'assignedTeam'].forEach(field => {
+        if (request[field]) events.push({ event: 'assigned', at: now, actor, field, from: null, to: request[field] });
+      });
+      return events;
+    }
+
+    const before = request.$locals.timeline;
+    if (!before) return events;
+
+    this.trackedFields.forEach(field => {
+      const from = before.fields[field];
+      const to = request[field] === undefined ? null : request[field];
+      if (comparable(from) === comparable(to)) return;
+      events.push({
+        event: TRACKED_FIELDS[field],
+        at: now,
+        actor,
+        field,
+        from: comparable(from) === null ? null : from,
+        to: comparable(to) === null ? null : to,
+        note: field === 'status' ? truncate(request.statusReason) : undefined
+      });
+    });
+
+    (request.workNotes || [])
+      .filter(note => !before.workNotes.has(idOf(note)))
+      .forEach(note => events.push({
+        event: 'note_added',
+        at: note.timestamp || now,
+        actor: idOf(note.technician) || actor,
+        to: note.hoursWorked || undefined,
+        note: truncate(note.note)
+      }));
+
+    (request.partsUsed || [])
+      .filter(part => !before.partsUsed.has(idOf(part)))
+      .forEach(part => events.push({
+        event: 'part_added',
+        at: now,
+        actor: idOf(part.requestedBy) || actor,
+        to: { name: part.name, partNumber: part.partNumber, quantity: part.quantity },
+        note: part.status
+      }));
+
+    (request.approval?.steps || []).forEach((step, index) => {
+      if (step.status === before.approvalSteps[index] || step.status === 'Pending') return;
+      events.push({
+        event: 'approval',
+        at: step.decidedAt || now,
+        actor: idOf(step.decidedBy) || actor,
+        field: step.approverRole,
+        to: step.status,
+        note: truncate(step.comment)
+      });
+    });
+
+    const sla = request.sla || {};
+    if (!before.sla.responded && sla.firstResponseAt) {
+      events.push({ event: 'sla', at: now, actor, field: 'response', to: sla.responseBreached ? 'breached' : 'met' });
+    }
+    if (!before.sla.resolved && sla.resolvedAt && request.status === 'Completed') {
+      events.push({ event: 'sla', at: now, actor, field: 'resolution', to: sla.resolutionBreached ? 'breached' : 'met' });
+    }
+    if (before.sla.paused !== !!sla.pausedAt) {
+      events.push({ event: 'sla', at: now, actor, field: 'clock', to: sla.pausedAt ? 'paused' : 'resumed' });
+    }
+
+    return events;
+  }
+
+  // Called from the model's pre-save hook
+  applyToRequest(request, now = new Date()) {
+    const events = this.collect(request, now);
+    if (events.length > 0) request.history.push(...events);
+    this.remember(request);
+  }
+
+  // Minutes spent in each status, from the recorded status changes. Requests created before
+  // the history was kept count their current status from creation
+  timeInStatus(request, now = new Date()) {
+    const changes = (request.history || [])
+      .filter(entry => entry.event === 'status_changed')
+      .sort((a, b) => new Date(a.at) - new Date(b.at));
+
+    const totals = {};
+    const add = (status, from, to) => {
+      totals[status] = (totals[status] || 0) + Math.max(0, new Date(to) - new Date(from)) / MINUTE;
+    };
+
+    let status = changes.length > 0 ? changes[0].from : request.status;
+    let since = request.createdAt;
+    changes.forEach(change => {
+      add(status, since, change.at);
+      status = change.to;
+      since = change.at;
+    });
+    if (!CLOSED_STATUSES.includes(status)) add(status, since, now);
+
+    Object.keys(totals).forEach(key => {
+      totals[key] = Math.round(totals[key]);
+    });
+    return { statuses: totals, current: { status, since } };
+  }
+
+  // The request's history, oldest first, with people and teams named
+  async getTimeline(request, now = new Date()) {
+    const history = [...(request.history || [])]
+      .map(entry => (entry.toObject ? entry.toObject() : entry))
+      .sort((a, b) => new Date(a.at) - new Date(b.at));
+
+    const userIds = new Set();
+    const teamIds = new Set();
+    history.forEach(entry => {
+      if (entry.actor) userIds.add(idOf(entry.actor));
+      if (entry.field === 'assignedTechnician') [entry.from, entry.to].filter(Boolean).forEach(id => userIds.add(idOf(id)));
+      if (entry.field === 'assignedTeam') [entry.from, entry.to].filter(Boolean).forEach(id => teamIds.add(idOf(id)));
+    });
+
+    const [users, teams] = await Promise.all([
+      User.find({ _id: { $in: [...userIds] } }).select('name email role').lean(),
+      Team.find({ _id: { $in: [...teamIds] } }).select('name').lean()
+    ]);
+    const usersById = new Map(users.map(user => [idOf(user), user]));
+    const teamsById = new Map(teams.map(team => [idOf(team), team]));
+
+    const named = (field, value) => {
+      if (!value) return value;
+      if (field === 'assignedTechnician') return usersById.get(idOf(value)) || { _id: value };
+      if (field === 'assignedTeam') return teamsById.get(idOf(value)) || { _id: value };
+      return value;
+    };
+
+    return {
+      timeline: history.map(entry => ({
+        ...entry,
+        actor: entry.actor ? usersById.get(idOf(entry.actor)) || { _id: entry.actor } : null,
+        from: named(entry.field, entry.from),
+        to: named(entry.field, entry.to)
+      })),
+      timeInStatus: this.timeInStatus(request, now)
+    };
+  }
+
+  // Report: time in each status across the matching requests, with averages per request
+  // that spent any time there
+  async statusDurations(filter, now = new Date()) {
+    const totals = {};
+    let requests = 0;
+
+    const cursor = MaintenanceRequest.find(filter)
+      .select('status createdAt history.event history.at history.from history.to')
+      .lean()
+      .cursor();
+
+    for await (const request of cursor) {
+      requests += 1;
+      const { statuses } = this.timeInStatus(request, now);
+      Object.entries(statuses).forEach(([status, minutes]) => {
+        totals[status] = totals[status] || { status, totalMinutes: 0, requests: 0 };
+        totals[status].totalMinutes += minutes;
+        totals[status].requests += 1;
+      });
+    }
+
+    return {
+      requests,
+      statuses: Object.values(totals)
+        .map(entry => ({ ...entry, averageMinutes: Math.round(entry.totalMinutes / entry.requests) }))
+        .sort((a, b) => b.totalMinutes - a.totalMinutes)
+    };
+  }
+}
+
+module.exports = new TimelineService();
\ No newline at end of file
@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const Equipment = require('../models/Equipment');
+const paginationService = require('./paginationService');
+
+const trashError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const CLOSED_STATUSES = ['Completed', 'Cancelled', 'Rejected'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What can be moved to the trash, by the name of its API collection. `field` is where an
+// open maintenance request points at the record; deleting with cascade either cancels
+// those requests (the work cannot happen any more) or takes the record off them
+const ENTITIES = {
+  equipment: {
+    model: 'Equipment',
+    label: 'equipment',
+    field: 'equipment',
+    cascade: 'cancel',
+    select: 'name assetTag serialNumber category workshop createdAt deletedAt deletedBy'
+  },
+  teams: {
+    model: 'Team',
+    label: 'team',
+    field: 'assignedTeam',
+    cascade: 'unassign',
+    select: 'name specialization createdAt deletedAt deletedBy'
+  },
+  users: {
+    model: 'User',
+    label: 'user',
+    field: 'assignedTechnician',
+    cascade: 'unassign',
+    select: 'name email role employeeId createdAt deletedAt deletedBy'
+  },
+  workshops: {
+    model: 'Workshop',
+    label: 'workshop',
+    field: 'workshop',
+    cascade: 'cancel',
+    select: 'name code createdAt deletedAt deletedBy'
+  }
+};
+
+class TrashService {
+  constructor() {
+    this.types = Object.keys(ENTITIES);
+    // Deleted records are purged for good after this many days; 0 keeps them until purged by hand
+    const retention = parseInt(process.env.TRASH_RETENTION_DAYS);
+    this.retentionDays = Number.isNaN(retention) ? 30 : retention;
+  }
+
+  getModel(type) {
+    const entity = ENTITIES[type];
+    if (!entity) throw trashError(`Unknown trash type ${type}`, 'INVALID_TRASH_TYPE');
+    return mongoose.model(entity.model);
+  }
+
+  async openRequestFilter(type, id) {
+    const filter = { status: { $nin: CLOSED_STATUSES } };
+    if (type === 'workshops') {
+      // Older requests carry no workshop of their own; they belong to it through their equipment
+      filter.$or = [
+        { workshop: id },
+        { equipment: { $in: await Equipment.find({ workshop: id }).distinct('_id') } }
+      ];
+    } else {
+      filter[ENTITIES[type].field] = id;
+    }
+    return filter;
+  }
+
+  purgeAt(doc) {
+    if (!this.retentionDays || !doc.deletedAt) return null;
+    return new Date(new Date(doc.deletedAt).getTime() + this.retentionDays * DAY_MS);
+  }
+
+  async cascadeTo(type, request, user) {
+    const entity = ENTITIES[type];
+    if (entity.cascade === 'cancel') {
+      request.status = 'Cancelled';
+      request.statusReason = `The ${entity.label} was deleted`;
+    } else {
+      request[entity.field] = null;
+      // Nobody is left on it, so it goes back to the queue
+      if (request.status === 'Assigned' && !request.assignedTechnician && !request.assignedTeam) {
+        request.status = 'New';
+      }
+    }
+    request.$locals.actor = user._id;
+    await request.save();
+  }
+
+  // Move a record to the trash. Open maintenance requests pointing at it block this
+  // (OPEN_REQUESTS, with their count) unless cascade is set
+  async moveToTrash(type, doc, user, { cascade = false } = {}) {
+    const entity = ENTITIES[type];
+    if (!entity) throw trashError(`Unknown trash type ${type}`, 'INVALID_TRASH_TYPE');
+
+    const open = await MaintenanceRequest.find(await this.openRequestFilter(type, doc._id));
+    if (open.length > 0 && !cascade) {
+      const error = trashError(
+        `This ${entity.label} has ${open.length} open maintenance request(s). Close them first or delete with cascade`,
+        'OPEN_REQUESTS',
+        409
+      );
+      error.openRequests = open.length;
+      throw error;
+    }
+
+    for (const request of open) {
+      await this.cascadeTo(type, request, user);
+    }
+
+    doc.deletedAt = new Date();
+    doc.deletedBy = user._id;
+    // Older records may not pass today's validators; deleting must not depend on that
+    await doc.save({ validateBeforeSave: false });
+
+    return { doc, cascaded: open.length, purgeAt: this.purgeAt(doc) };
+  }
+
+  async findDeleted(type, id) {
+    const Model = this.getModel(type);
+    const doc = mongoose.isValidObjectId(id)
+      ? await Model.findOne({ _id: id, deletedAt: { $ne: null } })
+      : null;
+    if (!doc) throw trashError(`No deleted ${ENTITIES[type].label} with this id in the trash`, 'NOT_IN_TRASH', 404);
+    return doc;
+  }
+
+  // Team names and serial numbers are only checked by the routes, so a new record may have
+  // taken them while this one was in the trash
+  async checkConflicts(type, doc) {
+    const Model = this.getModel(type);
+    let clash = null;
+    if (type === 'teams') {
+      clash = await Model.exists({ name: doc.name, _id: { $ne: doc._id } });
+    } else if (type === 'equipment') {
+      clash = await Model.exists({ serialNumber: doc.serialNumber, _id: { $ne: doc._id } });
+    }
+    if (clash) {
+      throw trashError(
+        `Another ${ENTITIES[type].label} now uses this ${type === 'teams' ? 'name' : 'serial number'}; rename it before restoring`,
+        'RESTORE_CONFLICT',
+        409
+      );
+    }
+  }
+
+  // Requests cancelled or unassigned when the record was deleted stay as they are
+  async restore(type, id) {
+    const doc = await this.findDeleted(type, id);
+    await this.checkConflicts(type, doc);
+
+    doc.deletedAt = null;
+    doc.deletedBy = null;
+    await doc.save({ validateBeforeSave: false });
+    return doc;
+  }
+
+  // Removes the record for good; deleteOne runs the model's delete hooks (stored files)
+  async purge(type, id) {
+    const doc = await this.findDeleted(type, id);
+    await doc.deleteOne();
+    return doc;
+  }
+
+  async list(type, query = {}) {
+    const Model = this.getModel(type);
+    const { docs, pagination } = await paginationService.paginate(
+      Model,
+      { deletedAt: { $ne: null } },
+      { ...query, list: 'trash', sort: query.sort || '-deletedAt' },
+      found => found.select(ENTITIES[type].select).populate('deletedBy', 'name email')
+    );
+
+    // Virtuals are left out; most need fields the trash list does not load
+    const items = docs.map(doc => ({ ...doc.toObject({ virtuals: false }), purgeAt: this.purgeAt(doc) }));
+    return { items, pagination };
+  }
+
+  // How many records of each type are in the trash
+  async counts() {
+    const entries = await Promise.all(this.types.map(async type => [
+      type,
+      await this.getModel(type).countDocuments({ deletedAt: { $ne: null } })
+    ]));
+    return Object.fromEntries(entries);
+  }
+
+  // Called by the scheduler; each record is purged on its own so one failure does not stop the rest
+  async purgeExpired() {
+    if (!this.retentionDays) return { purged: 0 };
+    const cutoff = new Date(Date.now() - this.retentionDays * DAY_MS);
+    let purged = 0;
+
+    for (const type of this.types) {
+      const expired = await this.getModel(type).find({ deletedAt: { $ne: null, $lte: cutoff } });
+      for (const doc of expired) {
+        try {
+          await doc.deleteOne();
+          purged += 1;
+        } catch (error) {
+          console.error(`Failed to purge ${ENTITIES[type].label} ${doc._id}:`, error);
+        }
+      }
+    }
+
+    return { purged, cutoff };
+  }
+}
+
+module.exports = new TrashService();
\ No newline at end of file
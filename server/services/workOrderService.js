@@ -0,0 +1,144 @@
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const Equipment = require('../models/Equipment');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const emailService = require('./emailService');
+
+const CLOSED_STATUSES = ['Completed', 'Cancelled', 'Rejected'];
+
+const workOrderError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+class WorkOrderService {
+  constructor() {
+    this.closedStatuses = CLOSED_STATUSES;
+  }
+
+  // Create a sub-work-order under `parent` with its own team, assignee and status
+  async createChild(parent, data, user) {
+    if (parent.parentRequest) {
+      throw workOrderError('Sub-work-orders cannot have sub-work-orders of their own', 'NESTED_SUB_WORK_ORDER');
+    }
+
+    if (CLOSED_STATUSES.includes(parent.status)) {
+      throw workOrderError(`Cannot add sub-work-orders to a ${parent.status} request`, 'PARENT_CLOSED', 409);
+    }
+
+    // Children would otherwise start work the parent has not been cleared for
+    if (parent.approval?.status === 'Pending') {
+      throw workOrderError('The parent request must be approved before sub-work-orders are added', 'APPROVAL_PENDING', 409);
+    }
+
+    let equipment = parent.equipment;
+    if (data.equipment && data.equipment.toString() !== parent.equipment.toString()) {
+      const equipmentDoc = await Equipment.findById(data.equipment).select('_id');
+      if (!equipmentDoc) {
+        throw workOrderError('Equipment not found', 'EQUIPMENT_NOT_FOUND', 404);
+      }
+      equipment = equipmentDoc._id;
+    }
+
+    let technician = null;
+    if (data.assignedTechnician) {
+      technician = await User.findById(data.assignedTechnician);
+      if (!technician || technician.role !== 'technician') {
+        throw workOrderError('Invalid technician', 'INVALID_TECHNICIAN');
+      }
+    }
+
+    if (data.assignedTeam && !(await Team.exists({ _id: data.assignedTeam }))) {
+      throw workOrderError('Invalid team', 'INVALID_TEAM');
+    }
+
+    const child = await MaintenanceRequest.create({
+      parentRequest: parent._id,
+      title: data.title,
+      description: data.description,
+      type: data.type || parent.type,
+      equipment,
+      workshop: parent.workshop,
+      location: parent.location,
+      priority: data.priority || parent.priority,
+      category: data.category || parent.category,
+      assignedTeam: data.assignedTeam || parent.assignedTeam,
+      assignedTechnician: technician ? technician._id : undefined,
+      scheduledDate: data.scheduledDate,
+      dueDate: data.dueDate || parent.dueDate,
+      estimatedDuration: data.estimatedDuration,
+      estimatedCost: data.estimatedCost,
+      createdBy: user._id,
+      status: technician ? 'Assigned' : 'New'
+    });
+
+    if (technician) {
+      try {
+        await emailService.sendMaintenanceNotification(technician, child);
+      } catch (emailError) {
+        console.error('Failed to send assignment email:', emailError);
+      }
+    }
+
+    return child;
+  }
+
+  // Sum hours, parts, costs and downtime of all children onto the parent
+  async refreshRollup(parentId) {
+    const children = await MaintenanceRequest.find({ parentRequest: parentId })
+      .select('status workNotes.hoursWorked partsUsed cost downtime');
+
+    const parts = new Map();
+    const rollup = {
+      childCount: children.length,
+      openChildren: 0,
+      hoursWorked: 0,
+      cost: { labor: 0, parts: 0, external: 0 },
+      partsUsed: [],
+      downtimeMinutes: 0,
+      updatedAt: new Date()
+    };
+
+    for (const child of children) {
+      if (!CLOSED_STATUSES.includes(child.status)) rollup.openChildren += 1;
+
+      rollup.hoursWorked += child.workNotes.reduce((total, note) => total + (note.hoursWorked || 0), 0);
+      rollup.cost.labor += child.cost?.labor || 0;
+      rollup.cost.parts += child.cost?.parts || 0;
+      rollup.cost.external += child.cost?.external || 0;
+      rollup.downtimeMinutes += child.downtime?.totalMinutes || 0;
+
+      for (const part of child.partsUsed) {
+        const key = part.partNumber || part.name;
+        const entry = parts.get(key) || { name: part.name, partNumber: part.partNumber, quantity: 0, totalCost: 0 };
+        entry.quantity += part.quantity;
+        entry.totalCost += part.quantity * (part.unitCost || 0);
+        parts.set(key, entry);
+      }
+    }
+    rollup.partsUsed = [...parts.values()];
+
+    await MaintenanceRequest.updateOne({ _id: parentId }, { $set: { rollup } });
+    return rollup;
+  }
+
+  // Parent (if any), the request itself and its children, for the detail view
+  async getHierarchy(request) {
+    const [parent, children] = await Promise.all([
+      request.parentRequest
+        ? MaintenanceRequest.findById(request.parentRequest).select('requestNumber title status priority rollup')
+        : null,
+      MaintenanceRequest.find({ parentRequest: request._id })
+        .select('requestNumber title status priority type assignedTechnician assignedTeam dueDate cost workNotes.hoursWorked')
+        .populate('assignedTechnician', 'name email')
+        .populate('assignedTeam', 'name')
+        .sort({ createdAt: 1 })
+    ]);
+
+    return { parent, children };
+  }
+}
+
+module.exports = new WorkOrderService();
\ No newline at end of file
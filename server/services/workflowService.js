@@ -0,0 +1,249 @@
+const Equipment = require('../models/Equipment');
+const Workshop = require('../models/Workshop');
+const User = require('../models/User');
+const approvalService = require('./approvalService');
+const jobPlanService = require('./jobPlanService');
+const failureCodeService = require('./failureCodeService');
+
+const STATUSES = ['New', 'Assigned', 'In Progress', 'Waiting for Parts', 'On Hold', 'Completed', 'Cancelled', 'Rejected'];
+
+// Fields a transition can require from the caller
+const TRANSITION_FIELDS = ['workNote', 'reason'];
+
+// Pseudo-roles resolved against the request itself
+const REQUEST_ROLES = ['creator', 'assignee'];
+
+// Default workflow used when a workshop has no override
+const DEFAULT_WORKFLOW = {
+  transitions: {
+    'New': ['Assigned', 'In Progress', 'Cancelled', 'Rejected'],
+    'Assigned': ['New', 'In Progress', 'On Hold', 'Cancelled'],
+    'In Progress': ['Waiting for Parts', 'On Hold', 'Completed', 'Cancelled'],
+    'Waiting for Parts': ['In Progress', 'On Hold', 'Cancelled'],
+    'On Hold': ['Assigned', 'In Progress', 'Cancelled'],
+    'Completed': [],
+    'Cancelled': [],
+    'Rejected': []
+  },
+  requiredFields: {
+    'Completed': ['workNote'],
+    'Rejected': ['reason'],
+    'On Hold': ['reason']
+  },
+  roles: {
+    'Assigned': ['admin', 'technician'],
+    'In Progress': ['admin', 'assignee'],
+    'Waiting for Parts': ['admin', 'assignee'],
+    'On Hold': ['admin', 'assignee'],
+    'Completed': ['admin', 'assignee'],
+    'Cancelled': ['admin', 'creator'],
+    'Rejected': ['admin']
+  }
+};
+
+class WorkflowService {
+  constructor() {
+    this.statuses = STATUSES;
+  }
+
+  getDefaultWorkflow() {
+    return JSON.parse(JSON.stringify(DEFAULT_WORKFLOW));
+  }
+
+  // Merge a workshop override on top of the defaults (per target status)
+  mergeWorkflow(override) {
+    const workflow = this.getDefaultWorkflow();
+    if (!override) return workflow;
+
+    ['transitions', 'requiredFields', 'roles'].forEach(section => {
+      if (override[section]) {
+        workflow[section] = { ...workflow[section], ...override[section] };
+      }
+    });
+
+    return workflow;
+  }
+
+  async getWorkflowForWorkshop(workshopId) {
+    if (!workshopId) return this.getDefaultWorkflow();
+
+    const workshop = await Workshop.findById(workshopId).select('settings.maintenanceSettings.workflow');
+    return this.mergeWorkflow(workshop?.settings?.maintenanceSettings?.workflow);
+  }
+
+  // Resolve the workshop of a request, falling back to its equipment for older records
+  async resolveWorkshopId(request) {
+    if (request.workshop) return request.workshop._id || request.workshop;
+
+    const equipmentId = request.equipment?._id || request.equipment;
+    if (!equipmentId) return null;
+
+    const equipment = await Equipment.findById(equipmentId).select('workshop');
+    return equipment ? equipment.workshop : null;
+  }
+
+  async getWorkflowForRequest(request) {
+    const workshopId = await this.resolveWorkshopId(request);
+    return this.getWorkflowForWorkshop(workshopId);
+  }
+
+  hasRole(allowedRoles, user, request) {
+    if (!allowedRoles || allowedRoles.length === 0) return true;
+    if (allowedRoles.includes(user.role)) return true;
+
+    const userId = user._id.toString();
+    const creatorId = request.createdBy?._id || request.createdBy;
+    const assigneeId = request.assignedTechnician?._id || request.assignedTechnician;
+
+    if (allowedRoles.includes('creator') && creatorId && creatorId.toString() === userId) return true;
+    if (allowedRoles.includes('assignee') && assigneeId && assigneeId.toString() === userId) return true;
+
+    return false;
+  }
+
+  // List target statuses the user may move the request to
+  getAllowedTransitions(workflow, request, user) {
+    const targets = workflow.transitions[request.status] || [];
+    return targets.filter(target => this.hasRole(workflow.roles[target], user, request));
+  }
+
+  // Check a single transition; payload carries the optional workNote/reason
+  validateTransition(workflow, request, toStatus, user, payload = {}) {
+    const fromStatus = request.status;
+
+    if (fromStatus === toStatus) {
+      return { allowed: true };
+    }
+
+    const targets = workflow.transitions[fromStatus] || [];
+    if (!targets.includes(toStatus)) {
+      return {
+        allowed: false,
+        status: 400,
+        code: 'INVALID_TRANSITION',
+        message: `Cannot move request from ${fromStatus} to ${toStatus}`,
+        allowedTransitions: targets
+      };
+    }
+
+    if (approvalService.blocksTransition(request, toStatus)) {
+      return {
+        allowed: false,
+        status: 409,
+        code: 'APPROVAL_PENDING',
+        message: `Request must be approved before it can move to ${toStatus}`,
+        approvalStatus: request.approval.status
+      };
+    }
+
+    const openChildren = toStatus === 'Completed' ? request.rollup?.openChildren || 0 : 0;
+    if (openChildren > 0) {
+      return {
+        allowed: false,
+        status: 409,
+        code: 'SUB_WORK_ORDERS_OPEN',
+        message: `All sub-work-orders must be closed before completing (${openChildren} still open)`,
+        openChildren
+      };
+    }
+
+    const incompleteSteps = toStatus === 'Completed' ? jobPlanService.getIncompleteSteps(request) : [];
+    if (incompleteSteps.length > 0) {
+      return {
+        allowed: false,
+        status: 409,
+        code: 'CHECKLIST_INCOMPLETE',
+        message: `All required checklist steps must be signed off before completing (${incompleteSteps.length} remaining)`,
+        incompleteSteps: incompleteSteps.map(item => ({ _id: item._id, order: item.order, title: item.title }))
+      };
+    }
+
+    if (!this.hasRole(workflow.roles[toStatus], user, request)) {
+      return {
+        allowed: false,
+        status: 403,
+        code: 'TRANSITION_NOT_PERMITTED',
+        message: `Your role is not allowed to move requests to ${toStatus}`,
+        requiredRoles: workflow.roles[toStatus]
+      };
+    }
+
+    // Corrective and emergency work feeds the failure analysis, so it is coded before it closes
+    if (toStatus === 'Completed' && failureCodeService.requiresCodes(request) && !failureCodeService.isCoded(request)) {
+      return {
+        allowed: false,
+        status: 400,
+        code: 'FAILURE_CODES_REQUIRED',
+        message: `${request.type} requests need a problem, cause and remedy code before completing`
+      };
+    }
+
+    const requiredFields = workflow.requiredFields[toStatus] || [];
+    const missingFields = requiredFields.filter(field => {
+      const value = payload[field];
+      return typeof value !== 'string' || value.trim().length === 0;
+    });
+
+    if (missingFields.length > 0) {
+      return {
+        allowed: false,
+        status: 400,
+        code: 'TRANSITION_FIELDS_REQUIRED',
+        message: `Moving to ${toStatus} requires: ${missingFields.join(', ')}`,
+        missingFields
+      };
+    }
+
+    return { allowed: true };
+  }
+
+  // The assigned technician's workload drops by one when a request moves to Completed; shared
+  // by single and bulk status changes
+  async releaseWorkload(request, fromStatus) {
+    if (request.status !== 'Completed' || fromStatus === 'Completed' || !request.assignedTechnician) return;
+    const technician = await User.findById(request.assignedTechnician);
+    if (technician) {
+      technician.workload = Math.max(0, (technician.workload || 0) - 1);
+      await technician.save();
+    }
+  }
+
+  // Validate a workshop override before it is stored; returns a list of problems
+  validateWorkflowConfig(config) {
+    const errors = [];
+
+    if (!config || typeof config !== 'object') {
+      return ['Workflow must be an object'];
+    }
+
+    Object.entries(config.transitions || {}).forEach(([from, targets]) => {
+      if (!STATUSES.includes(from)) errors.push(`Unknown status: ${from}`);
+      if (!Array.isArray(targets)) {
+        errors.push(`Transitions for ${from} must be an array`);
+        return;
+      }
+      targets.forEach(target => {
+        if (!STATUSES.includes(target)) errors.push(`Unknown target status for ${from}: ${target}`);
+      });
+    });
+
+    Object.entries(config.requiredFields || {}).forEach(([status, fields]) => {
+      if (!STATUSES.includes(status)) errors.push(`Unknown status: ${status}`);
+      if (!Array.isArray(fields) || fields.some(field => !TRANSITION_FIELDS.includes(field))) {
+        errors.push(`Required fields for ${status} must be a subset of: ${TRANSITION_FIELDS.join(', ')}`);
+      }
+    });
+
+    Object.entries(config.roles || {}).forEach(([status, roles]) => {
+      if (!STATUSES.includes(status)) errors.push(`Unknown status: ${status}`);
+      const validRoles = ['admin', 'technician', 'employee', ...REQUEST_ROLES];
+      if (!Array.isArray(roles) || roles.some(role => !validRoles.includes(role))) {
+        errors.push(`Roles for ${status} must be a subset of: ${validRoles.join(', ')}`);
+      }
+    });
+
+    return errors;
+  }
+}
+
+module.exports = new WorkflowService();
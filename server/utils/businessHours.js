@@ -0,0 +1,173 @@
+// Business-hours arithmetic for SLA clocks.
+// A calendar is { timeZone, days } where days[0..6] (Sunday first) is either
+// null (closed) or { start, end } in minutes from local midnight. A missing
+// calendar means the clock runs 24/7.
+
+const MINUTE = 60 * 1000;
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Safety net so a misconfigured calendar can never loop forever
+const MAX_DAYS = 3660;
+
+const formatters = {};
+
+const getFormatter = (timeZone) => {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+  }
+  return formatters[timeZone];
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock fields of an instant in the given time zone
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  });
+  return parts;
+};
+
+const getOffset = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+// Instant at which the local clock in timeZone shows the given date and minute of day
+const zonedTimeToUtc = (year, month, day, minuteOfDay, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, 0, minuteOfDay);
+  const offset = getOffset(new Date(guess), timeZone);
+  let result = guess - offset;
+
+  // Re-check once in case the guess fell on the other side of a DST change
+  const correctedOffset = getOffset(new Date(result), timeZone);
+  if (correctedOffset !== offset) {
+    result = guess - correctedOffset;
+  }
+  return new Date(result);
+};
+
+const parseTime = (value) => {
+  if (!value) return null;
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+  if (!match) return null;
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+};
+
+// Build a calendar from Workshop.operatingHours and settings.timezone
+const buildCalendar = (operatingHours, timeZone = 'UTC') => {
+  if (!operatingHours) return null;
+
+  const days = DAY_NAMES.map(name => {
+    const hours = operatingHours[name];
+    if (!hours || hours.isOpen === false) return null;
+
+    const start = parseTime(hours.start);
+    const end = parseTime(hours.end);
+    if (start === null || end === null) {
+      return { start: 0, end: 24 * 60 };
+    }
+    // An end before the start is an overnight shift
+    return { start, end: end > start ? end : end + 24 * 60 };
+  });
+
+  if (days.every(day => day === null)) return null;
+
+  return {
+    timeZone: isValidTimeZone(timeZone) ? timeZone : 'UTC',
+    days
+  };
+};
+
+// Yield [start, end] open intervals, in order, beginning with the local day before `from`
+function* openIntervals(calendar, from) {
+  const local = getZonedParts(from, calendar.timeZone);
+  let cursor = new Date(Date.UTC(local.year, local.month - 1, local.day - 1));
+
+  for (let i = 0; i < MAX_DAYS; i++) {
+    const day = calendar.days[cursor.getUTCDay()];
+    if (day) {
+      const year = cursor.getUTCFullYear();
+      const month = cursor.getUTCMonth() + 1;
+      const date = cursor.getUTCDate();
+      yield [
+        zonedTimeToUtc(year, month, date, day.start, calendar.timeZone),
+        zonedTimeToUtc(year, month, date, day.end, calendar.timeZone)
+      ];
+    }
+    cursor = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth(), cursor.getUTCDate() + 1));
+  }
+}
+
+// Business minutes elapsed between two instants (0 if `to` is not after `from`)
+const businessMinutesBetween = (from, to, calendar) => {
+  const start = new Date(from);
+  const end = new Date(to);
+  if (end <= start) return 0;
+  if (!calendar) return (end - start) / MINUTE;
+
+  let total = 0;
+  for (const [open, close] of openIntervals(calendar, start)) {
+    if (open >= end) break;
+    const overlapStart = Math.max(open, start);
+    const overlapEnd = Math.min(close, end);
+    if (overlapEnd > overlapStart) total += (overlapEnd - overlapStart) / MINUTE;
+  }
+  return Math.round(total * 100) / 100;
+};
+
+// Instant reached after `minutes` of business time starting at `from`
+const addBusinessMinutes = (from, minutes, calendar) => {
+  const start = new Date(from);
+  if (!calendar) return new Date(start.getTime() + minutes * MINUTE);
+
+  let remaining = minutes;
+  for (const [open, close] of openIntervals(calendar, start)) {
+    const effectiveStart = Math.max(open, start);
+    if (close <= effectiveStart) continue;
+
+    const available = (close - effectiveStart) / MINUTE;
+    if (remaining <= available) {
+      return new Date(effectiveStart + remaining * MINUTE);
+    }
+    remaining -= available;
+  }
+
+  return new Date(start.getTime() + minutes * MINUTE);
+};
+
+// Signed business minutes from `now` until `deadline` (negative once passed)
+const businessMinutesUntil = (deadline, now, calendar) => {
+  if (!deadline) return null;
+  return deadline >= now
+    ? businessMinutesBetween(now, deadline, calendar)
+    : -businessMinutesBetween(deadline, now, calendar);
+};
+
+module.exports = {
+  buildCalendar,
+  businessMinutesBetween,
+  addBusinessMinutes,
+  businessMinutesUntil,
+  getZonedParts,
+  isValidTimeZone,
+  zonedTimeToUtc
+};
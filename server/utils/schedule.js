@@ -0,0 +1,28 @@
+// Add a { value, unit } interval (days, weeks, months, years) to a date
+const addInterval = (date, interval) => {
+  const nextDate = new Date(date);
+  const value = interval && interval.value;
+
+  if (!value) return nextDate;
+
+  switch (interval.unit) {
+    case 'days':
+      nextDate.setDate(nextDate.getDate() + value);
+      break;
+    case 'weeks':
+      nextDate.setDate(nextDate.getDate() + (value * 7));
+      break;
+    case 'months':
+      nextDate.setMonth(nextDate.getMonth() + value);
+      break;
+    case 'years':
+      nextDate.setFullYear(nextDate.getFullYear() + value);
+      break;
+  }
+
+  return nextDate;
+};
+
+module.exports = {
+  addInterval
+};